@@ -0,0 +1,107 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import { getSupabaseClient } from "../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_token-utils.js";
+
+// Verified tokens are cached briefly so Streamable HTTP (one verification per request)
+// does not hit the database on every message. Revocation happens in the database, so it
+// takes effect within this window; an entry never outlives the session's expires_at.
+const VERIFY_CACHE_TTL_MS = 5 * 1000;
+const _verifyCache = new Map();
+
+function sha256(value) {
+  return createHash("sha256").update(String(value), "utf8").digest();
+}
+
+/**
+ * Splits a client token (base64 of "serverId:accessToken") into its parts.
+ * Does not prove anything about the token; use verifySessionToken for that.
+ * @param {string} token - Raw token from the query string or Bearer header
+ * @returns {{ serverId: string, accessToken: string }}
+ */
+export function decodeSessionToken(token) {
+  if (!token) {
+    throw new Error("Token is required");
+  }
+  const decoded = Buffer.from(String(token), "base64").toString("utf-8");
+  const sep = decoded.indexOf(":");
+  if (sep === -1) {
+    throw new Error("Invalid token format");
+  }
+  const serverId = decoded.slice(0, sep);
+  const accessToken = decoded.slice(sep + 1);
+  if (!serverId || !accessToken) {
+    throw new Error("Invalid token components");
+  }
+  return { serverId, accessToken };
+}
+
+/**
+ * Verifies a client token against the servers / mcp_sessions rows.
+ * The presented access token is hashed and compared in constant time with every
+ * session issued for the server; revoked, expired and inactive sessions are rejected.
+ * @param {string} token - Raw token from the query string or Bearer header
+ * @returns {Promise<{ serverId: string, userId: string, sessionId: string, expiresAt: string|null }>}
+ */
+export async function verifySessionToken(token) {
+  const { serverId, accessToken } = decodeSessionToken(token);
+  const presentedHash = sha256(accessToken);
+  const cacheKey = presentedHash.toString("hex") + ":" + serverId;
+
+  const cached = _verifyCache.get(cacheKey);
+  if (cached && cached.cachedUntil > Date.now()) {
+    return cached.session;
+  }
+  _verifyCache.delete(cacheKey);
+
+  const supabase = getSupabaseClient();
+
+  const { data: server, error: serverError } = await supabase
+    .from("servers")
+    .select("id, user_id, is_active")
+    .eq("id", serverId)
+    .maybeSingle();
+  if (serverError) throw new Error("Session lookup failed");
+  if (!server || !server.user_id) throw new Error("Invalid or unknown session token");
+  if (server.is_active === false) throw new Error("Server is disabled");
+
+  const { data: sessions, error: sessionError } = await supabase
+    .from("mcp_sessions")
+    .select("*")
+    .eq("server_id", serverId);
+  if (sessionError) throw new Error("Session lookup failed");
+
+  // Compare against every row so timing does not reveal which session (if any) matched.
+  let match = null;
+  for (const row of sessions || []) {
+    if (!row.session_token) continue;
+    const equal = timingSafeEqual(sha256(row.session_token), presentedHash);
+    if (equal && !match) match = row;
+  }
+  if (!match) throw new Error("Invalid or unknown session token");
+
+  if (match.revoked_at || match.is_active === false) {
+    throw new Error("Session has been revoked");
+  }
+  if (isExpired(match.expires_at)) {
+    throw new Error("Session has expired");
+  }
+  if (match.user_id && match.user_id !== server.user_id) {
+    throw new Error("Invalid or unknown session token");
+  }
+
+  const session = {
+    serverId,
+    userId: server.user_id,
+    sessionId: match.id,
+    expiresAt: match.expires_at || null,
+  };
+  const expiresAt = match.expires_at ? new Date(match.expires_at).getTime() : NaN;
+  const cachedUntil = Math.min(Date.now() + VERIFY_CACHE_TTL_MS, Number.isFinite(expiresAt) ? expiresAt : Infinity);
+  _verifyCache.set(cacheKey, { session, cachedUntil });
+  return session;
+}
+
+function isExpired(expiresAt) {
+  if (!expiresAt) return false;
+  const t = new Date(expiresAt).getTime();
+  return Number.isFinite(t) && t <= Date.now();
+}
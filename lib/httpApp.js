@@ -0,0 +1,568 @@
+/**
+ * Express app for SSE mode: /api/sse and /api/messages (legacy SSE transport), /api/mcp
+ * (Streamable HTTP), /api/audit and the dashboard's static files. Every MCP and audit route
+ * verifies the session token first.
+ */
+import express from "express";
+import cors from "cors";
+import path from "path";
+import { fileURLToPath } from "url";
+import { randomUUID } from "node:crypto";
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { verifySessionToken } from "./auth.js";
+import { SERVER_NAME, setupServerHandlers, loadServerContext, listToolsForContext } from "./serverHandlers.js";
+import { getSupabaseClient } from "../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_token-utils.js";
+import { queryAuditLog } from "../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_audit-log.js";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Client token from the `token` query param or an `Authorization: Bearer` header
+function extractRawToken(req) {
+  if (req.query.token) return req.query.token;
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith("Bearer ")) return authHeader.slice(7);
+  return null;
+}
+
+// setTimeout fires at once for delays past 2^31-1 ms (~24.8 days), so longer waits re-arm
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Runs fn at the given time.
+ * @param {number} time - Epoch milliseconds
+ * @param {Function} fn
+ * @returns {Function} Cancels the call
+ */
+function runAt(time, fn) {
+  let timer;
+  const arm = () => {
+    const delay = time - Date.now();
+    timer = setTimeout(delay > MAX_TIMEOUT_MS ? arm : fn, Math.max(0, Math.min(delay, MAX_TIMEOUT_MS)));
+    timer.unref?.();
+  };
+  arm();
+  return () => clearTimeout(timer);
+}
+
+// Helper function to set SSE headers
+function setSSEHeaders(res, origin) {
+  if (!res.headersSent) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('Access-Control-Allow-Origin', origin || '*');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('X-Accel-Buffering', 'no');
+  }
+}
+
+// Helper function to send SSE error and close connection
+function sendSSEError(res, error, origin) {
+  if (!res.headersSent && !res.destroyed) {
+    try {
+      setSSEHeaders(res, origin);
+      res.write(`event: error\n`);
+      res.write(`data: ${JSON.stringify({ 
+        error: error.message || String(error),
+        timestamp: new Date().toISOString()
+      })}\n\n`);
+      res.end();
+    } catch (writeErr) {
+      console.error("[Error in sendSSEError]", writeErr);
+    }
+  }
+}
+
+/**
+ * @param {Array} tools - Tools from discoverTools()
+ * @returns {import("express").Express}
+ */
+export function createHttpApp(tools) {
+  const app = express();
+
+  // In-memory session registry
+  const transports = {};
+  const servers = {};
+  // Verified session (serverId/userId) that opened each Streamable HTTP session
+  const sessionOwners = {};
+  // Token and verified session behind each SSE stream; every message re-verifies the token
+  const sseSessions = {};
+
+  // CORS — allow any localhost port (for dev) plus production Render origins
+  const prodOrigins = [
+    "https://metaadsmcpserver-1.onrender.com",
+    "https://metaadsmcpserver.onrender.com",
+  ];
+
+  app.use(
+    cors({
+      origin: (incomingOrigin, callback) => {
+        if (!incomingOrigin) return callback(null, true);
+        if (/^https?:\/\/localhost(:\d+)?$/.test(incomingOrigin)) return callback(null, true);
+        if (prodOrigins.includes(incomingOrigin)) return callback(null, true);
+        return callback(new Error(`Origin ${incomingOrigin} not allowed by CORS`));
+      },
+      methods: ["GET", "POST", "DELETE", "OPTIONS"],
+      allowedHeaders: [
+        "Content-Type",
+        "Authorization",
+        "Cache-Control",
+        "X-Requested-With",
+        "Mcp-Session-Id",
+      ],
+      exposedHeaders: ["Mcp-Session-Id"],
+      credentials: true,
+    })
+  );
+
+  // Request logger: do not log headers or token (security)
+  app.use((req, res, next) => {
+    const q = req.query && Object.keys(req.query).length ? Object.keys(req.query).filter(k => k !== 'token').join(',') : '';
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} from ${req.headers.origin || 'no-origin'}${q ? ` query: ${q}` : ''}`);
+    next();
+  });
+
+  // ===== API ROUTES FIRST - THESE MUST COME BEFORE ANY STATIC SERVING =====
+  
+  // Health endpoint (no session count to avoid information disclosure)
+  app.get("/health", (req, res) => {
+    res.json({
+      status: "ok",
+      server: SERVER_NAME,
+      node: process.version,
+      mode: "SSE",
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Preflight for SSE and Streamable HTTP
+  app.options(["/api/sse", "/api/mcp", "/api/audit"], (req, res) => {
+    console.log(`[PREFLIGHT] ${req.path} route hit`);
+    res.setHeader("Access-Control-Allow-Origin", req.headers.origin || "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+    res.setHeader(
+      "Access-Control-Allow-Headers",
+      "Content-Type, Authorization, Cache-Control, X-Requested-With, Mcp-Session-Id"
+    );
+    res.setHeader("Access-Control-Expose-Headers", "Mcp-Session-Id");
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+    res.status(200).end();
+  });
+
+  // CHANGE: Use /api/sse instead of /sse to avoid conflicts
+  app.get("/api/sse", async (req, res) => {
+    const origin = req.headers.origin;
+    try {
+      console.log("[SSE] Incoming connection from:", origin || "no-origin");
+      // Validate token first before setting headers
+      const token = req.query.token;
+      if (!token) {
+        throw new Error("Token parameter is required");
+      }
+      
+      const session = await verifySessionToken(token);
+      console.log("[SSE] Token verified for serverId:", session.serverId);
+      // Do not log token or query params
+
+      // Set SSE headers BEFORE creating transport
+      setSSEHeaders(res, origin);
+
+      // Create MCP server instance
+      const server = new Server(
+        { name: SERVER_NAME, version: "0.1.0" },
+        { capabilities: { tools: {} } }
+      );
+      
+      server.onerror = (err) => {
+        console.error("[MCP server error]", err);
+        if (!res.headersSent && !res.destroyed) {
+          try {
+            res.write(`event: error\n`);
+            res.write(`data: ${JSON.stringify({ 
+              error: err.message || String(err),
+              timestamp: new Date().toISOString()
+            })}\n\n`);
+            res.end();
+          } catch (writeErr) {
+            console.error("[Error writing error response]", writeErr);
+          }
+        }
+      };
+
+      // Setup request handlers (pass the verified session so tools get workspace defaults and the caller's identity)
+      await setupServerHandlers(server, tools, session);
+
+      // Create SSE transport - CHANGE: Use /api/messages
+      const transport = new SSEServerTransport("/api/messages", res);
+      transports[transport.sessionId] = transport;
+      servers[transport.sessionId] = server;
+      sseSessions[transport.sessionId] = { token, session };
+
+      console.log("[SSE] New session created:", transport.sessionId, "for serverId:", session.serverId);
+
+      // The stream ends when the session expires, even if the client keeps it open
+      const expiresAt = session.expiresAt ? new Date(session.expiresAt).getTime() : NaN;
+      const cancelExpiry = Number.isFinite(expiresAt) ? runAt(expiresAt, () => {
+        console.log("[SSE] Session expired, closing stream:", transport.sessionId);
+        transport.close().catch((e) => console.error("[transport.close error]", e));
+      }) : () => {};
+
+      // Handle connection close
+      res.on("close", async () => {
+        console.log("[SSE] Connection closed for session:", transport.sessionId);
+        cancelExpiry();
+        delete transports[transport.sessionId];
+        delete sseSessions[transport.sessionId];
+        try {
+          await server.close();
+        } catch (e) {
+          console.error("[server.close error]", e);
+        }
+        delete servers[transport.sessionId];
+      });
+
+      // Handle client disconnect
+      res.on("error", (error) => {
+        console.error("[SSE] Connection error:", error);
+        cancelExpiry();
+        delete transports[transport.sessionId];
+        delete servers[transport.sessionId];
+        delete sseSessions[transport.sessionId];
+      });
+
+      // Connect the server to transport
+      await server.connect(transport);
+      console.log("[SSE] Server connected successfully for session:", transport.sessionId);
+
+    } catch (error) {
+      console.error("[/api/sse error]", error && error.stack ? error.stack : error);
+      
+      // Send error as SSE event instead of JSON response
+      if (!res.headersSent && !res.destroyed) {
+        try {
+          setSSEHeaders(res, origin);
+          res.write(`event: error\n`);
+          res.write(`data: ${JSON.stringify({ 
+            error: error.message || String(error),
+            timestamp: new Date().toISOString()
+          })}\n\n`);
+          res.end();
+        } catch (writeErr) {
+          console.error("[Error writing error response]", writeErr);
+        }
+      }
+    }
+  });
+
+  // Parse JSON for all routes except those where the SDK handles raw body
+  app.use((req, res, next) => {
+    if (req.path === "/api/messages" || req.path === "/api/mcp") return next();
+    return express.json()(req, res, next);
+  });
+
+  // JSON-RPC companion endpoint for SSE transport
+  app.post("/api/messages", async (req, res) => {
+    console.log('[MESSAGES] /api/messages route hit');
+    try {
+      const sessionId = req.query.sessionId;
+      const transport = transports[sessionId];
+      const server = servers[sessionId];
+
+      if (transport && server) {
+        // A session revoked or expired since the stream opened loses access (the
+        // verification cache keeps this to one database read every few seconds)
+        try {
+          await verifySessionToken(sseSessions[sessionId].token);
+        } catch (err) {
+          console.error("[/api/messages] Session no longer valid, closing stream:", err.message);
+          res.status(401).json({ error: `Token validation failed: ${err.message}` });
+          await transport.close();
+          return;
+        }
+        await transport.handlePostMessage(req, res);
+      } else {
+        console.error("[/api/messages] No transport found for sessionId (session expired or invalid)");
+        res.status(400).json({
+          error: "Session not found or expired. Please reconnect to the MCP server.",
+        });
+      }
+    } catch (error) {
+      console.error("[/api/messages error]", error && error.stack ? error.stack : error);
+      const isProd = process.env.NODE_ENV === "production";
+      res.status(500).json({
+        error: isProd ? "Internal server error." : (error.message || String(error)),
+      });
+    }
+  });
+
+  // Audit log of tool calls for the token's user. Filters: server_id (default: the token's
+  // server, "all" for every server of the user), tool, object_id, since, until, success, limit.
+  app.get("/api/audit", async (req, res) => {
+    let session;
+    try {
+      const rawToken = extractRawToken(req);
+      if (!rawToken) {
+        return res.status(401).json({ error: "Authentication required. Provide token as query param or Bearer header." });
+      }
+      session = await verifySessionToken(rawToken);
+    } catch (err) {
+      return res.status(401).json({ error: `Token validation failed: ${err.message}` });
+    }
+
+    try {
+      const q = req.query;
+      const serverId = q.server_id === "all" ? null : (q.server_id || session.serverId);
+      // Other servers of the same user are readable; another user's server is refused outright
+      if (serverId && serverId !== session.serverId) {
+        const { data: server } = await getSupabaseClient()
+          .from("servers")
+          .select("user_id")
+          .eq("id", serverId)
+          .maybeSingle();
+        if (!server || server.user_id !== session.userId) {
+          return res.status(403).json({ error: "Server does not belong to this token's user" });
+        }
+      }
+      const entries = await queryAuditLog({
+        userId: session.userId,
+        serverId,
+        toolName: q.tool,
+        objectId: q.object_id,
+        since: q.since,
+        until: q.until,
+        success: q.success === "true" ? true : q.success === "false" ? false : undefined,
+        limit: q.limit,
+      });
+      res.json({ count: entries.length, entries });
+    } catch (error) {
+      console.error("[/api/audit error]", error.message);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // ===== STREAMABLE HTTP TRANSPORT (protocol version 2025-03-26) =====
+  // Single endpoint handles GET (SSE stream), POST (JSON-RPC), DELETE (session teardown)
+  app.all("/api/mcp", express.json(), async (req, res) => {
+    console.log(`[MCP-HTTP] ${req.method} /api/mcp`);
+
+    // Validate token from query param or Authorization header
+    let session;
+    try {
+      const rawToken = extractRawToken(req);
+      if (!rawToken) {
+        return res.status(401).json({
+          jsonrpc: "2.0",
+          error: { code: -32000, message: "Authentication required. Provide token as query param or Bearer header." },
+          id: null,
+        });
+      }
+      session = await verifySessionToken(rawToken);
+    } catch (err) {
+      return res.status(401).json({
+        jsonrpc: "2.0",
+        error: { code: -32000, message: `Token validation failed: ${err.message}` },
+        id: null,
+      });
+    }
+
+    try {
+      const rawSessionId = req.headers["mcp-session-id"];
+      const sessionId = Array.isArray(rawSessionId) ? rawSessionId[0] : rawSessionId;
+      const normalizedSessionId = typeof sessionId === "string" ? sessionId.trim() : "";
+      const rpcMethod = req.body?.method;
+      const isInitRequest =
+        req.method === "POST" &&
+        (isInitializeRequest(req.body) || rpcMethod === "initialize");
+      let transport;
+
+      // Compatibility fallback for clients that probe tools/list before initialize.
+      // We still support full session-based MCP, but this avoids hard-failing noncompliant probes.
+      if (!normalizedSessionId && req.method === "POST" && rpcMethod === "tools/list") {
+        // Same policy and defaults as the session's ListTools handler
+        let ctx;
+        try {
+          ctx = await loadServerContext(session);
+        } catch (err) {
+          console.error("[server settings]", err.message);
+          return res.status(500).json({
+            jsonrpc: "2.0",
+            error: { code: -32603, message: "Could not load server settings." },
+            id: req.body?.id ?? null,
+          });
+        }
+        const t = await listToolsForContext(tools, ctx);
+
+        return res.status(200).json({
+          jsonrpc: "2.0",
+          id: req.body?.id ?? null,
+          result: { tools: t },
+        });
+      }
+
+      if (normalizedSessionId && transports[normalizedSessionId]) {
+        const existing = transports[normalizedSessionId];
+        const owner = sessionOwners[normalizedSessionId];
+        if (!owner || owner.serverId !== session.serverId || owner.userId !== session.userId) {
+          return res.status(403).json({
+            jsonrpc: "2.0",
+            error: { code: -32000, message: "Session does not belong to this token" },
+            id: null,
+          });
+        }
+        if (existing instanceof StreamableHTTPServerTransport) {
+          transport = existing;
+        } else {
+          return res.status(400).json({
+            jsonrpc: "2.0",
+            error: { code: -32000, message: "Session exists but uses a different transport protocol" },
+            id: null,
+          });
+        }
+      } else if (isInitRequest) {
+        if (normalizedSessionId && !transports[normalizedSessionId]) {
+          console.log(`[MCP-HTTP] Ignoring stale session ID on initialize: ${normalizedSessionId}`);
+        }
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (sid) => {
+            console.log(`[MCP-HTTP] Session initialized: ${sid} for serverId: ${session.serverId}`);
+            transports[sid] = transport;
+            sessionOwners[sid] = session;
+          },
+        });
+
+        transport.onclose = () => {
+          const sid = transport.sessionId;
+          if (sid && transports[sid]) {
+            console.log(`[MCP-HTTP] Session closed: ${sid}`);
+            delete transports[sid];
+            delete servers[sid];
+            delete sessionOwners[sid];
+          }
+        };
+
+        const server = new Server(
+          { name: SERVER_NAME, version: "0.1.0" },
+          { capabilities: { tools: {} } }
+        );
+        server.onerror = (err) => console.error("[MCP-HTTP server error]", err);
+        await setupServerHandlers(server, tools, session);
+        await server.connect(transport);
+
+        if (transport.sessionId) {
+          servers[transport.sessionId] = server;
+        }
+      } else if (normalizedSessionId && !transports[normalizedSessionId]) {
+        return res.status(400).json({
+          jsonrpc: "2.0",
+          error: { code: -32000, message: "Bad Request: Unknown or expired session ID. Re-run initialize." },
+          id: null,
+        });
+      } else {
+        return res.status(400).json({
+          jsonrpc: "2.0",
+          error: { code: -32000, message: "Bad Request: No valid session ID provided. Send initialize first." },
+          id: null,
+        });
+      }
+
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      console.error("[/api/mcp error]", error && error.stack ? error.stack : error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          jsonrpc: "2.0",
+          error: { code: -32603, message: "Internal server error" },
+          id: null,
+        });
+      }
+    }
+  });
+
+  // ===== STATIC FILE SERVING - MUST BE AFTER API ROUTES =====
+  // Check if dist folder exists
+  const distPath = path.join(ROOT_DIR, 'dist');
+  console.log('[STATIC] Checking for dist folder at:', distPath);
+  
+  // Serve static files from dist folder with explicit path prefix
+  app.use('/static', express.static(distPath, {
+    index: false,
+    setHeaders: (res, filePath) => {
+      console.log('[STATIC] Serving file:', filePath);
+      if (path.extname(filePath) === '.html') {
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+      } else {
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+      }
+    }
+  }));
+
+  // Serve the main index.html at root and common SPA routes
+  app.get('/', (req, res) => {
+    console.log('[ROOT] Serving index.html');
+    const indexPath = path.join(distPath, 'index.html');
+    res.sendFile(indexPath, (err) => {
+      if (err) {
+        console.error('[ROOT] Error serving index.html:', err);
+        res.status(200).send(`
+          <h1>MCP Server Running</h1>
+          <p>Server is running in SSE mode</p>
+          <p>API endpoints:</p>
+          <ul>
+            <li><a href="/health">/health</a> - Health check</li>
+            <li>/api/sse - SSE endpoint</li>
+            <li>/api/messages - Messages endpoint</li>
+          </ul>
+        `);
+      }
+    });
+  });
+
+  // Handle specific common SPA routes (dashboard step-based URLs and workspace)
+  app.get('/workspace', (req, res) => {
+    console.log('[WORKSPACE] Serving index.html for workspace route');
+    const indexPath = path.join(distPath, 'index.html');
+    res.sendFile(indexPath, (err) => {
+      if (err) {
+        console.error('[WORKSPACE] Error serving index.html:', err);
+        res.status(404).send('Page not found');
+      }
+    });
+  });
+  app.get('/dashboard', (req, res) => {
+    const indexPath = path.join(distPath, 'index.html');
+    res.sendFile(indexPath, (err) => {
+      if (err) {
+        console.error('[DASHBOARD] Error serving index.html:', err);
+        res.status(404).send('Page not found');
+      }
+    });
+  });
+  app.get('/dashboard/{*splat}', (req, res) => {
+    const indexPath = path.join(distPath, 'index.html');
+    res.sendFile(indexPath, (err) => {
+      if (err) {
+        console.error('[DASHBOARD] Error serving index.html:', err);
+        res.status(404).send('Page not found');
+      }
+    });
+  });
+
+  // Express error handler
+  app.use((error, req, res, next) => {
+    console.error("[Express error handler]", error);
+    if (res.headersSent) {
+      return next(error);
+    }
+    const isProd = process.env.NODE_ENV === "production";
+    res.status(500).json({
+      error: "Internal server error",
+      message: isProd ? undefined : error.message,
+    });
+  });
+
+  return app;
+}
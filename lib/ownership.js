@@ -0,0 +1,99 @@
+import { getBaseUrl, normalizeAccountId } from "../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_shared-helpers.js";
+import { getSupabaseClient } from "../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_token-utils.js";
+import { graphFetch } from "../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_graph-client.js";
+
+/**
+ * Thrown when a tool argument names a Facebook object the session's user does not own.
+ */
+export class OwnershipError extends Error {
+  constructor(field, id) {
+    super(`${field} ${id} is not linked to the authenticated user of this server`);
+    this.name = "OwnershipError";
+    this.field = field;
+    this.id = id;
+  }
+}
+
+// How each argument is checked: the Supabase table that maps it to a user, the IDs to
+// try in that table, and a Graph request that only succeeds for users with access to it.
+const RESOURCES = {
+  account_id: {
+    table: "facebook_ad_accounts",
+    ids: (id) => {
+      const bare = normalizeAccountId(id);
+      return [`act_${bare}`, bare];
+    },
+    graphPath: (id) => `act_${normalizeAccountId(id)}?fields=id`,
+    graphConfirms: (data) => !!data?.id,
+  },
+  business_id: {
+    table: "facebook_business_accounts",
+    ids: (id) => [String(id).trim()],
+    graphPath: (id) => `${String(id).trim()}?fields=id`,
+    graphConfirms: (data) => !!data?.id,
+  },
+  page_id: {
+    table: "facebook_pages",
+    ids: (id) => [String(id).trim()],
+    // Public pages are readable by anyone; a page access token is only returned to people with a role on the page
+    graphPath: (id) => `${String(id).trim()}?fields=id,access_token`,
+    graphConfirms: (data) => !!data?.access_token,
+  },
+};
+
+export const OWNED_FIELDS = Object.keys(RESOURCES);
+
+async function ownedInDatabase(supabase, resource, userId, id) {
+  const { data, error } = await supabase
+    .from(resource.table)
+    .select("id")
+    .in("id", resource.ids(id))
+    .eq("user_id", userId)
+    .limit(1);
+  if (error) return false;
+  return Array.isArray(data) && data.length > 0;
+}
+
+async function accessibleOnGraph(resource, token, id) {
+  if (!token) return false;
+  try {
+    const response = await graphFetch(`${getBaseUrl()}/${resource.graphPath(id)}`, {
+      method: "GET",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) return false;
+    return resource.graphConfirms(await response.json());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks that every account_id / business_id / page_id in args belongs to the session's user.
+ * A resource passes when facebook_* maps it to the user, or when the user's own Facebook token
+ * can access it on Graph (e.g. accounts shared through Business Manager). Nothing is written.
+ *
+ * @param {{ userId: string, token: string|null }} identity - The authenticated caller
+ * @param {Object} args - Tool arguments after workspace defaults are applied
+ * @param {Set<string>} [verified] - Per-session cache of "field:id" entries already confirmed
+ * @throws {OwnershipError} For the first resource the user does not own
+ */
+export async function assertResourceOwnership({ userId, token }, args, verified = new Set()) {
+  if (!userId) throw new Error("Cannot check resource ownership without an authenticated user");
+  const supabase = getSupabaseClient();
+
+  for (const field of OWNED_FIELDS) {
+    const value = args[field];
+    if (value == null || value === "") continue;
+
+    const resource = RESOURCES[field];
+    const key = `${field}:${resource.ids(value)[0]}`;
+    if (verified.has(key)) continue;
+
+    const owned =
+      (await ownedInDatabase(supabase, resource, userId, value)) ||
+      (await accessibleOnGraph(resource, token, value));
+    if (!owned) throw new OwnershipError(field, value);
+    verified.add(key);
+  }
+}
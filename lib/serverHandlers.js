@@ -0,0 +1,243 @@
+/**
+ * MCP request handlers shared by every transport: tools/list filtered by the server's tool
+ * policy with workspace defaults, and tools/call with policy, ownership, dry-run and audit.
+ */
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  McpError,
+  ErrorCode,
+} from "@modelcontextprotocol/sdk/types.js";
+import { assertResourceOwnership, OwnershipError } from "./ownership.js";
+import { getToolPolicy, filterTools, isToolAllowed } from "./toolPolicy.js";
+import { getSupabaseClient, lookupTokenForUser } from "../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_token-utils.js";
+import { runWithRequestContext } from "../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_request-context.js";
+import { recordToolInvocation } from "../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_audit-log.js";
+import { buildToolResult, buildToolErrorResult } from "./toolResult.js";
+
+export const SERVER_NAME = "generated-mcp-server";
+
+// Added to every write tool (writeToolPaths); the server strips it before the tool runs
+const DRY_RUN_PARAMETER = {
+  type: 'boolean',
+  description: 'When true, resolve defaults, validate inputs and return the exact Graph API request(s) (endpoint, method, body; token removed) without sending them. Always on when the server has dry_run enabled.',
+};
+
+async function transformTools(tools) {
+  return tools
+    .map((tool) => {
+      const fn = tool.definition?.function;
+      if (!fn) return null;
+      // Cloned so per-server defaults never leak into the shared tool definitions
+      const inputSchema = structuredClone(fn.parameters);
+      if (tool.mutating && inputSchema?.properties && !inputSchema.properties.dry_run) {
+        inputSchema.properties.dry_run = DRY_RUN_PARAMETER;
+      }
+      return {
+        name: fn.name,
+        description: fn.description,
+        inputSchema,
+      };
+    })
+    .filter(Boolean);
+}
+
+const DEFAULT_FIELDS = ['account_id', 'business_id', 'page_id', 'userId'];
+
+// Loads workspace defaults and the tool policy from the server's saved settings.
+export async function loadServerContext(session) {
+  const supabase = getSupabaseClient();
+  const { data, error } = await supabase
+    .from('servers')
+    .select('settings, user_id')
+    .eq('id', session.serverId)
+    .single();
+  if (error || !data) {
+    throw new Error(`Server settings lookup failed${error ? `: ${error.message}` : ''}`);
+  }
+  const ws = data.settings?.last_workspace || {};
+  return {
+    userId: session.userId || data.user_id || null,
+    account_id: ws.ad_account_id || null,
+    business_id: ws.business_id || null,
+    page_id: ws.page_id || null,
+    policy: getToolPolicy(data.settings),
+    dryRun: data.settings?.dry_run === true,
+  };
+}
+
+// Tools visible under the server's policy, with workspace IDs injected as JSON-Schema defaults.
+export async function listToolsForContext(tools, ctx) {
+  const t = await transformTools(ctx ? filterTools(tools, ctx.policy) : tools);
+  if (ctx) {
+    for (const tool of t) {
+      const props = tool.inputSchema?.properties;
+      if (!props) continue;
+      for (const field of DEFAULT_FIELDS) {
+        if (props[field] && ctx[field] && props[field].default === undefined) {
+          props[field].default = ctx[field];
+        }
+      }
+    }
+  }
+  return t;
+}
+
+export async function setupServerHandlers(server, tools, session = null) {
+  const serverId = session?.serverId || null;
+
+  // Lazy-cached loader: fetches workspace defaults and tool policy once per session.
+  // A failed lookup is not cached and fails the request, so a server's policy is never skipped.
+  let _cachedContext = null;
+  async function getServerContext() {
+    if (_cachedContext !== null) return _cachedContext;
+    if (!serverId) { _cachedContext = false; return false; }
+    try {
+      _cachedContext = await loadServerContext(session);
+      return _cachedContext;
+    } catch (err) {
+      console.error("[server settings]", err.message);
+      throw new McpError(ErrorCode.InternalError, "Could not load server settings.");
+    }
+  }
+
+  // Resources already confirmed as owned by this session's user ("field:id")
+  const verifiedResources = new Set();
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    const ctx = await getServerContext();
+    return { tools: await listToolsForContext(tools, ctx) };
+  });
+
+  async function callTool(request, trace) {
+    const name = request.params.name;
+    const tool = tools.find((t) => t.definition?.function?.name === name);
+    if (!tool) {
+      throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+    if (typeof tool.function !== "function") {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Tool "${name}" has no executable function (missing .function).`
+      );
+    }
+
+    const ctx = await getServerContext();
+    if (ctx && !isToolAllowed(tool, ctx.policy)) {
+      throw new McpError(ErrorCode.InvalidRequest, `Tool "${name}" is not enabled on this server.`);
+    }
+
+    const args = request.params.arguments ?? {};
+    trace.args = args;
+
+    // Dry-run is requested per call or forced by the server; only write tools honour it
+    const dryRun = tool.mutating && (args.dry_run === true || ctx?.dryRun === true);
+    delete args.dry_run;
+    trace.dryRun = dryRun;
+
+    // The authenticated session decides who the caller is; never trust a client-sent userId.
+    if (session?.userId) {
+      args.userId = session.userId;
+    }
+
+    // Auto-fill workspace defaults from server settings when the client omits them
+    if (ctx) {
+      for (const field of DEFAULT_FIELDS) {
+        if (!(field in args) && ctx[field]) {
+          args[field] = ctx[field];
+        }
+      }
+    }
+
+    const required = tool.definition?.function?.parameters?.required || [];
+    for (const param of required) {
+      if (!(param in args)) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Missing required parameter: ${param}`
+        );
+      }
+    }
+
+    // Credentials for this invocation only: concurrent sessions never see each other's token
+    let token = null;
+    if (args.userId) {
+      try {
+        token = await lookupTokenForUser(getSupabaseClient(), args.userId);
+      } catch {
+        // Best-effort; tools report a missing token themselves
+      }
+    }
+
+    // Every account/business/page the call touches must belong to the session's user
+    if (session?.userId) {
+      try {
+        await assertResourceOwnership({ userId: session.userId, token }, args, verifiedResources);
+      } catch (err) {
+        if (err instanceof OwnershipError) {
+          throw new McpError(ErrorCode.InvalidParams, `Access denied: ${err.message}`);
+        }
+        throw new McpError(ErrorCode.InternalError, "Could not verify resource ownership.");
+      }
+    }
+
+    const requestContext = {
+      userId: args.userId || null,
+      token,
+      serverId,
+      workspace: {
+        account_id: ctx?.account_id || null,
+        business_id: ctx?.business_id || null,
+        page_id: ctx?.page_id || null,
+      },
+      dryRun: dryRun ? { requests: [] } : null,
+      // Filled in by graphFetch: usage headers, retries, throttling and the last Graph error seen during this call
+      graph: { usage: new Map(), retries: 0, throttled: false, delayedMs: 0, lastError: null },
+    };
+
+    try {
+      // Without a userId (e.g. STDIO) token helpers ignore the context and use their own account lookup
+      const result = await runWithRequestContext(requestContext, () => tool.function(args));
+      trace.result = result;
+      trace.graphError = requestContext.graph.lastError;
+      return buildToolResult(result, requestContext, { dryRun });
+    } catch (err) {
+      // A tool that throws still answers with a result, flagged isError like a returned { error }
+      trace.result = { error: err.message };
+      trace.graphError = err.graph || requestContext.graph.lastError;
+      return buildToolErrorResult(err, requestContext);
+    }
+  }
+
+  // Every call is audited, including ones rejected by policy or ownership checks
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const startedAt = Date.now();
+    const trace = { args: request.params.arguments ?? {}, result: null, dryRun: false };
+    let thrown = null;
+    try {
+      return await callTool(request, trace);
+    } catch (err) {
+      thrown = err;
+      throw err;
+    } finally {
+      const resultError = trace.result && typeof trace.result === 'object' && trace.result.error;
+      void recordToolInvocation({
+        serverId,
+        userId: session?.userId || trace.args.userId || null,
+        mcpSessionId: session?.sessionId || null,
+        transportSessionId: extra?.sessionId || null,
+        toolName: request.params.name,
+        args: trace.args,
+        result: trace.result,
+        success: !thrown && !resultError,
+        errorCode: thrown
+          ? String(thrown.code ?? 'exception')
+          : resultError
+            ? String(trace.graphError?.code ?? trace.result.details?.error?.code ?? 'tool_error')
+            : null,
+        durationMs: Date.now() - startedAt,
+        dryRun: trace.dryRun,
+      });
+    }
+  });
+}
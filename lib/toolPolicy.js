@@ -0,0 +1,47 @@
+/**
+ * Per-server tool policy read from servers.settings:
+ *   allowed_tools: ["get_ad_account", ...]  only these tools are exposed (omit for all)
+ *   denied_tools:  ["create_campaign", ...] these tools are never exposed
+ *   read_only:     true                     hides every tool listed in writeToolPaths
+ * graph_batch can send any Graph request, so a denylist would not stop it from doing what a
+ * denied tool does; with denied_tools set it is hidden unless allowed_tools names it.
+ * @param {Object} [settings] - servers.settings
+ * @returns {{ allowed: Set<string>|null, denied: Set<string>, readOnly: boolean }}
+ */
+// Tools that reach Graph directly instead of through a single, named operation
+const RAW_GRAPH_TOOLS = new Set(["graph_batch"]);
+
+export function getToolPolicy(settings = {}) {
+  const list = (value) => (Array.isArray(value) ? value.filter((v) => typeof v === "string") : null);
+  const allowed = list(settings?.allowed_tools);
+  return {
+    allowed: allowed ? new Set(allowed) : null,
+    denied: new Set(list(settings?.denied_tools) || []),
+    readOnly: settings?.read_only === true,
+  };
+}
+
+/**
+ * Whether a discovered tool may be listed and called under the given policy.
+ * @param {Object} tool - Tool from discoverTools()
+ * @param {ReturnType<typeof getToolPolicy>} policy
+ * @returns {boolean}
+ */
+export function isToolAllowed(tool, policy) {
+  const name = tool.definition?.function?.name;
+  if (!name) return false;
+  if (policy.readOnly && tool.mutating) return false;
+  if (policy.denied.has(name)) return false;
+  if (policy.allowed && !policy.allowed.has(name)) return false;
+  if (RAW_GRAPH_TOOLS.has(name) && policy.denied.size && !policy.allowed) return false;
+  return true;
+}
+
+/**
+ * @param {Array} tools - Tools from discoverTools()
+ * @param {ReturnType<typeof getToolPolicy>} policy
+ * @returns {Array} The tools the policy exposes
+ */
+export function filterTools(tools, policy) {
+  return tools.filter((tool) => isToolAllowed(tool, policy));
+}
@@ -0,0 +1,62 @@
+import { classifyGraphError } from "../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_graph-errors.js";
+import { getRateLimitSummary } from "../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_graph-client.js";
+
+const isObject = (value) => value != null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * The classified Graph error behind a failed tool result: the Graph error the tool returned
+ * in `details`, else the last failed Graph response of the call (recorded by graphFetch).
+ * @param {Object} result - Tool result carrying `error`
+ * @param {Object} requestContext
+ * @returns {Object|null}
+ */
+function graphErrorFor(result, requestContext) {
+  if (isObject(result.graph_error)) return result.graph_error;
+  const details = result.details;
+  if (isObject(details?.error) && details.error.code != null) return classifyGraphError(details);
+  if (isObject(details) && details.code != null && details.message) return classifyGraphError(details);
+  return requestContext?.graph?.lastError || null;
+}
+
+/**
+ * MCP CallTool result for a tool's return value. A result with `error` is a failure:
+ * it gets `isError: true` and, when a Graph request failed, `graph_error` with the
+ * category, codes and next step from classifyGraphError().
+ * @param {*} result - Value returned by the tool
+ * @param {Object} requestContext - Context the tool ran in
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {{ content: Array, isError?: boolean }}
+ */
+export function buildToolResult(result, requestContext, { dryRun = false } = {}) {
+  const failed = isObject(result) && !!result.error;
+  let body = result;
+  if (failed) {
+    const graphError = graphErrorFor(result, requestContext);
+    if (graphError && !result.graph_error) body = { ...result, graph_error: graphError };
+  }
+  let output = dryRun
+    ? { dry_run: true, requests: requestContext.dryRun.requests, result: body }
+    : body;
+  const rateLimit = getRateLimitSummary(requestContext);
+  if (rateLimit && isObject(output)) {
+    output = { ...output, rate_limit: rateLimit };
+  }
+  return {
+    content: [{ type: "text", text: JSON.stringify(output, null, 2) }],
+    ...(failed ? { isError: true } : {}),
+  };
+}
+
+/**
+ * MCP CallTool result for a tool that threw. Graph failures keep their classification;
+ * other messages are hidden in production.
+ * @param {Error} err
+ * @param {Object} requestContext
+ * @returns {{ content: Array, isError: true }}
+ */
+export function buildToolErrorResult(err, requestContext) {
+  const isProd = process.env.NODE_ENV === "production";
+  const graphError = err?.graph || requestContext?.graph?.lastError || null;
+  const message = isProd && !graphError ? "Tool execution failed." : `Tool execution failed: ${err?.message}`;
+  return buildToolResult({ error: message, ...(graphError ? { graph_error: graphError } : {}) }, requestContext);
+}
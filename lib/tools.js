@@ -1,8 +1,8 @@
-import { toolPaths } from '../public/tools/paths.js';
+import { toolPaths, writeToolPaths } from '../public/tools/paths.js';
 
 /**
  * Discovers and loads available tools from the tools directory
- * @returns {Promise<Array>} Array of tool objects with valid definitions
+ * @returns {Promise<Array>} Array of tool objects with valid definitions; `mutating` is true for write tools
  */
 export async function discoverTools() {
   const results = await Promise.all(
@@ -18,7 +18,7 @@ export async function discoverTools() {
           console.warn(`[discoverTools] Skipping ${file}: missing executable .function`);
           return null;
         }
-        return { ...tool, path: file };
+        return { ...tool, path: file, mutating: writeToolPaths.includes(file) };
       } catch (err) {
         console.warn(`[discoverTools] Failed to load ${file}:`, err?.message || err);
         return null;
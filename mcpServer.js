@@ -9,224 +9,21 @@ console.log('mcpServer.js starting…');
 
 // ---- ESM imports ----
 import dotenv from "dotenv";
-import express from "express";
-import cors from "cors";
 import path from "path";
 import fs from "fs";
 import http from "http";
 import https from "https";
 import { fileURLToPath } from "url";
-import { randomUUID } from "node:crypto";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
-import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
-import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
-import {
-  CallToolRequestSchema,
-  ListToolsRequestSchema,
-  McpError,
-  ErrorCode,
-  isInitializeRequest,
-} from "@modelcontextprotocol/sdk/types.js";
 import { discoverTools } from "./lib/tools.js";
-import { getSupabaseClient, getTokenForUser, setFallbackToken, clearFallbackToken } from "./public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_token-utils.js";
+import { SERVER_NAME, setupServerHandlers } from "./lib/serverHandlers.js";
+import { createHttpApp } from "./lib/httpApp.js";
 
 // ---- Env setup ----
 dotenv.config({
   path: path.resolve(path.dirname(fileURLToPath(import.meta.url)), ".env"),
 });
 
-// ---- Constants ----
-const SERVER_NAME = "generated-mcp-server";
-
-// ---- Helpers ----
-function validateToken(token) {
-  if (!token) {
-    throw new Error("Token is required");
-  }
-  try {
-    const decoded = Buffer.from(String(token), "base64").toString("utf-8");
-    if (!decoded.includes(":")) {
-      throw new Error("Invalid token format");
-    }
-    const [serverId, accessToken] = decoded.split(":");
-    if (!serverId || !accessToken) {
-      throw new Error("Invalid token components");
-    }
-    return { serverId, accessToken };
-  } catch (error) {
-    throw new Error(`Token validation failed: ${error.message}`);
-  }
-}
-
-async function transformTools(tools) {
-  return tools
-    .map((tool) => {
-      const fn = tool.definition?.function;
-      if (!fn) return null;
-      return {
-        name: fn.name,
-        description: fn.description,
-        inputSchema: fn.parameters,
-      };
-    })
-    .filter(Boolean);
-}
-
-async function setupServerHandlers(server, tools, serverId = null) {
-  // Lazy-cached loader: fetches workspace defaults from the server's saved settings once per session.
-  let _cachedContext = null;
-  async function getServerContext() {
-    if (_cachedContext !== null) return _cachedContext;
-    if (!serverId) { _cachedContext = false; return false; }
-    try {
-      const supabase = getSupabaseClient();
-      const { data } = await supabase
-        .from('servers')
-        .select('settings, user_id')
-        .eq('id', serverId)
-        .single();
-      if (data) {
-        const ws = data.settings?.last_workspace || {};
-        _cachedContext = {
-          userId: data.user_id || null,
-          account_id: ws.ad_account_id || null,
-          business_id: ws.business_id || null,
-          page_id: ws.page_id || null,
-        };
-        return _cachedContext;
-      }
-    } catch {
-      // Best-effort; fall through with no defaults
-    }
-    _cachedContext = false;
-    return false;
-  }
-
-  const DEFAULT_FIELDS = ['account_id', 'business_id', 'page_id', 'userId'];
-
-  server.setRequestHandler(ListToolsRequestSchema, async () => {
-    const t = await transformTools(tools);
-
-    // Inject JSON-Schema default values so LLM clients can pre-fill workspace IDs
-    const ctx = await getServerContext();
-    if (ctx) {
-      for (const tool of t) {
-        const props = tool.inputSchema?.properties;
-        if (!props) continue;
-        for (const field of DEFAULT_FIELDS) {
-          if (props[field] && ctx[field] && props[field].default === undefined) {
-            props[field].default = ctx[field];
-          }
-        }
-      }
-    }
-
-    return { tools: t };
-  });
-
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const name = request.params.name;
-    const tool = tools.find((t) => t.definition?.function?.name === name);
-    if (!tool) {
-      throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
-    }
-    if (typeof tool.function !== "function") {
-      throw new McpError(
-        ErrorCode.InternalError,
-        `Tool "${name}" has no executable function (missing .function).`
-      );
-    }
-
-    const args = request.params.arguments ?? {};
-
-    // Auto-fill workspace defaults from server settings when the client omits them
-    const ctx = await getServerContext();
-    if (ctx) {
-      for (const field of DEFAULT_FIELDS) {
-        if (!(field in args) && ctx[field]) {
-          args[field] = ctx[field];
-        }
-      }
-    }
-
-    const required = tool.definition?.function?.parameters?.required || [];
-    for (const param of required) {
-      if (!(param in args)) {
-        throw new McpError(
-          ErrorCode.InvalidParams,
-          `Missing required parameter: ${param}`
-        );
-      }
-    }
-
-    // Ensure the ad account → user mapping exists in DB so all tools can resolve the token
-    if (args.userId && args.account_id) {
-      try {
-        const supabase = getSupabaseClient();
-        const accountIdStr = String(args.account_id).trim().replace(/^act_/, '');
-        await supabase.from('facebook_ad_accounts').upsert(
-          { id: accountIdStr, user_id: args.userId },
-          { onConflict: 'id', ignoreDuplicates: false }
-        );
-      } catch {
-        // Best-effort; tools will fall back to their own lookup
-      }
-    }
-    // Set fallback token from userId in case some tools don't do account lookup at all
-    if (args.userId) {
-      try {
-        const supabase = getSupabaseClient();
-        const token = await getTokenForUser(supabase, args.userId);
-        if (token) setFallbackToken(token);
-      } catch {
-        // Best-effort fallback
-      }
-    }
-
-    try {
-      const result = await tool.function(args);
-      return {
-        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
-      };
-    } catch (err) {
-      const isProd = process.env.NODE_ENV === "production";
-      const message = isProd ? "Tool execution failed." : `Tool execution failed: ${err.message}`;
-      throw new McpError(ErrorCode.InternalError, message);
-    } finally {
-      clearFallbackToken();
-    }
-  });
-}
-
-// Helper function to set SSE headers
-function setSSEHeaders(res, origin) {
-  if (!res.headersSent) {
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache, no-transform');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('Access-Control-Allow-Origin', origin || '*');
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    res.setHeader('X-Accel-Buffering', 'no');
-  }
-}
-
-// Helper function to send SSE error and close connection
-function sendSSEError(res, error, origin) {
-  if (!res.headersSent && !res.destroyed) {
-    try {
-      setSSEHeaders(res, origin);
-      res.write(`event: error\n`);
-      res.write(`data: ${JSON.stringify({ 
-        error: error.message || String(error),
-        timestamp: new Date().toISOString()
-      })}\n\n`);
-      res.end();
-    } catch (writeErr) {
-      console.error("[Error in sendSSEError]", writeErr);
-    }
-  }
-}
-
 async function run() {
   // TEMP keepalive so failures don't insta-exit before logs flush
   const keepalive = setInterval(() => {}, 1 << 30);
@@ -255,438 +52,7 @@ async function run() {
   }
 
   if (isSSE) {
-    const app = express();
-
-    // In-memory session registry
-    const transports = {};
-    const servers = {};
-
-    // CORS — allow any localhost port (for dev) plus production Render origins
-    const prodOrigins = [
-      "https://metaadsmcpserver-1.onrender.com",
-      "https://metaadsmcpserver.onrender.com",
-    ];
-
-    app.use(
-      cors({
-        origin: (incomingOrigin, callback) => {
-          if (!incomingOrigin) return callback(null, true);
-          if (/^https?:\/\/localhost(:\d+)?$/.test(incomingOrigin)) return callback(null, true);
-          if (prodOrigins.includes(incomingOrigin)) return callback(null, true);
-          return callback(new Error(`Origin ${incomingOrigin} not allowed by CORS`));
-        },
-        methods: ["GET", "POST", "DELETE", "OPTIONS"],
-        allowedHeaders: [
-          "Content-Type",
-          "Authorization",
-          "Cache-Control",
-          "X-Requested-With",
-          "Mcp-Session-Id",
-        ],
-        exposedHeaders: ["Mcp-Session-Id"],
-        credentials: true,
-      })
-    );
-
-    // Request logger: do not log headers or token (security)
-    app.use((req, res, next) => {
-      const q = req.query && Object.keys(req.query).length ? Object.keys(req.query).filter(k => k !== 'token').join(',') : '';
-      console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} from ${req.headers.origin || 'no-origin'}${q ? ` query: ${q}` : ''}`);
-      next();
-    });
-
-    // ===== API ROUTES FIRST - THESE MUST COME BEFORE ANY STATIC SERVING =====
-    
-    // Health endpoint (no session count to avoid information disclosure)
-    app.get("/health", (req, res) => {
-      res.json({
-        status: "ok",
-        server: SERVER_NAME,
-        node: process.version,
-        mode: "SSE",
-        timestamp: new Date().toISOString()
-      });
-    });
-
-    // Preflight for SSE and Streamable HTTP
-    app.options(["/api/sse", "/api/mcp"], (req, res) => {
-      console.log(`[PREFLIGHT] ${req.path} route hit`);
-      res.setHeader("Access-Control-Allow-Origin", req.headers.origin || "*");
-      res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
-      res.setHeader(
-        "Access-Control-Allow-Headers",
-        "Content-Type, Authorization, Cache-Control, X-Requested-With, Mcp-Session-Id"
-      );
-      res.setHeader("Access-Control-Expose-Headers", "Mcp-Session-Id");
-      res.setHeader("Access-Control-Allow-Credentials", "true");
-      res.status(200).end();
-    });
-
-    // CHANGE: Use /api/sse instead of /sse to avoid conflicts
-    app.get("/api/sse", async (req, res) => {
-      const origin = req.headers.origin;
-      try {
-        console.log("[SSE] Incoming connection from:", origin || "no-origin");
-        // Validate token first before setting headers
-        const token = req.query.token;
-        if (!token) {
-          throw new Error("Token parameter is required");
-        }
-        
-        const tokenData = validateToken(token);
-        console.log("[SSE] Token validated for serverId:", tokenData.serverId);
-        // Do not log token or query params
-
-        // Set SSE headers BEFORE creating transport
-        setSSEHeaders(res, origin);
-
-        // Create MCP server instance
-        const server = new Server(
-          { name: SERVER_NAME, version: "0.1.0" },
-          { capabilities: { tools: {} } }
-        );
-        
-        server.onerror = (err) => {
-          console.error("[MCP server error]", err);
-          if (!res.headersSent && !res.destroyed) {
-            try {
-              res.write(`event: error\n`);
-              res.write(`data: ${JSON.stringify({ 
-                error: err.message || String(err),
-                timestamp: new Date().toISOString()
-              })}\n\n`);
-              res.end();
-            } catch (writeErr) {
-              console.error("[Error writing error response]", writeErr);
-            }
-          }
-        };
-
-        // Setup request handlers (pass serverId so tools get workspace defaults)
-        await setupServerHandlers(server, tools, tokenData.serverId);
-
-        // Create SSE transport - CHANGE: Use /api/messages
-        const transport = new SSEServerTransport("/api/messages", res);
-        transports[transport.sessionId] = transport;
-        servers[transport.sessionId] = server;
-
-        console.log("[SSE] New session created:", transport.sessionId, "for serverId:", tokenData.serverId);
-
-        // Handle connection close
-        res.on("close", async () => {
-          console.log("[SSE] Connection closed for session:", transport.sessionId);
-          delete transports[transport.sessionId];
-          try {
-            await server.close();
-          } catch (e) {
-            console.error("[server.close error]", e);
-          }
-          delete servers[transport.sessionId];
-        });
-
-        // Handle client disconnect
-        res.on("error", (error) => {
-          console.error("[SSE] Connection error:", error);
-          delete transports[transport.sessionId];
-          delete servers[transport.sessionId];
-        });
-
-        // Connect the server to transport
-        await server.connect(transport);
-        console.log("[SSE] Server connected successfully for session:", transport.sessionId);
-
-      } catch (error) {
-        console.error("[/api/sse error]", error && error.stack ? error.stack : error);
-        
-        // Send error as SSE event instead of JSON response
-        if (!res.headersSent && !res.destroyed) {
-          try {
-            setSSEHeaders(res, origin);
-            res.write(`event: error\n`);
-            res.write(`data: ${JSON.stringify({ 
-              error: error.message || String(error),
-              timestamp: new Date().toISOString()
-            })}\n\n`);
-            res.end();
-          } catch (writeErr) {
-            console.error("[Error writing error response]", writeErr);
-          }
-        }
-      }
-    });
-
-    // Parse JSON for all routes except those where the SDK handles raw body
-    app.use((req, res, next) => {
-      if (req.path === "/api/messages" || req.path === "/api/mcp") return next();
-      return express.json()(req, res, next);
-    });
-
-    // JSON-RPC companion endpoint for SSE transport
-    app.post("/api/messages", async (req, res) => {
-      console.log('[MESSAGES] /api/messages route hit');
-      try {
-        const sessionId = req.query.sessionId;
-        const transport = transports[sessionId];
-        const server = servers[sessionId];
-
-        if (transport && server) {
-          await transport.handlePostMessage(req, res);
-        } else {
-          console.error("[/api/messages] No transport found for sessionId (session expired or invalid)");
-          res.status(400).json({
-            error: "Session not found or expired. Please reconnect to the MCP server.",
-          });
-        }
-      } catch (error) {
-        console.error("[/api/messages error]", error && error.stack ? error.stack : error);
-        const isProd = process.env.NODE_ENV === "production";
-        res.status(500).json({
-          error: isProd ? "Internal server error." : (error.message || String(error)),
-        });
-      }
-    });
-
-    // ===== STREAMABLE HTTP TRANSPORT (protocol version 2025-03-26) =====
-    // Single endpoint handles GET (SSE stream), POST (JSON-RPC), DELETE (session teardown)
-    app.all("/api/mcp", express.json(), async (req, res) => {
-      console.log(`[MCP-HTTP] ${req.method} /api/mcp`);
-
-      // Validate token from query param or Authorization header
-      let tokenData;
-      try {
-        const tokenParam = req.query.token;
-        const authHeader = req.headers.authorization;
-        let rawToken;
-        if (tokenParam) {
-          rawToken = tokenParam;
-        } else if (authHeader && authHeader.startsWith("Bearer ")) {
-          rawToken = authHeader.slice(7);
-        }
-        if (!rawToken) {
-          return res.status(401).json({
-            jsonrpc: "2.0",
-            error: { code: -32000, message: "Authentication required. Provide token as query param or Bearer header." },
-            id: null,
-          });
-        }
-        tokenData = validateToken(rawToken);
-      } catch (err) {
-        return res.status(401).json({
-          jsonrpc: "2.0",
-          error: { code: -32000, message: err.message },
-          id: null,
-        });
-      }
-
-      try {
-        const rawSessionId = req.headers["mcp-session-id"];
-        const sessionId = Array.isArray(rawSessionId) ? rawSessionId[0] : rawSessionId;
-        const normalizedSessionId = typeof sessionId === "string" ? sessionId.trim() : "";
-        const rpcMethod = req.body?.method;
-        const isInitRequest =
-          req.method === "POST" &&
-          (isInitializeRequest(req.body) || rpcMethod === "initialize");
-        let transport;
-
-        // Compatibility fallback for clients that probe tools/list before initialize.
-        // We still support full session-based MCP, but this avoids hard-failing noncompliant probes.
-        if (!normalizedSessionId && req.method === "POST" && rpcMethod === "tools/list") {
-          const t = await transformTools(tools);
-
-          // Inject workspace defaults from server settings (same logic as setupServerHandlers)
-          if (tokenData?.serverId) {
-            try {
-              const supabase = getSupabaseClient();
-              const { data } = await supabase
-                .from('servers')
-                .select('settings, user_id')
-                .eq('id', tokenData.serverId)
-                .single();
-              if (data) {
-                const ws = data.settings?.last_workspace || {};
-                const ctx = {
-                  userId: data.user_id || null,
-                  account_id: ws.ad_account_id || null,
-                  business_id: ws.business_id || null,
-                  page_id: ws.page_id || null,
-                };
-                const fields = ['account_id', 'business_id', 'page_id', 'userId'];
-                for (const tool of t) {
-                  const props = tool.inputSchema?.properties;
-                  if (!props) continue;
-                  for (const field of fields) {
-                    if (props[field] && ctx[field] && props[field].default === undefined) {
-                      props[field].default = ctx[field];
-                    }
-                  }
-                }
-              }
-            } catch {
-              // Best-effort; return tools without defaults
-            }
-          }
-
-          return res.status(200).json({
-            jsonrpc: "2.0",
-            id: req.body?.id ?? null,
-            result: { tools: t },
-          });
-        }
-
-        if (normalizedSessionId && transports[normalizedSessionId]) {
-          const existing = transports[normalizedSessionId];
-          if (existing instanceof StreamableHTTPServerTransport) {
-            transport = existing;
-          } else {
-            return res.status(400).json({
-              jsonrpc: "2.0",
-              error: { code: -32000, message: "Session exists but uses a different transport protocol" },
-              id: null,
-            });
-          }
-        } else if (isInitRequest) {
-          if (normalizedSessionId && !transports[normalizedSessionId]) {
-            console.log(`[MCP-HTTP] Ignoring stale session ID on initialize: ${normalizedSessionId}`);
-          }
-          transport = new StreamableHTTPServerTransport({
-            sessionIdGenerator: () => randomUUID(),
-            onsessioninitialized: (sid) => {
-              console.log(`[MCP-HTTP] Session initialized: ${sid} for serverId: ${tokenData.serverId}`);
-              transports[sid] = transport;
-            },
-          });
-
-          transport.onclose = () => {
-            const sid = transport.sessionId;
-            if (sid && transports[sid]) {
-              console.log(`[MCP-HTTP] Session closed: ${sid}`);
-              delete transports[sid];
-              delete servers[sid];
-            }
-          };
-
-          const server = new Server(
-            { name: SERVER_NAME, version: "0.1.0" },
-            { capabilities: { tools: {} } }
-          );
-          server.onerror = (err) => console.error("[MCP-HTTP server error]", err);
-          await setupServerHandlers(server, tools, tokenData.serverId);
-          await server.connect(transport);
-
-          if (transport.sessionId) {
-            servers[transport.sessionId] = server;
-          }
-        } else if (normalizedSessionId && !transports[normalizedSessionId]) {
-          return res.status(400).json({
-            jsonrpc: "2.0",
-            error: { code: -32000, message: "Bad Request: Unknown or expired session ID. Re-run initialize." },
-            id: null,
-          });
-        } else {
-          return res.status(400).json({
-            jsonrpc: "2.0",
-            error: { code: -32000, message: "Bad Request: No valid session ID provided. Send initialize first." },
-            id: null,
-          });
-        }
-
-        await transport.handleRequest(req, res, req.body);
-      } catch (error) {
-        console.error("[/api/mcp error]", error && error.stack ? error.stack : error);
-        if (!res.headersSent) {
-          res.status(500).json({
-            jsonrpc: "2.0",
-            error: { code: -32603, message: "Internal server error" },
-            id: null,
-          });
-        }
-      }
-    });
-
-    // ===== STATIC FILE SERVING - MUST BE AFTER API ROUTES =====
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    
-    // Check if dist folder exists
-    const distPath = path.join(__dirname, 'dist');
-    console.log('[STATIC] Checking for dist folder at:', distPath);
-    
-    // Serve static files from dist folder with explicit path prefix
-    app.use('/static', express.static(distPath, {
-      index: false,
-      setHeaders: (res, filePath) => {
-        console.log('[STATIC] Serving file:', filePath);
-        if (path.extname(filePath) === '.html') {
-          res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-        } else {
-          res.setHeader('Cache-Control', 'public, max-age=86400');
-        }
-      }
-    }));
-
-    // Serve the main index.html at root and common SPA routes
-    app.get('/', (req, res) => {
-      console.log('[ROOT] Serving index.html');
-      const indexPath = path.join(__dirname, 'dist', 'index.html');
-      res.sendFile(indexPath, (err) => {
-        if (err) {
-          console.error('[ROOT] Error serving index.html:', err);
-          res.status(200).send(`
-            <h1>MCP Server Running</h1>
-            <p>Server is running in SSE mode</p>
-            <p>API endpoints:</p>
-            <ul>
-              <li><a href="/health">/health</a> - Health check</li>
-              <li>/api/sse - SSE endpoint</li>
-              <li>/api/messages - Messages endpoint</li>
-            </ul>
-          `);
-        }
-      });
-    });
-
-    // Handle specific common SPA routes (dashboard step-based URLs and workspace)
-    app.get('/workspace', (req, res) => {
-      console.log('[WORKSPACE] Serving index.html for workspace route');
-      const indexPath = path.join(__dirname, 'dist', 'index.html');
-      res.sendFile(indexPath, (err) => {
-        if (err) {
-          console.error('[WORKSPACE] Error serving index.html:', err);
-          res.status(404).send('Page not found');
-        }
-      });
-    });
-    app.get('/dashboard', (req, res) => {
-      const indexPath = path.join(__dirname, 'dist', 'index.html');
-      res.sendFile(indexPath, (err) => {
-        if (err) {
-          console.error('[DASHBOARD] Error serving index.html:', err);
-          res.status(404).send('Page not found');
-        }
-      });
-    });
-    app.get('/dashboard/{*splat}', (req, res) => {
-      const indexPath = path.join(__dirname, 'dist', 'index.html');
-      res.sendFile(indexPath, (err) => {
-        if (err) {
-          console.error('[DASHBOARD] Error serving index.html:', err);
-          res.status(404).send('Page not found');
-        }
-      });
-    });
-
-    // Express error handler
-    app.use((error, req, res, next) => {
-      console.error("[Express error handler]", error);
-      if (res.headersSent) {
-        return next(error);
-      }
-      const isProd = process.env.NODE_ENV === "production";
-      res.status(500).json({
-        error: "Internal server error",
-        message: isProd ? undefined : error.message,
-      });
-    });
+    const app = createHttpApp(tools);
 
     const port = process.env.PORT || 3001;
     const host = process.env.HOST || "0.0.0.0";
@@ -694,6 +60,7 @@ async function run() {
     // Use HTTPS only for local dev with cert files; force plain HTTP on Render/production.
     const __filename2 = fileURLToPath(import.meta.url);
     const __dirname2 = path.dirname(__filename2);
+    const distPath = path.join(__dirname2, 'dist');
     const keyPath = path.join(__dirname2, 'localhost-key.pem');
     const certPath = path.join(__dirname2, 'localhost-cert.pem');
     const isHosted = process.env.NODE_ENV === 'production' || process.env.RENDER === 'true';
@@ -717,6 +84,7 @@ async function run() {
       console.log(`Health:          ${protocol}://${host}:${port}/health`);
       console.log(`SSE (legacy):    ${protocol}://${host}:${port}/api/sse`);
       console.log(`Streamable HTTP: ${protocol}://${host}:${port}/api/mcp`);
+      console.log(`Audit log:       ${protocol}://${host}:${port}/api/audit`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`Static files: ${distPath}`);
       // keepalive stays active — the server socket keeps the event loop alive,
@@ -0,0 +1,220 @@
+/**
+ * Shared helpers for the custom audience tools: the fields they read, how an audience is
+ * reported (size, delivery and operation status), the rules behind website, engagement
+ * and video audiences, and lookalike tiers and countries.
+ */
+import { locationMap } from './_shared-helpers.js';
+
+export const AUDIENCE_FIELDS = 'id,name,description,subtype,customer_file_source,approximate_count_lower_bound,approximate_count_upper_bound,delivery_status,operation_status,rule,retention_days,time_created,time_updated';
+
+export const AUDIENCE_TYPES = ['customer_list', 'website', 'engagement', 'video'];
+
+export const PAGE_ENGAGEMENT_EVENTS = ['page_engaged', 'page_visited', 'page_messaged', 'page_cta_clicked', 'page_or_post_save', 'page_post_interaction'];
+export const INSTAGRAM_ENGAGEMENT_EVENTS = ['ig_business_profile_all', 'ig_business_profile_engaged', 'ig_business_profile_visit', 'ig_user_messaged_business', 'ig_business_profile_ad_saved'];
+export const VIDEO_EVENTS = ['video_watched', 'video_view_10s', 'video_view_15s', 'video_view_25_percent', 'video_view_50_percent', 'video_view_75_percent', 'video_completed'];
+
+// Longest look-back Meta allows, in days
+const MAX_RETENTION_DAYS = { website: 180, engagement: 365, video: 365 };
+const DAY_SECONDS = 86400;
+
+function parseRule(rule) {
+  if (typeof rule !== 'string') return rule ?? null;
+  try {
+    return JSON.parse(rule);
+  } catch {
+    return rule;
+  }
+}
+
+/**
+ * An audience as the tools report it: Graph's fields, with the size bounds folded into
+ * `approximate_count`, the rule parsed, and `ready` when Meta can deliver to it.
+ * @param {Object} audience - Graph custom audience
+ */
+export function describeAudience(audience) {
+  const {
+    approximate_count_lower_bound: lower,
+    approximate_count_upper_bound: upper,
+    ...rest
+  } = audience;
+  return {
+    ...rest,
+    ...(rest.rule !== undefined ? { rule: parseRule(rest.rule) } : {}),
+    approximate_count: lower == null && upper == null ? null : { lower_bound: lower ?? null, upper_bound: upper ?? null },
+    delivery_status: audience.delivery_status || null,
+    operation_status: audience.operation_status || null,
+    ready: audience.delivery_status?.code === 200,
+  };
+}
+
+function retentionSeconds(type, days) {
+  const max = MAX_RETENTION_DAYS[type];
+  const n = Number(days);
+  if (!Number.isInteger(n) || n < 1 || n > max) {
+    throw new Error(`retention_days must be a whole number from 1 to ${max} for ${type} audiences`);
+  }
+  return n * DAY_SECONDS;
+}
+
+/**
+ * The create parameters for an audience type: `subtype`, `rule` and the like.
+ * @param {string} type - One of AUDIENCE_TYPES
+ * @param {Object} options - The create_custom_audience arguments
+ * @returns {Object} Graph parameters to merge into the request
+ * @throws {Error} When the arguments do not describe a valid audience of that type
+ */
+export function buildAudienceSpec(type, {
+  customer_file_source = 'USER_PROVIDED_ONLY',
+  pixel_id,
+  url_contains = [],
+  event_name,
+  page_id,
+  instagram_account_id,
+  engagement_event,
+  video_ids = [],
+  video_event = 'video_watched',
+  retention_days,
+  prefill = true,
+} = {}) {
+  switch (type) {
+    case 'customer_list':
+      return { subtype: 'CUSTOM', customer_file_source };
+
+    case 'website': {
+      if (!pixel_id) throw new Error('pixel_id is required for website audiences');
+      const urls = (Array.isArray(url_contains) ? url_contains : [url_contains]).filter(Boolean);
+      // An empty i_contains matches every URL: all website visitors
+      const urlFilters = (urls.length ? urls : ['']).map((value) => ({ field: 'url', operator: 'i_contains', value }));
+      const filters = event_name
+        ? [{ field: 'event', operator: 'eq', value: event_name }, ...(urls.length ? [{ operator: 'or', filters: urlFilters }] : [])]
+        : urlFilters;
+      return {
+        rule: {
+          inclusions: {
+            operator: 'or',
+            rules: [{
+              event_sources: [{ id: String(pixel_id), type: 'pixel' }],
+              retention_seconds: retentionSeconds(type, retention_days ?? 30),
+              filter: { operator: event_name ? 'and' : 'or', filters },
+            }],
+          },
+        },
+        prefill,
+      };
+    }
+
+    case 'engagement': {
+      // page_id is auto-filled from the workspace, so it is only the fallback source
+      const instagram = !!instagram_account_id;
+      if (!instagram && !page_id) {
+        throw new Error('Provide page_id or instagram_account_id for engagement audiences');
+      }
+      const events = instagram ? INSTAGRAM_ENGAGEMENT_EVENTS : PAGE_ENGAGEMENT_EVENTS;
+      const event = engagement_event || events[0];
+      if (!events.includes(event)) {
+        throw new Error(`engagement_event must be one of ${events.join(', ')} for ${instagram ? 'an Instagram account' : 'a page'}`);
+      }
+      return {
+        rule: {
+          inclusions: {
+            operator: 'or',
+            rules: [{
+              event_sources: [instagram ? { id: String(instagram_account_id), type: 'ig_business' } : { id: String(page_id), type: 'page' }],
+              retention_seconds: retentionSeconds(type, retention_days ?? 365),
+              filter: { operator: 'and', filters: [{ field: 'event', operator: 'eq', value: event }] },
+            }],
+          },
+        },
+        prefill,
+      };
+    }
+
+    case 'video': {
+      const ids = (Array.isArray(video_ids) ? video_ids : [video_ids]).filter(Boolean).map(String);
+      if (!ids.length) throw new Error('video_ids is required for video audiences');
+      if (!VIDEO_EVENTS.includes(video_event)) throw new Error(`video_event must be one of ${VIDEO_EVENTS.join(', ')}`);
+      retentionSeconds(type, retention_days ?? 365);
+      return {
+        subtype: 'ENGAGEMENT',
+        rule: ids.map((object_id) => ({ object_id, event_name: video_event })),
+        retention_days: retention_days ?? 365,
+        prefill,
+      };
+    }
+
+    default:
+      throw new Error(`type must be one of ${AUDIENCE_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * A copy of a rule-based audience's rule with every inclusion/exclusion look-back set to
+ * `days`. Returns null when the rule has no look-back to change (e.g. customer lists).
+ * @param {Object|string} rule - Rule as Graph returns it
+ * @param {number} days
+ * @throws {Error} When days is outside what the rule's sources allow
+ */
+export function withRetention(rule, days) {
+  const parsed = parseRule(rule);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+  const groups = [parsed.inclusions, parsed.exclusions].filter(Boolean);
+  const rules = groups.flatMap((group) => group.rules || []).filter((r) => r.retention_seconds != null);
+  if (!rules.length) return null;
+
+  const fromPixel = rules.some((r) => (r.event_sources || []).some((source) => source.type === 'pixel'));
+  const seconds = retentionSeconds(fromPixel ? 'website' : 'engagement', days);
+  const setRetention = (group) => group && {
+    ...group,
+    rules: (group.rules || []).map((r) => (r.retention_seconds == null ? r : { ...r, retention_seconds: seconds })),
+  };
+  return {
+    ...parsed,
+    ...(parsed.inclusions ? { inclusions: setRetention(parsed.inclusions) } : {}),
+    ...(parsed.exclusions ? { exclusions: setRetention(parsed.exclusions) } : {}),
+  };
+}
+
+// ---- Lookalikes ----
+
+// Meta builds lookalikes from the top 1% to 10% of a country's population
+const MAX_LOOKALIKE_PCT = 10;
+
+/**
+ * A lookalike tier ("1%", "1-3%", "3–5%", 2) as Graph ratios.
+ * @param {string|number} tier
+ * @returns {{ label: string, starting_ratio: number, ratio: number }}
+ * @throws {Error} When the tier is not a 1-10% size or range
+ */
+export function parseLookalikeTier(tier) {
+  const match = /^\s*(?:(\d+(?:\.\d+)?)\s*%?\s*(?:-|–|to)\s*)?(\d+(?:\.\d+)?)\s*%?\s*$/.exec(String(tier));
+  const start = match ? Number(match[1] ?? 0) : NaN;
+  const end = match ? Number(match[2]) : NaN;
+  if (!(end > start) || start < 0 || end > MAX_LOOKALIKE_PCT || !Number.isInteger(start) || !Number.isInteger(end)) {
+    throw new Error(`Invalid lookalike tier "${tier}": use whole percentages from 1 to ${MAX_LOOKALIKE_PCT}, e.g. "1%", "1-3%" or "3-5%"`);
+  }
+  return {
+    label: start ? `${start}-${end}%` : `${end}%`,
+    starting_ratio: start / 100,
+    ratio: end / 100,
+  };
+}
+
+/**
+ * Country codes for a list of countries and locationMap regions ("ASEAN", "GCC", ...),
+ * de-duplicated in order.
+ * @param {string[]} locations
+ * @throws {Error} For unknown codes and for "worldwide", which lookalikes do not support
+ */
+export function expandLookalikeCountries(locations) {
+  const countries = [];
+  for (const location of locations) {
+    const key = String(location).trim();
+    const upper = key.toUpperCase();
+    const codes = locationMap[upper] ?? (/^[A-Z]{2}$/.test(upper) ? [upper] : undefined);
+    if (!codes) {
+      throw new Error(`Unknown country or region "${key}"${key.toLowerCase() === 'worldwide' ? ': lookalikes need specific countries' : ''}`);
+    }
+    for (const code of codes) if (!countries.includes(code)) countries.push(code);
+  }
+  return countries;
+}
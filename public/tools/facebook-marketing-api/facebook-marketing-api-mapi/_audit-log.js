@@ -0,0 +1,145 @@
+/**
+ * Audit log of MCP tool invocations, stored in facebook_token_logs.
+ * The MCP server records one row per CallTool; get_audit_log and GET /api/audit read them back.
+ */
+import { getSupabaseClient } from './_token-utils.js';
+
+const SENSITIVE_KEY = /token|secret|password|appsecret|authorization/i;
+// Customer rows (PII) are never stored, whatever their size
+const PERSONAL_DATA_KEY = /^(csv|customers|user_data)$/i;
+const MAX_STRING = 500;
+const MAX_ARRAY = 50;
+const MAX_OBJECT_IDS = 100;
+const MAX_QUERY_LIMIT = 500;
+
+/**
+ * Copy of tool arguments that is safe to store: credentials and customer data removed,
+ * large strings (base64 uploads) and long arrays truncated.
+ */
+export function redactArguments(value, depth = 0) {
+  if (value == null || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING ? `[${value.length} chars omitted]` : value;
+  }
+  if (depth > 5) return '[nested value omitted]';
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY).map((v) => redactArguments(v, depth + 1));
+    if (value.length > MAX_ARRAY) items.push(`[${value.length - MAX_ARRAY} more items omitted]`);
+    return items;
+  }
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (SENSITIVE_KEY.test(k)) out[k] = '[redacted]';
+      else if (PERSONAL_DATA_KEY.test(k)) out[k] = '[personal data omitted]';
+      else out[k] = redactArguments(v, depth + 1);
+    }
+    return out;
+  }
+  return String(value);
+}
+
+/**
+ * Graph object IDs named in the arguments or returned in the result
+ * (`id`, `*_id` and `*_ids` keys whose values look like Graph IDs).
+ */
+export function collectObjectIds(args, result) {
+  const ids = new Set();
+  const isGraphId = (v) => (typeof v === 'string' || typeof v === 'number') && /^(act_)?\d{5,}$/.test(String(v));
+
+  const walk = (value, depth) => {
+    if (!value || typeof value !== 'object' || depth > 4 || ids.size >= MAX_OBJECT_IDS) return;
+    if (Array.isArray(value)) {
+      for (const v of value.slice(0, MAX_ARRAY)) walk(v, depth + 1);
+      return;
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (k === 'userId' || k === 'user_id') continue;
+      if ((k === 'id' || k.endsWith('_id')) && isGraphId(v)) ids.add(String(v));
+      else if (k.endsWith('_ids') && Array.isArray(v)) v.filter(isGraphId).forEach((x) => ids.add(String(x)));
+      else walk(v, depth + 1);
+    }
+  };
+
+  walk(args, 0);
+  walk(result, 0);
+  return [...ids].slice(0, MAX_OBJECT_IDS);
+}
+
+/**
+ * Writes one audit row. Never throws: a failing audit write must not fail the tool call.
+ */
+export async function recordToolInvocation({
+  serverId = null,
+  userId = null,
+  mcpSessionId = null,
+  transportSessionId = null,
+  toolName,
+  args = {},
+  result = null,
+  success,
+  errorCode = null,
+  durationMs,
+  dryRun = false,
+}) {
+  try {
+    const supabase = getSupabaseClient();
+    const { error } = await supabase.from('facebook_token_logs').insert({
+      server_id: serverId,
+      user_id: userId,
+      mcp_session_id: mcpSessionId,
+      transport_session_id: transportSessionId,
+      tool_name: toolName,
+      arguments: redactArguments(args),
+      object_ids: collectObjectIds(args, dryRun ? null : result),
+      success,
+      error_code: errorCode,
+      duration_ms: Math.round(durationMs),
+      dry_run: dryRun,
+    });
+    if (error) console.error('[audit] insert failed:', error.message);
+  } catch (err) {
+    console.error('[audit] insert failed:', err.message);
+  }
+}
+
+function toIsoTimestamp(value, name) {
+  const d = new Date(value);
+  if (isNaN(d.getTime())) throw new Error(`Invalid ${name} timestamp: ${value}`);
+  return d.toISOString();
+}
+
+/**
+ * Reads audit rows for one user, newest first.
+ * @param {Object} filters
+ * @param {string} filters.userId - Only rows for this user (required)
+ * @param {string} [filters.serverId] - Only rows from this server
+ * @param {string} [filters.toolName] - Only rows for this tool
+ * @param {string} [filters.objectId] - Only rows that touched this Graph object
+ * @param {string} [filters.since] - ISO timestamp, inclusive
+ * @param {string} [filters.until] - ISO timestamp, exclusive
+ * @param {boolean} [filters.success] - Only successful (true) or failed (false) calls
+ * @param {number} [filters.limit=100] - Max rows (capped at 500)
+ * @returns {Promise<Array>}
+ */
+export async function queryAuditLog({ userId, serverId, toolName, objectId, since, until, success, limit = 100 }) {
+  if (!userId) throw new Error('userId is required');
+  const supabase = getSupabaseClient();
+  let query = supabase
+    .from('facebook_token_logs')
+    .select('id, created_at, server_id, user_id, mcp_session_id, transport_session_id, tool_name, arguments, object_ids, success, error_code, duration_ms, dry_run')
+    .eq('user_id', userId)
+    .not('tool_name', 'is', null);
+
+  if (serverId) query = query.eq('server_id', serverId);
+  if (toolName) query = query.eq('tool_name', toolName);
+  if (objectId) query = query.contains('object_ids', [String(objectId)]);
+  if (since) query = query.gte('created_at', toIsoTimestamp(since, 'since'));
+  if (until) query = query.lt('created_at', toIsoTimestamp(until, 'until'));
+  if (typeof success === 'boolean') query = query.eq('success', success);
+
+  const cap = Math.min(Math.max(Number(limit) || 100, 1), MAX_QUERY_LIMIT);
+  const { data, error } = await query.order('created_at', { ascending: false }).limit(cap);
+  if (error) throw new Error(`Audit log lookup failed: ${error.message}`);
+  return data || [];
+}
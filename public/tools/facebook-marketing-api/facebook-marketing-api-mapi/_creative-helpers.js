@@ -0,0 +1,112 @@
+/**
+ * Shared helpers for creative tools: the object_story_spec create_ad_with_creative builds,
+ * and the ad formats get_ad_preview renders per placement.
+ */
+import { clean } from './_shared-helpers.js';
+
+/**
+ * object_story_spec for a link, video or carousel creative.
+ * @param {Object} options
+ * @param {{ page_id?: string, instagram_actor_id?: string }} options.actor
+ * @param {'link'|'video'|'carousel'} options.creative_type
+ * @returns {Object}
+ */
+export function buildObjectStorySpec({
+  actor, creative_type, message,
+  cta_type, cta_link_url, link_url,
+  image_hash, video_id, child_attachments
+}) {
+  const spec = { ...actor };
+
+  if (creative_type === 'link') {
+    const linkData = clean({
+      link: link_url,
+      message,
+      image_hash,
+      call_to_action: cta_type && cta_link_url ? {
+        type: cta_type,
+        value: { link: cta_link_url }
+      } : undefined
+    });
+    spec.link_data = linkData;
+  }
+
+  if (creative_type === 'video') {
+    const videoData = clean({
+      video_id,
+      message,
+      link: link_url,
+      call_to_action: cta_type && cta_link_url ? {
+        type: cta_type,
+        value: { link: cta_link_url }
+      } : undefined
+    });
+    spec.video_data = videoData;
+  }
+
+  if (creative_type === 'carousel') {
+    const carousel = {
+      message,
+      child_attachments: (child_attachments || []).map((card) => clean({
+        name: card.name,
+        description: card.description,
+        link: card.link_url,
+        image_hash: card.image_hash,
+        video_id: card.video_id
+      }))
+    };
+    // Optional whole-carousel CTA
+    if (cta_type && cta_link_url) {
+      carousel.call_to_action = {
+        type: cta_type,
+        value: { link: cta_link_url }
+      };
+    }
+    spec.carousel_data = carousel;
+  }
+
+  return spec;
+}
+
+// Graph ad_format values rendered for each placement
+export const PREVIEW_PLACEMENTS = {
+  feed: ['DESKTOP_FEED_STANDARD', 'MOBILE_FEED_STANDARD'],
+  instagram_feed: ['INSTAGRAM_STANDARD'],
+  stories: ['FACEBOOK_STORY_MOBILE', 'INSTAGRAM_STORY'],
+  reels: ['FACEBOOK_REELS_MOBILE', 'INSTAGRAM_REELS'],
+  right_column: ['RIGHT_COLUMN_STANDARD'],
+  audience_network: ['MOBILE_INTERSTITIAL', 'MOBILE_NATIVE'],
+};
+
+export const DEFAULT_PREVIEW_PLACEMENTS = ['feed', 'stories', 'reels', 'right_column', 'audience_network'];
+
+/**
+ * The ad formats to render, each with the placement it was asked for through.
+ * @param {string[]} placements - Keys of PREVIEW_PLACEMENTS
+ * @param {string[]} [adFormats] - Graph ad_format values, rendered as-is
+ * @returns {Array<{ placement: string, ad_format: string }>}
+ * @throws {Error} For unknown placements
+ */
+export function previewFormats(placements = [], adFormats = []) {
+  const formats = [];
+  const add = (placement, adFormat) => {
+    if (!formats.some((f) => f.ad_format === adFormat)) formats.push({ placement, ad_format: adFormat });
+  };
+  for (const placement of placements) {
+    const list = PREVIEW_PLACEMENTS[placement];
+    if (!list) throw new Error(`Unknown placement "${placement}"; use ${Object.keys(PREVIEW_PLACEMENTS).join(', ')} or ad_formats`);
+    for (const adFormat of list) add(placement, adFormat);
+  }
+  for (const adFormat of adFormats) add('custom', String(adFormat).toUpperCase());
+  return formats;
+}
+
+/**
+ * The iframe HTML of a Graph preview and the URL it loads (valid for about 24 hours).
+ * @param {{ body?: string }} preview - One entry of Graph's previews `data`
+ */
+export function describePreview(preview) {
+  const html = preview?.body || null;
+  const src = html && /src="([^"]+)"/.exec(html)?.[1];
+  return { iframe_html: html, preview_url: src ? src.replace(/&amp;/g, '&') : null };
+}
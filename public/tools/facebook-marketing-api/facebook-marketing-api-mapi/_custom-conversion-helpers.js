@@ -0,0 +1,180 @@
+/**
+ * Shared helpers for the custom conversion tools: building a conversion rule from URL and
+ * event-parameter conditions, how a conversion is reported, and the promoted object an ad
+ * set needs to optimize for one.
+ */
+import { getBaseUrl, toMinorUnits, formatMoney, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+
+export const CUSTOM_CONVERSION_FIELDS = 'id,name,description,account_id,custom_event_type,default_conversion_value,rule,pixel,event_source_type,is_archived,is_unavailable,creation_time,first_fired_time,last_fired_time';
+
+// Categories Meta reports a custom conversion under (custom_event_type)
+export const CUSTOM_CONVERSION_CATEGORIES = [
+  'PURCHASE', 'LEAD', 'COMPLETE_REGISTRATION', 'ADD_TO_CART', 'ADD_TO_WISHLIST', 'INITIATED_CHECKOUT',
+  'ADD_PAYMENT_INFO', 'CONTENT_VIEW', 'SEARCH', 'CONTACT', 'CUSTOMIZE_PRODUCT', 'DONATE', 'FIND_LOCATION',
+  'SCHEDULE', 'START_TRIAL', 'SUBMIT_APPLICATION', 'SUBSCRIBE', 'OTHER',
+];
+
+export const STATS_AGGREGATIONS = ['count', 'url', 'host', 'device_type', 'pixel_fire', 'unmatched_count', 'usd_amount', 'unmatched_usd_amount'];
+
+// Readable rule operators -> Graph's; numeric ones only compare numbers
+const RULE_OPERATORS = {
+  contains: 'i_contains',
+  not_contains: 'i_not_contains',
+  equals: 'eq',
+  not_equals: 'neq',
+  '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte',
+  i_contains: 'i_contains', i_not_contains: 'i_not_contains', eq: 'eq', neq: 'neq',
+  gt: 'gt', gte: 'gte', lt: 'lt', lte: 'lte',
+};
+const NUMERIC_OPERATORS = new Set(['gt', 'gte', 'lt', 'lte']);
+const OPERATOR_WORDS = {
+  i_contains: 'contains', i_not_contains: 'does not contain', eq: '=', neq: '!=',
+  gt: '>', gte: '>=', lt: '<', lte: '<=',
+};
+
+const asList = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]).filter((v) => v !== '');
+
+// Tool arguments that describe which pixel events a custom conversion counts
+export const CONVERSION_RULE_PROPERTIES = {
+  event_name: {
+    type: 'string',
+    description: 'Pixel event the conversion counts, e.g. Purchase, Lead or a custom event name. Without it the conversion counts page views of matching URLs.'
+  },
+  url_contains: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Count the event when the page URL contains any of these (case-insensitive), e.g. ["/thank-you"].'
+  },
+  url_equals: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Count the event when the page URL is exactly one of these.'
+  },
+  parameters: {
+    type: 'array',
+    description: 'Event-parameter conditions, all of which must hold, e.g. [{ "name": "value", "operator": ">", "value": 100 }, { "name": "content_category", "operator": "contains", "value": "shoes" }]. Requires event_name.',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Event parameter, e.g. value, currency, content_category, content_ids' },
+        operator: { type: 'string', enum: ['contains', 'not_contains', 'equals', 'not_equals', '>', '>=', '<', '<='] },
+        value: { description: 'Text, or a number for >, >=, <, <=' }
+      },
+      required: ['name', 'operator', 'value']
+    }
+  }
+};
+
+/**
+ * Graph rule for a custom conversion: the event, any URL match (one of them) and every
+ * parameter condition, all required together.
+ * @param {{ event_name?: string, url_contains?: string[], url_equals?: string[], parameters?: Array<{ name: string, operator: string, value: * }> }} options
+ * @returns {Object} e.g. { and: [{ event: { eq: 'Purchase' } }, { or: [{ url: { i_contains: 'thank-you' } }] }] }
+ * @throws {Error} When the rule would match nothing specific or a condition is malformed
+ */
+export function buildConversionRule({ event_name, url_contains, url_equals, parameters } = {}) {
+  const urls = [
+    ...asList(url_contains).map((url) => ({ url: { i_contains: String(url) } })),
+    ...asList(url_equals).map((url) => ({ url: { eq: String(url) } })),
+  ];
+  const conditions = asList(parameters).map((condition, i) => {
+    const { name, operator, value } = condition || {};
+    if (!name) throw new Error(`parameters[${i}].name is required`);
+    const op = RULE_OPERATORS[operator];
+    if (!op) throw new Error(`parameters[${i}].operator must be one of contains, not_contains, equals, not_equals, >, >=, <, <=`);
+    if (value == null || value === '') throw new Error(`parameters[${i}].value is required`);
+    if (NUMERIC_OPERATORS.has(op) && !Number.isFinite(Number(value))) {
+      throw new Error(`parameters[${i}].value must be a number for "${operator}"`);
+    }
+    return { [name]: { [op]: NUMERIC_OPERATORS.has(op) ? Number(value) : value } };
+  });
+
+  if (conditions.length && !event_name) throw new Error('Event-parameter conditions need event_name');
+  if (!event_name && !urls.length) throw new Error('Give event_name, url_contains or url_equals so the conversion matches something');
+
+  const parts = [
+    ...(event_name ? [{ event: { eq: String(event_name) } }] : []),
+    ...(urls.length === 1 ? urls : urls.length ? [{ or: urls }] : []),
+    ...conditions,
+  ];
+  return parts.length === 1 ? parts[0] : { and: parts };
+}
+
+/** A Graph rule as text, e.g. 'event = Purchase AND url contains "thank-you" AND value > 100'. */
+export function describeConversionRule(rule) {
+  const walk = (node, nested) => {
+    if (!node || typeof node !== 'object') return String(node);
+    if (Array.isArray(node.and)) {
+      const text = node.and.map((n) => walk(n, true)).join(' AND ');
+      return nested && node.and.length > 1 ? `(${text})` : text;
+    }
+    if (Array.isArray(node.or)) {
+      const text = node.or.map((n) => walk(n, true)).join(' OR ');
+      return nested && node.or.length > 1 ? `(${text})` : text;
+    }
+    return Object.entries(node).map(([field, test]) => Object.entries(test || {})
+      .map(([op, value]) => `${field} ${OPERATOR_WORDS[op] || op} ${typeof value === 'string' && field !== 'event' ? JSON.stringify(value) : value}`)
+      .join(' AND ')).join(' AND ');
+  };
+  return walk(rule, false);
+}
+
+/**
+ * A custom conversion as tools report it: its rule parsed and summarized, its pixel ID and
+ * its default value formatted in the account currency.
+ */
+export function describeCustomConversion(conversion, currency) {
+  let rule = conversion.rule;
+  if (typeof rule === 'string') {
+    try {
+      rule = JSON.parse(rule);
+    } catch {
+      // Kept as Graph returned it
+    }
+  }
+  const value = conversion.default_conversion_value;
+  return {
+    ...conversion,
+    pixel_id: conversion.pixel?.id || conversion.pixel_id || null,
+    rule,
+    rule_summary: rule && typeof rule === 'object' ? describeConversionRule(rule) : null,
+    ...(value != null && currency ? { default_conversion_value_formatted: formatMoney(toMinorUnits(Number(value), currency), currency) } : {}),
+  };
+}
+
+/** Reads a custom conversion; throws with Meta's message when it cannot. */
+export async function loadCustomConversion(conversionId, token) {
+  const response = await graphFetch(`${getBaseUrl()}/${conversionId}?fields=${CUSTOM_CONVERSION_FIELDS}`, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+  if (!response.ok) {
+    throw new Error(`Custom conversion ${conversionId}: ${safeFacebookError(await response.json())}`);
+  }
+  return response.json();
+}
+
+/**
+ * The promoted_object fields that make an ad set optimize for a custom conversion. The
+ * conversion's own pixel and category are used.
+ * @param {Object} conversion - As returned by loadCustomConversion
+ * @param {string} [pixelId] - The pixel the ad set was given, which must be the conversion's
+ * @throws {Error} When the conversion is archived or belongs to another pixel
+ */
+export function customConversionPromotedObject(conversion, pixelId) {
+  const conversionPixel = conversion.pixel?.id || null;
+  if (conversion.is_archived) {
+    throw new Error(`Custom conversion ${conversion.id} is archived; ad sets cannot optimize for it`);
+  }
+  if (pixelId && conversionPixel && String(pixelId) !== String(conversionPixel)) {
+    throw new Error(`Custom conversion ${conversion.id} counts events from pixel ${conversionPixel}, not ${pixelId}`);
+  }
+  if (!conversionPixel && !pixelId) {
+    throw new Error(`Custom conversion ${conversion.id} has no pixel; pass pixel_id`);
+  }
+  return {
+    pixel_id: conversionPixel || pixelId,
+    custom_event_type: conversion.custom_event_type || 'OTHER',
+    custom_conversion_id: conversion.id,
+  };
+}
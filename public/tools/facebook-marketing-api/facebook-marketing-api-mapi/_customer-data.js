@@ -0,0 +1,312 @@
+/**
+ * Customer data (PII) preparation for customer list audiences and Conversions API events.
+ * Rows are normalized to Meta's matching rules and hashed with SHA-256 here, before
+ * anything leaves the server; raw values are never logged or returned. Only counts
+ * (and field names) describe what was dropped.
+ *
+ * Meta keys: EMAIL, PHONE, FN, LN, CT, ST, ZIP, COUNTRY, DOBY, DOBM, DOBD, GEN are hashed;
+ * MADID (mobile advertiser ID) and EXTERN_ID are sent as given, as Meta expects.
+ */
+import { createHash } from 'node:crypto';
+
+export const HASHED_KEYS = ['EMAIL', 'PHONE', 'FN', 'LN', 'CT', 'ST', 'ZIP', 'COUNTRY', 'DOBY', 'DOBM', 'DOBD', 'GEN'];
+export const UNHASHED_KEYS = ['MADID', 'EXTERN_ID'];
+const ALL_KEYS = [...HASHED_KEYS, ...UNHASHED_KEYS];
+
+// Column names people use for each Meta key (compared lowercased, without spaces, dashes or underscores)
+const COLUMN_ALIASES = {
+  EMAIL: ['email', 'emailaddress', 'em', 'mail'],
+  PHONE: ['phone', 'phonenumber', 'mobile', 'mobilenumber', 'cellphone', 'ph', 'tel'],
+  FN: ['fn', 'firstname', 'givenname', 'first'],
+  LN: ['ln', 'lastname', 'surname', 'familyname', 'last'],
+  CT: ['ct', 'city', 'town'],
+  ST: ['st', 'state', 'province', 'region'],
+  ZIP: ['zip', 'zipcode', 'postalcode', 'postcode', 'zp'],
+  COUNTRY: ['country', 'countrycode'],
+  DOB: ['dob', 'dateofbirth', 'birthday', 'birthdate', 'db'],
+  DOBY: ['doby', 'birthyear', 'yearofbirth'],
+  DOBM: ['dobm', 'birthmonth'],
+  DOBD: ['dobd', 'birthdayofmonth'],
+  GEN: ['gen', 'gender', 'sex', 'ge'],
+  MADID: ['madid', 'mobileadvertiserid', 'advertisingid', 'idfa', 'gaid', 'aaid'],
+  EXTERN_ID: ['externid', 'externalid', 'customerid'],
+};
+const ALIAS_TO_KEY = new Map(
+  Object.entries(COLUMN_ALIASES).flatMap(([key, aliases]) => aliases.map((alias) => [alias, key]))
+);
+
+/**
+ * The Meta key for a column name ("First Name" -> "FN"), or null for columns Meta does not match on.
+ * @param {string} column
+ */
+export function columnToKey(column) {
+  const compact = String(column).toLowerCase().replace(/[\s_\-.]/g, '');
+  return ALIAS_TO_KEY.get(compact) || null;
+}
+
+/**
+ * SHA-256 of a normalized value, hex encoded.
+ * @param {string} value
+ */
+export function sha256(value) {
+  return createHash('sha256').update(String(value), 'utf8').digest('hex');
+}
+
+const lettersOnly = (value) => String(value).normalize('NFC').toLowerCase().replace(/[^\p{L}\p{M}]/gu, '');
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+function parseDob(value) {
+  const raw = String(value).trim();
+  let m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(raw);
+  let year, month, day;
+  if (m) [, year, month, day] = m;
+  else if ((m = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(raw))) [, month, day, year] = m;
+  else return null;
+  const y = Number(year), mo = Number(month), d = Number(day);
+  if (y < 1900 || mo < 1 || mo > 12 || d < 1 || d > 31) return null;
+  return { DOBY: String(y), DOBM: String(mo).padStart(2, '0'), DOBD: String(d).padStart(2, '0') };
+}
+
+/**
+ * One value normalized to Meta's rules for its key, or null when it cannot be used.
+ * @param {string} key - Meta key (EMAIL, PHONE, ...)
+ * @param {*} value
+ * @param {{ countryCallingCode?: string, country?: string }} [options] - Used to complete local
+ *   phone numbers ("0917..." -> "63917...") and US ZIP codes
+ * @returns {string|null}
+ */
+export function normalizeCustomerValue(key, value, { countryCallingCode, country } = {}) {
+  if (value == null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+  switch (key) {
+    case 'EMAIL': {
+      const email = text.toLowerCase();
+      return EMAIL_PATTERN.test(email) ? email : null;
+    }
+    case 'PHONE': {
+      let digits = text.replace(/\D/g, '');
+      // A leading 0 is a trunk prefix: the number is local and needs the country code
+      if (/^0[1-9]/.test(digits) && countryCallingCode && !text.startsWith('+')) {
+        digits = `${countryCallingCode}${digits.slice(1)}`;
+      }
+      digits = digits.replace(/^0+/, '');
+      return digits.length >= 7 && digits.length <= 15 ? digits : null;
+    }
+    case 'FN':
+    case 'LN':
+    case 'CT':
+    case 'ST':
+      return lettersOnly(text) || null;
+    case 'ZIP': {
+      const zip = text.toLowerCase().replace(/\s/g, '');
+      if ((country || '').toLowerCase() === 'us') return /^\d{5}/.test(zip) ? zip.slice(0, 5) : null;
+      return zip || null;
+    }
+    case 'COUNTRY': {
+      const code = text.toLowerCase();
+      return /^[a-z]{2}$/.test(code) ? code : null;
+    }
+    case 'DOBY':
+      return /^(19|20)\d{2}$/.test(text) ? text : null;
+    case 'DOBM':
+    case 'DOBD': {
+      const n = Number(text);
+      const max = key === 'DOBM' ? 12 : 31;
+      return Number.isInteger(n) && n >= 1 && n <= max ? String(n).padStart(2, '0') : null;
+    }
+    case 'GEN': {
+      const g = text.toLowerCase();
+      if (g === 'm' || g === 'male') return 'm';
+      if (g === 'f' || g === 'female') return 'f';
+      return null;
+    }
+    case 'MADID':
+      return text.toLowerCase();
+    case 'EXTERN_ID':
+      return text;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Minimal RFC 4180 CSV reader: quoted fields, escaped quotes, CRLF. The delimiter is a comma,
+ * or a semicolon/tab when the header has those and no commas. The first row is the header.
+ * @param {string} text
+ * @returns {Array<Object>} One object per data row, keyed by header
+ */
+export function parseCsv(text) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(',') ? ',' : firstLine.includes(';') ? ';' : firstLine.includes('\t') ? '\t' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...data] = rows.filter((r) => r.some((v) => v.trim() !== ''));
+  return data.map((values) => Object.fromEntries(header.map((name, i) => [name.trim(), values[i] ?? ''])));
+}
+
+function hasIdentifier(row) {
+  if (row.EMAIL || row.PHONE || row.MADID || row.EXTERN_ID) return true;
+  // Names only match together with a location or birth year
+  return !!(row.FN && row.LN && (row.ZIP || row.CT || row.DOBY || row.COUNTRY));
+}
+
+/**
+ * Normalizes, validates, de-duplicates and hashes customer rows for the users endpoint.
+ * @param {Array<Object>} rows - Objects keyed by column name (any alias in COLUMN_ALIASES)
+ * @param {{ countryCallingCode?: string, defaultCountry?: string }} [options]
+ * @returns {{ schema: string[], data: string[][], received: number, invalid: number,
+ *   duplicates: number, invalid_fields: Object<string, number>, ignored_columns: string[] }}
+ */
+export function prepareCustomerRows(rows, { countryCallingCode, defaultCountry } = {}) {
+  const invalidFields = {};
+  const ignored = new Set();
+  const prepared = [];
+  let invalid = 0;
+
+  for (const input of rows) {
+    const row = {};
+    const raw = {};
+    for (const [column, value] of Object.entries(input || {})) {
+      const key = columnToKey(column);
+      if (!key) {
+        ignored.add(column);
+        continue;
+      }
+      raw[key] = value;
+    }
+    const country = normalizeCustomerValue('COUNTRY', raw.COUNTRY ?? defaultCountry);
+    const options = { countryCallingCode, country };
+    if (raw.DOB != null && String(raw.DOB).trim()) {
+      const dob = parseDob(raw.DOB);
+      if (dob) Object.assign(raw, { DOBY: raw.DOBY ?? dob.DOBY, DOBM: raw.DOBM ?? dob.DOBM, DOBD: raw.DOBD ?? dob.DOBD });
+      else invalidFields.DOB = (invalidFields.DOB || 0) + 1;
+    }
+    for (const key of ALL_KEYS) {
+      const value = key === 'COUNTRY' ? raw.COUNTRY ?? defaultCountry : raw[key];
+      if (value == null || String(value).trim() === '') continue;
+      const normalized = normalizeCustomerValue(key, value, options);
+      if (normalized == null) invalidFields[key] = (invalidFields[key] || 0) + 1;
+      else row[key] = normalized;
+    }
+    if (hasIdentifier(row)) prepared.push(row);
+    else invalid++;
+  }
+
+  const schema = ALL_KEYS.filter((key) => prepared.some((row) => row[key] != null));
+  const seen = new Set();
+  const data = [];
+  for (const row of prepared) {
+    const values = schema.map((key) => (row[key] == null ? '' : HASHED_KEYS.includes(key) ? sha256(row[key]) : row[key]));
+    const signature = values.join('|');
+    if (seen.has(signature)) continue;
+    seen.add(signature);
+    data.push(values);
+  }
+
+  return {
+    schema,
+    data,
+    received: rows.length,
+    invalid,
+    duplicates: prepared.length - data.length,
+    invalid_fields: invalidFields,
+    ignored_columns: [...ignored],
+  };
+}
+
+// ---- Conversions API user_data ----
+
+// Conversions API names of the hashed keys (DOB is sent whole, as YYYYMMDD)
+const CAPI_HASHED_KEYS = {
+  EMAIL: 'em', PHONE: 'ph', FN: 'fn', LN: 'ln', CT: 'ct', ST: 'st', ZIP: 'zp', COUNTRY: 'country', GEN: 'ge', DOB: 'db', EXTERN_ID: 'external_id',
+};
+// Sent as given: browser and click identifiers Meta cannot match once hashed
+export const CAPI_PLAIN_KEYS = ['client_ip_address', 'client_user_agent', 'fbc', 'fbp', 'subscription_id', 'fb_login_id', 'lead_id', 'anon_id', 'madid', 'page_id', 'ctwa_clid'];
+const SHA256_HEX = /^[a-f0-9]{64}$/;
+
+function normalizeEventValue(key, value, options) {
+  if (key === 'DOB') {
+    const dob = parseDob(value);
+    return dob ? `${dob.DOBY}${dob.DOBM}${dob.DOBD}` : null;
+  }
+  if (key === 'EXTERN_ID') return String(value).trim() || null;
+  return normalizeCustomerValue(key, value, options);
+}
+
+/**
+ * Conversions API user_data with identifiers normalized and SHA-256 hashed. Keys may be
+ * Meta's (em, ph, fn...) or readable (email, phone, first_name...); values may be arrays.
+ * Values that are already SHA-256 hashes are kept.
+ * @param {Object} userData
+ * @param {{ countryCallingCode?: string }} [options]
+ * @returns {{ user_data: Object, invalid_fields: string[], ignored_fields: string[] }}
+ */
+export function prepareEventUserData(userData, { countryCallingCode } = {}) {
+  const out = {};
+  const invalid = [];
+  const ignored = [];
+  const country = normalizeCustomerValue('COUNTRY', [].concat(userData?.country ?? [])[0]);
+
+  for (const [field, value] of Object.entries(userData || {})) {
+    if (value == null || value === '') continue;
+    if (CAPI_PLAIN_KEYS.includes(field)) {
+      out[field] = value;
+      continue;
+    }
+    const key = columnToKey(field);
+    const capiKey = key && CAPI_HASHED_KEYS[key];
+    if (!capiKey) {
+      ignored.push(field);
+      continue;
+    }
+    const hashed = [];
+    for (const item of [].concat(value)) {
+      const text = String(item).trim();
+      if (SHA256_HEX.test(text.toLowerCase())) {
+        hashed.push(text.toLowerCase());
+        continue;
+      }
+      const normalized = normalizeEventValue(key, text, { countryCallingCode, country });
+      if (normalized == null) invalid.push(field);
+      else hashed.push(sha256(normalized));
+    }
+    if (hashed.length) out[capiKey] = [...new Set([...(out[capiKey] || []), ...hashed])];
+  }
+  return { user_data: out, invalid_fields: [...new Set(invalid)], ignored_fields: ignored };
+}
@@ -0,0 +1,618 @@
+/**
+ * Shared Graph API transport for Facebook Marketing API tools.
+ * graphFetch() is a drop-in replacement for fetch() that every tool uses for Graph calls:
+ *  - relative paths are resolved against getBaseUrl(); other hosts are refused
+ *  - every request gets a timeout (GRAPH_TIMEOUT_MS, longer for uploads)
+ *  - reads (GET) are retried with exponential backoff and jitter on network errors,
+ *    transient 5xx errors and throttling (codes 4, 17, 32, 613, 80000-80014)
+ *  - x-app-usage, x-ad-account-usage and x-business-use-case-usage headers are tracked
+ *    per account/business, and requests to an account close to its limit are slowed down
+ *    before Meta locks it
+ *  - in dry-run mode (see _request-context.js) write requests are recorded, with the
+ *    access token removed, and answered with a placeholder response instead of being sent
+ */
+import { getRequestContext } from './_request-context.js';
+import { getBaseUrl } from './_shared-helpers.js';
+import { GraphApiError, classifyGraphError, isThrottleCode, isTransientGraphError, recordGraphError } from './_graph-errors.js';
+
+const REDACTED_PARAMS = ['access_token', 'appsecret_proof'];
+
+const envInt = (name, fallback) => {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+const TIMEOUT_MS = envInt('GRAPH_TIMEOUT_MS', 30000);
+const UPLOAD_TIMEOUT_MS = envInt('GRAPH_UPLOAD_TIMEOUT_MS', 300000);
+const MAX_RETRIES = envInt('GRAPH_MAX_RETRIES', 3);
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+// Longest we wait for a throttle to clear before giving the error back to the tool
+const MAX_THROTTLE_WAIT_MS = envInt('GRAPH_MAX_THROTTLE_WAIT_MS', 30000);
+// Above this utilisation (percent) requests to the account are slowed down
+const SLOWDOWN_THRESHOLD_PCT = 75;
+const MAX_SLOWDOWN_MS = 5000;
+// Usage readings older than this no longer say anything about the current window
+const USAGE_TTL_MS = 5 * 60 * 1000;
+
+
+export function isDryRun() {
+  return !!getRequestContext()?.dryRun;
+}
+
+function paramsToObject(params) {
+  const out = {};
+  for (const [k, v] of params.entries()) {
+    if (REDACTED_PARAMS.includes(k)) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+function describeBody(body) {
+  if (body == null) return null;
+  if (body instanceof URLSearchParams) return paramsToObject(body);
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    const out = {};
+    for (const [k, v] of body.entries()) {
+      if (REDACTED_PARAMS.includes(k)) continue;
+      out[k] = typeof v === 'string' ? v : { file: v.name || 'blob', size: v.size, type: v.type || null };
+    }
+    return out;
+  }
+  if (typeof body === 'string') {
+    try {
+      const json = JSON.parse(body);
+      if (json && typeof json === 'object' && !Array.isArray(json)) {
+        const { access_token, appsecret_proof, ...rest } = json;
+        return rest;
+      }
+      return json;
+    } catch {
+      return paramsToObject(new URLSearchParams(body));
+    }
+  }
+  return String(body);
+}
+
+/**
+ * The request a tool would send, without credentials: method, endpoint, query and body.
+ */
+export function describeRequest(url, method, body) {
+  const parsed = new URL(String(url));
+  const query = paramsToObject(parsed.searchParams);
+  return {
+    method,
+    endpoint: `${parsed.origin}${parsed.pathname}`,
+    query: Object.keys(query).length ? query : null,
+    body: describeBody(body),
+  };
+}
+
+function placeholderResponse(request, n) {
+  const id = `dry_run_${n}`;
+  let payload = /\/adimages$/.test(request.endpoint)
+    ? { images: { [id]: { hash: id } } }
+    : { id, success: true };
+  if (typeof request.body?.batch === 'string') {
+    // Batch endpoint: one placeholder per sub-request
+    const items = JSON.parse(request.body.batch);
+    payload = items.map((_, i) => ({ code: 200, headers: [], body: JSON.stringify({ id: `${id}_${i + 1}`, success: true }) }));
+  }
+  return new Response(JSON.stringify(payload), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+// ---- Rate-limit usage tracking ----
+
+// "app", "account:<id>" and "business:<id>" -> latest usage reading
+const usage = new Map();
+// account id -> business ids whose use-case usage was reported on that account's requests
+const accountBusinesses = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function parseHeaderJson(response, name) {
+  const raw = response.headers?.get(name);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function accountIdFromUrl(url) {
+  const match = /\/act_(\d+)/.exec(url.pathname);
+  return match ? match[1] : null;
+}
+
+const pct = (...values) => Math.max(0, ...values.map((v) => Number(v) || 0));
+
+/**
+ * Stores the usage headers of a Graph response (or batch sub-response), globally and on
+ * the current tool call's stats.
+ */
+function recordUsage(response, accountId, stats) {
+  const now = Date.now();
+  const readings = [];
+
+  const app = parseHeaderJson(response, 'x-app-usage');
+  if (app) {
+    const entry = {
+      scope: 'app',
+      used_pct: pct(app.call_count, app.total_cputime, app.total_time),
+      observed_at: now,
+    };
+    usage.set('app', entry);
+    readings.push(entry);
+  }
+
+  const account = parseHeaderJson(response, 'x-ad-account-usage');
+  if (account && accountId) {
+    const entry = {
+      scope: 'ad_account',
+      id: `act_${accountId}`,
+      used_pct: pct(account.acc_id_util_pct),
+      reset_in_seconds: Number(account.reset_time_duration) || 0,
+      access_tier: account.ads_api_access_tier || null,
+      observed_at: now,
+    };
+    usage.set(`account:${accountId}`, entry);
+    readings.push(entry);
+  }
+
+  const buc = parseHeaderJson(response, 'x-business-use-case-usage');
+  if (buc && typeof buc === 'object') {
+    for (const [businessId, entries] of Object.entries(buc)) {
+      for (const item of Array.isArray(entries) ? entries : []) {
+        const entry = {
+          scope: 'business_use_case',
+          id: businessId,
+          type: item.type || null,
+          used_pct: pct(item.call_count, item.total_cputime, item.total_time),
+          regain_access_in_minutes: Number(item.estimated_time_to_regain_access) || 0,
+          access_tier: item.ads_api_access_tier || null,
+          observed_at: now,
+        };
+        usage.set(`business:${businessId}:${entry.type}`, entry);
+        readings.push(entry);
+      }
+      if (accountId) {
+        const known = accountBusinesses.get(accountId) || new Set();
+        known.add(businessId);
+        accountBusinesses.set(accountId, known);
+      }
+    }
+  }
+  if (stats) {
+    for (const reading of readings) {
+      stats.usage.set(`${reading.scope}:${reading.id || ''}:${reading.type || ''}`, reading);
+    }
+  }
+}
+
+function freshUsage(key, now) {
+  const entry = usage.get(key);
+  if (!entry || now - entry.observed_at > USAGE_TTL_MS) return null;
+  return entry;
+}
+
+/**
+ * How long to hold a request back given the last known usage of the app, the ad account
+ * and the businesses seen on that account: the time left on a reported lock, or a short
+ * slowdown that grows with utilisation. Zero while everything is comfortably below limits.
+ */
+function preemptiveDelayMs(accountId) {
+  const now = Date.now();
+  const entries = [freshUsage('app', now)];
+  if (accountId) {
+    entries.push(freshUsage(`account:${accountId}`, now));
+    for (const businessId of accountBusinesses.get(accountId) || []) {
+      for (const [key, entry] of usage) {
+        if (key.startsWith(`business:${businessId}:`) && now - entry.observed_at <= USAGE_TTL_MS) {
+          entries.push(entry);
+        }
+      }
+    }
+  }
+
+  let delay = 0;
+  for (const entry of entries.filter(Boolean)) {
+    if (entry.regain_access_in_minutes > 0) {
+      const remaining = entry.observed_at + entry.regain_access_in_minutes * 60000 - now;
+      delay = Math.max(delay, remaining);
+    } else if (entry.used_pct >= SLOWDOWN_THRESHOLD_PCT) {
+      const over = (Math.min(entry.used_pct, 100) - SLOWDOWN_THRESHOLD_PCT) / (100 - SLOWDOWN_THRESHOLD_PCT);
+      delay = Math.max(delay, Math.round(over * MAX_SLOWDOWN_MS));
+    }
+  }
+  return delay;
+}
+
+/**
+ * Remaining rate-limit budget seen during the current tool call, for inclusion in its result.
+ * Returns null when no Graph response carried usage headers.
+ */
+export function getRateLimitSummary(ctx = getRequestContext()) {
+  const graph = ctx?.graph;
+  if (!graph || (!graph.usage.size && !graph.retries && !graph.throttled)) return null;
+  const budgets = [...graph.usage.values()].map(({ observed_at, ...entry }) => ({
+    ...entry,
+    used_pct: Math.round(entry.used_pct * 100) / 100,
+    remaining_pct: Math.max(0, Math.round((100 - entry.used_pct) * 100) / 100),
+  }));
+  return {
+    remaining_pct: budgets.length ? Math.min(...budgets.map((b) => b.remaining_pct)) : null,
+    budgets,
+    retries: graph.retries,
+    throttled: graph.throttled,
+    delayed_ms: graph.delayedMs,
+  };
+}
+
+// ---- Transport ----
+
+function resolveUrl(url) {
+  const base = new URL(getBaseUrl());
+  const raw = String(url);
+  const resolved = /^https?:\/\//i.test(raw)
+    ? new URL(raw)
+    : new URL(`${base.origin}${base.pathname.replace(/\/$/, '')}/${raw.replace(/^\//, '')}`);
+  if (resolved.origin !== base.origin) {
+    // Tools attach the user's Facebook token to every request; never send it elsewhere
+    throw new Error(`Refusing to send a Graph API request to ${resolved.origin}`);
+  }
+  return resolved;
+}
+
+async function readGraphError(response) {
+  try {
+    const body = await response.clone().json();
+    return body?.error || null;
+  } catch {
+    return null;
+  }
+}
+
+function backoffMs(attempt) {
+  // Full jitter: a random delay up to the exponential cap
+  const cap = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+/**
+ * fetch() for Graph API URLs (absolute, or relative to getBaseUrl()).
+ * Reads are retried on transient failures and throttling; writes are sent once, because
+ * Graph may have applied a write whose response was lost. In dry-run mode writes are
+ * recorded on the request context and answered with a placeholder `{ id: "dry_run_<n>" }`.
+ * `readOnly: true` marks a POST that only reads (a batch of GETs) so it is retried and
+ * still sent in dry-run mode.
+ * @param {string|URL} url
+ * @param {RequestInit & { timeoutMs?: number, readOnly?: boolean }} [init]
+ * @returns {Promise<Response>}
+ */
+export async function graphFetch(url, init = {}) {
+  const { timeoutMs, readOnly = false, ...fetchInit } = init;
+  const method = String(fetchInit.method || 'GET').toUpperCase();
+  const isRead = readOnly || method === 'GET' || method === 'HEAD';
+  const target = resolveUrl(url);
+  const ctx = getRequestContext();
+  if (ctx?.dryRun && !isRead) {
+    const request = describeRequest(target, method, fetchInit.body);
+    ctx.dryRun.requests.push(request);
+    return placeholderResponse(request, ctx.dryRun.requests.length);
+  }
+
+  const isUpload = typeof FormData !== 'undefined' && fetchInit.body instanceof FormData;
+  const timeout = timeoutMs ?? (isUpload ? UPLOAD_TIMEOUT_MS : TIMEOUT_MS);
+  const retryable = isRead;
+  const accountId = accountIdFromUrl(target);
+  const stats = ctx?.graph;
+
+  for (let attempt = 0; ; attempt++) {
+    // A lock longer than we are willing to wait is left for Graph to report
+    const wait = preemptiveDelayMs(accountId);
+    if (wait > 0 && wait <= MAX_THROTTLE_WAIT_MS) {
+      if (stats) stats.delayedMs += wait;
+      await sleep(wait);
+    }
+
+    const signals = [AbortSignal.timeout(timeout)];
+    if (fetchInit.signal) signals.push(fetchInit.signal);
+    const signal = signals.length > 1 ? AbortSignal.any(signals) : signals[0];
+
+    let response;
+    try {
+      response = await fetch(target, { ...fetchInit, signal });
+    } catch (err) {
+      if (fetchInit.signal?.aborted) throw err;
+      const timedOut = err?.name === 'TimeoutError';
+      if (!retryable || attempt >= MAX_RETRIES) {
+        if (timedOut) throw new Error(`Graph API request timed out after ${timeout} ms`);
+        throw err;
+      }
+      if (stats) stats.retries++;
+      await sleep(backoffMs(attempt));
+      continue;
+    }
+
+    recordUsage(response, accountId, stats);
+    if (response.ok) {
+      // A failure the tool recovered from is not the reason for a later error
+      if (stats) stats.lastError = null;
+      return response;
+    }
+
+    const error = await readGraphError(response);
+    const code = Number(error?.code);
+    const throttled = isThrottleCode(code) || response.status === 429;
+    if (throttled && stats) stats.throttled = true;
+
+    const transient = throttled || isTransientGraphError(error, response.status);
+    // Throttle windows are long; only retry when the reported reset is close
+    // (the wait itself happens at the top of the loop)
+    if (!retryable || !transient || attempt >= MAX_RETRIES
+      || (throttled && preemptiveDelayMs(accountId) > MAX_THROTTLE_WAIT_MS)) {
+      recordGraphError(stats, error, response.status);
+      return response;
+    }
+
+    if (stats) stats.retries++;
+    await sleep(throttled ? Math.max(backoffMs(attempt), BASE_BACKOFF_MS * 2 ** (attempt + 1)) : backoffMs(attempt));
+  }
+}
+
+// ---- Cursor pagination ----
+
+const PAGE_SIZE = 100;
+const MAX_ITEMS = envInt('GRAPH_MAX_ITEMS', 5000);
+const MAX_PAGES = 100;
+
+/**
+ * Pagination arguments shared by list tools; spread into a tool's `properties`.
+ */
+export const PAGINATION_PROPERTIES = {
+  max_items: {
+    type: 'integer',
+    minimum: 1,
+    description: `Follow Graph paging cursors until this many items are collected (capped at ${MAX_ITEMS}). Default: first page only.`
+  },
+  all_pages: {
+    type: 'boolean',
+    description: `Follow Graph paging cursors until every item is collected (stops at ${MAX_ITEMS} items).`
+  },
+  cursor: {
+    type: 'string',
+    description: 'Opaque next_cursor from a previous call of the same tool, to continue where it stopped.'
+  }
+};
+
+/**
+ * Opaque continuation token: the endpoint path plus the query parameters Graph put in
+ * paging.next (without the access token).
+ */
+function encodeCursor(pathname, params) {
+  return Buffer.from(JSON.stringify({ p: pathname, q: params }), 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor, pathname) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+  if (!parsed || typeof parsed.q !== 'object' || parsed.p !== pathname) {
+    throw new Error('Invalid cursor: it was issued for a different request');
+  }
+  return parsed.q;
+}
+
+function nextPageParams(paging) {
+  if (!paging?.next) return null;
+  if (paging.cursors?.after) return { after: paging.cursors.after };
+  // Offset-paged edges only expose a next URL
+  const params = {};
+  for (const [k, v] of new URL(paging.next).searchParams) {
+    if (!REDACTED_PARAMS.includes(k)) params[k] = v;
+  }
+  return params;
+}
+
+/**
+ * Reads a Graph list edge, following paging cursors.
+ * Without maxItems/allPages only one page is read, as before. A failing later page ends
+ * the walk and is reported in `stoppedReason`, with `nextCursor` pointing at it.
+ *
+ * @param {string|URL} url - Edge URL including fields/filters (absolute or relative to getBaseUrl())
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Request headers (Authorization)
+ * @param {number} [options.maxItems] - Stop after this many items
+ * @param {boolean} [options.allPages] - Read every page (up to GRAPH_MAX_ITEMS)
+ * @param {string} [options.cursor] - next_cursor from a previous call
+ * @param {number} [options.pageSize] - Graph `limit` per request
+ * @returns {Promise<{ data: Array, summary: Object|null, nextCursor: string|null, pages: number, capped: boolean, stoppedReason: string|null }>}
+ * @throws {GraphApiError} When the first page fails
+ */
+export async function graphPaginate(url, { headers, maxItems, allPages = false, cursor, pageSize } = {}) {
+  const target = resolveUrl(url);
+  const pathname = target.pathname;
+  // Paging parameters of the page being requested, so a failed page can be resumed
+  let current = cursor ? decodeCursor(cursor, pathname) : null;
+
+  const paginating = allPages === true || Number(maxItems) > 0;
+  const wanted = paginating
+    ? Math.min(Number(maxItems) > 0 ? Number(maxItems) : MAX_ITEMS, MAX_ITEMS)
+    : Infinity;
+  const perPage = Number(pageSize) || Number(target.searchParams.get('limit')) || PAGE_SIZE;
+
+  const data = [];
+  let summary = null;
+  let pages = 0;
+  let stoppedReason = null;
+  let next = null;
+
+  for (;;) {
+    for (const [k, v] of Object.entries(current || {})) target.searchParams.set(k, v);
+    if (paginating) target.searchParams.set('limit', String(Math.min(perPage, wanted - data.length)));
+    const response = await graphFetch(target.toString(), { method: 'GET', headers });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.error) {
+      const message = body.error?.message || `HTTP ${response.status}`;
+      if (pages === 0) throw new GraphApiError(body, response.status);
+      stoppedReason = `Graph error on page ${pages + 1}: ${message}`;
+      next = current;
+      break;
+    }
+
+    pages++;
+    if (summary === null && body.summary) summary = body.summary;
+    data.push(...(Array.isArray(body.data) ? body.data : []));
+    next = nextPageParams(body.paging);
+
+    if (!paginating || !next || data.length >= wanted) break;
+    if (pages >= MAX_PAGES) {
+      stoppedReason = `Stopped after ${MAX_PAGES} pages`;
+      break;
+    }
+    current = next;
+  }
+
+  return {
+    data,
+    summary,
+    nextCursor: next ? encodeCursor(pathname, next) : null,
+    pages,
+    capped: paginating && !!next && data.length >= MAX_ITEMS,
+    stoppedReason,
+  };
+}
+
+/**
+ * The `paging` block list tools return in place of Graph's (whose next URL may carry the token).
+ */
+export function pagingSummary(page) {
+  return {
+    next_cursor: page.nextCursor,
+    has_more: !!page.nextCursor,
+    pages_fetched: page.pages,
+    items: page.data.length,
+    ...(page.capped ? { capped_at: MAX_ITEMS } : {}),
+    ...(page.stoppedReason ? { stopped_reason: page.stoppedReason } : {}),
+  };
+}
+
+// ---- Batch requests ----
+
+export const MAX_BATCH_SIZE = 50;
+
+function encodeBatchBody(body) {
+  if (body == null) return undefined;
+  if (typeof body === 'string') return body;
+  const params = new URLSearchParams();
+  for (const [k, v] of Object.entries(body)) {
+    if (v == null) continue;
+    params.append(k, typeof v === 'object' ? JSON.stringify(v) : String(v));
+  }
+  return params.toString();
+}
+
+function parseBatchBody(raw) {
+  if (raw == null) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Sends up to 50 sub-requests in one call to Graph's batch endpoint.
+ * Sub-requests may reference earlier named ones with JSONPath, e.g.
+ * `{ name: 'camp', method: 'POST', relative_url: 'act_1/campaigns', body: {...} }` followed by
+ * `{ relative_url: '{result=camp:$.id}?fields=name' }`.
+ * Named requests return their body unless omit_response_on_success is set to true, in which
+ * case Graph answers a success with null and the result has `ok: true, omitted: true`.
+ * A batch of GETs only is treated as a read (retried, and sent in dry-run mode).
+ *
+ * @param {Array<{ method?: string, relative_url: string, body?: Object|string, name?: string,
+ *   depends_on?: string, omit_response_on_success?: boolean }>} requests
+ * @param {{ token: string }} options - Access token for the whole batch
+ * @returns {Promise<Array<{ index: number, name: string|null, method: string, relative_url: string,
+ *   status: number|null, ok: boolean, body: any, error: Object|null, category: string|null }>>}
+ *   `category` is the classifyGraphError() category of a failed sub-request
+ * @throws {GraphApiError} When the batch request itself fails
+ */
+export async function graphBatch(requests, { token } = {}) {
+  if (!Array.isArray(requests) || requests.length === 0) throw new Error('A batch needs at least one request');
+  if (requests.length > MAX_BATCH_SIZE) throw new Error(`A batch can hold at most ${MAX_BATCH_SIZE} requests`);
+  if (!token) throw new Error('No Facebook access token for the batch request');
+
+  const batch = requests.map((r) => {
+    const method = String(r.method || 'GET').toUpperCase();
+    const relative = String(r.relative_url || '').trim().replace(/^\//, '');
+    if (!relative || /^https?:/i.test(relative)) {
+      throw new Error(`Batch relative_url must be a Graph path, got "${r.relative_url}"`);
+    }
+    return {
+      method,
+      relative_url: relative,
+      ...(r.body != null && method !== 'GET' ? { body: encodeBatchBody(r.body) } : {}),
+      ...(r.name ? { name: String(r.name) } : {}),
+      ...(r.depends_on ? { depends_on: String(r.depends_on) } : {}),
+      // Graph omits a named request's response by default; keep it so success is visible
+      ...(r.name || r.omit_response_on_success != null ? { omit_response_on_success: !!r.omit_response_on_success } : {}),
+    };
+  });
+
+  const body = new URLSearchParams({
+    access_token: token,
+    batch: JSON.stringify(batch),
+    include_headers: 'true',
+  });
+  const response = await graphFetch(`${getBaseUrl()}/`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: body.toString(),
+    readOnly: batch.every((r) => r.method === 'GET'),
+  });
+  const payload = await response.json().catch(() => null);
+  if (!response.ok || !Array.isArray(payload)) {
+    throw new GraphApiError(payload || `HTTP ${response.status}`, response.status);
+  }
+
+  const stats = getRequestContext()?.graph;
+  return batch.map((request, index) => {
+    const item = payload[index];
+    // null: a named request that succeeded with its response omitted, else not executed
+    // (a dependency failed or the batch ran out of time)
+    if (!item && request.name && request.omit_response_on_success) {
+      return { index, name: request.name, method: request.method, relative_url: request.relative_url,
+        status: null, ok: true, body: null, omitted: true, error: null, category: null };
+    }
+    if (!item) {
+      return { index, name: request.name || null, method: request.method, relative_url: request.relative_url,
+        status: null, ok: false, body: null, error: { message: 'Request was not executed' } };
+    }
+    const headers = new Headers((item.headers || []).map((h) => [h.name, h.value]));
+    recordUsage({ headers }, accountIdFromUrl(new URL(request.relative_url, 'https://graph.invalid/')), stats);
+    const parsed = parseBatchBody(item.body);
+    const ok = item.code >= 200 && item.code < 300 && !parsed?.error;
+    const error = ok ? null : (parsed?.error || { message: typeof parsed === 'string' ? parsed : `HTTP ${item.code}` });
+    const info = ok ? null : recordGraphError(stats, error, item.code) || classifyGraphError(error, item.code);
+    return {
+      index,
+      name: request.name || null,
+      method: request.method,
+      relative_url: request.relative_url,
+      status: item.code,
+      ok,
+      body: ok ? parsed : null,
+      error,
+      category: info?.category || null,
+    };
+  });
+}
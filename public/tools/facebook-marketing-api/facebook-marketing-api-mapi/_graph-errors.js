@@ -0,0 +1,214 @@
+/**
+ * Graph API error taxonomy shared by every tool.
+ * classifyGraphError() maps Graph's code / error_subcode / error_user_msg onto a small set
+ * of categories that clients can act on without parsing messages:
+ *   token_expired       the user's access token is expired, revoked or invalid (190, 102)
+ *   permission_missing  the token or user lacks a permission or role (3, 10, 200-299)
+ *   rate_limited        app, account or business use-case limits (4, 17, 32, 613, 80000-80014)
+ *   account_disabled    the ad account is disabled, closed or unsettled
+ *   policy_rejection    the object was rejected under Meta's advertising policies (368, ad review)
+ *   invalid_parameter   a parameter is missing, malformed or refers to a missing object (100, 803)
+ *   transient           Graph failed on its side; the same request may succeed later (1, 2, 5xx)
+ *   unknown             anything else
+ * Each classification carries a concrete `next_step`.
+ */
+
+// App, user, page, custom, ads management and business use-case limits
+const THROTTLE_CODES = new Set([4, 17, 32, 613, 80004]);
+// "User request limit reached" / "too many calls to this ad account" subcodes
+const THROTTLE_SUBCODES = new Set([1487742, 2446079]);
+const TOKEN_CODES = new Set([102, 190]);
+// "Unknown error" / "Service temporarily unavailable"
+const TRANSIENT_CODES = new Set([1, 2]);
+const INVALID_PARAMETER_CODES = new Set([100, 803, 1705, 2500]);
+
+const ACCOUNT_DISABLED_PATTERN = /\b(ad )?account\b[^.]*?\b(is |has been |was )?(disabled|closed|deactivated|unsettled|suspended|in grace period)\b/i;
+const POLICY_PATTERN = /\b(advertising polic(y|ies)|polic(y|ies) violation|violates?|disapproved|rejected|prohibited content|not allowed under)\b/i;
+const PERMISSION_PATTERN = /\b(ads_management|ads_read|business_management|leads_retrieval|pages_[a-z_]+|instagram_[a-z_]+|read_insights|catalog_management)\b/;
+
+export const GRAPH_ERROR_CATEGORIES = {
+  token_expired: {
+    retryable: false,
+    next_step: 'Reconnect Facebook for this user in the dashboard to issue a new access token, then retry.',
+  },
+  permission_missing: {
+    retryable: false,
+    next_step: 'Reconnect Facebook and grant the missing permission, or ask an admin of the ad account or Business Manager to give this user a role with access to the object.',
+  },
+  rate_limited: {
+    retryable: true,
+    next_step: 'Wait for the usage window to reset (see rate_limit in the result), then retry with fewer calls, fields or items.',
+  },
+  account_disabled: {
+    retryable: false,
+    next_step: 'Open Account Quality (https://business.facebook.com/accountquality) to see why the ad account is restricted, settle any outstanding balance in Billing, and request a review.',
+  },
+  policy_rejection: {
+    retryable: false,
+    next_step: 'Change the text, image, targeting or landing page named in user_message and resubmit; request a review in Account Quality if the rejection looks wrong.',
+  },
+  invalid_parameter: {
+    retryable: false,
+    next_step: 'Fix the parameter named in user_message or fields and send the request again; nothing was changed.',
+  },
+  transient: {
+    retryable: true,
+    next_step: 'Graph failed on its side; retry the same request in a few seconds.',
+  },
+  unknown: {
+    retryable: false,
+    next_step: 'Check message and fbtrace_id; quote fbtrace_id when reporting the problem to Meta.',
+  },
+};
+
+// More specific next steps for codes and subcodes seen often enough to name
+const NEXT_STEPS = {
+  'subcode:458': 'The user removed the app from their Facebook account; reconnect Facebook in the dashboard.',
+  'subcode:459': 'The user must log in at facebook.com to clear a security checkpoint, then reconnect Facebook in the dashboard.',
+  'subcode:460': 'The user changed their Facebook password; reconnect Facebook in the dashboard.',
+  'subcode:464': 'The user must confirm their Facebook account, then reconnect Facebook in the dashboard.',
+  'code:3': 'The Facebook app lacks the Marketing API capability; enable Marketing API access and ads_management for the app in the Meta developer dashboard.',
+  'code:1705': 'The image URL is not reachable by Facebook; use a public URL that returns the image file itself.',
+  'subcode:1885703': 'The image format is not supported; upload a JPG, PNG, GIF or WebP file.',
+  'code:803': 'The object ID does not exist or is not visible to this user; check the ID and the account it belongs to.',
+};
+
+const isThrottle = (code, subcode, status) =>
+  THROTTLE_CODES.has(code) || (code >= 80000 && code <= 80014) || THROTTLE_SUBCODES.has(subcode) || status === 429;
+
+/**
+ * Whether a Graph error code means the request was rate limited.
+ * @param {number} code
+ */
+export function isThrottleCode(code) {
+  return isThrottle(Number(code), null, null);
+}
+
+/**
+ * Whether Graph reports a failure on its side that retrying may fix.
+ * @param {Object|null} error - Graph's `error` object
+ * @param {number} [status] - HTTP status
+ */
+export function isTransientGraphError(error, status) {
+  return TRANSIENT_CODES.has(Number(error?.code)) || error?.is_transient === true || (status >= 500 && !error);
+}
+
+function unwrap(payload) {
+  if (payload == null) return {};
+  if (typeof payload === 'string') {
+    try {
+      return unwrap(JSON.parse(payload));
+    } catch {
+      return { message: payload };
+    }
+  }
+  if (payload instanceof Error) return payload.graphError || { message: payload.message };
+  if (typeof payload !== 'object') return { message: String(payload) };
+  return payload.error && typeof payload.error === 'object' ? payload.error : payload;
+}
+
+function blamedFields(error) {
+  let data = error.error_data;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      data = null;
+    }
+  }
+  const specs = Array.isArray(data?.blame_field_specs) ? data.blame_field_specs : [];
+  const fields = specs.flat().map(String).filter(Boolean);
+  return fields.length ? [...new Set(fields)] : null;
+}
+
+function categorize(code, subcode, status, error, text) {
+  if (TOKEN_CODES.has(code) || status === 401) return 'token_expired';
+  if (isThrottle(code, subcode, status)) return 'rate_limited';
+  if (ACCOUNT_DISABLED_PATTERN.test(text)) return 'account_disabled';
+  if (code === 368 || POLICY_PATTERN.test(text)) return 'policy_rejection';
+  if (code === 3 || code === 10 || (code >= 200 && code <= 299) || status === 403) return 'permission_missing';
+  if (TRANSIENT_CODES.has(code) || error.is_transient === true || (status >= 500 && code == null)) return 'transient';
+  if (INVALID_PARAMETER_CODES.has(code) || (status >= 400 && status < 500 && code)) return 'invalid_parameter';
+  return 'unknown';
+}
+
+/**
+ * Maps a Graph error onto a category with machine-readable fields and a next step.
+ * Accepts a Graph response body (`{ error: {...} }`), the `error` object itself, a thrown
+ * Error carrying `graphError`, or a message string.
+ * @param {Object|string|Error} payload
+ * @param {number} [status] - HTTP status of the response, when known
+ * @returns {{ category: string, code: number|null, subcode: number|null, type: string|null,
+ *   http_status: number|null, message: string, user_title: string|null, user_message: string|null,
+ *   fields: string[]|null, permission: string|null, fbtrace_id: string|null, retryable: boolean,
+ *   next_step: string }}
+ */
+export function classifyGraphError(payload, status) {
+  const error = unwrap(payload);
+  const httpStatus = Number(status ?? (payload instanceof Error ? payload.status : null)) || null;
+  const code = error.code != null && Number.isFinite(Number(error.code)) ? Number(error.code) : null;
+  const subcode = error.error_subcode != null ? Number(error.error_subcode) : null;
+  const text = [error.error_user_title, error.error_user_msg, error.message].filter(Boolean).join('. ');
+  const category = categorize(code, subcode, httpStatus, error, text);
+  const permission = category === 'permission_missing' ? PERMISSION_PATTERN.exec(text)?.[0] || null : null;
+
+  return {
+    category,
+    code,
+    subcode,
+    type: error.type || null,
+    http_status: httpStatus,
+    message: error.message || (httpStatus ? `HTTP ${httpStatus}` : 'Unknown Graph API error'),
+    user_title: error.error_user_title || null,
+    user_message: error.error_user_msg || null,
+    fields: blamedFields(error),
+    permission,
+    fbtrace_id: error.fbtrace_id || null,
+    retryable: GRAPH_ERROR_CATEGORIES[category].retryable,
+    next_step: NEXT_STEPS[`subcode:${subcode}`] || NEXT_STEPS[`code:${code}`] || GRAPH_ERROR_CATEGORIES[category].next_step,
+  };
+}
+
+/**
+ * One-line description of a classified error, for Error messages and logs.
+ * @param {ReturnType<typeof classifyGraphError>} info
+ */
+export function formatGraphError(info) {
+  const codes = [info.code, info.subcode].filter((c) => c != null).join('/');
+  const detail = info.user_message && info.user_message !== info.message ? ` ${info.user_message}` : '';
+  return `${info.message}${detail} [${info.category}${codes ? ` ${codes}` : ''}] Next step: ${info.next_step}`;
+}
+
+/**
+ * Error thrown for a failed Graph request; `graph` holds the classification and
+ * `graphError` Graph's original error object.
+ */
+export class GraphApiError extends Error {
+  /**
+   * @param {Object|string} payload - Graph response body or error object
+   * @param {number} [status] - HTTP status
+   * @param {string} [context] - What the tool was doing, prefixed to the message
+   */
+  constructor(payload, status, context) {
+    const info = classifyGraphError(payload, status);
+    super(context ? `${context}: ${formatGraphError(info)}` : formatGraphError(info));
+    this.name = 'GraphApiError';
+    this.graph = info;
+    this.graphError = unwrap(payload);
+    this.status = info.http_status;
+  }
+}
+
+/**
+ * Notes a failed Graph response on the current tool call's stats, so the MCP server can
+ * attach its classification to the tool's error result. graphFetch clears it again when a
+ * later response succeeds.
+ * @param {Object|null} stats - getRequestContext().graph
+ * @param {Object|string} payload
+ * @param {number} [status]
+ */
+export function recordGraphError(stats, payload, status) {
+  if (!stats) return null;
+  stats.lastError = classifyGraphError(payload, status);
+  return stats.lastError;
+}
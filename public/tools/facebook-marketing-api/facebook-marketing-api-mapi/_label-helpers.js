@@ -0,0 +1,121 @@
+/**
+ * Shared helpers for ad labels: finding an account's labels by name or ID, the `filtering`
+ * entry that limits read and insights tools to labeled objects, and attaching or detaching
+ * labels on many objects through batch requests.
+ */
+import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch, graphPaginate, graphBatch, MAX_BATCH_SIZE } from './_graph-client.js';
+
+export const LABEL_FIELDS = 'id,name,created_time,updated_time';
+
+// Levels a label filter can apply to
+export const LABEL_LEVELS = ['campaign', 'adset', 'ad'];
+
+/** Label names or IDs given as one string or a list, trimmed. */
+export const labelList = (value) => (value == null ? [] : Array.isArray(value) ? value : [value])
+  .map((v) => String(v).trim())
+  .filter(Boolean);
+
+// `label` argument of the read and insights tools
+export const LABEL_FILTER_PROPERTY = {
+  label: {
+    type: 'string',
+    description: 'Only objects with this ad label, by name (case-insensitive) or ID, e.g. "Q4-promo" (labels from get_ad_labels).'
+  }
+};
+
+// `label` and `label_level` arguments of the insights tools
+export const INSIGHTS_LABEL_PROPERTIES = {
+  label: {
+    type: 'string',
+    description: 'Only count objects with this ad label, by name (case-insensitive) or ID, e.g. "Q4-promo" (labels from get_ad_labels).'
+  },
+  label_level: {
+    type: 'string',
+    enum: LABEL_LEVELS,
+    description: 'Whether label is on campaigns, ad sets or ads (default: the reporting level, or campaign for account-level reports).'
+  }
+};
+
+/** The level an insights label filter applies to: as asked, else the reporting level. */
+export function insightsLabelLevel(level, labelLevel) {
+  return labelLevel || (LABEL_LEVELS.includes(level) ? level : 'campaign');
+}
+
+/** Every label of an ad account. */
+export async function listLabels(accountId, token) {
+  const url = new URL(`${getBaseUrl()}/act_${normalizeAccountId(accountId)}/adlabels`);
+  url.searchParams.append('fields', LABEL_FIELDS);
+  const page = await graphPaginate(url, { headers: { 'Authorization': `Bearer ${token}` }, allPages: true });
+  return page.data;
+}
+
+/**
+ * Matches label names or IDs against the account's labels.
+ * @param {string|string[]} labels - Names (case-insensitive) or IDs
+ * @param {Array<{ id: string, name: string }>} existing - From listLabels
+ * @returns {{ found: Array<{ id: string, name: string }>, missing: string[] }}
+ */
+export function matchLabels(labels, existing) {
+  const found = [];
+  const missing = [];
+  for (const wanted of labelList(labels)) {
+    const label = existing.find((l) => String(l.id) === wanted)
+      || existing.find((l) => String(l.name).toLowerCase() === wanted.toLowerCase());
+    if (!label) missing.push(wanted);
+    else if (!found.some((l) => l.id === label.id)) found.push({ id: String(label.id), name: label.name });
+  }
+  return { found, missing };
+}
+
+/**
+ * Graph `filtering` entry for objects at `level` that carry any of the labels.
+ * @throws {Error} When a label is not in the account
+ */
+export async function labelFilter(accountId, labels, level, token) {
+  if (!LABEL_LEVELS.includes(level)) throw new Error(`A label filter applies to ${LABEL_LEVELS.join(', ')}, not ${level}`);
+  const { found, missing } = matchLabels(labels, await listLabels(accountId, token));
+  if (missing.length) {
+    throw new Error(`No ad label named ${missing.map((m) => `"${m}"`).join(', ')} in ad account ${normalizeAccountId(accountId)}; see get_ad_labels`);
+  }
+  return { field: `${level}.adlabels`, operator: 'ANY', value: found.map((l) => l.id) };
+}
+
+/** Creates a label in the account. */
+export async function createLabel(accountId, name, token) {
+  const response = await graphFetch(`${getBaseUrl()}/act_${normalizeAccountId(accountId)}/adlabels`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ name }).toString()
+  });
+  if (!response.ok) throw new Error(safeFacebookError(await response.json()));
+  const { id } = await response.json();
+  return { id: String(id), name };
+}
+
+/**
+ * Attaches or detaches labels on campaigns, ad sets, ads or creatives, 50 objects per batch.
+ * One object failing does not stop the others.
+ * @param {'attach'|'detach'} action
+ * @param {string[]} objectIds
+ * @param {Array<{ id: string }>} labels
+ * @returns {Promise<Array<{ object_id: string, ok: boolean, error?: string }>>}
+ */
+export async function changeObjectLabels(action, objectIds, labels, token) {
+  const adlabels = labels.map((l) => ({ id: l.id }));
+  const results = [];
+  for (let start = 0; start < objectIds.length; start += MAX_BATCH_SIZE) {
+    const chunk = objectIds.slice(start, start + MAX_BATCH_SIZE);
+    const responses = await graphBatch(chunk.map((id) => ({
+      method: action === 'attach' ? 'POST' : 'DELETE',
+      relative_url: `${id}/adlabels`,
+      body: { adlabels }
+    })), { token });
+    responses.forEach((response, i) => {
+      results.push(response.ok
+        ? { object_id: chunk[i], ok: true }
+        : { object_id: chunk[i], ok: false, error: response.error?.message || `HTTP ${response.status}` });
+    });
+  }
+  return results;
+}
@@ -0,0 +1,291 @@
+/**
+ * Shared helpers for the lead form tools: the Page access token Graph requires for forms and
+ * leads, building forms (questions, intro and thank-you screens), how questions and leads
+ * are reported, time filters, and CSV export.
+ * Lead answers are personal data: they are returned to the caller but never logged.
+ */
+import { getBaseUrl, getAccountSettings } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { parseAccountTime, describeTime, isValidTimeZone } from './_time-utils.js';
+
+export const LEAD_FORM_LIST_FIELDS = 'id,name,status,locale,leads_count,expired_leads_count,created_time';
+export const LEAD_FORM_FIELDS = `${LEAD_FORM_LIST_FIELDS},questions,privacy_policy_url,follow_up_action_url,is_optimized_for_quality,thank_you_page`;
+export const LEAD_FIELDS = 'id,created_time,ad_id,ad_name,adset_id,adset_name,campaign_id,campaign_name,form_id,is_organic,platform,field_data';
+
+// Lead columns that come before and after the form's answers in exports
+const LEAD_COLUMNS_BEFORE = ['id', 'created_time'];
+const LEAD_COLUMNS_AFTER = ['ad_id', 'ad_name', 'adset_id', 'adset_name', 'campaign_id', 'campaign_name', 'form_id', 'is_organic', 'platform'];
+
+/**
+ * The Page access token for a page, read with the user's token. Forms and leads are only
+ * readable with it; when the user has no role on the page the user token is returned and
+ * Graph's permission error explains what is missing.
+ * @param {string|null} pageId
+ * @param {string} userToken
+ */
+export async function getPageAccessToken(pageId, userToken) {
+  if (!pageId) return userToken;
+  const response = await graphFetch(`${getBaseUrl()}/${pageId}?fields=access_token`, {
+    headers: { 'Authorization': `Bearer ${userToken}` }
+  });
+  if (!response.ok) return userToken;
+  const body = await response.json();
+  return body.access_token || userToken;
+}
+
+/**
+ * The Page access token for reading a form and its leads, from the page that owns the form.
+ * The form's own page wins over page_id, which the server auto-fills from the workspace and
+ * may be another page; page_id is only used when the form's page cannot be read.
+ * @param {string} formId
+ * @param {string|null} pageId
+ * @param {string} userToken
+ * @returns {Promise<{ pageId: string|null, token: string }>}
+ */
+export async function getFormPageToken(formId, pageId, userToken) {
+  const response = await graphFetch(`${getBaseUrl()}/${formId}?fields=page{id}`, {
+    headers: { 'Authorization': `Bearer ${userToken}` }
+  });
+  const owner = response.ok ? (await response.json()).page?.id || pageId : pageId;
+  return { pageId: owner ? String(owner) : null, token: await getPageAccessToken(owner, userToken) };
+}
+
+/**
+ * A form question as the tools report it.
+ * @param {Object} question - Graph lead form question
+ */
+export function describeQuestion(question) {
+  return {
+    key: question.key,
+    label: question.label || null,
+    type: question.type,
+    custom: question.type === 'CUSTOM',
+    ...(question.options?.length ? { options: question.options.map(({ key, value }) => ({ key, value })) } : {}),
+    ...(question.conditional_questions_group_id ? { conditional_questions_group_id: question.conditional_questions_group_id } : {}),
+  };
+}
+
+/**
+ * A lead with its answers as `{ question_key: value }` (multiple values joined with ", ").
+ * @param {Object} lead - Graph lead with field_data
+ */
+export function flattenLead(lead) {
+  const { field_data: fieldData = [], ...rest } = lead;
+  const answers = {};
+  for (const field of fieldData) answers[field.name] = (field.values || []).join(', ');
+  return { ...rest, answers };
+}
+
+/**
+ * Timezone that since/until are read in: the explicit timezone, else that of the ad account
+ * running the lead ads (only looked up when there is a range to read), else UTC.
+ * @param {{ since?: string, until?: string, timezone?: string }} range
+ * @param {string|null} accountId
+ * @param {string} token
+ * @returns {Promise<string>}
+ */
+export async function leadTimeZone({ since, until, timezone }, accountId, token) {
+  if (timezone) return timezone;
+  if (!accountId || (!since && !until)) return 'UTC';
+  const account = await getAccountSettings(accountId, token).catch(() => ({}));
+  return account.timezone_name || 'UTC';
+}
+
+/**
+ * Graph `filtering` for leads created between since and until, read in `timeZone`
+ * like the other date arguments ("yesterday", "2025-03-01", "7 days ago").
+ * @param {{ since?: string, until?: string }} range
+ * @param {string} [timeZone]
+ * @returns {{ filtering: Array, time_range: Object|null }}
+ * @throws {Error} When a bound cannot be read or since is after until
+ */
+export function leadTimeFilter({ since, until }, timeZone = 'UTC') {
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  const bounds = {};
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value == null || value === '') continue;
+    try {
+      bounds[name] = parseAccountTime(value, zone);
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+  }
+  if (bounds.since && bounds.until && bounds.since >= bounds.until) throw new Error('since must be before until');
+
+  const seconds = (date) => Math.floor(date.getTime() / 1000);
+  const filtering = [
+    ...(bounds.since ? [{ field: 'time_created', operator: 'GREATER_THAN', value: seconds(bounds.since) - 1 }] : []),
+    ...(bounds.until ? [{ field: 'time_created', operator: 'LESS_THAN', value: seconds(bounds.until) }] : []),
+  ];
+  const timeRange = filtering.length
+    ? { since: describeTime(bounds.since, zone), until: describeTime(bounds.until, zone) }
+    : null;
+  return { filtering, time_range: timeRange };
+}
+
+// Quotes a CSV value; values a spreadsheet would run as a formula get a leading apostrophe
+function csvValue(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Column order for exported leads: id and time, the form's questions in form order (then any
+ * other answered fields), then ad attribution.
+ * @param {Array<Object>} leads - flattenLead() results
+ * @param {string[]} [questionKeys] - Keys of the form's questions
+ */
+export function leadColumns(leads, questionKeys = []) {
+  const answerKeys = [...questionKeys];
+  for (const lead of leads) {
+    for (const key of Object.keys(lead.answers || {})) if (!answerKeys.includes(key)) answerKeys.push(key);
+  }
+  return [...LEAD_COLUMNS_BEFORE, ...answerKeys, ...LEAD_COLUMNS_AFTER];
+}
+
+/**
+ * Leads as rows of `columns` (answers and lead fields merged), for JSON export.
+ * @param {Array<Object>} leads - flattenLead() results
+ * @param {string[]} columns
+ */
+export function leadRows(leads, columns) {
+  return leads.map((lead) => Object.fromEntries(columns.map((column) => [
+    column,
+    lead.answers && Object.prototype.hasOwnProperty.call(lead.answers, column) && !LEAD_COLUMNS_BEFORE.includes(column)
+      ? lead.answers[column]
+      : lead[column] ?? null,
+  ])));
+}
+
+/**
+ * RFC 4180 CSV of leads with a header row.
+ * @param {Array<Object>} leads - flattenLead() results
+ * @param {string[]} columns
+ */
+export function leadsToCsv(leads, columns) {
+  const rows = leadRows(leads, columns).map((row) => columns.map((column) => csvValue(row[column])).join(','));
+  return [columns.map(csvValue).join(','), ...rows].join('\r\n');
+}
+
+// ---- Form creation ----
+
+// Prefilled question types Meta fills from the person's profile
+export const STANDARD_QUESTION_TYPES = [
+  'EMAIL', 'PHONE', 'FULL_NAME', 'FIRST_NAME', 'LAST_NAME', 'CITY', 'STATE', 'PROVINCE', 'ZIP', 'POST_CODE',
+  'COUNTRY', 'STREET_ADDRESS', 'DOB', 'GENDER', 'MARITAL_STATUS', 'RELATIONSHIP_STATUS', 'JOB_TITLE',
+  'COMPANY_NAME', 'WORK_EMAIL', 'WORK_PHONE_NUMBER', 'MILITARY_STATUS', 'DATE_TIME',
+];
+
+export const THANK_YOU_BUTTON_TYPES = ['VIEW_WEBSITE', 'CALL_BUSINESS', 'DOWNLOAD', 'MESSAGE_BUSINESS', 'VIEW_ON_FACEBOOK'];
+
+// "more_volume" is Meta's default form; "higher_intent" adds a review step before submitting
+export const FORM_INTENTS = { more_volume: false, higher_intent: true };
+
+const questionKey = (label, index) =>
+  String(label || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40) || `question_${index + 1}`;
+
+const answerOption = (option) => {
+  const value = typeof option === 'object' && option ? option.value : option;
+  if (value == null || String(value).trim() === '') throw new Error('Answer options need a value');
+  const key = typeof option === 'object' && option.key ? String(option.key) : questionKey(value, 0);
+  return { key, value: String(value) };
+};
+
+/**
+ * Graph questions for a form. Each entry is a standard type ("EMAIL" or { type: "EMAIL" })
+ * or a custom question { label, key?, options?, conditional? }, where `conditional` makes the
+ * answer options of a follow-up question depend on this one's answer:
+ * { label: "City", choices: { "Metro Manila": ["Makati", "Taguig"], "Cebu": ["Cebu City"] } }.
+ * @param {Array<string|Object>} questions
+ * @returns {Array<Object>}
+ * @throws {Error} For unknown types, custom questions without a label, or repeated keys
+ */
+export function buildLeadFormQuestions(questions) {
+  if (!Array.isArray(questions) || !questions.length) throw new Error('questions must list at least one question');
+  const keys = new Set();
+  const claim = (key) => {
+    if (keys.has(key)) throw new Error(`Question key "${key}" is used twice; give the questions distinct labels or keys`);
+    keys.add(key);
+    return key;
+  };
+
+  return questions.map((input, index) => {
+    const question = typeof input === 'string' ? { type: input } : { ...input };
+    const type = String(question.type || 'CUSTOM').toUpperCase();
+
+    if (type !== 'CUSTOM') {
+      if (!STANDARD_QUESTION_TYPES.includes(type)) {
+        throw new Error(`Unknown question type "${question.type}"; use CUSTOM or one of ${STANDARD_QUESTION_TYPES.join(', ')}`);
+      }
+      return { type, key: claim(question.key || type.toLowerCase()), ...(question.label ? { label: question.label } : {}) };
+    }
+
+    if (!question.label) throw new Error(`Custom question ${index + 1} needs a label`);
+    const built = { type: 'CUSTOM', key: claim(question.key || questionKey(question.label, index)), label: question.label };
+    const options = (question.options || []).map(answerOption);
+    if (options.length) built.options = options;
+
+    if (question.conditional) {
+      const { label, key, choices } = question.conditional;
+      if (!label || !choices || typeof choices !== 'object') {
+        throw new Error(`The conditional follow-up of "${question.label}" needs a label and choices`);
+      }
+      const entries = Object.entries(choices);
+      const unknown = entries.map(([value]) => value).filter((value) => options.length && !options.some((o) => o.value === value));
+      if (unknown.length) throw new Error(`Conditional choices for "${question.label}" name answers it does not offer: ${unknown.join(', ')}`);
+      built.conditional_questions_choices = entries.map(([value, next]) => ({
+        value,
+        next_question_choices: (Array.isArray(next) ? next : [next]).map((choice) => ({ value: answerOption(choice).value })),
+      }));
+      built.dependent_conditional_questions = [{ type: 'CUSTOM', key: claim(key || questionKey(label, index + 1)), label }];
+    }
+    return built;
+  });
+}
+
+/**
+ * Graph context_card (intro screen) from { headline, description, style, button_text, cover_photo_id }.
+ * A description given as a list is shown as bullet points.
+ * @param {Object|null} intro
+ */
+export function buildContextCard(intro) {
+  if (!intro) return null;
+  const content = Array.isArray(intro.description) ? intro.description : intro.description ? [intro.description] : [];
+  if (!intro.headline && !content.length) throw new Error('intro needs a headline or description');
+  const style = intro.style === 'list' || (Array.isArray(intro.description) && intro.style !== 'paragraph') ? 'LIST_STYLE' : 'PARAGRAPH_STYLE';
+  return {
+    ...(intro.headline ? { title: intro.headline } : {}),
+    style,
+    content: content.map(String),
+    ...(intro.button_text ? { button_text: intro.button_text } : {}),
+    ...(intro.cover_photo_id ? { cover_photo_id: String(intro.cover_photo_id) } : {}),
+  };
+}
+
+/**
+ * Graph thank_you_page from { headline, description, button_type, button_text, website_url,
+ * phone_number }; the button defaults to VIEW_WEBSITE with a website_url, else VIEW_ON_FACEBOOK.
+ * @param {Object|null} thankYou
+ * @throws {Error} When the button needs a URL or phone number that is missing
+ */
+export function buildThankYouPage(thankYou) {
+  if (!thankYou) return null;
+  const buttonType = thankYou.button_type || (thankYou.website_url ? 'VIEW_WEBSITE' : 'VIEW_ON_FACEBOOK');
+  if (!THANK_YOU_BUTTON_TYPES.includes(buttonType)) throw new Error(`thank_you.button_type must be one of ${THANK_YOU_BUTTON_TYPES.join(', ')}`);
+  if ((buttonType === 'VIEW_WEBSITE' || buttonType === 'DOWNLOAD') && !thankYou.website_url) {
+    throw new Error(`thank_you.website_url is required for the ${buttonType} button`);
+  }
+  if (buttonType === 'CALL_BUSINESS' && !thankYou.phone_number) {
+    throw new Error('thank_you.phone_number is required for the CALL_BUSINESS button');
+  }
+  return {
+    title: thankYou.headline || 'Thanks, you\'re all set.',
+    body: thankYou.description || 'We\'ll be in touch soon.',
+    button_type: buttonType,
+    ...(thankYou.button_text ? { button_text: thankYou.button_text } : {}),
+    ...(thankYou.website_url ? { website_url: thankYou.website_url } : {}),
+    ...(thankYou.phone_number ? { business_phone_number: thankYou.phone_number } : {}),
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Per-invocation credential context for Facebook Marketing API tools.
+ * The MCP server runs every tool call inside runWithRequestContext(), so the
+ * session's user, token, server ID and workspace follow the call through every
+ * await without touching module-level state shared by concurrent sessions.
+ */
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with the given context visible to getRequestContext() for its whole async lifetime.
+ * Token lookups only use the context when it carries a userId.
+ * @param {{ userId: string|null, token: string|null, serverId: string|null, workspace: Object, dryRun: { requests: Array }|null }} context
+ * @param {Function} fn
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run(Object.freeze({ ...context }), fn);
+}
+
+/**
+ * The context of the tool call currently executing, or null outside a tool call.
+ */
+export function getRequestContext() {
+  return storage.getStore() || null;
+}
@@ -0,0 +1,317 @@
+/**
+ * Shared helpers for the automated rule tools: building evaluation, execution and schedule
+ * specs from readable arguments (money thresholds in the account currency), and how a
+ * rule is reported.
+ */
+import { getCurrencyOffset, formatMoney } from './_shared-helpers.js';
+
+export const RULE_FIELDS = 'id,name,status,account_id,evaluation_spec,execution_spec,schedule_spec,created_time,updated_time';
+
+export const RULE_LEVELS = ['campaign', 'adset', 'ad'];
+export const RULE_ACTIONS = ['pause', 'unpause', 'notify', 'increase_budget', 'decrease_budget', 'increase_bid', 'decrease_bid'];
+export const RULE_SCHEDULES = ['continuous', 'hourly', 'daily'];
+export const RULE_TIME_PRESETS = [
+  'TODAY', 'YESTERDAY', 'LAST_2_DAYS', 'LAST_3_DAYS', 'LAST_7_DAYS', 'LAST_14_DAYS', 'LAST_30_DAYS',
+  'THIS_MONTH', 'LAST_MONTH', 'LIFETIME', 'MAXIMUM',
+];
+
+// Readable names for Meta's rule metrics; anything else is passed through as Graph's field name
+export const METRIC_ALIASES = {
+  cpa: 'cost_per',
+  cost_per_result: 'cost_per',
+  roas: 'website_purchase_roas',
+  spend: 'spent',
+  cost_per_lead: 'cost_per_lead_fb',
+  cost_per_purchase: 'cost_per_purchase_fb',
+};
+
+// Metrics Meta evaluates in the account currency's minor unit
+const MONEY_METRICS = new Set(['spent', 'daily_spent', 'lifetime_spent', 'cpc', 'cpm', 'cpp', 'daily_budget', 'lifetime_budget']);
+const isMoneyMetric = (field) => MONEY_METRICS.has(field) || field.startsWith('cost_per');
+
+const OPERATORS = {
+  '>': 'GREATER_THAN', '<': 'LESS_THAN', '=': 'EQUAL', '!=': 'NOT_EQUAL',
+  GREATER_THAN: 'GREATER_THAN', LESS_THAN: 'LESS_THAN', EQUAL: 'EQUAL', NOT_EQUAL: 'NOT_EQUAL',
+  IN_RANGE: 'IN_RANGE', NOT_IN_RANGE: 'NOT_IN_RANGE',
+};
+const OPERATOR_SYMBOLS = { GREATER_THAN: '>', LESS_THAN: '<', EQUAL: '=', NOT_EQUAL: '!=', IN_RANGE: 'between', NOT_IN_RANGE: 'not between' };
+
+// Tool arguments that describe a rule, shared by create_ad_rule and update_ad_rule
+export const RULE_PROPERTIES = {
+  level: {
+    type: 'string',
+    enum: RULE_LEVELS,
+    description: 'Objects the rule checks: campaign, adset or ad.'
+  },
+  object_ids: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Limit the rule to these campaign, ad set or ad IDs (default: every object of the level in the account).'
+  },
+  time_preset: {
+    type: 'string',
+    enum: RULE_TIME_PRESETS,
+    description: 'Window the metrics are measured over (default: LAST_7_DAYS).'
+  },
+  conditions: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        metric: { type: 'string', description: 'cpa (cost per result), roas, spend, cpc, cpm, ctr, frequency, impressions, results, reach, cost_per_lead, cost_per_purchase, or another Meta rule field' },
+        operator: { type: 'string', description: '>, <, =, !=, IN_RANGE or NOT_IN_RANGE (default: >)' },
+        value: { anyOf: [{ type: 'number' }, { type: 'array', items: { type: 'number' } }], description: 'Threshold; money metrics in the account currency (500 = ₱500). [min, max] for ranges.' }
+      },
+      required: ['metric', 'value']
+    },
+    description: 'Conditions that must all hold, e.g. [{ "metric": "cpa", "operator": ">", "value": 500 }, { "metric": "spend", "operator": ">", "value": 1000 }].'
+  },
+  action: {
+    type: 'string',
+    enum: RULE_ACTIONS,
+    description: 'What the rule does to matching objects.'
+  },
+  change: {
+    type: 'object',
+    properties: {
+      amount: { type: 'number', description: 'Percent, or an amount in the account currency' },
+      unit: { type: 'string', enum: ['percent', 'amount'], description: 'Default: percent' },
+      limit: { type: 'number', description: 'Budget or bid cap an increase stops at (or floor a decrease stops at), in the account currency' }
+    },
+    description: 'For increase/decrease_budget and increase/decrease_bid: by how much, e.g. { "amount": 20, "unit": "percent", "limit": 5000 }.'
+  },
+  schedule: {
+    anyOf: [
+      { type: 'string', enum: RULE_SCHEDULES },
+      {
+        type: 'object',
+        properties: {
+          days: { type: 'array', items: { type: 'string' } },
+          start: { type: 'string' },
+          end: { type: 'string' }
+        }
+      }
+    ],
+    description: `How often the rule runs: ${RULE_SCHEDULES.join(', ')} (default: continuous, every 30 minutes), or { "days": ["MON", "TUE"], "start": "09:00", "end": "18:00" } in the account timezone.`
+  },
+  evaluation_spec: {
+    type: 'object',
+    description: 'Advanced: a raw Meta evaluation_spec, used instead of level, object_ids, time_preset and conditions (money values in minor units).'
+  },
+  execution_spec: {
+    type: 'object',
+    description: 'Advanced: a raw Meta execution_spec, used instead of action and change.'
+  },
+  schedule_spec: {
+    type: 'object',
+    description: 'Advanced: a raw Meta schedule_spec, used instead of schedule.'
+  }
+};
+
+const DAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const SCHEDULE_TYPES = { continuous: 'SEMI_HOURLY', hourly: 'HOURLY', daily: 'DAILY' };
+const SCHEDULE_WORDS = { SEMI_HOURLY: 'every 30 minutes', HOURLY: 'every hour', DAILY: 'once a day', CUSTOM: 'on a custom schedule' };
+
+function parseSpec(spec) {
+  if (typeof spec !== 'string') return spec ?? null;
+  try {
+    return JSON.parse(spec);
+  } catch {
+    return spec;
+  }
+}
+
+function toMinor(value, currency, label) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${label} must be a non-negative number`);
+  return Math.round(n * getCurrencyOffset(currency));
+}
+
+/**
+ * Graph filter for one condition { metric, operator, value }; money metrics take the value
+ * in the account currency's main unit (e.g. 500 for ₱500), ranges take [min, max].
+ * Filters already in Graph's form ({ field, operator, value }) are kept as they are.
+ * @param {Object} condition
+ * @param {string|null} currency
+ */
+function buildCondition({ metric, field: graphField, operator = '>', value }, currency) {
+  if (!metric && graphField) return { field: graphField, operator, value };
+  if (!metric) throw new Error('Each condition needs a metric, e.g. "cpa", "roas", "spend", "ctr"');
+  const field = METRIC_ALIASES[String(metric).toLowerCase()] || String(metric).toLowerCase();
+  const op = OPERATORS[String(operator).toUpperCase()];
+  if (!op) throw new Error(`Unknown operator "${operator}" for ${metric}; use >, <, =, !=, IN_RANGE or NOT_IN_RANGE`);
+  const isRange = op === 'IN_RANGE' || op === 'NOT_IN_RANGE';
+  if (isRange && !(Array.isArray(value) && value.length === 2)) throw new Error(`${metric} ${op} needs value [min, max]`);
+  if (!isRange && (value == null || value === '' || Array.isArray(value))) throw new Error(`${metric} needs a single value`);
+
+  const convert = (v) => {
+    if (isMoneyMetric(field)) return toMinor(v, currency, metric);
+    const n = Number(v);
+    if (!Number.isFinite(n)) throw new Error(`${metric} must be compared with a number`);
+    return n;
+  };
+  return { field, operator: op, value: isRange ? value.map(convert) : convert(value) };
+}
+
+/**
+ * Graph evaluation_spec: which objects (level, optional ids) the rule checks, over which
+ * time window, and the conditions that must all hold.
+ * @param {{ level: string, object_ids?: string[], time_preset?: string, conditions: Array }} options
+ * @param {string|null} currency - Account currency for money thresholds
+ * @throws {Error} For unknown levels, time presets, metrics or operators
+ */
+export function buildEvaluationSpec({ level, object_ids = [], time_preset = 'LAST_7_DAYS', conditions = [] }, currency) {
+  if (!RULE_LEVELS.includes(String(level).toLowerCase())) throw new Error(`level must be one of ${RULE_LEVELS.join(', ')}`);
+  const preset = String(time_preset).toUpperCase();
+  if (!RULE_TIME_PRESETS.includes(preset)) throw new Error(`time_preset must be one of ${RULE_TIME_PRESETS.join(', ')}`);
+  if (!Array.isArray(conditions) || !conditions.length) throw new Error('conditions must list at least one condition');
+
+  return {
+    evaluation_type: 'SCHEDULE',
+    filters: [
+      { field: 'entity_type', value: String(level).toUpperCase(), operator: 'EQUAL' },
+      { field: 'time_preset', value: preset, operator: 'EQUAL' },
+      ...(object_ids.length ? [{ field: 'id', value: object_ids.map(String), operator: 'IN' }] : []),
+      ...conditions.map((condition) => buildCondition(condition, currency)),
+    ],
+  };
+}
+
+/**
+ * Graph execution_spec for an action. Budget and bid changes take
+ * change { amount, unit: "percent" | "amount", limit? }; "amount" and limit (the highest
+ * budget or bid an increase may reach, or the lowest a decrease may reach) are in the
+ * account currency's main unit.
+ * @param {{ action: string, change?: Object }} options
+ * @param {string|null} currency
+ * @throws {Error} For unknown actions or a missing change
+ */
+export function buildExecutionSpec({ action, change = null }, currency) {
+  if (!RULE_ACTIONS.includes(action)) throw new Error(`action must be one of ${RULE_ACTIONS.join(', ')}`);
+  if (action === 'pause' || action === 'unpause') return { execution_type: action.toUpperCase() };
+  if (action === 'notify') {
+    return {
+      execution_type: 'NOTIFICATION',
+      execution_options: [{ field: 'alert_preferences', value: { instant: { trigger: 'CHANGE' } }, operator: 'EQUAL' }],
+    };
+  }
+
+  const [direction, target] = action.split('_');
+  if (!change || change.amount == null) throw new Error(`${action} needs change: { amount, unit: "percent" | "amount" }`);
+  const unit = change.unit || 'percent';
+  if (!['percent', 'amount'].includes(unit)) throw new Error('change.unit must be "percent" or "amount"');
+  const amount = unit === 'percent' ? Number(change.amount) : toMinor(change.amount, currency, 'change.amount');
+  if (!Number.isFinite(amount) || amount <= 0) throw new Error('change.amount must be a positive number');
+
+  return {
+    execution_type: target === 'budget' ? 'CHANGE_BUDGET' : 'CHANGE_BID',
+    execution_options: [{
+      field: 'change_spec',
+      value: {
+        amount: direction === 'decrease' ? -amount : amount,
+        unit: unit === 'percent' ? 'PERCENTAGE' : 'ACCOUNT_CURRENCY',
+        ...(change.limit != null ? { limit: toMinor(change.limit, currency, 'change.limit') } : {}),
+      },
+      operator: 'EQUAL',
+    }],
+  };
+}
+
+/**
+ * The create_ad_rule action that produced an execution spec ("pause", "increase_budget"...).
+ * @param {Object} executionSpec
+ */
+export function ruleAction(executionSpec) {
+  const type = executionSpec?.execution_type;
+  if (type === 'PAUSE' || type === 'UNPAUSE') return type.toLowerCase();
+  if (type === 'NOTIFICATION') return 'notify';
+  if (type === 'CHANGE_BUDGET' || type === 'CHANGE_BID') {
+    const change = (executionSpec.execution_options || []).find((o) => o.field === 'change_spec')?.value;
+    return `${change?.amount < 0 ? 'decrease' : 'increase'}_${type === 'CHANGE_BID' ? 'bid' : 'budget'}`;
+  }
+  return null;
+}
+
+function minuteOfDay(time, label) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time));
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) throw new Error(`${label} must be a time like "09:00"`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Graph schedule_spec: "continuous" (every 30 minutes, Meta's default), "hourly", "daily",
+ * or { days: ["MON", ...], start: "09:00", end: "18:00" } in the account timezone.
+ * @param {string|Object} schedule
+ */
+export function buildScheduleSpec(schedule = 'continuous') {
+  if (typeof schedule === 'string') {
+    const type = SCHEDULE_TYPES[schedule.toLowerCase()];
+    if (!type) throw new Error(`schedule must be one of ${RULE_SCHEDULES.join(', ')} or { days, start, end }`);
+    return { schedule_type: type };
+  }
+  const days = (schedule.days || DAYS).map((day) => {
+    const index = DAYS.indexOf(String(day).slice(0, 3).toUpperCase());
+    if (index < 0) throw new Error(`Unknown day "${day}" in schedule.days`);
+    return index;
+  });
+  const start = minuteOfDay(schedule.start || '00:00', 'schedule.start');
+  const end = minuteOfDay(schedule.end || '24:00', 'schedule.end');
+  if (start >= end) throw new Error('schedule.start must be before schedule.end');
+  return { schedule_type: 'CUSTOM', schedule: [{ days, start_minute: start, end_minute: end }] };
+}
+
+function describeValue(field, value, currency) {
+  const one = (v) => (isMoneyMetric(field) && currency ? formatMoney(v, currency) : v);
+  return Array.isArray(value) ? value.map(one).join(' and ') : one(value);
+}
+
+/**
+ * A rule as the tools report it: Graph's fields with the specs parsed, plus the level,
+ * conditions, action and schedule read back, and a one-line summary such as
+ * "PAUSE AD when cost_per > ₱500.00 over LAST_7_DAYS, checked every 30 minutes".
+ * @param {Object} rule - Graph ad rule
+ * @param {string|null} [currency] - Account currency, to format money thresholds
+ */
+export function describeRule(rule, currency = null) {
+  const evaluation = parseSpec(rule.evaluation_spec) || {};
+  const execution = parseSpec(rule.execution_spec) || {};
+  const schedule = parseSpec(rule.schedule_spec) || {};
+  const filters = evaluation.filters || [];
+  const filterValue = (field) => filters.find((f) => f.field === field)?.value ?? null;
+
+  const conditions = filters
+    .filter((f) => !['entity_type', 'time_preset', 'id'].includes(f.field))
+    .map((f) => ({
+      metric: f.field,
+      operator: f.operator,
+      value: f.value,
+      ...(isMoneyMetric(f.field) && currency ? { value_formatted: describeValue(f.field, f.value, currency) } : {}),
+    }));
+  const change = (execution.execution_options || []).find((o) => o.field === 'change_spec')?.value || null;
+  const level = filterValue('entity_type');
+  const timePreset = filterValue('time_preset');
+  const scheduleType = schedule.schedule_type || 'SEMI_HOURLY';
+
+  const when = conditions.map((c) => `${c.metric} ${OPERATOR_SYMBOLS[c.operator] || c.operator} ${describeValue(c.metric, c.value, currency)}`).join(' and ');
+  const changeText = !change ? ''
+    : change.unit === 'PERCENTAGE' ? ` by ${Math.abs(change.amount)}%`
+      : ` by ${formatMoney(Math.abs(change.amount), currency) || `${Math.abs(change.amount)} (minor units)`}`;
+  const verb = change
+    ? `${change.amount < 0 ? 'DECREASE' : 'INCREASE'}_${execution.execution_type === 'CHANGE_BID' ? 'BID' : 'BUDGET'}`
+    : execution.execution_type || 'RUN';
+  const ids = filterValue('id');
+
+  return {
+    ...rule,
+    evaluation_spec: evaluation,
+    execution_spec: execution,
+    schedule_spec: schedule,
+    level,
+    object_ids: ids,
+    time_preset: timePreset,
+    conditions,
+    action: { type: execution.execution_type || null, ...(change ? { change } : {}) },
+    summary: `${verb}${changeText} ${level || 'objects'}${ids ? ` ${ids.join(', ')}` : ''}${when ? ` when ${when}` : ''}`
+      + `${timePreset ? ` over ${timePreset}` : ''}, checked ${SCHEDULE_WORDS[scheduleType] || scheduleType}`,
+  };
+}
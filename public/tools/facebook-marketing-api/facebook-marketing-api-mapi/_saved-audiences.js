@@ -0,0 +1,297 @@
+/**
+ * Saved audiences: named targeting specs ("PH 25-44 female, beauty interests") a user builds
+ * once and reuses through saved_audience_id in the ad set tools.
+ * Graph only lets apps read the saved audiences made in Ads Manager, so the ones made here
+ * live in the saved_audiences table, scoped to the user (and optionally one ad account).
+ * Ads Manager saved audiences (numeric IDs) can be used the same way, read-only.
+ */
+import { getSupabaseClient } from './_token-utils.js';
+import { getRequestContext } from './_request-context.js';
+import { getBaseUrl, normalizeAccountId, buildTargeting, locationMap, genderMap, locationEnum } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { GraphApiError } from './_graph-errors.js';
+
+const TABLE = 'saved_audiences';
+const COLUMNS = 'id,account_id,name,description,targeting,created_at,updated_at';
+
+export const GRAPH_SAVED_AUDIENCE_FIELDS = 'id,name,description,targeting,approximate_count_lower_bound,approximate_count_upper_bound,time_updated';
+
+/**
+ * Whether an ID names an Ads Manager saved audience (a Graph ID) rather than one saved here.
+ * @param {string} id
+ */
+export function isGraphSavedAudienceId(id) {
+  return /^\d+$/.test(String(id).trim());
+}
+
+/**
+ * The user whose saved audiences a call works on: the session user inside a tool call.
+ * @param {string} [userId]
+ */
+export function savedAudienceOwner(userId) {
+  const ctx = getRequestContext();
+  if (ctx?.userId) {
+    if (userId && String(userId) !== String(ctx.userId)) {
+      throw new Error('userId does not match the authenticated session');
+    }
+    return ctx.userId;
+  }
+  if (!userId) throw new Error('userId is required');
+  return userId;
+}
+
+// Tool parameters describing a targeting spec, shared by create_saved_audience and update_saved_audience
+export const SAVED_TARGETING_PROPERTIES = {
+  location: {
+    type: 'string',
+    enum: locationEnum,
+    description: 'Country or region (e.g. "PH", "ASEAN", "worldwide")'
+  },
+  age_min: {
+    type: 'integer',
+    minimum: 13,
+    maximum: 65,
+    description: 'Minimum age (13-65)'
+  },
+  age_max: {
+    type: 'integer',
+    minimum: 13,
+    maximum: 65,
+    description: 'Maximum age (13-65; 65 means 65+)'
+  },
+  gender: {
+    type: 'string',
+    enum: ['all', 'male', 'female'],
+    description: 'Gender (all, male or female)'
+  },
+  interests: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: { id: { type: 'string' }, name: { type: 'string' } },
+      required: ['id']
+    },
+    description: 'Interests from get_search_interest as { id, name }; people matching any of them are targeted. An empty list removes them.'
+  },
+  targeting: {
+    type: 'object',
+    description: 'Full targeting spec (geo_locations, age_min, age_max, genders, flexible_spec, exclusions, custom_audiences...) instead of the fields above'
+  }
+};
+
+const accountKey = (accountId) => (accountId ? `act_${normalizeAccountId(accountId)}` : null);
+
+function checkAge(name, value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 13 || n > 65) throw new Error(`${name} must be a whole number from 13 to 65`);
+  return n;
+}
+
+/**
+ * A targeting spec from the saved audience shorthand, applied on top of `base` (an existing
+ * spec being updated) or on top of buildTargeting()'s defaults. A raw `targeting` object
+ * replaces the spec entirely.
+ * @param {Object} changes
+ * @param {Object} [changes.targeting] - Full Graph targeting spec
+ * @param {string} [changes.location] - Country or region code from locationMap
+ * @param {number} [changes.age_min]
+ * @param {number} [changes.age_max]
+ * @param {string} [changes.gender] - all, male or female
+ * @param {Array<{id: string, name?: string}>} [changes.interests] - Interests (get_search_interest); [] removes them
+ * @param {Object|null} [base]
+ * @returns {Object} Graph targeting spec
+ * @throws {Error} For unknown locations, ages outside 13-65 or a spec without geo_locations
+ */
+export function buildSavedTargeting({ targeting, location, age_min, age_max, gender, interests } = {}, base = null) {
+  if (targeting) {
+    if (typeof targeting !== 'object' || Array.isArray(targeting)) throw new Error('targeting must be a targeting spec object');
+    if (!targeting.geo_locations) throw new Error('targeting must include geo_locations');
+    return structuredClone(targeting);
+  }
+
+  const spec = base ? structuredClone(base) : buildTargeting();
+  if (location != null) {
+    if (!locationMap[location]) throw new Error(`Unknown location "${location}"`);
+    spec.geo_locations = buildTargeting({ location }).geo_locations;
+  }
+  if (age_min != null) spec.age_min = checkAge('age_min', age_min);
+  if (age_max != null) spec.age_max = checkAge('age_max', age_max);
+  if (spec.age_min && spec.age_max && spec.age_min > spec.age_max) throw new Error('age_min cannot be above age_max');
+  if (gender != null) {
+    if (!genderMap[gender]) throw new Error('gender must be all, male or female');
+    spec.genders = genderMap[gender];
+  }
+  if (interests != null) {
+    const list = (Array.isArray(interests) ? interests : [interests])
+      .map((interest) => (typeof interest === 'object' ? interest : { id: interest }))
+      .filter((interest) => interest?.id)
+      .map(({ id, name }) => ({ id: String(id), ...(name ? { name } : {}) }));
+    if (list.length) spec.flexible_spec = [{ interests: list }];
+    else delete spec.flexible_spec;
+  }
+  return spec;
+}
+
+/**
+ * Short description of a targeting spec, e.g. "PH, 25-44, female, 3 interests".
+ * @param {Object} targeting
+ */
+export function summarizeTargeting(targeting = {}) {
+  const geo = targeting.geo_locations || {};
+  const places = [...(geo.countries || []), ...(geo.regions || []).map((r) => r.name || r.key), ...(geo.cities || []).map((c) => c.name || c.key)];
+  const parts = [places.length ? places.join(', ') : 'worldwide'];
+  parts.push(`${targeting.age_min ?? 18}-${targeting.age_max ?? 65}`);
+  const genders = targeting.genders || [];
+  parts.push(genders.length === 1 ? (genders[0] === 1 ? 'male' : 'female') : 'all genders');
+  const interests = (targeting.flexible_spec || []).flatMap((group) => group.interests || []);
+  if (interests.length) parts.push(`${interests.length} interest${interests.length === 1 ? '' : 's'}`);
+  if (targeting.custom_audiences?.length) parts.push(`${targeting.custom_audiences.length} custom audience(s)`);
+  return parts.join(', ');
+}
+
+const describeRow = (row) => ({ ...row, source: 'saved', summary: summarizeTargeting(row.targeting) });
+
+/**
+ * An Ads Manager saved audience as the tools report it.
+ * @param {Object} audience - Graph saved audience
+ */
+export function describeGraphSavedAudience(audience) {
+  const {
+    approximate_count_lower_bound: lower,
+    approximate_count_upper_bound: upper,
+    ...rest
+  } = audience;
+  const targeting = typeof rest.targeting === 'string' ? JSON.parse(rest.targeting) : rest.targeting || {};
+  return {
+    ...rest,
+    targeting,
+    source: 'ads_manager',
+    summary: summarizeTargeting(targeting),
+    approximate_count: lower == null && upper == null ? null : { lower_bound: lower ?? null, upper_bound: upper ?? null },
+  };
+}
+
+/**
+ * The user's saved audiences, newest first. With an account, only those usable in it
+ * (saved for that account or for any account).
+ * @param {string} userId
+ * @param {string|null} [accountId]
+ */
+export async function listSavedAudiences(userId, accountId = null) {
+  const { data, error } = await getSupabaseClient()
+    .from(TABLE)
+    .select(COLUMNS)
+    .eq('user_id', userId)
+    .order('updated_at', { ascending: false });
+  if (error) throw new Error(`Saved audience lookup failed: ${error.message}`);
+  const account = accountKey(accountId);
+  return (data || [])
+    .filter((row) => !account || !row.account_id || row.account_id === account)
+    .map(describeRow);
+}
+
+/**
+ * One of the user's saved audiences, or null.
+ * @param {string} userId
+ * @param {string} id
+ */
+export async function getSavedAudience(userId, id) {
+  const { data, error } = await getSupabaseClient()
+    .from(TABLE)
+    .select(COLUMNS)
+    .eq('user_id', userId)
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw new Error(`Saved audience lookup failed: ${error.message}`);
+  return data ? describeRow(data) : null;
+}
+
+/**
+ * Stores a new saved audience for the user.
+ * @param {string} userId
+ * @param {{ name: string, description?: string, account_id?: string, targeting: Object }} fields
+ */
+export async function insertSavedAudience(userId, { name, description = null, account_id = null, targeting }) {
+  const now = new Date().toISOString();
+  const { data, error } = await getSupabaseClient()
+    .from(TABLE)
+    .insert({ user_id: userId, account_id: accountKey(account_id), name, description, targeting, created_at: now, updated_at: now })
+    .select(COLUMNS)
+    .single();
+  if (error) throw new Error(`Saving the audience failed: ${error.message}`);
+  return describeRow(data);
+}
+
+/**
+ * Changes one of the user's saved audiences; returns null when it does not exist.
+ * @param {string} userId
+ * @param {string} id
+ * @param {Object} changes - name, description and/or targeting
+ */
+export async function updateSavedAudience(userId, id, changes) {
+  const values = { ...changes, updated_at: new Date().toISOString() };
+  const { data, error } = await getSupabaseClient()
+    .from(TABLE)
+    .update(values)
+    .eq('user_id', userId)
+    .eq('id', id)
+    .select(COLUMNS);
+  if (error) throw new Error(`Updating the saved audience failed: ${error.message}`);
+  return data?.[0] ? describeRow(data[0]) : null;
+}
+
+/**
+ * Deletes one of the user's saved audiences; returns whether it existed.
+ * @param {string} userId
+ * @param {string} id
+ */
+export async function deleteSavedAudience(userId, id) {
+  const { data, error } = await getSupabaseClient()
+    .from(TABLE)
+    .delete()
+    .eq('user_id', userId)
+    .eq('id', id)
+    .select('id');
+  if (error) throw new Error(`Deleting the saved audience failed: ${error.message}`);
+  return (data || []).length > 0;
+}
+
+/**
+ * Expands a saved_audience_id into the targeting spec for an ad set: a saved audience of the
+ * user, or an Ads Manager saved audience read from Graph. The spec replaces the tool's own
+ * location, age and gender arguments rather than merging with them; a custom audience given
+ * alongside is added to the spec's custom_audiences.
+ * @param {string} savedAudienceId
+ * @param {Object} options
+ * @param {string} [options.userId]
+ * @param {string} options.token
+ * @param {string|null} [options.accountId] - Ad account of the ad set; refuses audiences saved for another
+ * @param {string|null} [options.customAudienceId]
+ * @returns {Promise<{ id: string, name: string, source: string, targeting: Object }>}
+ * @throws {Error} When the audience does not exist for this user or belongs to another account
+ */
+export async function loadSavedAudience(savedAudienceId, { userId, token, accountId = null, customAudienceId = null }) {
+  const id = String(savedAudienceId).trim();
+  let audience;
+  if (isGraphSavedAudienceId(id)) {
+    const response = await graphFetch(`${getBaseUrl()}/${id}?fields=id,name,targeting`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const body = await response.json();
+    if (!response.ok) throw new GraphApiError(body, response.status, `Saved audience ${id} could not be read`);
+    audience = describeGraphSavedAudience(body);
+  } else {
+    audience = await getSavedAudience(savedAudienceOwner(userId), id);
+    if (!audience) throw new Error(`Saved audience ${id} not found; list them with get_saved_audiences`);
+    const account = accountKey(accountId);
+    if (account && audience.account_id && audience.account_id !== account) {
+      throw new Error(`Saved audience "${audience.name}" is saved for ad account ${audience.account_id}, not ${account}`);
+    }
+  }
+
+  const targeting = structuredClone(audience.targeting || {});
+  if (customAudienceId && !(targeting.custom_audiences || []).some((a) => String(a.id) === String(customAudienceId))) {
+    targeting.custom_audiences = [...(targeting.custom_audiences || []), { id: customAudienceId }];
+  }
+  return { id: audience.id, name: audience.name, source: audience.source, targeting };
+}
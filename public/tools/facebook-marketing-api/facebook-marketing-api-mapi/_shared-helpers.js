@@ -1,15 +1,21 @@
 /**
  * Shared helpers for Facebook Marketing API tools.
- * Centralizes auth, targeting, budget conversion, and error handling
+ * Centralizes auth, targeting, currency-aware money handling, and error handling
  * to eliminate duplication across tool files.
  */
 import { getSupabaseClient } from './_token-utils.js';
+import { getRequestContext } from './_request-context.js';
+import { graphBatch, graphFetch } from './_graph-client.js';
+import { classifyGraphError, formatGraphError } from './_graph-errors.js';
 
 // ---- API Base URL ----
 
+// FACEBOOK_GRAPH_BASE_URL points tools at another Graph host, e.g. the offline mock
+// server in test/support (`npm run mock-graph`).
 export function getBaseUrl() {
   const version = process.env.FACEBOOK_API_VERSION || 'v22.0';
-  return `https://graph.facebook.com/${version}`;
+  const host = (process.env.FACEBOOK_GRAPH_BASE_URL || 'https://graph.facebook.com').replace(/\/+$/, '');
+  return `${host}/${version}`;
 }
 
 // ---- Account ID normalization ----
@@ -58,10 +64,18 @@ export async function getFacebookToken(supabase, userId) {
 
 /**
  * One-call convenience: creates supabase client, resolves account -> user -> token.
+ * Inside a tool call the session user's token from the request context is used.
  * Returns { supabase, userId, token }.
  */
 export async function resolveToken(account_id) {
   const supabase = getSupabaseClient();
+  const ctx = getRequestContext();
+  if (ctx?.userId) {
+    if (!ctx.token) {
+      throw new Error(`No Facebook access token found for the session user ${ctx.userId}.`);
+    }
+    return { supabase, userId: ctx.userId, token: ctx.token };
+  }
   const userId = await getUserFromAccount(supabase, account_id);
   const token = await getFacebookToken(supabase, userId);
   if (!token) {
@@ -74,20 +88,25 @@ export async function resolveToken(account_id) {
 
 // ---- Campaign info lookup ----
 
-export async function getCampaignInfo(campaignId, token) {
-  const url = new URL(`${getBaseUrl()}/${campaignId}`);
-  url.searchParams.append('fields', 'objective,daily_budget,lifetime_budget');
-  url.searchParams.append('access_token', token);
-  const response = await fetch(url.toString());
-  const data = await response.json();
+/**
+ * Objective and budget mode of a campaign. With an account ID, the ad account's currency and
+ * timezone are fetched in the same Graph batch call (`account` is null if that part fails).
+ */
+export async function getCampaignInfo(campaignId, token, accountId = null) {
+  const requests = [{ relative_url: `${campaignId}?fields=objective,daily_budget,lifetime_budget` }];
+  if (accountId) {
+    requests.push({ relative_url: `act_${normalizeAccountId(accountId)}?fields=id,currency,timezone_name,timezone_offset_hours_utc` });
+  }
+  const [campaign, account] = await graphBatch(requests, { token });
 
-  if (data.error) {
-    throw new Error(`Campaign lookup failed: ${data.error.message}`);
+  if (!campaign.ok) {
+    throw new Error(`Campaign lookup failed: ${campaign.error?.message || 'Unknown error'}`);
   }
 
   return {
-    objective: data.objective,
-    cboEnabled: !!(data.daily_budget || data.lifetime_budget),
+    objective: campaign.body.objective,
+    cboEnabled: !!(campaign.body.daily_budget || campaign.body.lifetime_budget),
+    account: account?.ok ? account.body : null,
   };
 }
 
@@ -105,20 +124,154 @@ export function clean(obj) {
 
 // ---- Error helpers ----
 
+/**
+ * Readable message for a Graph error body: Graph's message, the error category and the
+ * next step (see classifyGraphError in _graph-errors.js). Plain strings pass through.
+ */
 export function safeFacebookError(errorData) {
   if (typeof errorData === 'string') return errorData;
+  return formatGraphError(classifyGraphError(errorData));
+}
+
+// ---- Currency and money ----
+
+// The Marketing API takes budgets and bids in the account currency's minor unit. Most
+// currencies have an offset of 100 (cents); these have no minor unit, so 1 unit = 1 yen/won/...
+const ZERO_DECIMAL_CURRENCIES = new Set(['CLP', 'COP', 'CRC', 'HUF', 'ISK', 'IDR', 'JPY', 'KRW', 'PYG', 'TWD', 'VND']);
+
+/**
+ * Unit of every money argument a tool takes, for parameter descriptions. Budgets, bids and cost
+ * goals are all given in the main unit of the ad account's currency (looked up on the account
+ * the object belongs to) and converted with toMinorUnits() before they reach Graph; times next
+ * to them are read in the account timezone (see _time-utils.js).
+ */
+export const MONEY_UNIT = 'in the ad account currency, major units (e.g. 500 = ₱500.00, 20 = $20.00, 3000 = ¥3,000)';
+
+export function getCurrencyOffset(currency) {
+  return ZERO_DECIMAL_CURRENCIES.has(String(currency || '').toUpperCase()) ? 1 : 100;
+}
+
+/**
+ * Amount in the account currency's main unit (e.g. 20.5 USD, 3000 JPY) -> minor units for the API.
+ * Returns null for missing or non-positive amounts; tools reject the latter first with
+ * checkMoneyArgs() so a zero or negative budget is never dropped silently.
+ */
+export function toMinorUnits(amount, currency) {
+  const n = Number(amount);
+  if (!amount || !Number.isFinite(n) || n <= 0) return null;
+  return Math.round(n * getCurrencyOffset(currency));
+}
+
+/**
+ * Error message for the first money argument that was given but is not a positive amount, or
+ * null when they are all fine. Arguments left out (null/undefined) are skipped.
+ */
+export function checkMoneyArgs(amounts) {
+  for (const [key, value] of Object.entries(amounts)) {
+    if (value == null) continue;
+    const n = Number(value);
+    if (value === '' || !Number.isFinite(n) || n <= 0) {
+      return `${key} must be a positive amount in the ad account currency, got ${JSON.stringify(value)}`;
+    }
+  }
+  return null;
+}
+
+export function fromMinorUnits(minor, currency) {
+  const n = Number(minor);
+  if (minor == null || minor === '' || !Number.isFinite(n)) return null;
+  return n / getCurrencyOffset(currency);
+}
+
+/**
+ * Minor units -> display string in the account currency, e.g. "₱500.00", "$20.00", "¥3,000".
+ */
+export function formatMoney(minor, currency) {
+  const major = fromMinorUnits(minor, currency);
+  if (major == null || !currency) return null;
+  const digits = getCurrencyOffset(currency) === 1 ? 0 : 2;
   try {
-    return JSON.stringify(errorData, null, 2);
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: String(currency).toUpperCase(),
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }).format(major);
   } catch {
-    return String(errorData);
+    return `${major.toFixed(digits)} ${currency}`;
+  }
+}
+
+/**
+ * Raw minor-unit amounts with a formatted copy next to each, for tool results:
+ * { daily_budget: "50000" } -> { currency: "PHP", daily_budget: "50000", daily_budget_formatted: "₱500.00" }
+ */
+export function describeMoney(amounts, currency) {
+  const out = { currency: currency || null };
+  for (const [key, value] of Object.entries(amounts)) {
+    if (value == null || value === '') continue;
+    out[key] = value;
+    out[`${key}_formatted`] = formatMoney(value, currency);
   }
+  return out;
 }
 
-// ---- Budget conversion ----
+// ---- Account settings (currency, timezone) ----
 
-export function convertPesosToCents(pesos) {
-  if (!pesos || pesos <= 0) return null;
-  return Math.round(pesos * 100);
+/**
+ * Currency and timezone of an ad account: facebook_ad_accounts when the account is synced,
+ * otherwise read from Graph. Fields neither source knows are null.
+ */
+export async function getAccountSettings(accountId, token) {
+  const bare = normalizeAccountId(accountId);
+  const settings = { currency: null, timezone_name: null };
+  if (!bare) return settings;
+  try {
+    const { data } = await getSupabaseClient()
+      .from('facebook_ad_accounts')
+      .select('currency, timezone_name')
+      .in('id', [`act_${bare}`, bare])
+      .limit(1);
+    settings.currency = data?.[0]?.currency || null;
+    settings.timezone_name = data?.[0]?.timezone_name || null;
+  } catch {
+    // Fall through to Graph
+  }
+  if ((settings.currency && settings.timezone_name) || !token) return settings;
+  const url = new URL(`${getBaseUrl()}/act_${bare}`);
+  url.searchParams.append('fields', 'currency,timezone_name');
+  const response = await graphFetch(url.toString(), { headers: { Authorization: `Bearer ${token}` } });
+  if (!response.ok) return settings;
+  const data = await response.json();
+  return {
+    currency: settings.currency || data.currency || null,
+    timezone_name: settings.timezone_name || data.timezone_name || null,
+  };
+}
+
+export async function getAccountCurrency(accountId, token) {
+  return (await getAccountSettings(accountId, token)).currency;
+}
+
+export async function getAccountTimezone(accountId, token) {
+  return (await getAccountSettings(accountId, token)).timezone_name;
+}
+
+/**
+ * Account ID, currency and timezone of the ad account that owns a campaign, ad set or ad, in
+ * one batch call (the object's account_id feeds the account lookup). Null when the lookup fails.
+ */
+export async function getObjectAccount(objectId, token) {
+  const [object, account] = await graphBatch([
+    { name: 'object', relative_url: `${objectId}?fields=account_id`, omit_response_on_success: false },
+    { relative_url: 'act_{result=object:$.account_id}?fields=currency,timezone_name', depends_on: 'object' },
+  ], { token });
+  if (!object.ok || !account.ok) return null;
+  return {
+    account_id: object.body?.account_id ? String(object.body.account_id) : null,
+    currency: account.body?.currency || null,
+    timezone_name: account.body?.timezone_name || null,
+  };
 }
 
 // ---- Location map ----
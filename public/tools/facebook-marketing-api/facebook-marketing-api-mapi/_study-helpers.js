@@ -0,0 +1,111 @@
+/**
+ * Shared helpers for ad studies (A/B tests): building the cells of a split test, and
+ * comparing cells by cost per result with the confidence that the winner would win again.
+ */
+
+export const STUDY_FIELDS = 'id,name,description,type,start_time,end_time,confidence_level,business{id,name},cells{id,name,treatment_percentage,campaigns{id,name},adsets{id,name}},objectives{id,name,type,is_primary,results}';
+
+export const MIN_CELLS = 2;
+export const MAX_CELLS = 5;
+export const MIN_TEST_DAYS = 1;
+export const MAX_TEST_DAYS = 30;
+
+// Actions tried in order when no result_action is given
+export const RESULT_ACTIONS = [
+  'purchase', 'offsite_conversion.fb_pixel_purchase', 'lead', 'onsite_conversion.lead_grouped',
+  'offsite_conversion.fb_pixel_lead', 'complete_registration', 'app_install', 'link_click',
+];
+
+const CELL_LETTERS = 'ABCDE';
+
+/** Whole percentages that split traffic evenly, e.g. 3 cells -> [34, 33, 33]. */
+export function splitPercentages(count) {
+  const base = Math.floor(100 / count);
+  return Array.from({ length: count }, (_, i) => base + (i < 100 - base * count ? 1 : 0));
+}
+
+/**
+ * Graph `cells` for a split test from { name, campaign_ids | adset_ids, treatment_percentage }.
+ * Every cell tests the same kind of object, and no object is in two cells.
+ * @returns {{ level: 'campaign'|'adset', cells: Array<Object> }}
+ * @throws {Error} Naming the cell that is invalid
+ */
+export function buildStudyCells(cells) {
+  if (!Array.isArray(cells) || cells.length < MIN_CELLS || cells.length > MAX_CELLS) {
+    throw new Error(`A split test compares ${MIN_CELLS} to ${MAX_CELLS} cells`);
+  }
+  const ids = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]).map((v) => String(v).trim()).filter(Boolean);
+
+  const seen = new Map();
+  let level = null;
+  const built = cells.map((cell, i) => {
+    const name = cell?.name ? String(cell.name).trim() : `Cell ${CELL_LETTERS[i]}`;
+    const campaigns = ids(cell?.campaign_ids);
+    const adsets = ids(cell?.adset_ids);
+    if (!!campaigns.length === !!adsets.length) {
+      throw new Error(`Cell "${name}" needs campaign_ids or adset_ids (not both)`);
+    }
+    const cellLevel = campaigns.length ? 'campaign' : 'adset';
+    if (level && cellLevel !== level) throw new Error('All cells must test the same kind of object: campaigns or ad sets');
+    level = cellLevel;
+    for (const id of [...campaigns, ...adsets]) {
+      if (seen.has(id)) throw new Error(`${id} is in both "${seen.get(id)}" and "${name}"; each object can be in one cell only`);
+      seen.set(id, name);
+    }
+    return { name, ...(campaigns.length ? { campaigns } : { adsets }) };
+  });
+  const names = built.map((cell) => cell.name.toLowerCase());
+  if (new Set(names).size !== names.length) throw new Error('Cell names must be different');
+
+  const given = cells.map((cell) => cell?.treatment_percentage).filter((p) => p != null);
+  if (given.length && given.length !== cells.length) {
+    throw new Error('Give treatment_percentage for every cell or for none (even split)');
+  }
+  const percentages = given.length ? given.map(Number) : splitPercentages(cells.length);
+  if (percentages.some((p) => !Number.isInteger(p) || p < 1)) throw new Error('treatment_percentage must be a whole number of at least 1');
+  const total = percentages.reduce((a, b) => a + b, 0);
+  if (total !== 100) throw new Error(`treatment_percentage must add up to 100, not ${total}`);
+
+  return { level, cells: built.map((cell, i) => ({ ...cell, treatment_percentage: percentages[i] })) };
+}
+
+// Standard normal CDF (Abramowitz-Stegun 7.1.26 for erf, error below 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Ranks cells by cost per result and estimates how likely the cheapest cell would win again.
+ * Results are treated as Poisson counts per unit of spend: for the winner against each other
+ * cell, the chance its rate is really higher comes from the normal approximation of the log
+ * rate ratio (0.5 is added to counts so cells without results can be compared). The test
+ * confidence is the lowest of those chances, i.e. against the closest runner-up.
+ * @param {Array<{ name: string, spend: number, results: number }>} cells
+ * @returns {{ cells: Array<Object>, winner: Object|null, confidence: number|null }}
+ */
+export function compareCells(cells) {
+  const scored = cells.map((cell) => ({
+    ...cell,
+    cost_per_result: cell.results > 0 ? cell.spend / cell.results : null,
+  }));
+  const candidates = scored.filter((cell) => cell.results > 0 && cell.spend > 0);
+  if (!candidates.length) return { cells: scored.map((c) => ({ ...c, rank: null })), winner: null, confidence: null };
+
+  const winner = candidates.reduce((best, cell) => (cell.cost_per_result < best.cost_per_result ? cell : best));
+  const logRate = (cell) => Math.log((cell.results + 0.5) / cell.spend);
+  const delivered = scored.every((cell) => cell.spend > 0);
+
+  const ranked = [...scored].sort((a, b) => (a.cost_per_result ?? Infinity) - (b.cost_per_result ?? Infinity));
+  const out = scored.map((cell) => {
+    const rank = ranked.indexOf(cell) + 1;
+    if (cell === winner || !(cell.spend > 0)) return { ...cell, rank, chance_winner_is_better: null };
+    const z = (logRate(winner) - logRate(cell)) / Math.sqrt(1 / (winner.results + 0.5) + 1 / (cell.results + 0.5));
+    return { ...cell, rank, chance_winner_is_better: normalCdf(z) };
+  });
+  const chances = out.map((cell) => cell.chance_winner_is_better).filter((p) => p != null);
+  const confidence = delivered && chances.length ? Math.min(...chances) : null;
+  return { cells: out, winner: out[scored.indexOf(winner)], confidence };
+}
@@ -0,0 +1,300 @@
+/**
+ * Date and time arguments in the ad account's timezone.
+ * Ad accounts report and schedule in their own `timezone_name` (e.g. Asia/Manila), so a
+ * start_time of "2025-01-17" or "midnight" means the account's midnight, not the server's.
+ * Values with an explicit offset ("...Z", "...+08:00") and Unix timestamps are absolute and
+ * kept as they are.
+ */
+
+const DAY_MS = 86400000;
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Wall-clock fields of an instant in a timezone. */
+function wallClock(date, timeZone) {
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(date).map((p) => [p.type, p.value]));
+  return {
+    year: Number(parts.year), month: Number(parts.month), day: Number(parts.day),
+    hour: Number(parts.hour), minute: Number(parts.minute), second: Number(parts.second),
+  };
+}
+
+function offsetMs(date, timeZone) {
+  const w = wallClock(date, timeZone);
+  const asUtc = Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/** The instant a wall-clock time in a timezone refers to (DST gaps resolve forwards). */
+function fromWallClock({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const first = guess - offsetMs(new Date(guess), timeZone);
+  const corrected = guess - offsetMs(new Date(first), timeZone);
+  return new Date(Math.max(first, corrected));
+}
+
+function addDays({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+/** Whether year/month/day name a real calendar day (no 2025-02-30 rolling over into March). */
+function isCalendarDay(date) {
+  const same = addDays(date, 0);
+  return same.year === date.year && same.month === date.month && same.day === date.day;
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+function formatOffset(ms) {
+  const minutes = Math.round(ms / 60000);
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/** ISO 8601 in the timezone with its offset, e.g. "2025-01-17T00:00:00+08:00". */
+export function toLocalIso(date, timeZone) {
+  const w = wallClock(date, timeZone);
+  return `${w.year}-${pad(w.month)}-${pad(w.day)}T${pad(w.hour)}:${pad(w.minute)}:${pad(w.second)}${formatOffset(offsetMs(date, timeZone))}`;
+}
+
+/** Calendar date (YYYY-MM-DD) of an instant in the timezone. */
+export function toLocalDate(date, timeZone) {
+  const w = wallClock(date, timeZone);
+  return `${w.year}-${pad(w.month)}-${pad(w.day)}`;
+}
+
+// "Manila" -> "Asia/Manila", "new york" -> "America/New_York"
+function zoneFromCity(name) {
+  const wanted = name.trim().toLowerCase().replace(/\s+/g, '_');
+  if (['utc', 'gmt', 'z'].includes(wanted)) return 'UTC';
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return zones.find((z) => z.toLowerCase() === wanted || z.toLowerCase().split('/').pop() === wanted) || null;
+}
+
+// "midnight" is always the one that ends the day ("today midnight" = tonight, like a stop
+// time in Ads Manager); hour 24 rolls over to 00:00 of the next day
+const TIME_WORDS = {
+  midnight: { hour: 24, minute: 0, second: 0 },
+  noon: { hour: 12, minute: 0, second: 0 },
+  'start of day': { hour: 0, minute: 0, second: 0 },
+  'end of day': { hour: 23, minute: 59, second: 59 },
+};
+
+function parseClock(text) {
+  if (TIME_WORDS[text]) return TIME_WORDS[text];
+  const m = text.match(/^(\d{1,2})(?::(\d{2}))?(?::(\d{2})(?:\.\d+)?)?\s*(am|pm)?$/);
+  if (!m || (!m[2] && !m[4])) return null;
+  let hour = Number(m[1]);
+  if (m[4]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (m[4] === 'pm' ? 12 : 0);
+  }
+  const minute = Number(m[2] || 0);
+  const second = Number(m[3] || 0);
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  return { hour, minute, second };
+}
+
+function parseDay(text, today) {
+  if (text === 'today') return today;
+  if (text === 'tomorrow') return addDays(today, 1);
+  if (text === 'yesterday') return addDays(today, -1);
+  let m = text.match(/^in (\d+) days?$/);
+  if (m) return addDays(today, Number(m[1]));
+  m = text.match(/^(\d+) days? ago$/);
+  if (m) return addDays(today, -Number(m[1]));
+  m = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) {
+    const date = { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) };
+    return isCalendarDay(date) ? date : null;
+  }
+  return null;
+}
+
+/**
+ * Reads a date/time argument as an instant, interpreting anything without an offset in
+ * `timeZone`. Accepts:
+ *   - ISO 8601 with an offset or Z, and Unix timestamps (seconds or milliseconds): unchanged
+ *   - "2025-01-17", "2025-01-17T09:00", "2025-01-17 9am": wall-clock time in the timezone
+ *   - "now", "today", "tomorrow", "yesterday", "in 7 days", "3 days ago" with an optional time
+ *     ("tomorrow 09:00", "today noon", "2025-01-17 end of day"); a day alone means its start
+ *   - "noon", "9am", "18:30" (today)
+ *   - "midnight" ends the day it follows: "midnight" and "tonight" are the end of today,
+ *     "2025-01-17 midnight" is 2025-01-18 00:00; use "start of day" for the other one
+ *   - A trailing "<city> time" or "UTC" picks that zone instead ("midnight Manila time")
+ * @returns {Date}
+ * @throws {Error} When the value cannot be read
+ */
+export function parseAccountTime(value, timeZone = 'UTC', { now = new Date() } = {}) {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number' || /^\d{9,13}$/.test(String(value).trim())) {
+    const n = Number(value);
+    return new Date(n < 1e12 ? n * 1000 : n);
+  }
+  const raw = String(value ?? '').trim();
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(raw)) {
+    return new Date(raw);
+  }
+
+  let zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  let text = raw.toLowerCase().replace(/\s+/g, ' ').replace(/,/g, '');
+  if (/ (local|account) time$/.test(text)) {
+    text = text.replace(/ (local|account) time$/, '');
+  } else if (/ (utc|gmt)$/.test(text)) {
+    zone = 'UTC';
+    text = text.slice(0, -4);
+  } else if (/ time$/.test(text)) {
+    // "<city> time": the longest trailing run of words that names a zone
+    const words = text.slice(0, -5).split(' ');
+    let found = null;
+    for (let n = Math.min(3, words.length - 1); n >= 1 && !found; n--) {
+      found = zoneFromCity(words.slice(-n).join(' '));
+      if (found) text = words.slice(0, -n).join(' ');
+    }
+    if (!found) throw new Error(`Unknown timezone in "${raw}"; use a city name like "Manila time"`);
+    zone = found;
+  }
+
+  if (text === 'now') return now;
+  const today = wallClock(now, zone);
+
+  if (text === 'tonight') text = 'midnight';
+
+  const iso = text.match(/^(\d{4}-\d{2}-\d{2})[t ](.+)$/);
+  const [dayText, clockText] = iso
+    ? [iso[1], iso[2]]
+    : (() => {
+      for (const word of Object.keys(TIME_WORDS)) {
+        if (text.endsWith(` ${word}`)) return [text.slice(0, -word.length - 1), word];
+      }
+      const m = text.match(/^(.*?)\s*(?:at\s+)?(\d{1,2}(?::\d{2}){0,2}\s*(?:am|pm)?)$/);
+      if (m && m[1] && parseClock(m[2])) return [m[1].replace(/\s+at$/, ''), m[2]];
+      return [text, null];
+    })();
+
+  const day = parseDay(dayText, today);
+  const clock = clockText == null ? { hour: 0, minute: 0, second: 0 } : parseClock(clockText);
+  if (day && clock) return fromWallClock({ ...day, ...clock }, zone);
+
+  // A bare time of day ("9am", "18:30", "noon") is today in the zone
+  const onlyClock = parseClock(text);
+  if (onlyClock) return fromWallClock({ ...today, ...onlyClock }, zone);
+
+  throw new Error(
+    `Could not read "${raw}" as a date/time. Use ISO 8601 (2025-01-17T09:00), a date (2025-01-17), ` +
+    'or words like "tomorrow 9am", "midnight", "in 7 days".'
+  );
+}
+
+/** Local and UTC forms of an instant, for tool results. */
+export function describeTime(date, timeZone) {
+  if (!date) return null;
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  return { local: toLocalIso(date, zone), utc: date.toISOString(), timezone: zone };
+}
+
+/**
+ * Insights since/until as calendar dates in the account timezone: "yesterday" is the
+ * account's yesterday, like in Ads Manager.
+ */
+export function toAccountDate(value, timeZone, options) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text) && parseDay(text)) return text;
+  return toLocalDate(parseAccountTime(value, zone, options), zone);
+}
+
+/**
+ * An insights time_range ({ since, until } as dates or words like "yesterday", "7 days ago")
+ * as YYYY-MM-DD in the account timezone.
+ * @throws {Error} When a bound cannot be read or since is after until
+ */
+export function resolveDateRange({ since, until }, timeZone, options) {
+  const range = {};
+  for (const [name, value] of Object.entries({ since, until })) {
+    try {
+      range[name] = toAccountDate(value, timeZone, options);
+    } catch (err) {
+      throw new Error(`time_range.${name}: ${err.message}`);
+    }
+  }
+  if (range.since > range.until) {
+    throw new Error(`time_range.since (${range.since}) is after time_range.until (${range.until})`);
+  }
+  return range;
+}
+
+/** A reporting period with the UTC instants it covers (since 00:00 to the end of until). */
+export function describeDateRange({ since, until }, timeZone) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  const [sy, sm, sd] = since.split('-').map(Number);
+  const [uy, um, ud] = until.split('-').map(Number);
+  const start = fromWallClock({ year: sy, month: sm, day: sd }, zone);
+  const end = fromWallClock(addDays({ year: uy, month: um, day: ud }, 1), zone);
+  return {
+    timezone: zone,
+    since,
+    until,
+    starts: { local: toLocalIso(start, zone), utc: start.toISOString() },
+    ends: { local: toLocalIso(end, zone), utc: end.toISOString() },
+    days: Math.round((end - start) / DAY_MS),
+  };
+}
+
+/**
+ * Parses the named date/time arguments that are set ({ start_time, end_time }) in the account
+ * timezone, checking that the end comes after the start.
+ * @returns {Object<string, Date>} Only the arguments that were given
+ * @throws {Error} Naming the argument that could not be read
+ */
+export function resolveSchedule(values, timeZone, options) {
+  const times = {};
+  for (const [name, value] of Object.entries(values)) {
+    if (value == null || value === '') continue;
+    try {
+      times[name] = parseAccountTime(value, timeZone, options);
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+  }
+  const start = times.start_time || times.time_start;
+  const end = times.end_time || times.stop_time || times.time_end;
+  if (start && end && end <= start) {
+    throw new Error(`The end (${end.toISOString()}) must be after the start (${start.toISOString()})`);
+  }
+  return times;
+}
+
+/** { timezone, start_time: { local, utc }, ... } for the times resolveSchedule returned. */
+export function describeSchedule(times, timeZone) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  const out = { timezone: zone };
+  for (const [name, date] of Object.entries(times)) {
+    const { local, utc } = describeTime(date, zone);
+    out[name] = { local, utc };
+  }
+  return out;
+}
@@ -1,15 +1,24 @@
 /**
  * Shared token utilities for Facebook Marketing API tools.
- * Fetches facebook_long_lived_token from Supabase (users table).
- * Use userId when available, or derive from account_id via facebook_ad_accounts.
+ * Inside a tool call the token comes from the per-invocation request context
+ * (see _request-context.js); outside one it is fetched from Supabase (users table),
+ * by userId or derived from account_id via facebook_ad_accounts.
  */
 import { createClient } from '@supabase/supabase-js';
+import { getRequestContext } from './_request-context.js';
 
-let _fallbackToken = null;
-export function setFallbackToken(token) { _fallbackToken = token; }
-export function clearFallbackToken() { _fallbackToken = null; }
+let clientOverride = null;
+
+/**
+ * Replaces the Supabase client returned by getSupabaseClient() (e.g. with the in-memory
+ * stand-in from test/support/memory-supabase.js). Pass null to go back to the real one.
+ */
+export function setSupabaseClient(client) {
+  clientOverride = client || null;
+}
 
 export function getSupabaseClient() {
+  if (clientOverride) return clientOverride;
   const url = process.env.SUPABASE_URL;
   const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
   if (!url || !serviceKey) {
@@ -23,6 +32,21 @@ export function getSupabaseClient() {
 }
 
 export async function getTokenForUser(supabase, userId) {
+  const ctx = getRequestContext();
+  if (ctx?.userId) {
+    if (userId && String(userId) !== String(ctx.userId)) {
+      throw new Error('userId does not match the authenticated session');
+    }
+    return ctx.token || null;
+  }
+  return lookupTokenForUser(supabase, userId);
+}
+
+/**
+ * Reads the stored token for a user straight from the database, ignoring any request context.
+ * Used by the MCP server to build the context itself.
+ */
+export async function lookupTokenForUser(supabase, userId) {
   if (!userId) throw new Error('userId is required');
   const { data, error } = await supabase
     .from('users')
@@ -35,6 +59,10 @@ export async function getTokenForUser(supabase, userId) {
 
 export async function getTokenForAccount(supabase, accountId) {
   if (!accountId) throw new Error('account_id is required');
+  // Within a tool call, always act with the session user's own token
+  const ctx = getRequestContext();
+  if (ctx?.userId) return ctx.token || null;
+
   const accountIdStr = String(accountId).trim().replace(/^act_/, '');
   const idsToTry = [`act_${accountIdStr}`, accountIdStr];
   for (const id of idsToTry) {
@@ -46,9 +74,8 @@ export async function getTokenForAccount(supabase, accountId) {
       .maybeSingle();
     if (error) throw new Error(`Account lookup failed: ${error.message}`);
     if (data?.user_id) {
-      return getTokenForUser(supabase, data.user_id);
+      return lookupTokenForUser(supabase, data.user_id);
     }
   }
-  if (_fallbackToken) return _fallbackToken;
   throw new Error(`Ad account ${accountId} not found in database`);
 }
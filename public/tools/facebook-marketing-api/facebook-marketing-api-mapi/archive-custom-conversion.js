@@ -0,0 +1,72 @@
+/**
+ * MCP Tool: Archive Custom Conversion
+ * Archives a custom conversion (Graph's DELETE on a custom conversion). It stops counting
+ * and is hidden from Ads Manager; results already reported are kept.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { loadCustomConversion } from './_custom-conversion-helpers.js';
+
+const executeFunction = async ({ userId, custom_conversion_id }) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!custom_conversion_id) return { error: 'Missing required parameter: custom_conversion_id' };
+
+  try {
+    const current = await loadCustomConversion(custom_conversion_id, token);
+    if (current.is_archived) {
+      return { success: true, custom_conversion_id, name: current.name, archived: true, note: 'Already archived' };
+    }
+
+    const response = await graphFetch(`${getBaseUrl()}/${custom_conversion_id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+
+    const result = await response.json();
+    return {
+      success: result.success !== false,
+      custom_conversion_id,
+      name: current.name,
+      archived: result.success !== false,
+      note: 'Ad sets optimizing for this conversion stop getting new conversions for it; switch them to another event or conversion.'
+    };
+  } catch (error) {
+    console.error('Error archiving custom conversion:', error);
+    return { error: 'An error occurred while archiving the custom conversion.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'archive_custom_conversion',
+      description: 'Archive a custom conversion by its ID. It stops counting conversions and no longer appears in Ads Manager; reported results are kept. This cannot be undone, and ad sets optimizing for it should be moved to another event first. The userId is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          custom_conversion_id: {
+            type: 'string',
+            description: 'The ID of the custom conversion to archive (from get_custom_conversions).'
+          }
+        },
+        required: ['userId', 'custom_conversion_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
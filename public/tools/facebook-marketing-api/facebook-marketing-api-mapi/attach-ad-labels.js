@@ -0,0 +1,80 @@
+/**
+ * MCP Tool: Attach Ad Labels
+ * Attaches labels to many campaigns, ad sets, ads or creatives at once, creating labels
+ * that do not exist yet. Labels an object already has are kept.
+ */
+import { normalizeAccountId, resolveToken } from './_shared-helpers.js';
+import { labelList, listLabels, matchLabels, createLabel, changeObjectLabels } from './_label-helpers.js';
+
+const executeFunction = async ({ account_id, labels, object_ids, create_missing = true }) => {
+  if (!account_id) return { error: 'Missing required parameter: account_id' };
+  const wanted = labelList(labels);
+  const objects = [...new Set(labelList(object_ids))];
+  if (!wanted.length) return { error: 'labels must list at least one label name or ID' };
+  if (!objects.length) return { error: 'object_ids must list at least one campaign, ad set, ad or creative ID' };
+
+  try {
+    const { token } = await resolveToken(account_id);
+    const acctId = normalizeAccountId(account_id);
+
+    const { found, missing } = matchLabels(wanted, await listLabels(acctId, token));
+    if (missing.length && !create_missing) {
+      return { error: `No ad label named ${missing.map((m) => `"${m}"`).join(', ')} in ad account ${acctId}; create it or set create_missing` };
+    }
+    const created = [];
+    for (const name of missing) created.push(await createLabel(acctId, name, token));
+    const applied = [...found, ...created];
+
+    const results = await changeObjectLabels('attach', objects, applied, token);
+    const failed = results.filter((r) => !r.ok);
+    return {
+      ...(failed.length ? { error: `${failed.length} of ${objects.length} object(s) could not be labeled` } : {}),
+      success: failed.length === 0,
+      labels: applied.map((l) => ({ ...l, created: created.includes(l) })),
+      labeled: objects.length - failed.length,
+      results
+    };
+  } catch (error) {
+    console.error('Error attaching ad labels:', error);
+    return { error: 'An error occurred while attaching ad labels.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'attach_ad_labels',
+      description: 'Attach one or more ad labels (by name or ID) to many campaigns, ad sets, ads or creatives at once, e.g. label every ad of a promotion "Q4-promo". IDs of different object types can be mixed. Labels the account does not have yet are created unless create_missing is false; labels an object already has are kept. Objects are labeled in batches and each reports its own result, so one failure does not stop the rest. The account_id is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'string',
+            description: 'The ID of the ad account the labels and objects belong to.'
+          },
+          labels: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            description: 'Label names (case-insensitive) or IDs, e.g. ["Q4-promo"].'
+          },
+          object_ids: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            description: 'Campaign, ad set, ad or creative IDs to label.'
+          },
+          create_missing: {
+            type: 'boolean',
+            description: 'Create labels that do not exist yet (default: true).'
+          }
+        },
+        required: ['account_id', 'labels', 'object_ids']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -3,6 +3,7 @@
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
 import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const DEFAULT_FIELDS = 'date_start,date_stop,account_id,account_name,ad_id,ad_name,adset_id,adset_name,campaign_id,campaign_name,actions,unique_actions,action_values,impressions,clicks,unique_clicks,spend,frequency,inline_link_clicks,inline_post_engagement,reach,website_ctr,video_thruplay_watched_actions,conversions,conversion_values,social_spend';
 
@@ -37,7 +38,7 @@ const executeFunction = async ({
       url.searchParams.append('action_attribution_windows', '["1d_click","7d_click","1d_view"]');
     }
 
-    const response = await fetch(url.toString(), {
+    const response = await graphFetch(url.toString(), {
       method: 'POST',
       headers: { 'Authorization': `Bearer ${token}` }
     });
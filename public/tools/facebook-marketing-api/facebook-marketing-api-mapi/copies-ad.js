@@ -3,6 +3,7 @@
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
 import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ userId, ad_id, status_option = 'PAUSED', rename_options = { rename_strategy: 'ONLY_TOP_LEVEL_RENAME' } }) => {
   const supabase = getSupabaseClient();
@@ -14,7 +15,7 @@ const executeFunction = async ({ userId, ad_id, status_option = 'PAUSED', rename
     url.searchParams.append('status_option', status_option);
     url.searchParams.append('rename_options', JSON.stringify(rename_options));
 
-    const response = await fetch(url.toString(), {
+    const response = await graphFetch(url.toString(), {
       method: 'POST',
       headers: { 'Authorization': `Bearer ${token}` }
     });
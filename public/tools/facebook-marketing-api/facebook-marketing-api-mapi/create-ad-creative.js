@@ -4,6 +4,7 @@
  */
 
 import { getBaseUrl, resolveToken, clean } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({
   // Required routing
@@ -29,7 +30,8 @@ const executeFunction = async ({
   video_url = null,
 
   // Common options
-  cta_type = 'LEARN_MORE'
+  cta_type = null,
+  lead_gen_form_id = null   // Instant form the call-to-action opens (lead ads)
 }) => {
   const baseUrl = getBaseUrl();
 
@@ -38,7 +40,7 @@ const executeFunction = async ({
     const fullPostId = `${page_id}_${post_id}`;
     const endpoint = `${baseUrl}/${fullPostId}`;
     
-    const resp = await fetch(`${endpoint}?access_token=${token}&fields=id,message,created_time,story,type,status_type,is_published`);
+    const resp = await graphFetch(`${endpoint}?access_token=${token}&fields=id,message,created_time,story,type,status_type,is_published`);
     const json = await resp.json();
     
     if (!resp.ok || json?.error) {
@@ -64,7 +66,7 @@ const executeFunction = async ({
     form.set('url', url);
     form.set('access_token', token);
 
-    const resp = await fetch(endpoint, { method: 'POST', body: form });
+    const resp = await graphFetch(endpoint, { method: 'POST', body: form });
     const json = await resp.json();
     
     if (!resp.ok || json?.error) {
@@ -89,7 +91,7 @@ const executeFunction = async ({
     form.set('file_url', url);
     form.set('access_token', token);
 
-    const resp = await fetch(endpoint, { method: 'POST', body: form });
+    const resp = await graphFetch(endpoint, { method: 'POST', body: form });
     const json = await resp.json();
     
     if (!resp.ok || json?.error) {
@@ -140,6 +142,15 @@ const executeFunction = async ({
     }
   }
 
+  if (lead_gen_form_id && creative_strategy === 'boost_existing') {
+    return { error: "lead_gen_form_id needs a new_post creative; an existing post's call-to-action cannot be changed" };
+  }
+
+  // Lead ads open the instant form from the call-to-action button
+  const callToAction = lead_gen_form_id
+    ? { type: cta_type || 'SIGN_UP', value: { lead_gen_form_id: String(lead_gen_form_id) } }
+    : null;
+
   try {
     // Get token
     const { token } = await resolveToken(account_id);
@@ -193,20 +204,33 @@ const executeFunction = async ({
       }
 
       // Build object_story_spec for new posts
+      // Photo lead ads need link_data, the only photo spec with a call-to-action; Meta's
+      // placeholder link stands in for the website the form replaces
       const object_story_spec =
         creative_type === 'photo'
-          ? {
-              page_id,
-              photo_data: clean({
-                caption: String(message),
-                image_hash: finalImageHash
-              })
-            }
+          ? callToAction
+            ? {
+                page_id,
+                link_data: {
+                  image_hash: finalImageHash,
+                  message: String(message),
+                  link: 'http://fb.me/',
+                  call_to_action: callToAction
+                }
+              }
+            : {
+                page_id,
+                photo_data: clean({
+                  caption: String(message),
+                  image_hash: finalImageHash
+                })
+              }
           : {
               page_id,
               video_data: clean({
                 video_id: finalVideoId,
-                message: String(message)
+                message: String(message),
+                call_to_action: callToAction
               })
             };
 
@@ -221,7 +245,7 @@ const executeFunction = async ({
 
     // Create the ad creative
     const endpoint = `${baseUrl}/act_${account_id}/adcreatives`;
-    const resp = await fetch(endpoint, {
+    const resp = await graphFetch(endpoint, {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
       body: new URLSearchParams(creativeParams).toString()
@@ -254,9 +278,15 @@ const executeFunction = async ({
       };
     } else {
       response.creative.type = creative_type;
-      response.media_info = creative_type === 'photo' 
-        ? { image_hash: creativeParams.object_story_spec.includes('image_hash') ? JSON.parse(creativeParams.object_story_spec).photo_data.image_hash : null }
-        : { video_id: creativeParams.object_story_spec.includes('video_id') ? JSON.parse(creativeParams.object_story_spec).video_data.video_id : null };
+      const spec = JSON.parse(creativeParams.object_story_spec);
+      // Same spec get_ad_preview accepts, to preview variations without creating creatives
+      response.creative.object_story_spec = spec;
+      response.media_info = creative_type === 'photo'
+        ? { image_hash: (spec.photo_data || spec.link_data).image_hash || null }
+        : { video_id: spec.video_data.video_id || null };
+      if (callToAction) {
+        response.lead_form = { lead_gen_form_id: String(lead_gen_form_id), cta_type: callToAction.type };
+      }
     }
 
     return response;
@@ -337,8 +367,11 @@ const INPUT_SCHEMA = {
 
     cta_type: {
       type: 'string',
-      default: 'LEARN_MORE',
-      description: 'Call-to-action type (reserved for future use)'
+      description: 'For new_post with lead_gen_form_id: call-to-action button type (default SIGN_UP), e.g. APPLY_NOW, GET_QUOTE, SUBSCRIBE, LEARN_MORE'
+    },
+    lead_gen_form_id: {
+      type: 'string',
+      description: 'For new_post lead ads: instant form the call-to-action opens (lead_gen_form_id from create_lead_form or get_lead_forms)'
     }
   },
   required: ['account_id', 'page_id']
@@ -348,12 +381,12 @@ const apiTool = {
   function: executeFunction,
   definition: {
     name: 'create_ad_creative',
-    description: 'Create a Facebook Ad Creative using one of two strategies: boost an existing page post (by post_id or object_story_id) or create a new photo/video post with image_url, video_id, headline, body text, link, and call-to-action. Validates post existence before boosting. Returns the created creative ID. The account_id and page_id are auto-filled from server workspace if not provided.',
+    description: 'Create a Facebook Ad Creative using one of two strategies: boost an existing page post (by post_id or object_story_id) or create a new photo/video post with image_url, video_id, headline, body text, link, and call-to-action. For lead ads, pass lead_gen_form_id so the call-to-action opens that instant form. Validates post existence before boosting. Returns the created creative ID. The account_id and page_id are auto-filled from server workspace if not provided.',
     inputSchema: INPUT_SCHEMA,
     type: 'function',
     function: {
       name: 'create_ad_creative',
-      description: 'Create a Facebook Ad Creative using one of two strategies: boost an existing page post (by post_id or object_story_id) or create a new photo/video post with image_url, video_id, headline, body text, link, and call-to-action. Validates post existence before boosting. Returns the created creative ID. The account_id and page_id are auto-filled from server workspace if not provided.',
+      description: 'Create a Facebook Ad Creative using one of two strategies: boost an existing page post (by post_id or object_story_id) or create a new photo/video post with image_url, video_id, headline, body text, link, and call-to-action. For lead ads, pass lead_gen_form_id so the call-to-action opens that instant form. Validates post existence before boosting. Returns the created creative ID. The account_id and page_id are auto-filled from server workspace if not provided.',
       parameters: INPUT_SCHEMA
     }
   }
@@ -0,0 +1,62 @@
+/**
+ * MCP Tool: Create Ad Label
+ * Creates an ad label in an ad account. A label with the same name is reused instead of
+ * being created twice.
+ */
+import { normalizeAccountId, resolveToken } from './_shared-helpers.js';
+import { listLabels, matchLabels, createLabel } from './_label-helpers.js';
+
+const executeFunction = async ({ account_id, name }) => {
+  if (!account_id) return { error: 'Missing required parameter: account_id' };
+  if (!name || !String(name).trim()) return { error: 'Missing required parameter: name' };
+
+  try {
+    const { token } = await resolveToken(account_id);
+    const acctId = normalizeAccountId(account_id);
+    const labelName = String(name).trim();
+
+    const { found } = matchLabels([labelName], await listLabels(acctId, token));
+    const existing = found.find((l) => l.name.toLowerCase() === labelName.toLowerCase());
+    if (existing) {
+      return { success: true, label: existing, created: false, note: `Ad account ${acctId} already has this label; it was reused.` };
+    }
+
+    const label = await createLabel(acctId, labelName, token);
+    return {
+      success: true,
+      label,
+      created: true,
+      next_steps: `Attach it with attach_ad_labels (labels ["${labelName}"]), then filter reports with label "${labelName}".`
+    };
+  } catch (error) {
+    console.error('Error creating ad label:', error);
+    return { error: 'An error occurred while creating the ad label.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'create_ad_label',
+      description: 'Create an ad label in a Facebook Ad Account, e.g. "Q4-promo" or "Brand / Always on", to group campaigns, ad sets, ads and creatives for reporting. If the account already has a label with that name (case-insensitive), it is returned instead of creating a duplicate. attach_ad_labels can also create labels as it attaches them. The account_id is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'string',
+            description: 'The ID of the ad account the label belongs to.'
+          },
+          name: {
+            type: 'string',
+            description: 'REQUIRED: Label name, e.g. "Q4-promo"'
+          }
+        },
+        required: ['account_id', 'name']
+      }
+    }
+  }
+};
+
+export { apiTool };
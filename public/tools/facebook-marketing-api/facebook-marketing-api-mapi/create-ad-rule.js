@@ -0,0 +1,125 @@
+/**
+ * MCP Tool: Create Ad Rule
+ * Creates an automated rule in an ad account's rules library: which objects it checks and
+ * when (evaluation spec), what it does (execution spec) and how often (schedule spec).
+ */
+import { getBaseUrl, normalizeAccountId, resolveToken, getAccountCurrency, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch, isDryRun } from './_graph-client.js';
+import {
+  RULE_FIELDS,
+  RULE_ACTIONS,
+  RULE_PROPERTIES,
+  buildEvaluationSpec,
+  buildExecutionSpec,
+  buildScheduleSpec,
+  describeRule,
+} from './_rule-helpers.js';
+
+const executeFunction = async ({
+  account_id,
+  name,
+  level,
+  object_ids = [],
+  time_preset = 'LAST_7_DAYS',
+  conditions = [],
+  action,
+  change = null,
+  schedule = 'continuous',
+  evaluation_spec = null,
+  execution_spec = null,
+  schedule_spec = null,
+  status = 'ENABLED'
+}) => {
+  if (!account_id) return { error: 'Missing required parameter: account_id' };
+  if (!name || !String(name).trim()) return { error: 'Missing required parameter: name' };
+  if (!['ENABLED', 'DISABLED'].includes(status)) return { error: 'status must be ENABLED or DISABLED' };
+  if (!evaluation_spec && !level) return { error: 'Missing required parameter: level (or a raw evaluation_spec)' };
+  if (!execution_spec && !action) return { error: `Missing required parameter: action. Please choose from: ${RULE_ACTIONS.join(', ')}` };
+
+  try {
+    const { token } = await resolveToken(account_id);
+    const acctId = normalizeAccountId(account_id);
+    const currency = await getAccountCurrency(acctId, token).catch(() => null);
+
+    let specs;
+    try {
+      specs = {
+        evaluation_spec: evaluation_spec || buildEvaluationSpec({ level, object_ids, time_preset, conditions }, currency),
+        execution_spec: execution_spec || buildExecutionSpec({ action, change }, currency),
+        schedule_spec: schedule_spec || buildScheduleSpec(schedule)
+      };
+    } catch (err) {
+      return { error: err.message };
+    }
+
+    const params = {
+      name: String(name).trim(),
+      status,
+      evaluation_spec: JSON.stringify(specs.evaluation_spec),
+      execution_spec: JSON.stringify(specs.execution_spec),
+      schedule_spec: JSON.stringify(specs.schedule_spec)
+    };
+    const headers = { 'Authorization': `Bearer ${token}` };
+    const response = await graphFetch(`${getBaseUrl()}/act_${acctId}/adrules_library`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params).toString()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+    const { id } = await response.json();
+
+    let rule = { id, ...params };
+    if (!isDryRun()) {
+      const readBack = await graphFetch(`${getBaseUrl()}/${id}?fields=${RULE_FIELDS}`, { headers });
+      if (readBack.ok) rule = await readBack.json();
+    }
+
+    return {
+      success: true,
+      rule: describeRule(rule, currency),
+      next_steps: status === 'DISABLED'
+        ? `Run preview_rule with rule_id "${id}" to see what it would act on, then update_ad_rule with status ENABLED to turn it on.`
+        : `The rule is on. Run preview_rule with rule_id "${id}" to see which objects match right now.`
+    };
+  } catch (error) {
+    console.error('Error creating ad rule:', error);
+    return { error: 'An error occurred while creating the ad rule.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'create_ad_rule',
+      description: 'Create an automated rule (Meta rules library) that checks campaigns, ad sets or ads on a schedule and acts when all conditions hold: pause or unpause them, send a notification, or raise/lower their budget or bid by a percent or amount (optionally capped). Examples: pause ads with cpa > 500 and spend > 1000 over LAST_7_DAYS; increase ad set budgets 20% up to 5000 when roas > 3. Money values are in the account currency. Create with status DISABLED and run preview_rule to check what it would act on before it runs. Raw Meta evaluation_spec, execution_spec and schedule_spec are accepted for anything else. The account_id is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'string',
+            description: 'The ID of the ad account the rule belongs to.'
+          },
+          name: {
+            type: 'string',
+            description: 'REQUIRED: Rule name, e.g. "Pause ads above ₱500 CPA"'
+          },
+          status: {
+            type: 'string',
+            enum: ['ENABLED', 'DISABLED'],
+            description: 'ENABLED (default) runs the rule on its schedule; DISABLED saves it without running.'
+          },
+          ...RULE_PROPERTIES
+        },
+        required: ['account_id', 'name']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -2,7 +2,10 @@
  * MCP Tool for creating Facebook ad sets - AWARENESS campaigns only
  * Optimized for brand awareness, reach, and ad recall campaigns
  */
-import { getBaseUrl, resolveToken, getCampaignInfo, buildTargeting, convertPesosToCents, locationMap, genderMap, locationEnum, clean } from './_shared-helpers.js';
+import { getBaseUrl, resolveToken, getCampaignInfo, buildTargeting, toMinorUnits, checkMoneyArgs, getAccountSettings, describeMoney, locationMap, genderMap, locationEnum, clean, MONEY_UNIT } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { resolveSchedule, describeSchedule, toLocalIso } from './_time-utils.js';
+import { loadSavedAudience } from './_saved-audiences.js';
 
 const executeFunction = async ({ 
   account_id,
@@ -21,7 +24,7 @@ const executeFunction = async ({
   dynamic_creative = false,
   
   budget_type = 'daily_budget',
-  daily_budget = 500,
+  daily_budget = null,
   lifetime_budget = null,
   start_time = null,
   end_time = null,
@@ -32,6 +35,7 @@ const executeFunction = async ({
   gender = 'all',
   detailed_targeting = 'all',
   custom_audience_id = null,
+  saved_audience_id = null,
   
   status = 'ACTIVE',
   billing_event = 'IMPRESSIONS',
@@ -89,6 +93,9 @@ const executeFunction = async ({
     };
   }
 
+  const moneyError = checkMoneyArgs({ daily_budget, lifetime_budget, cost_per_result_goal, bid_amount });
+  if (moneyError) return { error: moneyError };
+
   if (budget_type === 'lifetime_budget') {
     if (!lifetime_budget || lifetime_budget <= 0) {
       return { error: 'lifetime_budget is required when budget_type is "lifetime_budget"' };
@@ -97,8 +104,8 @@ const executeFunction = async ({
       return { error: 'start_time and end_time are required when using lifetime_budget' };
     }
   } else if (budget_type === 'daily_budget') {
-    if (!daily_budget || daily_budget <= 0) {
-      return { error: 'daily_budget is required when budget_type is "daily_budget"' };
+    if (daily_budget != null && daily_budget <= 0) {
+      return { error: 'daily_budget must be a positive amount' };
     }
   }
 
@@ -107,13 +114,38 @@ const executeFunction = async ({
   }
 
   try {
-    const { token } = await resolveToken(account_id);
+    const { token, userId } = await resolveToken(account_id);
+
+    const campaignInfo = await getCampaignInfo(campaign_id, token, account_id);
+
+    if (!campaignInfo.cboEnabled && budget_type === 'daily_budget' && !daily_budget) {
+      return { error: 'daily_budget is required when budget_type is "daily_budget" and the campaign does not use campaign budget optimization' };
+    }
 
-    const campaignInfo = await getCampaignInfo(campaign_id, token);
+    const account = campaignInfo.account?.currency ? campaignInfo.account : await getAccountSettings(account_id, token);
+    const currency = account.currency;
+    if (!currency) {
+      return { error: `Could not determine the currency of ad account ${account_id}` };
+    }
+    const timeZone = account.timezone_name || 'UTC';
+    let schedule;
+    try {
+      schedule = resolveSchedule({ start_time, end_time }, timeZone);
+    } catch (err) {
+      return { error: err.message };
+    }
 
     const adSetName = name || AWARENESS_CONFIG.defaultName(optimization_goal);
 
-    const builtTargeting = targeting || buildTargeting({ location, age_min, age_max, gender, custom_audience_id });
+    let savedAudience = null;
+    if (saved_audience_id) {
+      try {
+        savedAudience = await loadSavedAudience(saved_audience_id, { userId, token, accountId: account_id, customAudienceId: custom_audience_id });
+      } catch (err) {
+        return { error: err.message };
+      }
+    }
+    const builtTargeting = savedAudience ? savedAudience.targeting : targeting || buildTargeting({ location, age_min, age_max, gender, custom_audience_id });
 
     const builtPromotedObject = promoted_object || { page_id };
 
@@ -134,22 +166,20 @@ const executeFunction = async ({
       // Campaign has CBO enabled - no budget at ad set level
     } else {
       if (budget_type === 'lifetime_budget') {
-        const lifetimeBudgetCents = convertPesosToCents(lifetime_budget);
-        adSetParams.lifetime_budget = String(lifetimeBudgetCents);
-        adSetParams.start_time = new Date(start_time).toISOString();
-        adSetParams.end_time = new Date(end_time).toISOString();
+        const lifetimeBudgetMinor = toMinorUnits(lifetime_budget, currency);
+        adSetParams.lifetime_budget = String(lifetimeBudgetMinor);
       } else {
-        const dailyBudgetCents = convertPesosToCents(daily_budget);
-        adSetParams.daily_budget = String(dailyBudgetCents);
+        const dailyBudgetMinor = toMinorUnits(daily_budget, currency);
+        adSetParams.daily_budget = String(dailyBudgetMinor);
       }
     }
 
     if (cost_per_result_goal && cost_per_result_goal > 0) {
-      const costPerResultCents = convertPesosToCents(cost_per_result_goal);
-      adSetParams.bid_amount = String(costPerResultCents);
+      const costPerResultMinor = toMinorUnits(cost_per_result_goal, currency);
+      adSetParams.bid_amount = String(costPerResultMinor);
     } else if (bid_amount && bid_amount > 0) {
-      const bidAmountCents = convertPesosToCents(bid_amount);
-      adSetParams.bid_amount = String(bidAmountCents);
+      const bidAmountMinor = toMinorUnits(bid_amount, currency);
+      adSetParams.bid_amount = String(bidAmountMinor);
     }
 
     adSetParams.bid_strategy = bid_strategy;
@@ -166,10 +196,13 @@ const executeFunction = async ({
       adSetParams.attribution_spec = JSON.stringify(attribution_spec);
     }
 
+    if (schedule.start_time) adSetParams.start_time = toLocalIso(schedule.start_time, timeZone);
+    if (schedule.end_time) adSetParams.end_time = toLocalIso(schedule.end_time, timeZone);
+
     const cleanedParams = clean(adSetParams);
     const body = new URLSearchParams(cleanedParams);
 
-    const response = await fetch(url, {
+    const response = await graphFetch(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded'
@@ -204,9 +237,16 @@ const executeFunction = async ({
         gender,
         detailed_targeting,
         custom_audience_id,
+        saved_audience: savedAudience && { id: savedAudience.id, name: savedAudience.name, source: savedAudience.source },
         frequency_control: frequencyControlSpecs,
         dynamic_creative,
-        campaign_cbo_enabled: campaignInfo.cboEnabled
+        campaign_cbo_enabled: campaignInfo.cboEnabled,
+        money: describeMoney({
+          daily_budget: adSetParams.daily_budget,
+          lifetime_budget: adSetParams.lifetime_budget,
+          bid_amount: adSetParams.bid_amount,
+        }, currency),
+        schedule: describeSchedule(schedule, timeZone),
       }
     };
   } catch (error) {
@@ -224,7 +264,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'create_ad_set_awareness',
-      description: 'Create a Facebook ad set optimized for AWARENESS campaigns (brand awareness, reach, and ad recall). Supports reach and frequency buying, frequency caps, targeting by demographics/interests/behaviors/locations, daily or lifetime budgets, scheduling, and placement controls. The account_id and page_id are auto-filled from server workspace if not provided.',
+      description: 'Create a Facebook ad set optimized for AWARENESS campaigns (brand awareness, reach, and ad recall). Supports reach and frequency buying, frequency caps, targeting by demographics/interests/behaviors/locations, daily or lifetime budgets, scheduling, and placement controls. Budgets and bids are given in the ad account currency in major units (e.g. 20 = $20.00, 3000 = ¥3,000); the result shows the converted values with formatted amounts. The account_id and page_id are auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
@@ -252,7 +292,7 @@ const apiTool = {
 
           cost_per_result_goal: {
             type: 'number',
-            description: 'Optional cost per result goal in pesos (e.g., 5 for ₱5.00)'
+            description: `Optional cost per result goal ${MONEY_UNIT}`
           },
           bid_strategy: {
             type: 'string',
@@ -261,7 +301,7 @@ const apiTool = {
           },
           bid_amount: {
             type: 'number',
-            description: 'Optional manual bid amount in pesos'
+            description: `Optional manual bid amount ${MONEY_UNIT}`
           },
 
           target_frequency: {
@@ -286,19 +326,19 @@ const apiTool = {
           },
           daily_budget: {
             type: 'number',
-            description: 'Daily budget in pesos (default: 500 = ₱500). Required if budget_type is daily_budget.'
+            description: `Daily budget ${MONEY_UNIT}. Required unless the campaign uses campaign budget optimization.`
           },
           lifetime_budget: {
             type: 'number',
-            description: 'Lifetime budget in pesos. Required if budget_type is lifetime_budget.'
+            description: `Lifetime budget ${MONEY_UNIT}. Required if budget_type is lifetime_budget.`
           },
           start_time: {
             type: 'string',
-            description: 'Start date (ex 2025-01-17T00:00:00+08:00). Required if using lifetime_budget.'
+            description: 'Start time in the ad account timezone: ISO 8601 (offset added automatically, e.g. 2025-01-17T09:00), a date, or words like "tomorrow 9am" or "midnight". Required if using lifetime_budget.'
           },
           end_time: {
             type: 'string',
-            description: 'End date (ex 2025-07-17T00:00:00+08:00). Required if using lifetime_budget.'
+            description: 'End time in the ad account timezone: ISO 8601 (offset added automatically, e.g. 2025-01-17T09:00), a date, or words like "tomorrow 9am" or "midnight". Required if using lifetime_budget.'
           },
 
           location: {
@@ -339,6 +379,10 @@ const apiTool = {
             type: 'string',
             description: 'Custom audience ID - Required when detailed_targeting is "custom"'
           },
+          saved_audience_id: {
+            type: 'string',
+            description: 'Saved audience ID (get_saved_audiences) whose targeting replaces location, age_min, age_max and gender; custom_audience_id is added to it'
+          },
 
           status: {
             type: 'string',
@@ -4,11 +4,14 @@
  * account_id, campaign_id, name, conversion_location, performance_goal, page_id, pixel_id,
  * cost_per_result_goal, bid_strategy, bid_amount, budget_type, daily_budget, lifetime_budget,
  * start_time, end_time, location, age_min, age_max, gender, detailed_targeting,
- * custom_audience_id, custom_event_type, status, application_id
+ * custom_audience_id, saved_audience_id, custom_event_type, status, application_id
  *
  * Objective is forced to OUTCOME_TRAFFIC.
  */
-import { getBaseUrl, resolveToken, getCampaignInfo, buildTargeting, convertPesosToCents, locationMap, genderMap, locationEnum, clean } from './_shared-helpers.js';
+import { getBaseUrl, resolveToken, getCampaignInfo, buildTargeting, toMinorUnits, checkMoneyArgs, getAccountSettings, describeMoney, locationMap, genderMap, locationEnum, clean, MONEY_UNIT } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { resolveSchedule, describeSchedule, toLocalIso } from './_time-utils.js';
+import { loadSavedAudience } from './_saved-audiences.js';
 
 const executeFunction = async ({
   account_id,
@@ -25,7 +28,7 @@ const executeFunction = async ({
   bid_amount = null,
 
   budget_type = 'daily_budget',
-  daily_budget = 500,
+  daily_budget = null,
   lifetime_budget = null,
   start_time = null,
   end_time = null,
@@ -36,6 +39,7 @@ const executeFunction = async ({
   gender = 'all',
   detailed_targeting = 'all',
   custom_audience_id = null,
+  saved_audience_id = null,
 
   custom_event_type = null,
 
@@ -172,6 +176,9 @@ const executeFunction = async ({
     }
   }
 
+  const moneyError = checkMoneyArgs({ daily_budget, lifetime_budget, cost_per_result_goal, bid_amount });
+  if (moneyError) return { error: moneyError };
+
   if (budget_type === 'lifetime_budget') {
     if (!lifetime_budget || lifetime_budget <= 0) {
       return { error: 'lifetime_budget is required when budget_type is "lifetime_budget"' };
@@ -180,21 +187,46 @@ const executeFunction = async ({
       return { error: 'start_time and end_time are required when using lifetime_budget' };
     }
   } else if (budget_type === 'daily_budget') {
-    if (!daily_budget || daily_budget <= 0) {
-      return { error: 'daily_budget is required when budget_type is "daily_budget"' };
+    if (daily_budget != null && daily_budget <= 0) {
+      return { error: 'daily_budget must be a positive amount' };
     }
   } else {
     return { error: 'budget_type must be either "daily_budget" or "lifetime_budget"' };
   }
 
   try {
-    const { token } = await resolveToken(account_id);
+    const { token, userId } = await resolveToken(account_id);
+
+    const campaignInfo = await getCampaignInfo(campaign_id, token, account_id);
+
+    if (!campaignInfo.cboEnabled && budget_type === 'daily_budget' && !daily_budget) {
+      return { error: 'daily_budget is required when budget_type is "daily_budget" and the campaign does not use campaign budget optimization' };
+    }
 
-    const campaignInfo = await getCampaignInfo(campaign_id, token);
+    const account = campaignInfo.account?.currency ? campaignInfo.account : await getAccountSettings(account_id, token);
+    const currency = account.currency;
+    if (!currency) {
+      return { error: `Could not determine the currency of ad account ${account_id}` };
+    }
+    const timeZone = account.timezone_name || 'UTC';
+    let schedule;
+    try {
+      schedule = resolveSchedule({ start_time, end_time }, timeZone);
+    } catch (err) {
+      return { error: err.message };
+    }
 
     const adSetName = name || TRAFFIC_CONFIG.defaultName(conversion_location, performance_goal);
     const optimization_goal = resolveOptimizationGoal(conversion_location, performance_goal);
-    const builtTargeting = buildTargeting({ location, age_min, age_max, gender, custom_audience_id });
+    let savedAudience = null;
+    if (saved_audience_id) {
+      try {
+        savedAudience = await loadSavedAudience(saved_audience_id, { userId, token, accountId: account_id, customAudienceId: custom_audience_id });
+      } catch (err) {
+        return { error: err.message };
+      }
+    }
+    const builtTargeting = savedAudience ? savedAudience.targeting : buildTargeting({ location, age_min, age_max, gender, custom_audience_id });
     const builtPromotedObject = buildPromotedObject();
 
     const url = `${baseUrl}/act_${account_id}/adsets`;
@@ -216,32 +248,33 @@ const executeFunction = async ({
       // Campaign has CBO enabled - no budget at ad set level
     } else {
       if (budget_type === 'lifetime_budget') {
-        const lifetimeBudgetCents = convertPesosToCents(lifetime_budget);
-        adSetParams.lifetime_budget = String(lifetimeBudgetCents);
-        adSetParams.start_time = new Date(start_time).toISOString();
-        adSetParams.end_time = new Date(end_time).toISOString();
+        const lifetimeBudgetMinor = toMinorUnits(lifetime_budget, currency);
+        adSetParams.lifetime_budget = String(lifetimeBudgetMinor);
       } else {
-        const dailyBudgetCents = convertPesosToCents(daily_budget);
-        adSetParams.daily_budget = String(dailyBudgetCents);
+        const dailyBudgetMinor = toMinorUnits(daily_budget, currency);
+        adSetParams.daily_budget = String(dailyBudgetMinor);
       }
     }
 
     if (cost_per_result_goal && cost_per_result_goal > 0) {
-      const cprCents = convertPesosToCents(cost_per_result_goal);
-      adSetParams.bid_amount = String(cprCents);
+      const cprMinor = toMinorUnits(cost_per_result_goal, currency);
+      adSetParams.bid_amount = String(cprMinor);
     } else if (bid_amount && bid_amount > 0) {
-      const bidCents = convertPesosToCents(bid_amount);
-      adSetParams.bid_amount = String(bidCents);
+      const bidMinor = toMinorUnits(bid_amount, currency);
+      adSetParams.bid_amount = String(bidMinor);
     }
     adSetParams.bid_strategy = bid_strategy;
 
     adSetParams.targeting = JSON.stringify(builtTargeting);
     adSetParams.promoted_object = JSON.stringify(builtPromotedObject);
 
+    if (schedule.start_time) adSetParams.start_time = toLocalIso(schedule.start_time, timeZone);
+    if (schedule.end_time) adSetParams.end_time = toLocalIso(schedule.end_time, timeZone);
+
     const cleanedParams = clean(adSetParams);
     const body = new URLSearchParams(cleanedParams);
 
-    const response = await fetch(url, {
+    const response = await graphFetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
       body: body.toString(),
@@ -283,9 +316,16 @@ const executeFunction = async ({
         gender,
         detailed_targeting,
         custom_audience_id,
+        saved_audience: savedAudience && { id: savedAudience.id, name: savedAudience.name, source: savedAudience.source },
         custom_event_type,
         status,
         campaign_cbo_enabled: campaignInfo.cboEnabled,
+        money: describeMoney({
+          daily_budget: adSetParams.daily_budget,
+          lifetime_budget: adSetParams.lifetime_budget,
+          bid_amount: adSetParams.bid_amount,
+        }, currency),
+        schedule: describeSchedule(schedule, timeZone),
       },
     };
   } catch (error) {
@@ -303,7 +343,7 @@ const apiTool = {
     function: {
       name: 'create_ad_set_traffic',
       description:
-        'Create a Facebook ad set for TRAFFIC campaigns. Supports conversion locations (WEBSITE, APP, MESSAGING, CALLS, INSTAGRAM_PROFILE) with validation of required fields per location. Optimizes for link clicks or landing page views with customizable targeting, budgets, scheduling, and bid strategy. The account_id and page_id are auto-filled from server workspace if not provided.',
+        'Create a Facebook ad set for TRAFFIC campaigns. Supports conversion locations (WEBSITE, APP, MESSAGING, CALLS, INSTAGRAM_PROFILE) with validation of required fields per location. Optimizes for link clicks or landing page views with customizable targeting, budgets, scheduling, and bid strategy. Budgets and bids are given in the ad account currency in major units (e.g. 20 = $20.00, 3000 = ¥3,000); the result shows the converted values with formatted amounts. The account_id and page_id are auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
@@ -351,7 +391,7 @@ const apiTool = {
 
           cost_per_result_goal: {
             type: 'number',
-            description: 'Optional cost per result goal in pesos',
+            description: `Optional cost per result goal ${MONEY_UNIT}`,
           },
           bid_strategy: {
             type: 'string',
@@ -365,7 +405,7 @@ const apiTool = {
           },
           bid_amount: {
             type: 'number',
-            description: 'Manual bid in pesos (used if cost_per_result_goal not set)',
+            description: `Manual bid ${MONEY_UNIT}, used if cost_per_result_goal is not set`,
           },
 
           budget_type: {
@@ -373,10 +413,10 @@ const apiTool = {
             enum: ['daily_budget', 'lifetime_budget'],
             description: 'Budget type',
           },
-          daily_budget: { type: 'number', description: 'Daily budget in pesos' },
-          lifetime_budget: { type: 'number', description: 'Lifetime budget in pesos' },
-          start_time: { type: 'string', description: 'Start time (ISO), required if lifetime_budget' },
-          end_time: { type: 'string', description: 'End time (ISO), required if lifetime_budget' },
+          daily_budget: { type: 'number', description: `Daily budget ${MONEY_UNIT}. Required unless the campaign uses campaign budget optimization.` },
+          lifetime_budget: { type: 'number', description: `Lifetime budget ${MONEY_UNIT}` },
+          start_time: { type: 'string', description: 'Start time in the ad account timezone: ISO 8601 (offset added automatically, e.g. 2025-01-17T09:00), a date, or words like "tomorrow 9am" or "midnight". Required if lifetime_budget' },
+          end_time: { type: 'string', description: 'End time in the ad account timezone: ISO 8601 (offset added automatically, e.g. 2025-01-17T09:00), a date, or words like "tomorrow 9am" or "midnight". Required if lifetime_budget' },
 
           location: {
             type: 'string',
@@ -402,6 +442,10 @@ const apiTool = {
             type: 'string',
             description: 'Custom audience ID (required if detailed_targeting = custom)',
           },
+          saved_audience_id: {
+            type: 'string',
+            description: 'Saved audience ID (get_saved_audiences) whose targeting replaces location, age_min, age_max and gender; custom_audience_id is added to it',
+          },
 
           custom_event_type: {
             type: 'string',
@@ -1,7 +1,10 @@
 /**
  * MCP Tool for creating Facebook ad sets with dynamic objective-based parameters
  */
-import { getBaseUrl, resolveToken, clean, getCampaignInfo } from './_shared-helpers.js';
+import { getBaseUrl, resolveToken, clean, getCampaignInfo, getAccountSettings, describeMoney, toMinorUnits, checkMoneyArgs, MONEY_UNIT } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { resolveSchedule, describeSchedule, toLocalIso } from './_time-utils.js';
+import { loadSavedAudience } from './_saved-audiences.js';
 
 /**
  * Create a Facebook ad set with dynamic optimization based on campaign objective
@@ -21,6 +24,7 @@ const executeFunction = async ({
   end_time = null,
   status = 'ACTIVE',
   targeting = {},
+  saved_audience_id = null,
   promoted_object = {},
   attribution_spec = null,
   frequency_control_specs = null,
@@ -190,6 +194,9 @@ const executeFunction = async ({
     return { error: 'Missing required parameter: campaign_id' };
   }
 
+  const moneyError = checkMoneyArgs({ daily_budget, lifetime_budget, bid_amount });
+  if (moneyError) return { error: moneyError };
+
   // If campaign_objective is provided, use it for parameter validation
   // Otherwise, we'll detect it from the campaign
   let objectiveToUse = campaign_objective;
@@ -204,10 +211,23 @@ const executeFunction = async ({
   try {
     console.log('🔍 Processing ad set creation for account:', account_id);
 
-    const { token } = await resolveToken(account_id);
+    const { token, userId } = await resolveToken(account_id);
 
     // Get campaign info
-    const campaignInfo = await getCampaignInfo(campaign_id, token);
+    const campaignInfo = await getCampaignInfo(campaign_id, token, account_id);
+
+    // Amounts are converted to the account currency's minor units; times are read in the account timezone
+    const account = campaignInfo.account?.currency ? campaignInfo.account : await getAccountSettings(account_id, token);
+    if (!account.currency && [daily_budget, lifetime_budget, bid_amount].some((v) => v != null)) {
+      return { error: `Could not determine the currency of ad account ${account_id}` };
+    }
+    const timeZone = account.timezone_name || 'UTC';
+    let schedule;
+    try {
+      schedule = resolveSchedule({ start_time, end_time }, timeZone);
+    } catch (err) {
+      return { error: err.message };
+    }
     
     // Use detected objective if not provided by user
     if (!objectiveToUse) {
@@ -259,15 +279,15 @@ const executeFunction = async ({
       }
 
       if (hasLifetime) {
-        adSetParams.lifetime_budget = String(lifetime_budget);
+        adSetParams.lifetime_budget = String(toMinorUnits(lifetime_budget, account.currency));
       } else if (hasDaily) {
-        adSetParams.daily_budget = String(daily_budget);
+        adSetParams.daily_budget = String(toMinorUnits(daily_budget, account.currency));
       }
     }
 
     // Handle bid settings
     if (bid_amount && Number(bid_amount) > 0) {
-      adSetParams.bid_amount = String(bid_amount);
+      adSetParams.bid_amount = String(toMinorUnits(bid_amount, account.currency));
     }
     
     if (bid_strategy) {
@@ -275,22 +295,19 @@ const executeFunction = async ({
     }
 
     // Handle timing
-    if (start_time) {
-      const startDate = new Date(start_time);
-      if (!isNaN(startDate.getTime())) {
-        adSetParams.start_time = startDate.toISOString();
-      }
-    }
-
-    if (end_time) {
-      const endDate = new Date(end_time);
-      if (!isNaN(endDate.getTime())) {
-        adSetParams.end_time = endDate.toISOString();
+    if (schedule.start_time) adSetParams.start_time = toLocalIso(schedule.start_time, timeZone);
+    if (schedule.end_time) adSetParams.end_time = toLocalIso(schedule.end_time, timeZone);
+
+    // Handle targeting; a saved audience stands in for the whole spec
+    let savedAudience = null;
+    if (saved_audience_id) {
+      try {
+        savedAudience = await loadSavedAudience(saved_audience_id, { userId, token, accountId: account_id });
+      } catch (err) {
+        return { error: err.message };
       }
-    }
-
-    // Handle targeting
-    if (targeting && Object.keys(targeting).length > 0) {
+      adSetParams.targeting = JSON.stringify(savedAudience.targeting);
+    } else if (targeting && Object.keys(targeting).length > 0) {
       const cleanTargeting = {};
       for (const [key, value] of Object.entries(targeting)) {
         if (value != null && value !== '') {
@@ -349,7 +366,7 @@ const executeFunction = async ({
     console.log('🚀 Making Facebook API request to:', url);
     console.log('📋 Final ad set params being sent:', Object.fromEntries(body.entries()));
 
-    const response = await fetch(url, {
+    const response = await graphFetch(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded'
@@ -378,11 +395,18 @@ const executeFunction = async ({
       optimization_goal: processedParams.optimization_goal,
       billing_event: processedParams.billing_event,
       campaign_cbo_enabled: campaignInfo.cboEnabled,
+      saved_audience: savedAudience && { id: savedAudience.id, name: savedAudience.name, source: savedAudience.source },
       budget_info: {
         budget_level: campaignInfo.cboEnabled ? 'campaign' : 'ad_set',
         daily_budget: campaignInfo.cboEnabled ? null : daily_budget,
         lifetime_budget: campaignInfo.cboEnabled ? null : lifetime_budget
-      }
+      },
+      money: describeMoney({
+        daily_budget: adSetParams.daily_budget,
+        lifetime_budget: adSetParams.lifetime_budget,
+        bid_amount: adSetParams.bid_amount,
+      }, account.currency),
+      schedule: describeSchedule(schedule, timeZone)
     };
   } catch (error) {
     console.error('💥 Error in executeFunction:', error);
@@ -416,20 +440,20 @@ const getParametersForObjective = (objective) => {
       description: 'Ad set name (defaults to "Ad Set {optimization_goal} {timestamp}")'
     },
     daily_budget: {
-      type: 'integer',
-      description: 'Daily budget in cents. Required if campaign does not have Campaign Budget Optimization (CBO) and no lifetime_budget is set.'
+      type: 'number',
+      description: `Daily budget ${MONEY_UNIT}. Required if campaign does not have Campaign Budget Optimization (CBO) and no lifetime_budget is set.`
     },
     lifetime_budget: {
-      type: 'integer',
-      description: 'Total budget in cents. Required if campaign does not have CBO and no daily_budget is set.'
+      type: 'number',
+      description: `Total budget ${MONEY_UNIT}. Required if campaign does not have CBO and no daily_budget is set.`
     },
     start_time: {
       type: 'string',
-      description: 'Start time (ISO 8601 format, e.g., "2024-01-15T10:00:00Z"). Starts immediately if not provided.'
+      description: 'Start time in the ad account timezone: ISO 8601 (offset added automatically, e.g. "2024-01-15T10:00"; a Z or +hh:mm offset is kept), a date, or words like "tomorrow 9am" or "midnight". Starts immediately if not provided.'
     },
     end_time: {
       type: 'string',
-      description: 'End time (ISO 8601 format). Optional.'
+      description: 'End time in the ad account timezone, same formats as start_time. Optional.'
     },
     status: {
       type: 'string',
@@ -449,9 +473,13 @@ const getParametersForObjective = (objective) => {
         custom_audiences: { type: 'array', items: { type: 'string' } }
       }
     },
+    saved_audience_id: {
+      type: 'string',
+      description: 'Saved audience ID (get_saved_audiences) to use as the targeting instead of a targeting spec'
+    },
     bid_amount: {
-      type: 'integer',
-      description: 'Maximum bid in cents (optional - auto-bid recommended)'
+      type: 'number',
+      description: `Maximum bid ${MONEY_UNIT} (optional - auto-bid recommended)`
     },
     bid_strategy: {
       type: 'string',
@@ -653,7 +681,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'create_ad_set',
-      description: 'Create a Facebook ad set with dynamic parameter validation based on campaign objective. Automatically configures optimization goal, billing event, and promoted object fields for the selected objective (AWARENESS, TRAFFIC, ENGAGEMENT, LEADS, SALES, APP_PROMOTION). Supports targeting, budgets, scheduling, bid strategy, and placement controls. The account_id and page_id are auto-filled from server workspace if not provided.',
+      description: 'Create a Facebook ad set with dynamic parameter validation based on campaign objective. Automatically configures optimization goal, billing event, and promoted object fields for the selected objective (AWARENESS, TRAFFIC, ENGAGEMENT, LEADS, SALES, APP_PROMOTION). Supports targeting, budgets and bids (in the ad account currency), scheduling, bid strategy, and placement controls. The account_id and page_id are auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: getParametersForObjective('OUTCOME_AWARENESS'), // Default to show awareness parameters
@@ -0,0 +1,161 @@
+/**
+ * MCP Tool: Create Ad Study
+ * Creates a split test (A/B test) that divides the audience between 2 to 5 cells of
+ * campaigns or ad sets for a test window, so each person only sees one cell.
+ */
+import { getBaseUrl, normalizeAccountId, resolveToken, getAccountSettings, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch, isDryRun } from './_graph-client.js';
+import { resolveSchedule, describeSchedule } from './_time-utils.js';
+import { STUDY_FIELDS, MIN_CELLS, MAX_CELLS, MIN_TEST_DAYS, MAX_TEST_DAYS, buildStudyCells } from './_study-helpers.js';
+
+const DAY_MS = 86400000;
+
+const executeFunction = async ({
+  account_id,
+  business_id,
+  name,
+  description = null,
+  cells,
+  start_time = 'now',
+  end_time,
+  confidence_level = null
+}) => {
+  if (!account_id) return { error: 'Missing required parameter: account_id' };
+  if (!business_id) return { error: 'Missing required parameter: business_id (ad studies belong to a business)' };
+  if (!name || !String(name).trim()) return { error: 'Missing required parameter: name' };
+  if (!end_time) return { error: 'Missing required parameter: end_time' };
+  if (confidence_level != null && !(confidence_level >= 0.5 && confidence_level < 1)) {
+    return { error: 'confidence_level must be between 0.5 and 0.99, e.g. 0.9 for 90%' };
+  }
+
+  let study;
+  try {
+    study = buildStudyCells(cells);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  try {
+    const { token } = await resolveToken(account_id);
+    const acctId = normalizeAccountId(account_id);
+    const timeZone = (await getAccountSettings(acctId, token)).timezone_name || 'UTC';
+
+    let window;
+    try {
+      window = resolveSchedule({ start_time, end_time }, timeZone);
+    } catch (err) {
+      return { error: err.message };
+    }
+    // A few minutes of slack so "now" still counts as now when the request arrives
+    if (window.start_time < Date.now() - 5 * 60000) return { error: 'start_time is in the past' };
+    const days = (window.end_time - window.start_time) / DAY_MS;
+    if (days < MIN_TEST_DAYS || days > MAX_TEST_DAYS) {
+      return { error: `A split test runs for ${MIN_TEST_DAYS} to ${MAX_TEST_DAYS} days; this window is ${days.toFixed(1)} days` };
+    }
+
+    const params = {
+      name: String(name).trim(),
+      type: 'SPLIT_TEST',
+      start_time: String(Math.floor(window.start_time / 1000)),
+      end_time: String(Math.floor(window.end_time / 1000)),
+      cells: JSON.stringify(study.cells),
+      ...(description ? { description } : {}),
+      ...(confidence_level != null ? { confidence_level: String(confidence_level) } : {})
+    };
+    const headers = { 'Authorization': `Bearer ${token}` };
+    const response = await graphFetch(`${getBaseUrl()}/${business_id}/ad_studies`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params).toString()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+    const { id } = await response.json();
+
+    let created = null;
+    if (!isDryRun()) {
+      const readBack = await graphFetch(`${getBaseUrl()}/${id}?fields=${STUDY_FIELDS}`, { headers });
+      if (readBack.ok) created = await readBack.json();
+    }
+
+    return {
+      success: true,
+      study_id: id,
+      name: params.name,
+      type: 'SPLIT_TEST',
+      level: study.level,
+      cells: study.cells,
+      schedule: describeSchedule(window, timeZone),
+      ...(created ? { study: created } : {}),
+      next_steps: `Make sure every cell's ${study.level === 'campaign' ? 'campaigns are' : 'ad sets are'} ACTIVE with budgets for the whole window, then read the outcome with get_ad_study_results (study_id "${id}").`
+    };
+  } catch (error) {
+    console.error('Error creating ad study:', error);
+    return { error: 'An error occurred while creating the ad study.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'create_ad_study',
+      description: `Create a split test (A/B test, Meta ad study) that compares ${MIN_CELLS} to ${MAX_CELLS} cells of campaigns or ad sets over a test window of ${MIN_TEST_DAYS} to ${MAX_TEST_DAYS} days. Meta splits the audience so each person sees only one cell, which makes the comparison fair. Typical use: duplicate_campaign or duplicate_adset, change one variable (creative, audience, placement, bid strategy), then put the original and the copies in separate cells. Traffic is split evenly unless every cell has treatment_percentage. Read the outcome with get_ad_study_results. Times are in the ad account timezone. The account_id and business_id are auto-filled from server workspace if not provided.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'string',
+            description: 'The ad account the tested campaigns or ad sets belong to (its timezone is used for the window).'
+          },
+          business_id: {
+            type: 'string',
+            description: 'The business the study is created in.'
+          },
+          name: {
+            type: 'string',
+            description: 'REQUIRED: Test name, e.g. "Video vs carousel - Q4"'
+          },
+          description: {
+            type: 'string',
+            description: 'What is being tested (optional).'
+          },
+          cells: {
+            type: 'array',
+            minItems: MIN_CELLS,
+            maxItems: MAX_CELLS,
+            description: 'The test cells; every cell uses campaign_ids or every cell uses adset_ids, and an object can be in one cell only.',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: 'Cell name (default: Cell A, Cell B, ...)' },
+                campaign_ids: { type: 'array', items: { type: 'string' }, description: 'Campaigns in this cell' },
+                adset_ids: { type: 'array', items: { type: 'string' }, description: 'Ad sets in this cell' },
+                treatment_percentage: { type: 'integer', minimum: 1, maximum: 99, description: 'Share of the audience in this cell; all cells must add up to 100' }
+              }
+            }
+          },
+          start_time: {
+            type: 'string',
+            description: 'Test start in the ad account timezone: ISO 8601, a date, or words like "tomorrow 9am" (default: now).'
+          },
+          end_time: {
+            type: 'string',
+            description: 'REQUIRED: Test end in the ad account timezone, e.g. "in 14 days end of day".'
+          },
+          confidence_level: {
+            type: 'number',
+            description: 'Confidence Meta should aim for, e.g. 0.9 for 90% (optional).'
+          }
+        },
+        required: ['account_id', 'business_id', 'name', 'cells', 'end_time']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -4,6 +4,7 @@
  */
 
 import { getBaseUrl, resolveToken, clean } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({
   // Routing
@@ -48,7 +49,7 @@ const executeFunction = async ({
     const body = new URLSearchParams(params);
 
     console.log('🚀 Creating Ad at:', url);
-    const resp = await fetch(url, {
+    const resp = await graphFetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
       body: body.toString()
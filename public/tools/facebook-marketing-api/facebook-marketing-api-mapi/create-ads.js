@@ -10,6 +10,8 @@
  */
 
 import { getBaseUrl, resolveToken, clean } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { buildObjectStorySpec } from './_creative-helpers.js';
 
 const executeFunction = async ({
     // 1) Routing / placement
@@ -43,63 +45,6 @@ const executeFunction = async ({
   }) => {
     const baseUrl = getBaseUrl();
   
-    const buildObjectStorySpec = ({
-      actor, creative_type, message,
-      cta_type, cta_link_url, link_url,
-      image_hash, video_id, child_attachments
-    }) => {
-      const spec = { ...actor };
-  
-      if (creative_type === 'link') {
-        const linkData = clean({
-          link: link_url,
-          message,
-          image_hash,
-          call_to_action: cta_type && cta_link_url ? {
-            type: cta_type,
-            value: { link: cta_link_url }
-          } : undefined
-        });
-        spec.link_data = linkData;
-      }
-  
-      if (creative_type === 'video') {
-        const videoData = clean({
-          video_id,
-          message,
-          link: link_url,
-          call_to_action: cta_type && cta_link_url ? {
-            type: cta_type,
-            value: { link: cta_link_url }
-          } : undefined
-        });
-        spec.video_data = videoData;
-      }
-  
-      if (creative_type === 'carousel') {
-        const carousel = {
-          message,
-          child_attachments: (child_attachments || []).map((card) => clean({
-            name: card.name,
-            description: card.description,
-            link: card.link_url,
-            image_hash: card.image_hash,
-            video_id: card.video_id
-          }))
-        };
-        // Optional whole-carousel CTA
-        if (cta_type && cta_link_url) {
-          carousel.call_to_action = {
-            type: cta_type,
-            value: { link: cta_link_url }
-          };
-        }
-        spec.carousel_data = carousel;
-      }
-  
-      return spec;
-    };
-  
     // ---- Validate required inputs ----
     if (!account_id) return { error: 'Missing required parameter: account_id' };
     if (!adset_id) return { error: 'Missing required parameter: adset_id' };
@@ -174,7 +119,7 @@ const executeFunction = async ({
       const creativeBody = new URLSearchParams(creativeParams);
   
       console.log('🧱 Creating Ad Creative at:', creativeUrl);
-      const creativeResp = await fetch(creativeUrl, {
+      const creativeResp = await graphFetch(creativeUrl, {
         method: 'POST',
         headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
         body: creativeBody.toString()
@@ -207,7 +152,7 @@ const executeFunction = async ({
       const adBody = new URLSearchParams(adParams);
   
       console.log('🚀 Creating Ad at:', adUrl);
-      const adResp = await fetch(adUrl, {
+      const adResp = await graphFetch(adUrl, {
         method: 'POST',
         headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
         body: adBody.toString()
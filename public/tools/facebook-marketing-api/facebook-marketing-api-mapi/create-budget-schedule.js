@@ -3,21 +3,41 @@
  * Allows scheduling budget increases based on anticipated high-demand periods.
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
-import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { getBaseUrl, safeFacebookError, getObjectAccount, describeMoney, toMinorUnits, checkMoneyArgs, MONEY_UNIT } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { resolveSchedule, describeSchedule } from './_time-utils.js';
 
 const executeFunction = async ({ userId, campaign_id, budget_value, budget_value_type, time_start, time_end }) => {
   const supabase = getSupabaseClient();
   const token = await getTokenForUser(supabase, userId);
   if (!token) return { error: 'No Facebook access token found for this user' };
+  if (budget_value_type === 'ABSOLUTE') {
+    const moneyError = checkMoneyArgs({ budget_value });
+    if (moneyError) return { error: moneyError };
+  }
   try {
+    // An ABSOLUTE value is converted to the minor units of the campaign's account currency, and
+    // dates without an offset are read in its timezone
+    const account = await getObjectAccount(campaign_id, token).catch(() => null);
+    const absolute = budget_value_type === 'ABSOLUTE';
+    if (absolute && !account?.currency) return { error: `Could not determine the currency of campaign ${campaign_id}` };
+    const value = absolute ? toMinorUnits(budget_value, account.currency) : budget_value;
+    const timeZone = account?.timezone_name || 'UTC';
+    let schedule;
+    try {
+      schedule = resolveSchedule({ time_start, time_end }, timeZone);
+    } catch (err) {
+      return { error: err.message };
+    }
+
     const url = `${getBaseUrl()}/${campaign_id}/budget_schedules`;
     const body = {
-      budget_value: String(budget_value),
+      budget_value: String(value),
       budget_value_type,
-      time_start,
-      time_end
+      time_start: schedule.time_start ? Math.floor(schedule.time_start.getTime() / 1000) : undefined,
+      time_end: schedule.time_end ? Math.floor(schedule.time_end.getTime() / 1000) : undefined
     };
-    const response = await fetch(url, {
+    const response = await graphFetch(url, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${token}`,
@@ -29,7 +49,12 @@ const executeFunction = async ({ userId, campaign_id, budget_value, budget_value
       const errorData = await response.json();
       throw new Error(safeFacebookError(errorData));
     }
-    return await response.json();
+    const result = await response.json();
+    return {
+      ...result,
+      ...(absolute ? { money: describeMoney({ budget_value: value }, account.currency) } : {}),
+      schedule: describeSchedule(schedule, timeZone)
+    };
   } catch (error) {
     console.error('Error creating budget schedule:', error);
     return { error: 'An error occurred while creating the budget schedule.', details: error.message };
@@ -42,16 +67,16 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'create_budget_schedule',
-      description: 'Create a budget schedule for a Facebook Ads campaign to automatically increase budgets during high-demand periods. Specify a time window (Unix timestamps) and either an absolute budget value or a multiplier. Useful for seasonal promotions, flash sales, or event-based campaigns. The userId is auto-filled from server workspace if not provided.',
+      description: 'Create a budget schedule for a Facebook Ads campaign to automatically increase budgets during high-demand periods. Specify a time window (Unix timestamps, or dates and times in the ad account timezone) and either an absolute budget value (in the ad account currency) or a multiplier. Useful for seasonal promotions, flash sales, or event-based campaigns. The userId is auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
           userId: { type: 'string', description: 'The authenticated user ID (auto-filled from server workspace if not provided).' },
           campaign_id: { type: 'string', description: 'The campaign ID to create the budget schedule for.' },
-          budget_value: { type: 'integer', description: 'Amount of budget increase (cents for ABSOLUTE, multiplier for MULTIPLIER).' },
-          budget_value_type: { type: 'string', enum: ['ABSOLUTE', 'MULTIPLIER'], description: 'Type of budget value: ABSOLUTE (fixed amount in cents) or MULTIPLIER (e.g., 2 = 2x budget).' },
-          time_start: { type: 'integer', description: 'Unix timestamp for when the high-demand period starts.' },
-          time_end: { type: 'integer', description: 'Unix timestamp for when the high-demand period ends.' }
+          budget_value: { type: 'number', description: `Amount of budget increase: for ABSOLUTE ${MONEY_UNIT}; for MULTIPLIER the multiplier.` },
+          budget_value_type: { type: 'string', enum: ['ABSOLUTE', 'MULTIPLIER'], description: 'Type of budget value: ABSOLUTE (fixed amount in the ad account currency) or MULTIPLIER (e.g., 2 = 2x budget).' },
+          time_start: { type: 'string', description: 'When the high-demand period starts: a Unix timestamp (seconds), or a date/time in the ad account timezone (ISO 8601 without offset, a date, or words like "tomorrow 9am").' },
+          time_end: { type: 'string', description: 'When the high-demand period ends, in the same formats as time_start.' }
         },
         required: ['userId', 'campaign_id', 'budget_value', 'budget_value_type', 'time_start', 'time_end']
       }
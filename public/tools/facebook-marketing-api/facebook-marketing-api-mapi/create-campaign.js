@@ -1,7 +1,9 @@
 /**
  * MCP Tool for creating Facebook campaigns for engagement/conversations
  */
-import { getBaseUrl, normalizeAccountId, resolveToken, clean } from './_shared-helpers.js';
+import { getBaseUrl, normalizeAccountId, resolveToken, clean, getAccountSettings, describeMoney, toMinorUnits, checkMoneyArgs, MONEY_UNIT } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { resolveSchedule, describeSchedule, toLocalIso } from './_time-utils.js';
 
 /**
  * Create a Facebook campaign for driving conversations/engagement
@@ -14,9 +16,10 @@ const executeFunction = async ({
   special_ad_categories = ['NONE'],
   buying_type = 'AUCTION',
   bid_strategy = 'LOWEST_COST_WITHOUT_CAP',
-  daily_budget = 50000,
+  daily_budget = null,
   lifetime_budget = null,
-  campaign_budget_optimization = true
+  campaign_budget_optimization = true,
+  stop_time = 'in 7 days end of day'
 }) => {
   const baseUrl = getBaseUrl();
 
@@ -49,6 +52,9 @@ const executeFunction = async ({
     };
   }
 
+  const moneyError = checkMoneyArgs({ daily_budget, lifetime_budget });
+  if (moneyError) return { error: moneyError };
+
   // Normalize the objective (trim whitespace)
   const normalizedObjective = objective.trim();
 
@@ -70,11 +76,22 @@ const executeFunction = async ({
     // Generate campaign name with timestamp if not provided
     const campaignName = name || `Campaign ${normalizedObjective} ${new Date().toISOString()}`;
     
-    // Calculate stop_time (7 days from now)
-    const stopTime = new Date();
-    stopTime.setDate(stopTime.getDate() + 7);
-
     const acctId = normalizeAccountId(account_id);
+
+    // Budgets are converted to the account currency's minor units; stop_time is read in the
+    // account timezone (default: the end of the 7th day from today there)
+    const account = await getAccountSettings(acctId, token);
+    if (!account.currency && [daily_budget, lifetime_budget].some((v) => v != null)) {
+      return { error: `Could not determine the currency of ad account ${acctId}` };
+    }
+    const timeZone = account.timezone_name || 'UTC';
+    let schedule;
+    try {
+      schedule = resolveSchedule({ stop_time }, timeZone);
+    } catch (err) {
+      return { error: err.message };
+    }
+
     const url = `${baseUrl}/act_${acctId}/campaigns`;
 
     const campaignParams = {
@@ -82,7 +99,7 @@ const executeFunction = async ({
       objective: normalizedObjective,
       status,
       buying_type,
-      stop_time: stopTime.toISOString(),
+      stop_time: schedule.stop_time ? toLocalIso(schedule.stop_time, timeZone) : undefined,
       access_token: token
     };
 
@@ -97,16 +114,16 @@ const executeFunction = async ({
     if (campaign_budget_optimization) {
       campaignParams.bid_strategy = bid_strategy;
       if (lifetime_budget && Number(lifetime_budget) > 0) {
-        campaignParams.lifetime_budget = String(lifetime_budget);
+        campaignParams.lifetime_budget = String(toMinorUnits(lifetime_budget, account.currency));
       } else if (daily_budget && Number(daily_budget) > 0) {
-        campaignParams.daily_budget = String(daily_budget);
+        campaignParams.daily_budget = String(toMinorUnits(daily_budget, account.currency));
       }
     }
 
     const cleanedParams = clean(campaignParams);
     const body = new URLSearchParams(cleanedParams);
 
-    const response = await fetch(url, {
+    const response = await graphFetch(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded'
@@ -134,8 +151,13 @@ const executeFunction = async ({
         cbo_enabled: campaign_budget_optimization,
         budget_level: campaign_budget_optimization ? 'campaign' : 'ad_set',
         budget_type: lifetime_budget && campaign_budget_optimization ? 'lifetime' : 'daily',
-        budget_amount: campaign_budget_optimization ? (lifetime_budget || daily_budget) : null
+        budget_amount: campaign_budget_optimization ? (lifetime_budget || daily_budget) : null,
+        ...describeMoney({
+          daily_budget: campaignParams.daily_budget,
+          lifetime_budget: campaignParams.lifetime_budget,
+        }, account.currency),
       },
+      schedule: describeSchedule(schedule, timeZone),
     };
   } catch (error) {
     console.error('Error in executeFunction:', error);
@@ -156,7 +178,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'create_campaign',
-      description: 'Create a new Facebook Ads campaign under the specified ad account. Requires an objective (OUTCOME_AWARENESS, OUTCOME_TRAFFIC, OUTCOME_ENGAGEMENT, OUTCOME_LEADS, OUTCOME_SALES, OUTCOME_APP_PROMOTION). Supports optional budget (daily/lifetime), bid strategy, schedule, special ad categories, and campaign name. Returns the created campaign ID. The account_id is auto-filled from server workspace if not provided.',
+      description: 'Create a new Facebook Ads campaign under the specified ad account. Requires an objective (OUTCOME_AWARENESS, OUTCOME_TRAFFIC, OUTCOME_ENGAGEMENT, OUTCOME_LEADS, OUTCOME_SALES, OUTCOME_APP_PROMOTION). Supports optional budget (daily/lifetime, in the ad account currency), bid strategy, schedule, special ad categories, and campaign name. Returns the created campaign ID. The account_id is auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
@@ -204,12 +226,16 @@ const apiTool = {
             description: 'Bid strategy (default: LOWEST_COST_WITHOUT_CAP)'
           },
           daily_budget: {
-            type: 'integer',
-            description: 'Daily budget in cents (ex. 50000 cents = 500.00). Used when campaign_budget_optimization is true and no lifetime_budget is set.'
+            type: 'number',
+            description: `Daily budget ${MONEY_UNIT}. Required when campaign_budget_optimization is true and no lifetime_budget is set.`
           },
           lifetime_budget: {
-            type: 'integer',
-            description: 'Lifetime budget in cents. If set and campaign_budget_optimization is true, this overrides daily_budget.'
+            type: 'number',
+            description: `Lifetime budget ${MONEY_UNIT}. If set and campaign_budget_optimization is true, this overrides daily_budget.`
+          },
+          stop_time: {
+            type: 'string',
+            description: 'When the campaign stops, in the ad account timezone: ISO 8601 (offset added automatically), a date, or words like "in 14 days end of day" or "2025-02-01 midnight Manila time" (default: "in 7 days end of day").'
           },
           campaign_budget_optimization: {
             type: 'boolean',
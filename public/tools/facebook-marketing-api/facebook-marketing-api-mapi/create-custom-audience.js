@@ -0,0 +1,200 @@
+/**
+ * MCP Tool: Create Custom Audience
+ * Creates a customer list, website (pixel rule), engagement (page / Instagram) or video
+ * viewer audience and reports its size and status.
+ */
+import { getBaseUrl, normalizeAccountId, resolveToken, clean } from './_shared-helpers.js';
+import { graphFetch, isDryRun } from './_graph-client.js';
+import {
+  AUDIENCE_FIELDS,
+  AUDIENCE_TYPES,
+  PAGE_ENGAGEMENT_EVENTS,
+  INSTAGRAM_ENGAGEMENT_EVENTS,
+  VIDEO_EVENTS,
+  buildAudienceSpec,
+  describeAudience,
+} from './_audience-helpers.js';
+
+const executeFunction = async ({
+  account_id,
+  type,
+  name,
+  description = null,
+  customer_file_source = 'USER_PROVIDED_ONLY',
+  pixel_id = null,
+  url_contains = [],
+  event_name = null,
+  page_id = null,
+  instagram_account_id = null,
+  engagement_event = null,
+  video_ids = [],
+  video_event = 'video_watched',
+  retention_days = null,
+  prefill = true
+}) => {
+  const baseUrl = getBaseUrl();
+
+  if (!account_id) return { error: 'Missing required parameter: account_id' };
+  if (!type) return { error: `Missing required parameter: type. Please choose from: ${AUDIENCE_TYPES.join(', ')}` };
+  if (!name) return { error: 'Missing required parameter: name' };
+
+  let spec;
+  try {
+    spec = buildAudienceSpec(type, {
+      customer_file_source,
+      pixel_id,
+      url_contains,
+      event_name,
+      page_id,
+      instagram_account_id,
+      engagement_event,
+      video_ids,
+      video_event,
+      retention_days: retention_days ?? undefined,
+      prefill,
+    });
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  try {
+    const { token } = await resolveToken(account_id);
+    const acctId = normalizeAccountId(account_id);
+
+    const params = clean({
+      name,
+      description,
+      subtype: spec.subtype,
+      customer_file_source: spec.customer_file_source,
+      rule: spec.rule ? JSON.stringify(spec.rule) : undefined,
+      retention_days: spec.retention_days != null ? String(spec.retention_days) : undefined,
+      prefill: spec.prefill != null ? String(spec.prefill) : undefined,
+      access_token: token
+    });
+
+    const response = await graphFetch(`${baseUrl}/act_${acctId}/customaudiences`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params).toString()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      console.error('Facebook API error:', errorData);
+      return {
+        error: `Custom audience creation failed: ${errorData.error?.message || 'Unknown error'}`,
+        details: errorData
+      };
+    }
+
+    const created = await response.json();
+
+    // Size and status are only known once Meta has started matching; read back what there is
+    let audience = { id: created.id, name };
+    if (!isDryRun()) {
+      const readBack = await graphFetch(`${baseUrl}/${created.id}?fields=${AUDIENCE_FIELDS}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (readBack.ok) audience = await readBack.json();
+    }
+
+    return {
+      success: true,
+      type,
+      audience: describeAudience(audience),
+      next_steps: type === 'customer_list'
+        ? 'Upload customers to this audience; it can be used as custom_audience_id once delivery_status is ready.'
+        : 'Meta fills the audience from past activity (prefill); use the id as custom_audience_id once it is ready.'
+    };
+  } catch (error) {
+    console.error('Error creating custom audience:', error);
+    return { error: 'An error occurred while creating the custom audience.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'create_custom_audience',
+      description: 'Create a custom audience in a Facebook Ad Account: a customer list (filled by uploading customers), website visitors from a pixel (optionally filtered by URL keywords or event), people who engaged with a Facebook page or Instagram account, or people who watched videos. Returns the audience id with approximate_count, delivery_status and operation_status; pass the id as custom_audience_id to the create_ad_set_* tools. The account_id is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'string',
+            description: 'REQUIRED: Facebook ad account ID (no act_ prefix)'
+          },
+          type: {
+            type: 'string',
+            enum: AUDIENCE_TYPES,
+            description: 'REQUIRED: customer_list, website (pixel rule), engagement (page or Instagram account) or video (video viewers)'
+          },
+          name: {
+            type: 'string',
+            description: 'REQUIRED: Audience name shown in Ads Manager'
+          },
+          description: {
+            type: 'string',
+            description: 'Optional description'
+          },
+          customer_file_source: {
+            type: 'string',
+            enum: ['USER_PROVIDED_ONLY', 'PARTNER_PROVIDED_ONLY', 'BOTH_USER_AND_PARTNER_PROVIDED'],
+            description: 'customer_list only: where the customer data came from (default: USER_PROVIDED_ONLY)'
+          },
+          pixel_id: {
+            type: 'string',
+            description: 'website only: Meta pixel ID whose visitors make up the audience'
+          },
+          url_contains: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'website only: keep visitors of URLs containing any of these strings (case-insensitive). Default: all visitors'
+          },
+          event_name: {
+            type: 'string',
+            description: 'website only: keep people who fired this pixel event (e.g. "Purchase", "AddToCart", "Lead")'
+          },
+          page_id: {
+            type: 'string',
+            description: 'engagement only: Facebook page whose engagers make up the audience; ignored when instagram_account_id is given'
+          },
+          instagram_account_id: {
+            type: 'string',
+            description: 'engagement only: Instagram business account whose engagers make up the audience; takes precedence over page_id'
+          },
+          engagement_event: {
+            type: 'string',
+            enum: [...PAGE_ENGAGEMENT_EVENTS, ...INSTAGRAM_ENGAGEMENT_EVENTS],
+            description: `engagement only: page events (${PAGE_ENGAGEMENT_EVENTS.join(', ')}; default page_engaged) or Instagram events (${INSTAGRAM_ENGAGEMENT_EVENTS.join(', ')}; default ig_business_profile_all)`
+          },
+          video_ids: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'video only: IDs of the videos whose viewers make up the audience'
+          },
+          video_event: {
+            type: 'string',
+            enum: VIDEO_EVENTS,
+            description: 'video only: how much of a video people watched (default: video_watched, 3 seconds)'
+          },
+          retention_days: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 365,
+            description: 'Look-back window in days: website up to 180 (default 30), engagement and video up to 365 (default 365)'
+          },
+          prefill: {
+            type: 'boolean',
+            description: 'Include people who matched the rule before the audience was created (default: true)'
+          }
+        },
+        required: ['account_id', 'type', 'name']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,156 @@
+/**
+ * MCP Tool: Create Custom Conversion
+ * Creates a custom conversion on a pixel: which events count (by event name, page URL and
+ * event parameters), the category Meta reports it under, and its default value.
+ */
+import { getBaseUrl, normalizeAccountId, resolveToken, getAccountCurrency, safeFacebookError, MONEY_UNIT } from './_shared-helpers.js';
+import { graphFetch, isDryRun } from './_graph-client.js';
+import {
+  CUSTOM_CONVERSION_FIELDS,
+  CUSTOM_CONVERSION_CATEGORIES,
+  CONVERSION_RULE_PROPERTIES,
+  buildConversionRule,
+  describeCustomConversion,
+} from './_custom-conversion-helpers.js';
+
+const executeFunction = async ({
+  account_id,
+  pixel_id,
+  name,
+  description = null,
+  category = 'OTHER',
+  default_conversion_value = null,
+  event_name = null,
+  url_contains = [],
+  url_equals = [],
+  parameters = [],
+  rule = null
+}) => {
+  if (!account_id) return { error: 'Missing required parameter: account_id' };
+  if (!pixel_id) return { error: 'Missing required parameter: pixel_id' };
+  if (!name || !String(name).trim()) return { error: 'Missing required parameter: name' };
+  if (!CUSTOM_CONVERSION_CATEGORIES.includes(category)) {
+    return { error: `category must be one of ${CUSTOM_CONVERSION_CATEGORIES.join(', ')}` };
+  }
+  if (default_conversion_value != null && !(Number(default_conversion_value) >= 0)) {
+    return { error: 'default_conversion_value must be zero or a positive amount' };
+  }
+  const readable = event_name || [url_contains, url_equals, parameters].some((list) => list?.length);
+  if (rule && readable) return { error: 'Provide either a raw rule or event_name/url_contains/url_equals/parameters, not both' };
+
+  let conversionRule = rule;
+  if (typeof rule === 'string') {
+    try {
+      conversionRule = JSON.parse(rule);
+    } catch {
+      return { error: 'rule must be a JSON object' };
+    }
+  }
+  if (!conversionRule) {
+    try {
+      conversionRule = buildConversionRule({ event_name, url_contains, url_equals, parameters });
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  try {
+    const { token } = await resolveToken(account_id);
+    const acctId = normalizeAccountId(account_id);
+    const currency = await getAccountCurrency(acctId, token).catch(() => null);
+
+    const params = {
+      name: String(name).trim(),
+      event_source_id: String(pixel_id),
+      rule: JSON.stringify(conversionRule),
+      custom_event_type: category,
+      ...(description ? { description } : {}),
+      ...(default_conversion_value != null ? { default_conversion_value: String(Number(default_conversion_value)) } : {})
+    };
+    const headers = { 'Authorization': `Bearer ${token}` };
+    const response = await graphFetch(`${getBaseUrl()}/act_${acctId}/customconversions`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params).toString()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+    const { id } = await response.json();
+
+    let conversion = {
+      id,
+      name: params.name,
+      description,
+      custom_event_type: category,
+      default_conversion_value,
+      pixel: { id: String(pixel_id) },
+      rule: conversionRule
+    };
+    if (!isDryRun()) {
+      const readBack = await graphFetch(`${getBaseUrl()}/${id}?fields=${CUSTOM_CONVERSION_FIELDS}`, { headers });
+      if (readBack.ok) conversion = await readBack.json();
+    }
+
+    return {
+      success: true,
+      custom_conversion_id: id,
+      custom_conversion: describeCustomConversion(conversion, currency),
+      use_with: `Pass custom_conversion_id "${id}" to create_ad_set_sales or create_ad_set_leads (website conversion locations) to optimize for it. It counts events from now on; check get_custom_conversion_stats once the pixel has fired.`
+    };
+  } catch (error) {
+    console.error('Error creating custom conversion:', error);
+    return { error: 'An error occurred while creating the custom conversion.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'create_custom_conversion',
+      description: `Create a custom conversion on a pixel (pixel IDs from get_pixel_details): count an event only when its page URL contains or equals given text and/or its parameters match (e.g. Purchase with value > 100, or page views of URLs containing /thank-you). Set the category Meta reports it under (${CUSTOM_CONVERSION_CATEGORIES.slice(0, 4).join(', ')}... default OTHER) and a default value in the account currency for events that send none. The rule cannot be changed after creation. A raw Meta rule is accepted for anything else. Returns the conversion ID to optimize sales or leads ad sets for. The account_id is auto-filled from server workspace if not provided.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'string',
+            description: 'The ID of the ad account the conversion belongs to.'
+          },
+          pixel_id: {
+            type: 'string',
+            description: 'REQUIRED: The pixel (or dataset) whose events are counted.'
+          },
+          name: {
+            type: 'string',
+            description: 'REQUIRED: Conversion name, e.g. "Purchases over ₱1,000"'
+          },
+          description: {
+            type: 'string',
+            description: 'Optional description.'
+          },
+          category: {
+            type: 'string',
+            enum: CUSTOM_CONVERSION_CATEGORIES,
+            description: 'Standard event category the conversion is reported and optimized as (default: OTHER).'
+          },
+          default_conversion_value: {
+            type: 'number',
+            description: `Value counted for events that send none, ${MONEY_UNIT}.`
+          },
+          ...CONVERSION_RULE_PROPERTIES,
+          rule: {
+            type: 'object',
+            description: 'Raw Meta rule instead of the fields above, e.g. { "and": [{ "event": { "eq": "Purchase" } }, { "url": { "i_contains": "checkout" } }] }.'
+          }
+        },
+        required: ['account_id', 'pixel_id', 'name']
+      }
+    }
+  }
+};
+
+export { apiTool };
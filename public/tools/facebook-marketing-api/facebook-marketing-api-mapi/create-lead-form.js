@@ -0,0 +1,221 @@
+/**
+ * MCP Tool: Create Lead Form
+ * Creates an instant form on a page: standard and custom questions (with conditional
+ * answers), privacy policy, intro and thank-you screens, intent and locale.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch, isDryRun } from './_graph-client.js';
+import {
+  LEAD_FORM_FIELDS,
+  STANDARD_QUESTION_TYPES,
+  THANK_YOU_BUTTON_TYPES,
+  FORM_INTENTS,
+  getPageAccessToken,
+  buildLeadFormQuestions,
+  buildContextCard,
+  buildThankYouPage,
+  describeQuestion,
+} from './_lead-helpers.js';
+
+const LOCALE_PATTERN = /^[a-z]{2,3}_[A-Z]{2}$/i;
+
+const executeFunction = async ({
+  userId,
+  page_id,
+  name,
+  questions,
+  privacy_policy_url,
+  privacy_policy_link_text = null,
+  intro = null,
+  thank_you = null,
+  intent = 'more_volume',
+  locale = 'EN_US'
+}) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!page_id) return { error: 'Missing required parameter: page_id' };
+  if (!name || !String(name).trim()) return { error: 'Missing required parameter: name' };
+  if (!privacy_policy_url || !/^https?:\/\//i.test(privacy_policy_url)) {
+    return { error: 'privacy_policy_url must be an http(s) URL; Meta requires a privacy policy on every form' };
+  }
+  if (!Object.prototype.hasOwnProperty.call(FORM_INTENTS, intent)) {
+    return { error: 'intent must be "more_volume" or "higher_intent"' };
+  }
+  if (!LOCALE_PATTERN.test(locale)) return { error: `locale must look like EN_US or ES_LA, got "${locale}"` };
+
+  let formQuestions;
+  let contextCard;
+  let thankYouPage;
+  try {
+    formQuestions = buildLeadFormQuestions(questions);
+    contextCard = buildContextCard(intro);
+    thankYouPage = buildThankYouPage(thank_you);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const params = {
+    name: String(name).trim(),
+    locale: locale.toUpperCase(),
+    questions: JSON.stringify(formQuestions),
+    privacy_policy: JSON.stringify({
+      url: privacy_policy_url,
+      ...(privacy_policy_link_text ? { link_text: privacy_policy_link_text } : {})
+    }),
+    is_optimized_for_quality: String(FORM_INTENTS[intent]),
+    ...(contextCard ? { context_card: JSON.stringify(contextCard) } : {}),
+    ...(thankYouPage ? { thank_you_page: JSON.stringify(thankYouPage) } : {})
+  };
+
+  try {
+    const pageToken = await getPageAccessToken(page_id, token);
+    const headers = { 'Authorization': `Bearer ${pageToken}` };
+    const response = await graphFetch(`${getBaseUrl()}/${page_id}/leadgen_forms`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params).toString()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+
+    const { id } = await response.json();
+
+    // Read back what Meta stored (question keys may be normalized); skipped in dry runs
+    let form = { id, name: params.name, locale: params.locale, questions: formQuestions };
+    if (!isDryRun()) {
+      const formResponse = await graphFetch(`${getBaseUrl()}/${id}?fields=${LEAD_FORM_FIELDS}`, { headers });
+      if (formResponse.ok) form = { ...form, ...(await formResponse.json()) };
+    }
+    const { questions: storedQuestions = [], ...details } = form;
+
+    return {
+      success: true,
+      lead_gen_form_id: id,
+      page_id,
+      form: {
+        ...details,
+        intent,
+        questions: storedQuestions.map(describeQuestion),
+        question_keys: storedQuestions.map((q) => q.key)
+      },
+      use_with: {
+        create_ad_set_leads: { page_id, conversion_location: 'instant_forms' },
+        create_ad_creative: { page_id, lead_gen_form_id: id, cta_type: 'SIGN_UP' }
+      }
+    };
+  } catch (error) {
+    console.error('Error creating lead form:', error.message);
+    return { error: 'An error occurred while creating the lead form.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'create_lead_form',
+      description: 'Create an instant form (lead form) on a Facebook Page. Questions are standard prefilled fields ("EMAIL", "PHONE", "FULL_NAME"...) or custom questions with a label and optional answer options; a custom question can make the answers of a follow-up question depend on its answer (conditional answers). Requires a privacy policy URL; optionally add an intro screen, a thank-you screen with a website or call button, choose "more_volume" (default) or "higher_intent" (adds a review step), and set the locale. Returns lead_gen_form_id plus use_with arguments for create_ad_set_leads (conversion_location "instant_forms") and create_ad_creative. The userId and page_id are auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          page_id: {
+            type: 'string',
+            description: 'The page the form is created on; its Page access token is used.'
+          },
+          name: {
+            type: 'string',
+            description: 'REQUIRED: Form name shown in Ads Manager, e.g. "Quote request - March"'
+          },
+          questions: {
+            type: 'array',
+            minItems: 1,
+            description: `REQUIRED: Questions in order. Standard types: ${STANDARD_QUESTION_TYPES.join(', ')}. Custom: { "label": "Budget?", "options": ["Under 10k", "10k+"] }. Conditional: add "conditional": { "label": "City", "choices": { "Metro Manila": ["Makati", "Taguig"], "Cebu": ["Cebu City"] } } to a custom question.`,
+            items: {
+              anyOf: [
+                { type: 'string', description: 'A standard question type, e.g. "EMAIL"' },
+                {
+                  type: 'object',
+                  properties: {
+                    type: { type: 'string', description: 'Standard type or CUSTOM (default: CUSTOM)' },
+                    label: { type: 'string', description: 'Question text (required for custom questions)' },
+                    key: { type: 'string', description: 'Answer key in leads (default: derived from the label)' },
+                    options: {
+                      type: 'array',
+                      items: { anyOf: [{ type: 'string' }, { type: 'object', properties: { value: { type: 'string' }, key: { type: 'string' } } }] },
+                      description: 'Answer options for a multiple-choice custom question'
+                    },
+                    conditional: {
+                      type: 'object',
+                      properties: {
+                        label: { type: 'string', description: 'Follow-up question text' },
+                        key: { type: 'string', description: 'Follow-up answer key' },
+                        choices: { type: 'object', description: 'Map of this question\'s answer to the follow-up answers it allows' }
+                      },
+                      description: 'A follow-up question whose answer options depend on this answer'
+                    }
+                  }
+                }
+              ]
+            }
+          },
+          privacy_policy_url: {
+            type: 'string',
+            description: 'REQUIRED: Link to the business privacy policy'
+          },
+          privacy_policy_link_text: {
+            type: 'string',
+            description: 'Optional text for the privacy policy link'
+          },
+          intro: {
+            type: 'object',
+            properties: {
+              headline: { type: 'string' },
+              description: {
+                anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+                description: 'A paragraph, or a list of bullet points'
+              },
+              style: { type: 'string', enum: ['paragraph', 'list'] },
+              button_text: { type: 'string' },
+              cover_photo_id: { type: 'string' }
+            },
+            description: 'Optional intro screen shown before the questions'
+          },
+          thank_you: {
+            type: 'object',
+            properties: {
+              headline: { type: 'string' },
+              description: { type: 'string' },
+              button_type: { type: 'string', enum: THANK_YOU_BUTTON_TYPES },
+              button_text: { type: 'string' },
+              website_url: { type: 'string' },
+              phone_number: { type: 'string', description: 'For CALL_BUSINESS, with country code' }
+            },
+            description: 'Optional thank-you screen shown after submitting'
+          },
+          intent: {
+            type: 'string',
+            enum: Object.keys(FORM_INTENTS),
+            description: 'more_volume (default): quick to submit. higher_intent: adds a review step so people confirm their info.'
+          },
+          locale: {
+            type: 'string',
+            description: 'Form language, e.g. EN_US (default), ES_LA, TL_PH'
+          }
+        },
+        required: ['userId', 'page_id', 'name', 'questions', 'privacy_policy_url']
+      }
+    }
+  }
+};
+
+export { apiTool };
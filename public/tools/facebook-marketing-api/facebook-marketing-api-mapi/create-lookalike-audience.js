@@ -0,0 +1,160 @@
+/**
+ * MCP Tool: Create Lookalike Audience
+ * Builds lookalike audiences from a custom audience or a page, for each ratio tier and
+ * either each country or all countries together, in one batch request.
+ */
+import { normalizeAccountId, resolveToken, locationEnum } from './_shared-helpers.js';
+import { graphBatch, isDryRun, MAX_BATCH_SIZE } from './_graph-client.js';
+import {
+  AUDIENCE_FIELDS,
+  describeAudience,
+  parseLookalikeTier,
+  expandLookalikeCountries,
+} from './_audience-helpers.js';
+
+const executeFunction = async ({
+  account_id,
+  source_audience_id = null,
+  page_id = null,
+  countries = null,
+  ratio_tiers = ['1%'],
+  per_country = true,
+  name_prefix = null
+}) => {
+  if (!account_id) return { error: 'Missing required parameter: account_id' };
+  // The server fills page_id from the workspace, so a given source audience wins over it
+  const seedPageId = source_audience_id ? null : page_id;
+  if (!source_audience_id && !seedPageId) return { error: 'Provide source_audience_id or page_id' };
+  // No default country: a guessed one builds audiences for a market the advertiser may not sell in
+  if (countries == null || countries === '') {
+    return { error: 'Missing required parameter: countries (the countries or regions to find people in, e.g. ["PH"] or ["ASEAN"])' };
+  }
+
+  let tiers;
+  let countryCodes;
+  try {
+    tiers = (Array.isArray(ratio_tiers) ? ratio_tiers : [ratio_tiers]).map(parseLookalikeTier);
+    countryCodes = expandLookalikeCountries(Array.isArray(countries) ? countries : [countries]);
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (!tiers.length) return { error: 'ratio_tiers must name at least one tier' };
+  if (!countryCodes.length) return { error: 'countries must name at least one country or region' };
+
+  // One audience per tier and country, or per tier with every country in its location spec
+  const groups = per_country ? countryCodes.map((code) => [code]) : [countryCodes];
+  const plan = groups.flatMap((group) => tiers.map((tier) => ({ countries: group, tier })));
+  if (plan.length > MAX_BATCH_SIZE) {
+    return { error: `That is ${plan.length} lookalike audiences; at most ${MAX_BATCH_SIZE} can be created per call (fewer countries, fewer tiers or per_country: false)` };
+  }
+
+  const source = source_audience_id ? `audience ${source_audience_id}` : `page ${seedPageId}`;
+  const prefix = name_prefix || `Lookalike of ${source}`;
+
+  try {
+    const { token } = await resolveToken(account_id);
+    const acctId = normalizeAccountId(account_id);
+
+    const requests = plan.map(({ countries: group, tier }) => {
+      const spec = {
+        type: 'similarity',
+        starting_ratio: tier.starting_ratio,
+        ratio: tier.ratio,
+        ...(group.length === 1 ? { country: group[0] } : { location_spec: { geo_locations: { countries: group } } }),
+        ...(seedPageId ? { page_id: String(seedPageId), conversion_type: 'page_like' } : {}),
+      };
+      return {
+        method: 'POST',
+        relative_url: `act_${acctId}/customaudiences`,
+        body: {
+          name: `${prefix} (${group.length === 1 ? group[0] : `${group.length} countries`}, ${tier.label})`,
+          subtype: 'LOOKALIKE',
+          ...(source_audience_id ? { origin_audience_id: String(source_audience_id) } : {}),
+          lookalike_spec: spec,
+        },
+      };
+    });
+
+    const created = await graphBatch(requests, { token });
+    const failed = created.filter((r) => !r.ok);
+
+    // Meta fills lookalikes over the next hours; report where each one stands now
+    const ids = created.filter((r) => r.ok && r.body?.id).map((r) => r.body.id);
+    const states = new Map();
+    if (ids.length && !isDryRun()) {
+      const reads = await graphBatch(ids.map((id) => ({ relative_url: `${id}?fields=${AUDIENCE_FIELDS},lookalike_spec` })), { token });
+      reads.forEach((r, i) => { if (r.ok) states.set(ids[i], describeAudience(r.body)); });
+    }
+
+    const audiences = created.map((r, i) => ({
+      name: requests[i].body.name,
+      countries: plan[i].countries,
+      tier: plan[i].tier.label,
+      ...(r.ok
+        ? { id: r.body.id, ready: states.get(r.body.id)?.ready ?? false, audience: states.get(r.body.id) || null }
+        : { error: r.error?.message || 'Not created', category: r.category })
+    }));
+
+    return {
+      ...(failed.length === created.length ? { error: `No lookalike audience was created: ${failed[0]?.error?.message || 'unknown error'}` } : {}),
+      success: failed.length === 0,
+      source: source_audience_id ? { custom_audience_id: source_audience_id } : { page_id: seedPageId },
+      created: created.length - failed.length,
+      failed: failed.length,
+      audiences,
+      next_steps: 'Lookalikes take 1-6 hours to fill; use each id as custom_audience_id once ready is true (check with get_custom_audiences).'
+    };
+  } catch (error) {
+    console.error('Error creating lookalike audiences:', error);
+    return { error: 'An error occurred while creating lookalike audiences.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'create_lookalike_audience',
+      description: 'Create lookalike audiences from a source custom audience (e.g. a customer list or website audience) or a Facebook page, for the countries or regions given (PH, US, ASEAN, GCC, EU, ...) and one or more ratio tiers such as "1%", "1-3%" and "3-5%". By default one audience is created per country and tier (layered lookalikes); per_country: false puts all countries in each tier. Returns each audience id with its readiness. The account_id is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'string',
+            description: 'REQUIRED: Facebook ad account ID (no act_ prefix)'
+          },
+          source_audience_id: {
+            type: 'string',
+            description: 'Custom audience to find similar people to; when given, page_id is ignored'
+          },
+          page_id: {
+            type: 'string',
+            description: 'Facebook page whose fans to find similar people to; used only when source_audience_id is not given'
+          },
+          countries: {
+            type: 'array',
+            items: { type: 'string', enum: locationEnum.filter((l) => l !== 'worldwide') },
+            description: 'REQUIRED: Countries or regions to build lookalikes in, e.g. ["PH"] or ["ASEAN"]; there is no default'
+          },
+          ratio_tiers: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Lookalike sizes as a percentage of each country\'s population: "1%" (closest match), "1-3%", "3-5%", up to 10% (default: ["1%"])'
+          },
+          per_country: {
+            type: 'boolean',
+            description: 'One audience per country and tier (default: true); false creates one multi-country audience per tier'
+          },
+          name_prefix: {
+            type: 'string',
+            description: 'Audience name prefix; country and tier are appended (default: "Lookalike of <source>")'
+          }
+        },
+        required: ['account_id', 'countries']
+      }
+    }
+  }
+};
+
+export { apiTool };
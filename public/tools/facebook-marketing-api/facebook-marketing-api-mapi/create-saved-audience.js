@@ -0,0 +1,104 @@
+/**
+ * MCP Tool: Create Saved Audience
+ * Saves a named targeting spec (location, age, gender, interests, or a full spec) so ad sets
+ * can reuse it through saved_audience_id.
+ */
+import { isDryRun } from './_graph-client.js';
+import {
+  SAVED_TARGETING_PROPERTIES,
+  savedAudienceOwner,
+  buildSavedTargeting,
+  summarizeTargeting,
+  insertSavedAudience,
+} from './_saved-audiences.js';
+
+const executeFunction = async ({
+  userId,
+  name,
+  description = null,
+  account_id = null,
+  any_account = false,
+  location,
+  age_min,
+  age_max,
+  gender,
+  interests,
+  targeting
+}) => {
+  if (!name || !String(name).trim()) return { error: 'Missing required parameter: name' };
+
+  let owner;
+  let spec;
+  try {
+    owner = savedAudienceOwner(userId);
+    spec = buildSavedTargeting({ targeting, location, age_min, age_max, gender, interests });
+  } catch (err) {
+    return { error: err.message };
+  }
+  // The server auto-fills account_id, so only an explicit flag saves an account-agnostic audience
+  if (any_account && spec.custom_audiences?.length) {
+    return { error: 'Custom audiences belong to one ad account; save this audience for that account instead of any_account' };
+  }
+  const accountId = any_account ? null : account_id;
+
+  if (isDryRun()) {
+    return {
+      success: true,
+      saved: false,
+      note: 'Dry run: the saved audience was not stored.',
+      saved_audience: { name: String(name).trim(), description, account_id: accountId, targeting: spec, summary: summarizeTargeting(spec) }
+    };
+  }
+
+  try {
+    const savedAudience = await insertSavedAudience(owner, { name: String(name).trim(), description, account_id: accountId, targeting: spec });
+    return {
+      success: true,
+      saved_audience: savedAudience,
+      next_steps: `Pass saved_audience_id "${savedAudience.id}" to a create_ad_set_* tool or update_ad_set to use this targeting.`
+    };
+  } catch (error) {
+    console.error('Error saving audience:', error);
+    return { error: 'An error occurred while saving the audience.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'create_saved_audience',
+      description: 'Save a named audience (targeting spec) for reuse, e.g. "PH 25-44 female, beauty interests": give location, age_min, age_max, gender and interests (ids from get_search_interest), or a full targeting spec. Unset fields default to PH, 18-65, all genders. Pass the returned id as saved_audience_id to the create_ad_set_* tools or update_ad_set. It is tied to account_id (needed when the spec includes that account\'s custom audiences) unless any_account is true. The userId is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          name: {
+            type: 'string',
+            description: 'REQUIRED: Audience name, e.g. "PH 25-44 female, beauty interests"'
+          },
+          description: {
+            type: 'string',
+            description: 'Optional description'
+          },
+          account_id: {
+            type: 'string',
+            description: 'Ad account ID the audience is for (auto-filled from server workspace); ignored when any_account is true'
+          },
+          any_account: {
+            type: 'boolean',
+            description: 'Save the audience for use in any ad account instead of account_id (default: false)'
+          },
+          ...SAVED_TARGETING_PROPERTIES
+        },
+        required: ['userId', 'name']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,59 @@
+/**
+ * MCP Tool: Delete Ad Rule
+ * Permanently deletes an automated rule. Changes it already made stay in place.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+
+const executeFunction = async ({ userId, rule_id }) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!rule_id) return { error: 'Missing required parameter: rule_id' };
+
+  try {
+    const response = await graphFetch(`${getBaseUrl()}/${rule_id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+
+    const result = await response.json();
+    return { success: result.success !== false, rule_id, deleted: result.success !== false };
+  } catch (error) {
+    console.error('Error deleting ad rule:', error);
+    return { error: 'An error occurred while deleting the ad rule.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'delete_ad_rule',
+      description: 'Permanently delete an automated rule by its ID. This cannot be undone; pauses, budget or bid changes it already made are not reverted. To stop a rule but keep it, use update_ad_rule with status DISABLED. The userId is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          rule_id: {
+            type: 'string',
+            description: 'The ID of the rule to delete (from get_ad_rules).'
+          }
+        },
+        required: ['userId', 'rule_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,59 @@
+/**
+ * MCP Tool: Delete Custom Audience
+ * Permanently deletes a custom audience. Ad sets that target it stop delivering to it.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+
+const executeFunction = async ({ userId, audience_id }) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!audience_id) return { error: 'Missing required parameter: audience_id' };
+
+  try {
+    const response = await graphFetch(`${getBaseUrl()}/${audience_id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+
+    const result = await response.json();
+    return { success: result.success !== false, audience_id, deleted: result.success !== false };
+  } catch (error) {
+    console.error('Error deleting custom audience:', error);
+    return { error: 'An error occurred while deleting the custom audience.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'delete_custom_audience',
+      description: 'Permanently delete a custom audience by its ID. This cannot be undone, and ad sets that include or exclude the audience stop using it. The userId is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          audience_id: {
+            type: 'string',
+            description: 'The ID of the custom audience to delete.'
+          }
+        },
+        required: ['userId', 'audience_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,61 @@
+/**
+ * MCP Tool: Delete Saved Audience
+ * Deletes a saved audience. Ad sets created from it keep their targeting.
+ */
+import { isDryRun } from './_graph-client.js';
+import {
+  isGraphSavedAudienceId,
+  savedAudienceOwner,
+  getSavedAudience,
+  deleteSavedAudience,
+} from './_saved-audiences.js';
+
+const executeFunction = async ({ userId, saved_audience_id }) => {
+  if (!saved_audience_id) return { error: 'Missing required parameter: saved_audience_id' };
+  if (isGraphSavedAudienceId(saved_audience_id)) {
+    return { error: 'Saved audiences made in Ads Manager are read-only through the API; delete them in Ads Manager.' };
+  }
+
+  try {
+    const owner = savedAudienceOwner(userId);
+    const current = await getSavedAudience(owner, saved_audience_id);
+    if (!current) return { error: `Saved audience ${saved_audience_id} not found` };
+
+    if (isDryRun()) {
+      return { success: true, deleted: false, note: 'Dry run: the saved audience was not deleted.', saved_audience: current };
+    }
+
+    await deleteSavedAudience(owner, saved_audience_id);
+    return { success: true, deleted: true, saved_audience_id, name: current.name };
+  } catch (error) {
+    console.error('Error deleting saved audience:', error);
+    return { error: 'An error occurred while deleting the saved audience.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'delete_saved_audience',
+      description: 'Delete a saved audience made with create_saved_audience. Ad sets created from it keep their targeting. Ads Manager saved audiences are read-only. The userId is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          saved_audience_id: {
+            type: 'string',
+            description: 'ID of the saved audience to delete (from get_saved_audiences).'
+          }
+        },
+        required: ['userId', 'saved_audience_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,73 @@
+/**
+ * MCP Tool: Detach Ad Labels
+ * Removes labels from many campaigns, ad sets, ads or creatives at once. The labels
+ * themselves stay in the account.
+ */
+import { normalizeAccountId, resolveToken } from './_shared-helpers.js';
+import { labelList, listLabels, matchLabels, changeObjectLabels } from './_label-helpers.js';
+
+const executeFunction = async ({ account_id, labels, object_ids }) => {
+  if (!account_id) return { error: 'Missing required parameter: account_id' };
+  const wanted = labelList(labels);
+  const objects = [...new Set(labelList(object_ids))];
+  if (!wanted.length) return { error: 'labels must list at least one label name or ID' };
+  if (!objects.length) return { error: 'object_ids must list at least one campaign, ad set, ad or creative ID' };
+
+  try {
+    const { token } = await resolveToken(account_id);
+    const acctId = normalizeAccountId(account_id);
+
+    const { found, missing } = matchLabels(wanted, await listLabels(acctId, token));
+    if (missing.length) {
+      return { error: `No ad label named ${missing.map((m) => `"${m}"`).join(', ')} in ad account ${acctId}; see get_ad_labels` };
+    }
+
+    const results = await changeObjectLabels('detach', objects, found, token);
+    const failed = results.filter((r) => !r.ok);
+    return {
+      ...(failed.length ? { error: `${failed.length} of ${objects.length} object(s) could not be updated` } : {}),
+      success: failed.length === 0,
+      labels: found,
+      unlabeled: objects.length - failed.length,
+      results
+    };
+  } catch (error) {
+    console.error('Error detaching ad labels:', error);
+    return { error: 'An error occurred while detaching ad labels.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'detach_ad_labels',
+      description: 'Remove one or more ad labels (by name or ID) from many campaigns, ad sets, ads or creatives at once. IDs of different object types can be mixed; other labels on the objects are kept, and the labels stay in the account for reuse. Each object reports its own result. The account_id is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'string',
+            description: 'The ID of the ad account the labels and objects belong to.'
+          },
+          labels: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            description: 'Label names (case-insensitive) or IDs to remove.'
+          },
+          object_ids: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            description: 'Campaign, ad set, ad or creative IDs to remove the labels from.'
+          }
+        },
+        required: ['account_id', 'labels', 'object_ids']
+      }
+    }
+  }
+};
+
+export { apiTool };
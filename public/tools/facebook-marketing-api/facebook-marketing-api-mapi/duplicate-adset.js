@@ -3,6 +3,7 @@
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
 import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ userId, adset_id, target_campaign_id, name_suffix = ' - Copy', new_status = 'PAUSED' }) => {
   const supabase = getSupabaseClient();
@@ -18,7 +19,7 @@ const executeFunction = async ({ userId, adset_id, target_campaign_id, name_suff
     if (target_campaign_id) params.campaign_id = target_campaign_id;
     for (const [k, v] of Object.entries(params)) url.searchParams.append(k, v);
 
-    const response = await fetch(url.toString(), {
+    const response = await graphFetch(url.toString(), {
       method: 'POST',
       headers: { 'Authorization': `Bearer ${token}` }
     });
@@ -39,7 +40,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'duplicate_adset',
-      description: 'Duplicate a Facebook ad set including all its ads. Optionally move the copy to a different campaign via target_campaign_id. The duplicated ad set starts in the specified status (default: PAUSED). Useful for testing different targeting or budgets. The userId is auto-filled from server workspace if not provided.',
+      description: 'Duplicate a Facebook ad set including all its ads. Optionally move the copy to a different campaign via target_campaign_id. The duplicated ad set starts in the specified status (default: PAUSED). Useful for testing different targeting or budgets; run the original and the copy as cells of a split test with create_ad_study to measure the difference. The userId is auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
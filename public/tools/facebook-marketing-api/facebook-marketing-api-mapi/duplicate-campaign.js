@@ -3,6 +3,7 @@
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
 import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ userId, campaign_id, name_suffix = ' - Copy', new_status = 'PAUSED' }) => {
   const supabase = getSupabaseClient();
@@ -17,7 +18,7 @@ const executeFunction = async ({ userId, campaign_id, name_suffix = ' - Copy', n
     };
     for (const [k, v] of Object.entries(params)) url.searchParams.append(k, v);
 
-    const response = await fetch(url.toString(), {
+    const response = await graphFetch(url.toString(), {
       method: 'POST',
       headers: { 'Authorization': `Bearer ${token}` }
     });
@@ -38,7 +39,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'duplicate_campaign',
-      description: 'Duplicate a Facebook Ads campaign including all its ad sets and ads. Creates a deep copy with an optional name suffix. The duplicated campaign starts in the specified status (default: PAUSED). Useful for A/B testing or creating seasonal variations. The userId is auto-filled from server workspace if not provided.',
+      description: 'Duplicate a Facebook Ads campaign including all its ad sets and ads. Creates a deep copy with an optional name suffix. The duplicated campaign starts in the specified status (default: PAUSED). Useful for seasonal variations, or for A/B testing: change one thing in the copy, then compare it with the original in a split test using create_ad_study. The userId is auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
@@ -3,6 +3,7 @@
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
 import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ userId, creative_id, name_suffix = ' - Copy' }) => {
   const supabase = getSupabaseClient();
@@ -11,7 +12,7 @@ const executeFunction = async ({ userId, creative_id, name_suffix = ' - Copy' })
   const base = getBaseUrl();
   try {
     const fetchUrl = `${base}/${creative_id}?fields=name,object_story_spec,asset_feed_spec,degrees_of_freedom_spec,account_id,url_tags&access_token=${token}`;
-    const fetchResp = await fetch(fetchUrl);
+    const fetchResp = await graphFetch(fetchUrl);
     if (!fetchResp.ok) {
       const errorData = await fetchResp.json();
       throw new Error(safeFacebookError(errorData));
@@ -32,7 +33,7 @@ const executeFunction = async ({ userId, creative_id, name_suffix = ' - Copy' })
     formData.append('access_token', token);
     for (const [k, v] of Object.entries(body)) formData.append(k, v);
 
-    const createResp = await fetch(createUrl, {
+    const createResp = await graphFetch(createUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
       body: formData.toString()
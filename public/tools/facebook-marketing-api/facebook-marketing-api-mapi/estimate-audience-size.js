@@ -3,6 +3,7 @@
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
 import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ account_id, targeting, optimization_goal = 'REACH', base_url }) => {
   const base = base_url || getBaseUrl();
@@ -16,7 +17,7 @@ const executeFunction = async ({ account_id, targeting, optimization_goal = 'REA
     url.searchParams.append('targeting_spec', JSON.stringify(targeting));
     url.searchParams.append('optimization_goal', optimization_goal);
     url.searchParams.append('access_token', token);
-    const response = await fetch(url.toString(), { method: 'GET' });
+    const response = await graphFetch(url.toString(), { method: 'GET' });
     if (!response.ok) {
       const errorData = await response.json();
       throw new Error(safeFacebookError(errorData));
@@ -0,0 +1,140 @@
+/**
+ * MCP Tool: Export Leads
+ * Collects every lead of an instant form (optionally within a time range) and returns them
+ * as CSV or JSON, with one column per form question in form order.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch, graphPaginate, pagingSummary } from './_graph-client.js';
+import {
+  LEAD_FIELDS,
+  getFormPageToken,
+  flattenLead,
+  leadTimeFilter,
+  leadTimeZone,
+  leadColumns,
+  leadRows,
+  leadsToCsv,
+} from './_lead-helpers.js';
+
+const executeFunction = async ({
+  userId,
+  form_id,
+  page_id = null,
+  since = null,
+  until = null,
+  account_id = null,
+  timezone = null,
+  format = 'csv',
+  max_items
+}) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!form_id) return { error: 'Missing required parameter: form_id' };
+  if (!['csv', 'json'].includes(format)) return { error: 'format must be "csv" or "json"' };
+
+  let filter;
+  try {
+    filter = leadTimeFilter({ since, until }, await leadTimeZone({ since, until, timezone }, account_id, token));
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  try {
+    const { pageId, token: pageToken } = await getFormPageToken(form_id, page_id, token);
+    const headers = { 'Authorization': `Bearer ${pageToken}` };
+
+    // The form's questions give the answer columns their order
+    const formResponse = await graphFetch(`${getBaseUrl()}/${form_id}?fields=id,name,questions`, { headers });
+    if (!formResponse.ok) {
+      const errorData = await formResponse.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+    const form = await formResponse.json();
+
+    const url = new URL(`${getBaseUrl()}/${form_id}/leads`);
+    url.searchParams.append('fields', LEAD_FIELDS);
+    if (filter.filtering.length) url.searchParams.append('filtering', JSON.stringify(filter.filtering));
+    const page = await graphPaginate(url, { headers, maxItems: max_items, allPages: !max_items });
+
+    const leads = page.data.map(flattenLead);
+    const columns = leadColumns(leads, (form.questions || []).map((q) => q.key));
+    const content = format === 'csv'
+      ? leadsToCsv(leads, columns)
+      : JSON.stringify(leadRows(leads, columns), null, 2);
+
+    return {
+      form_id,
+      form_name: form.name || null,
+      page_id: pageId,
+      format,
+      time_range: filter.time_range,
+      count: leads.length,
+      columns,
+      filename: `leads-${form_id}-${new Date().toISOString().slice(0, 10)}.${format}`,
+      content,
+      paging: pagingSummary(page)
+    };
+  } catch (error) {
+    console.error('Error exporting leads:', error.message);
+    return { error: 'An error occurred while exporting leads.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'export_leads',
+      description: 'Export the leads of an instant form (lead form) as CSV or JSON text: one row per lead with id, created_time, one column per form question (in form order), then the ad, ad set and campaign it came from, is_organic and platform. Follows every page of leads (up to the server cap) unless max_items is set; filter by since/until (ISO 8601, dates, or words like "yesterday", read in the ad account timezone unless timezone is set). CSV values a spreadsheet would run as formulas are prefixed with an apostrophe. The Page access token comes from the page that owns the form. The userId, account_id and page_id are auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          form_id: {
+            type: 'string',
+            description: 'The ID of the lead form (from get_lead_forms).'
+          },
+          page_id: {
+            type: 'string',
+            description: 'Page to read the form with when its owning page cannot be looked up; the page that owns form_id is used otherwise.'
+          },
+          format: {
+            type: 'string',
+            enum: ['csv', 'json'],
+            description: 'Export format (default: csv).'
+          },
+          since: {
+            type: 'string',
+            description: 'Only leads created at or after this time (e.g. "2025-03-01", "7 days ago").'
+          },
+          until: {
+            type: 'string',
+            description: 'Only leads created before this time (e.g. "today", "2025-03-08T12:00").'
+          },
+          account_id: {
+            type: 'string',
+            description: 'Ad account running the lead ads; since/until are read in its timezone unless timezone is set (auto-filled from server workspace if not provided).'
+          },
+          timezone: {
+            type: 'string',
+            description: 'IANA timezone for since/until without an offset, e.g. "Asia/Manila" (default: the timezone of account_id, else UTC).'
+          },
+          max_items: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Stop after this many leads (default: all).'
+          }
+        },
+        required: ['userId', 'form_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
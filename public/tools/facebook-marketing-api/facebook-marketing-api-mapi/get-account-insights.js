@@ -3,7 +3,10 @@
  * Supports flexible date ranges, breakdowns, and field selection.
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
-import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { getBaseUrl, normalizeAccountId, getAccountTimezone } from './_shared-helpers.js';
+import { graphPaginate, pagingSummary, PAGINATION_PROPERTIES } from './_graph-client.js';
+import { resolveDateRange, describeDateRange } from './_time-utils.js';
+import { INSIGHTS_LABEL_PROPERTIES, labelFilter, insightsLabelLevel } from './_label-helpers.js';
 
 const DEFAULT_FIELDS = 'account_id,account_name,spend,impressions,clicks,unique_clicks,ctr,cpc,cpm,cpp,reach,frequency,actions,action_values,conversions,conversion_values,cost_per_action_type,cost_per_unique_click,inline_link_clicks,inline_link_click_ctr,outbound_clicks,unique_outbound_clicks,social_spend,account_currency';
 
@@ -17,7 +20,12 @@ const executeFunction = async ({
   breakdowns,
   action_breakdowns,
   filtering,
-  limit = 100
+  label,
+  label_level,
+  limit = 100,
+  max_items,
+  all_pages,
+  cursor
 }) => {
   const supabase = getSupabaseClient();
   const acctId = normalizeAccountId(account_id);
@@ -25,6 +33,17 @@ const executeFunction = async ({
   if (!token) return { error: 'No Facebook access token found for this ad account' };
 
   try {
+    // Insights days are calendar days in the account timezone, as in Ads Manager
+    const timeZone = await getAccountTimezone(acctId, token) || 'UTC';
+    let range = null;
+    if (!date_preset && time_range && time_range.since && time_range.until) {
+      try {
+        range = resolveDateRange(time_range, timeZone);
+      } catch (err) {
+        return { error: err.message };
+      }
+    }
+
     const url = new URL(`${getBaseUrl()}/act_${acctId}/insights`);
     url.searchParams.append('fields', fields || DEFAULT_FIELDS);
     url.searchParams.append('level', level);
@@ -33,27 +52,41 @@ const executeFunction = async ({
 
     if (date_preset) {
       url.searchParams.append('date_preset', date_preset);
-    } else if (time_range && time_range.since && time_range.until) {
-      url.searchParams.append('time_range', JSON.stringify(time_range));
+    } else if (range) {
+      url.searchParams.append('time_range', JSON.stringify(range));
     } else {
       url.searchParams.append('date_preset', 'last_30d');
     }
 
     if (breakdowns) url.searchParams.append('breakdowns', breakdowns);
     if (action_breakdowns) url.searchParams.append('action_breakdowns', action_breakdowns);
-    if (filtering) url.searchParams.append('filtering', JSON.stringify(filtering));
-
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(safeFacebookError(errorData));
+    const filters = [...(filtering || [])];
+    if (label) {
+      try {
+        filters.push(await labelFilter(acctId, label, insightsLabelLevel(level, label_level), token));
+      } catch (err) {
+        return { error: err.message };
+      }
     }
+    if (filters.length) url.searchParams.append('filtering', JSON.stringify(filters));
 
-    return await response.json();
+    const page = await graphPaginate(url, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      maxItems: max_items,
+      allPages: all_pages,
+      cursor
+    });
+    // For presets the rows say which days Graph picked
+    const starts = page.data.map((row) => row.date_start).filter(Boolean).sort();
+    const stops = page.data.map((row) => row.date_stop).filter(Boolean).sort();
+    const period = range || (starts.length && stops.length ? { since: starts[0], until: stops[stops.length - 1] } : null);
+    return {
+      data: page.data,
+      summary: page.summary,
+      ...(label ? { label } : {}),
+      reporting_period: period ? describeDateRange(period, timeZone) : { timezone: timeZone, date_preset: date_preset || 'last_30d' },
+      paging: pagingSummary(page)
+    };
   } catch (error) {
     console.error('Error fetching account insights:', error);
     return { error: 'An error occurred while fetching account insights.', details: error.message };
@@ -66,7 +99,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'get_account_insights',
-      description: 'Retrieve performance insights (spend, impressions, clicks, CTR, CPC, conversions, ROAS, etc.) for a Facebook Ad Account. Supports flexible date ranges, reporting levels (account/campaign/adset/ad), breakdowns (age, gender, country, platform, placement), and custom field selection. The account_id is auto-filled from server workspace if not provided.',
+      description: 'Retrieve performance insights (spend, impressions, clicks, CTR, CPC, conversions, ROAS, etc.) for a Facebook Ad Account. Supports flexible date ranges, reporting levels (account/campaign/adset/ad), breakdowns (age, gender, country, platform, placement), and custom field selection. Pass label to report only on campaigns, ad sets or ads with an ad label (e.g. spend of everything labeled Q4-promo). Returns the first page of rows by default; set max_items or all_pages to follow paging cursors (e.g. level=ad with daily breakdowns), or pass a previous next_cursor as cursor to continue. Dates are days in the ad account timezone; reporting_period shows the covered period in local time and UTC. The account_id is auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
@@ -82,10 +115,10 @@ const apiTool = {
           time_range: {
             type: 'object',
             properties: {
-              since: { type: 'string', description: 'Start date (YYYY-MM-DD)' },
-              until: { type: 'string', description: 'End date (YYYY-MM-DD)' }
+              since: { type: 'string', description: 'First day (YYYY-MM-DD, or "yesterday", "7 days ago", ...)' },
+              until: { type: 'string', description: 'Last day, inclusive (YYYY-MM-DD, or "today", "yesterday", ...)' }
             },
-            description: 'Custom date range. Cannot be used with date_preset.'
+            description: 'Custom date range in calendar days of the ad account timezone (as in Ads Manager). Cannot be used with date_preset.'
           },
           fields: {
             type: 'string',
@@ -120,10 +153,12 @@ const apiTool = {
             },
             description: 'Optional filtering rules.'
           },
+          ...INSIGHTS_LABEL_PROPERTIES,
           limit: {
             type: 'number',
-            description: 'Max results to return (default: 100).'
-          }
+            description: 'Rows per Graph page (default: 100).'
+          },
+          ...PAGINATION_PROPERTIES
         },
         required: ['account_id']
       }
@@ -3,6 +3,7 @@
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
 import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ account_id, base_url }) => {
   const base = base_url || getBaseUrl();
@@ -12,7 +13,7 @@ const executeFunction = async ({ account_id, base_url }) => {
   if (!token) return { error: 'No Facebook access token found for this ad account' };
   try {
     const url = `${base}/act_${acctId}/promote_pages?fields=id,name,category,fan_count,picture,link,is_published`;
-    const response = await fetch(url, {
+    const response = await graphFetch(url, {
       method: 'GET',
       headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' }
     });
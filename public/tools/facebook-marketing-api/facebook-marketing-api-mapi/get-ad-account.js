@@ -8,6 +8,7 @@
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
 import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const DEFAULT_FIELDS = 'id,name,account_id,account_status,age,amount_spent,balance,business,business_city,business_country_code,currency,timezone_name,timezone_offset_hours_utc';
 
@@ -26,7 +27,7 @@ const executeFunction = async ({ account_id, fields, base_url }) => {
       'Authorization': `Bearer ${token}`,
       'Content-Type': 'application/json'
     };
-    const response = await fetch(url.toString(), { method: 'GET', headers });
+    const response = await graphFetch(url.toString(), { method: 'GET', headers });
     if (!response.ok) {
       const errorData = await response.json();
       console.error('Error fetching ad account details:', JSON.stringify(errorData));
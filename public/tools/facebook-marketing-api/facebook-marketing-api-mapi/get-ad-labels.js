@@ -0,0 +1,62 @@
+/**
+ * MCP Tool: Get Ad Labels
+ * Lists the ad labels of an ad account, optionally only those whose name contains a text.
+ */
+import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
+import { getBaseUrl, normalizeAccountId } from './_shared-helpers.js';
+import { graphPaginate, pagingSummary, PAGINATION_PROPERTIES } from './_graph-client.js';
+import { LABEL_FIELDS } from './_label-helpers.js';
+
+const executeFunction = async ({ account_id, name_contains = null, max_items, all_pages, cursor }) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForAccount(supabase, account_id);
+  if (!token) return { error: 'No Facebook access token found for this ad account' };
+
+  const acctId = normalizeAccountId(account_id);
+
+  try {
+    const url = new URL(`${getBaseUrl()}/act_${acctId}/adlabels`);
+    url.searchParams.append('fields', LABEL_FIELDS);
+
+    const page = await graphPaginate(url, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      maxItems: max_items,
+      allPages: all_pages,
+      cursor
+    });
+    const needle = name_contains ? String(name_contains).toLowerCase() : null;
+    const labels = page.data.filter((label) => !needle || String(label.name).toLowerCase().includes(needle));
+    return { data: labels, paging: pagingSummary(page) };
+  } catch (error) {
+    console.error('Error retrieving ad labels:', error);
+    return { error: 'An error occurred while retrieving ad labels.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_ad_labels',
+      description: 'List the ad labels of a Facebook Ad Account (ID, name, created and updated time), optionally only those whose name contains a text. Labels group campaigns, ad sets, ads and creatives for reporting: attach them with attach_ad_labels, then pass label to get_campaigns_details, get_adsets_list, get_ads_list, get_account_insights or generate_report_breakdown. Returns the first page by default; set max_items or all_pages to follow paging cursors, or pass a previous next_cursor as cursor to continue. The account_id is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'string',
+            description: 'The ID of the ad account to list labels from.'
+          },
+          name_contains: {
+            type: 'string',
+            description: 'Only labels whose name contains this text, case-insensitive (optional).'
+          },
+          ...PAGINATION_PROPERTIES
+        },
+        required: ['account_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,176 @@
+/**
+ * MCP Tool: Get Ad Preview
+ * Renders how a creative looks in Feed, Stories, Reels, the right column and Audience
+ * Network, from a saved creative or from an unsaved spec, without creating anything.
+ */
+import { normalizeAccountId, resolveToken } from './_shared-helpers.js';
+import { graphBatch } from './_graph-client.js';
+import {
+  PREVIEW_PLACEMENTS,
+  DEFAULT_PREVIEW_PLACEMENTS,
+  buildObjectStorySpec,
+  previewFormats,
+  describePreview,
+} from './_creative-helpers.js';
+
+const executeFunction = async ({
+  account_id,
+  creative_id = null,
+  creative = null,
+  object_story_spec = null,
+  object_story_id = null,
+
+  // Same fields as create_ad_with_creative
+  page_id = null,
+  instagram_actor_id = null,
+  creative_type = null,
+  message = null,
+  link_url = null,
+  image_hash = null,
+  video_id = null,
+  child_attachments = [],
+  cta_type = null,
+  cta_link_url = null,
+
+  placements = DEFAULT_PREVIEW_PLACEMENTS,
+  ad_formats = []
+}) => {
+  if (!account_id) return { error: 'Missing required parameter: account_id' };
+
+  const sources = [creative_id, creative, object_story_spec, object_story_id, creative_type].filter((v) => v != null);
+  if (sources.length !== 1) {
+    return { error: 'Provide exactly one of creative_id, creative, object_story_spec, object_story_id, or creative_type with its fields' };
+  }
+
+  let formats;
+  try {
+    formats = previewFormats(ad_formats.length && placements === DEFAULT_PREVIEW_PLACEMENTS ? [] : placements, ad_formats);
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (!formats.length) return { error: 'Nothing to render: give placements or ad_formats' };
+
+  // The creative spec Graph renders when nothing is saved yet
+  let spec = null;
+  if (creative) spec = creative;
+  if (object_story_spec) spec = { object_story_spec };
+  if (object_story_id) spec = { object_story_id };
+  if (creative_type) {
+    if (!['link', 'video', 'carousel'].includes(creative_type)) return { error: "creative_type must be 'link', 'video' or 'carousel'" };
+    // page_id is auto-filled from the workspace, so an Instagram actor takes precedence
+    if (!page_id && !instagram_actor_id) return { error: 'Provide an actor: page_id or instagram_actor_id' };
+    spec = {
+      object_story_spec: buildObjectStorySpec({
+        actor: instagram_actor_id ? { instagram_actor_id } : { page_id },
+        creative_type, message, cta_type, cta_link_url, link_url, image_hash, video_id, child_attachments
+      })
+    };
+  }
+
+  try {
+    const { token } = await resolveToken(account_id);
+    const acctId = normalizeAccountId(account_id);
+    const base = creative_id
+      ? `${creative_id}/previews?`
+      : `act_${acctId}/generatepreviews?creative=${encodeURIComponent(JSON.stringify(spec))}&`;
+
+    // One batch of GETs renders every format
+    const results = await graphBatch(
+      formats.map(({ ad_format }) => ({ relative_url: `${base}ad_format=${ad_format}` })),
+      { token }
+    );
+    const previews = results.map((result, i) => ({
+      placement: formats[i].placement,
+      ad_format: formats[i].ad_format,
+      ...(result.ok
+        ? describePreview(result.body?.data?.[0])
+        : { iframe_html: null, preview_url: null, error: result.error?.message || 'Preview failed' })
+    }));
+
+    return {
+      source: creative_id ? { creative_id } : { creative: spec },
+      rendered: previews.filter((p) => p.iframe_html).length,
+      previews,
+      note: 'preview_url links expire after about 24 hours. Formats a creative cannot run in (e.g. Reels for a landscape image) come back with an error.'
+    };
+  } catch (error) {
+    console.error('Error generating ad preview:', error);
+    return { error: 'An error occurred while generating the ad preview.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_ad_preview',
+      description: `Render ad previews per placement (${Object.keys(PREVIEW_PLACEMENTS).join(', ')}) without publishing anything. Preview a saved creative by creative_id, or an unsaved one: pass the object_story_spec returned by create_ad_creative / create_ad_with_creative, a full creative spec, an existing post's object_story_id, or the same fields create_ad_with_creative takes (creative_type, page_id, message, link_url, image_hash, video_id, child_attachments, cta_type, cta_link_url). Returns the iframe HTML and its preview_url for each Graph ad format; set ad_formats for specific formats such as INSTAGRAM_EXPLORE_CONTEXTUAL. The account_id and page_id are auto-filled from server workspace if not provided.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'string',
+            description: 'REQUIRED: Facebook Ad Account ID (without act_ prefix); unsaved creatives are rendered in this account.'
+          },
+          creative_id: {
+            type: 'string',
+            description: 'A saved creative to preview (from create_ad_creative or get_creatives_list).'
+          },
+          creative: {
+            type: 'object',
+            description: 'A full unsaved creative spec, e.g. { "object_story_spec": {...} } or { "asset_feed_spec": {...}, "object_story_spec": {...} }.'
+          },
+          object_story_spec: {
+            type: 'object',
+            description: 'An unsaved object_story_spec, e.g. creative.object_story_spec from create_ad_creative or create_ad_with_creative.'
+          },
+          object_story_id: {
+            type: 'string',
+            description: 'An existing page post (page_id_post_id) to preview as an ad.'
+          },
+          creative_type: {
+            type: 'string',
+            enum: ['link', 'video', 'carousel'],
+            description: 'Build the spec from the fields below, as create_ad_with_creative does.'
+          },
+          page_id: { type: 'string', description: 'Facebook Page ID (with creative_type; ignored when instagram_actor_id is given)' },
+          instagram_actor_id: { type: 'string', description: 'Instagram actor ID (with creative_type; takes precedence over page_id)' },
+          message: { type: 'string', description: 'Primary text / caption' },
+          link_url: { type: 'string', description: 'Destination URL for link ads' },
+          image_hash: { type: 'string', description: 'Image hash for link ads' },
+          video_id: { type: 'string', description: 'Uploaded video ID for video ads' },
+          child_attachments: {
+            type: 'array',
+            description: 'Cards for carousel ads, as in create_ad_with_creative.',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                description: { type: 'string' },
+                link_url: { type: 'string' },
+                image_hash: { type: 'string' },
+                video_id: { type: 'string' }
+              }
+            }
+          },
+          cta_type: { type: 'string', description: 'Call-to-action type (e.g., SHOP_NOW, LEARN_MORE)' },
+          cta_link_url: { type: 'string', description: 'CTA destination URL' },
+          placements: {
+            type: 'array',
+            items: { type: 'string', enum: Object.keys(PREVIEW_PLACEMENTS) },
+            description: `Placements to render (default: ${DEFAULT_PREVIEW_PLACEMENTS.join(', ')}).`
+          },
+          ad_formats: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Graph ad_format values to render instead of (or, with placements, in addition to) the placement defaults.'
+          }
+        },
+        required: ['account_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,65 @@
+/**
+ * MCP Tool: Get Ad Rules
+ * Lists the automated rules of an ad account with their conditions, action and schedule
+ * read back into plain terms.
+ */
+import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
+import { getBaseUrl, normalizeAccountId, getAccountCurrency } from './_shared-helpers.js';
+import { graphPaginate, pagingSummary, PAGINATION_PROPERTIES } from './_graph-client.js';
+import { RULE_FIELDS, describeRule } from './_rule-helpers.js';
+
+const executeFunction = async ({ account_id, status = null, max_items, all_pages, cursor }) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForAccount(supabase, account_id);
+  if (!token) return { error: 'No Facebook access token found for this ad account' };
+  if (status && !['ENABLED', 'DISABLED'].includes(status)) return { error: 'status must be ENABLED or DISABLED' };
+
+  const acctId = normalizeAccountId(account_id);
+
+  try {
+    const url = new URL(`${getBaseUrl()}/act_${acctId}/adrules_library`);
+    url.searchParams.append('fields', RULE_FIELDS);
+
+    const page = await graphPaginate(url, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      maxItems: max_items,
+      allPages: all_pages,
+      cursor
+    });
+    const currency = await getAccountCurrency(acctId, token).catch(() => null);
+    const rules = page.data.filter((rule) => !status || rule.status === status);
+    return { data: rules.map((rule) => describeRule(rule, currency)), paging: pagingSummary(page) };
+  } catch (error) {
+    console.error('Error retrieving ad rules:', error);
+    return { error: 'An error occurred while retrieving ad rules.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_ad_rules',
+      description: 'List the automated rules of a Facebook Ad Account (Meta rules library) with status, level, conditions (money thresholds also formatted in the account currency), action (pause, unpause, notification, budget or bid change), schedule, the raw evaluation/execution/schedule specs and a one-line summary. Optionally only ENABLED or DISABLED rules. Returns the first page by default; set max_items or all_pages to follow paging cursors, or pass a previous next_cursor as cursor to continue. The account_id is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'string',
+            description: 'The ID of the ad account to list rules from.'
+          },
+          status: {
+            type: 'string',
+            enum: ['ENABLED', 'DISABLED'],
+            description: 'Only rules with this status (optional).'
+          },
+          ...PAGINATION_PROPERTIES
+        },
+        required: ['account_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,196 @@
+/**
+ * MCP Tool: Get Ad Study Results
+ * Spend and results of every cell of a split test, the cost per result of each, and the
+ * winning cell with the confidence that it would win again.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl, getObjectAccount, getCurrencyOffset, formatMoney, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch, graphBatch, MAX_BATCH_SIZE } from './_graph-client.js';
+import { toLocalDate, describeSchedule } from './_time-utils.js';
+import { STUDY_FIELDS, RESULT_ACTIONS, compareCells } from './_study-helpers.js';
+
+const DEFAULT_CONFIDENCE = 0.9;
+
+// Graph returns study times as ISO strings with a "+0000" offset or as unix seconds
+function parseStudyTime(value) {
+  if (value == null || value === '') return null;
+  if (/^\d+$/.test(String(value))) return new Date(Number(value) * 1000);
+  const date = new Date(String(value).replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const percent = (p) => (p == null ? null : `${(p * 100).toFixed(1)}%`);
+
+const executeFunction = async ({ userId, study_id, result_action = null, confidence_level = null }) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!study_id) return { error: 'Missing required parameter: study_id' };
+  if (confidence_level != null && !(confidence_level >= 0.5 && confidence_level < 1)) {
+    return { error: 'confidence_level must be between 0.5 and 0.99, e.g. 0.9 for 90%' };
+  }
+
+  try {
+    const headers = { 'Authorization': `Bearer ${token}` };
+    const response = await graphFetch(`${getBaseUrl()}/${study_id}?fields=${STUDY_FIELDS}`, { headers });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+    const study = await response.json();
+    if (study.type && study.type !== 'SPLIT_TEST') {
+      return { error: `Study ${study_id} is a ${study.type} study; get_ad_study_results reads split tests only` };
+    }
+
+    const cells = (study.cells?.data || []).map((cell) => {
+      const campaigns = cell.campaigns?.data || [];
+      const adsets = cell.adsets?.data || [];
+      return {
+        cell_id: cell.id,
+        name: cell.name,
+        treatment_percentage: cell.treatment_percentage ?? null,
+        level: campaigns.length ? 'campaign' : 'adset',
+        objects: (campaigns.length ? campaigns : adsets).map((o) => ({ id: String(o.id), name: o.name || null }))
+      };
+    });
+    const objectIds = cells.flatMap((cell) => cell.objects.map((o) => o.id));
+    if (!objectIds.length) return { error: `Study ${study_id} has no campaigns or ad sets in its cells` };
+
+    // Currency and timezone come from the account that runs the tested objects
+    const account = await getObjectAccount(objectIds[0], token).catch(() => null);
+    const timeZone = account?.timezone_name || 'UTC';
+    const currency = account?.currency || null;
+    const money = (amount) => (currency ? formatMoney(Math.round(amount * getCurrencyOffset(currency)), currency) : null);
+
+    const start = parseStudyTime(study.start_time);
+    const end = parseStudyTime(study.end_time);
+    const now = new Date();
+    const status = start && start > now ? 'scheduled' : end && end <= now ? 'completed' : 'running';
+    const threshold = confidence_level ?? (study.confidence_level > 1 ? study.confidence_level / 100 : study.confidence_level) ?? DEFAULT_CONFIDENCE;
+
+    const summary = {
+      study: { id: study.id, name: study.name, description: study.description || null, type: study.type || 'SPLIT_TEST' },
+      status,
+      schedule: describeSchedule({ ...(start ? { start_time: start } : {}), ...(end ? { end_time: end } : {}) }, timeZone),
+      confidence_threshold: threshold,
+      ...(study.objectives?.data?.length ? { meta_results: study.objectives.data } : {})
+    };
+    if (status === 'scheduled') {
+      return {
+        ...summary,
+        cells: cells.map(({ level, ...cell }) => cell),
+        verdict: `The test has not started yet; it starts ${summary.schedule.start_time.local}.`
+      };
+    }
+
+    const timeRange = { since: toLocalDate(start || now, timeZone), until: toLocalDate(end && end < now ? end : now, timeZone) };
+    const insights = new Map();
+    for (let i = 0; i < objectIds.length; i += MAX_BATCH_SIZE) {
+      const chunk = objectIds.slice(i, i + MAX_BATCH_SIZE);
+      const responses = await graphBatch(chunk.map((id) => ({
+        relative_url: `${id}/insights?fields=spend,impressions,reach,clicks,actions&time_range=${encodeURIComponent(JSON.stringify(timeRange))}`
+      })), { token });
+      responses.forEach((r, j) => {
+        if (!r.ok) throw new Error(`Insights for ${chunk[j]}: ${r.error?.message || `HTTP ${r.status}`}`);
+        insights.set(chunk[j], r.body?.data?.[0] || {});
+      });
+    }
+
+    // Totals per cell, with actions summed by type
+    const totals = cells.map((cell) => {
+      const t = { spend: 0, impressions: 0, reach: 0, clicks: 0, actions: {} };
+      for (const { id } of cell.objects) {
+        const row = insights.get(id) || {};
+        t.spend += Number(row.spend) || 0;
+        t.impressions += Number(row.impressions) || 0;
+        t.reach += Number(row.reach) || 0;
+        t.clicks += Number(row.clicks) || 0;
+        for (const a of row.actions || []) t.actions[a.action_type] = (t.actions[a.action_type] || 0) + (Number(a.value) || 0);
+      }
+      return t;
+    });
+    const action = result_action || RESULT_ACTIONS.find((a) => totals.some((t) => t.actions[a] > 0)) || null;
+
+    const compared = compareCells(cells.map((cell, i) => ({
+      name: cell.name,
+      spend: totals[i].spend,
+      results: action ? totals[i].actions[action] || 0 : 0
+    })));
+    const outCells = cells.map(({ level, ...cell }, i) => {
+      const c = compared.cells[i];
+      return {
+        ...cell,
+        spend: Number(totals[i].spend.toFixed(2)),
+        spend_formatted: money(totals[i].spend),
+        impressions: totals[i].impressions,
+        reach: totals[i].reach,
+        clicks: totals[i].clicks,
+        results: c.results,
+        cost_per_result: c.cost_per_result == null ? null : Number(c.cost_per_result.toFixed(2)),
+        cost_per_result_formatted: c.cost_per_result == null ? null : money(c.cost_per_result),
+        rank: c.rank,
+        chance_winner_is_better: percent(c.chance_winner_is_better)
+      };
+    });
+
+    const leader = compared.winner ? outCells[compared.cells.indexOf(compared.winner)] : null;
+    const confident = compared.confidence != null && compared.confidence >= threshold;
+    let verdict;
+    if (!action) verdict = 'No results yet in any cell, so there is nothing to compare. Pass result_action if the test optimizes for another action.';
+    else if (!leader) verdict = `No ${action} results yet in any cell.`;
+    else if (compared.confidence == null) verdict = `${leader.name} leads at ${leader.cost_per_result_formatted || leader.cost_per_result} per ${action}, but not every cell has spent yet.`;
+    else if (confident) {
+      verdict = status === 'completed'
+        ? `${leader.name} won with ${percent(compared.confidence)} confidence at ${leader.cost_per_result_formatted || leader.cost_per_result} per ${action}.`
+        : `${leader.name} is winning with ${percent(compared.confidence)} confidence at ${leader.cost_per_result_formatted || leader.cost_per_result} per ${action}; let the test finish before acting on it.`;
+    } else {
+      verdict = `No clear winner${status === 'completed' ? '' : ' yet'}: ${leader.name} leads at ${leader.cost_per_result_formatted || leader.cost_per_result} per ${action}, but confidence is ${percent(compared.confidence)}, below ${percent(threshold)}.`;
+    }
+
+    return {
+      ...summary,
+      period: { ...timeRange, timezone: timeZone },
+      result_action: action,
+      currency,
+      cells: outCells,
+      winner: confident ? { name: leader.name, cell_id: leader.cell_id, cost_per_result: leader.cost_per_result, cost_per_result_formatted: leader.cost_per_result_formatted } : null,
+      leader: leader ? leader.name : null,
+      confidence: compared.confidence == null ? null : Number(compared.confidence.toFixed(3)),
+      verdict
+    };
+  } catch (error) {
+    console.error('Error fetching ad study results:', error);
+    return { error: 'An error occurred while fetching the ad study results.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_ad_study_results',
+      description: 'Read the results of a split test (A/B test) created with create_ad_study: status (scheduled, running, completed), spend, impressions, results and cost per result of every cell, the leading cell, and the confidence that it really is better. A winner is only declared when that confidence reaches the threshold (the study\'s confidence_level, default 90%); otherwise the verdict says there is no clear winner yet. Results are counted for one action type: result_action, or the first of purchases, leads, registrations, app installs and link clicks that any cell has. Meta\'s own study results are included as meta_results when available.',
+      parameters: {
+        type: 'object',
+        properties: {
+          study_id: {
+            type: 'string',
+            description: 'REQUIRED: The ad study ID from create_ad_study.'
+          },
+          result_action: {
+            type: 'string',
+            description: 'Action type that counts as a result, e.g. "purchase", "lead", "offsite_conversion.fb_pixel_custom" (default: detected).'
+          },
+          confidence_level: {
+            type: 'number',
+            description: 'Confidence needed to declare a winner, e.g. 0.95 (default: the study\'s confidence_level, else 0.9).'
+          }
+        },
+        required: ['study_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
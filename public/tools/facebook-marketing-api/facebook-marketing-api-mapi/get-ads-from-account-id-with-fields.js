@@ -4,38 +4,43 @@
  * @param {Object} args - Arguments for the ad retrieval.
  * @param {string} args.account_id - The ID of the ad account to retrieve ads from.
  * @param {string} [args.base_url] - The base URL for the Facebook API (optional).
+ * @param {string} [args.label] - Only ads with this ad label (name or ID).
+ * @param {number} [args.max_items] - Follow paging cursors until this many items are collected.
+ * @param {boolean} [args.all_pages] - Follow paging cursors until every item is collected.
+ * @param {string} [args.cursor] - next_cursor from a previous call, to continue where it stopped.
  * @returns {Promise<Object>} - The result of the ad retrieval.
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
-import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { getBaseUrl, normalizeAccountId } from './_shared-helpers.js';
+import { graphPaginate, pagingSummary, PAGINATION_PROPERTIES } from './_graph-client.js';
+import { LABEL_FILTER_PROPERTY, labelFilter } from './_label-helpers.js';
 
-const executeFunction = async ({ account_id, base_url }) => {
+const executeFunction = async ({ account_id, base_url, label, max_items, all_pages, cursor }) => {
   const base = base_url || getBaseUrl();
   const supabase = getSupabaseClient();
   const acctId = normalizeAccountId(account_id);
   const token = await getTokenForAccount(supabase, acctId);
   if (!token) return { error: 'No Facebook access token found for this ad account' };
 
+  let filter = null;
+  if (label) {
+    try {
+      filter = await labelFilter(acctId, label, 'ad', token);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
   try {
-    const url = `${base}/act_${acctId}/ads?fields=id,name,bid_amount,adset_id,creative{effective_instagram_story_id,effective_instagram_media_id,instagram_permalink_url},status,effective_status,created_time,updated_time,tracking_specs,conversion_specs,ad_review_feedback,adlabels,issues_info,conversion_domain,campaign_id`;
+    const url = new URL(`${base}/act_${acctId}/ads?fields=id,name,bid_amount,adset_id,creative{effective_instagram_story_id,effective_instagram_media_id,instagram_permalink_url},status,effective_status,created_time,updated_time,tracking_specs,conversion_specs,ad_review_feedback,adlabels,issues_info,conversion_domain,campaign_id`);
+    if (filter) url.searchParams.append('filtering', JSON.stringify([filter]));
 
     const headers = {
       'Authorization': `Bearer ${token}`
     };
 
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('Error retrieving ads:', JSON.stringify(errorData));
-      throw new Error(safeFacebookError(errorData));
-    }
-
-    const data = await response.json();
-    return data;
+    const page = await graphPaginate(url, { headers, maxItems: max_items, allPages: all_pages, cursor });
+    return { data: page.data, paging: pagingSummary(page) };
   } catch (error) {
     console.error('Error retrieving ads:', error);
     return { error: 'An error occurred while retrieving ads.' };
@@ -52,7 +57,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'get_ads_list',
-      description: 'List all ads in a Facebook Ad Account with key fields: name, status, creative ID, ad set ID, campaign ID, and delivery info. Returns a paginated list of all ads under the account. The account_id is auto-filled from server workspace if not provided.',
+      description: 'List all ads in a Facebook Ad Account with key fields: name, status, creative ID, ad set ID, campaign ID, and delivery info; pass label for only the ads with an ad label (e.g. all ads labeled Q4-promo). Returns the first page by default; set max_items or all_pages to follow paging cursors (large accounts with thousands of ads), or pass a previous next_cursor as cursor to continue. The account_id is auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
@@ -63,7 +68,9 @@ const apiTool = {
           base_url: {
             type: 'string',
             description: 'The base URL for the Facebook API (optional).'
-          }
+          },
+          ...LABEL_FILTER_PROPERTY,
+          ...PAGINATION_PROPERTIES
         },
         required: ['account_id']
       }
@@ -8,16 +8,18 @@
  * @returns {Promise<Object>} - The statistics for the specified Ads Pixel.
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ pixel_id, userId, base_url }) => {
-  const base = base_url || `https://graph.facebook.com/${process.env.FACEBOOK_API_VERSION || 'v22.0'}`;
+  const base = base_url || getBaseUrl();
   const supabase = getSupabaseClient();
   const token = await getTokenForUser(supabase, userId);
   if (!token) return { error: 'No Facebook access token found for this user' };
   try {
     const url = `${base}/${pixel_id}/stats`;
     const headers = { 'Authorization': `Bearer ${token}` };
-    const response = await fetch(url, { method: 'GET', headers });
+    const response = await graphFetch(url, { method: 'GET', headers });
     if (!response.ok) {
       const errorData = await response.json();
       console.error('Error fetching Ads Pixel statistics:', JSON.stringify(errorData));
@@ -8,6 +8,7 @@
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
 import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const FIELDS = 'account_id,campaign_id,created_time,effective_status,id,name,recommendations,status,daily_budget,lifetime_budget,budget_remaining,optimization_goal,billing_event,bid_strategy,bid_amount,targeting,start_time,end_time,promoted_object';
 
@@ -24,7 +25,7 @@ const executeFunction = async ({ userId, adset_id }) => {
       'Authorization': `Bearer ${token}`
     };
 
-    const response = await fetch(url.toString(), { method: 'GET', headers });
+    const response = await graphFetch(url.toString(), { method: 'GET', headers });
 
     if (!response.ok) {
       const errorData = await response.json();
@@ -4,14 +4,20 @@
  * @param {Object} args - Arguments for the request.
  * @param {string} args.account_id - The ID of the ad account to retrieve ad sets from.
  * @param {string} [args.fields] - Comma-separated list of fields to retrieve.
+ * @param {string} [args.label] - Only ad sets with this ad label (name or ID).
+ * @param {number} [args.max_items] - Follow paging cursors until this many items are collected.
+ * @param {boolean} [args.all_pages] - Follow paging cursors until every item is collected.
+ * @param {string} [args.cursor] - next_cursor from a previous call, to continue where it stopped.
  * @returns {Promise<Object>} - The list of ad sets or an error message.
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
-import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { getBaseUrl, normalizeAccountId } from './_shared-helpers.js';
+import { graphPaginate, pagingSummary, PAGINATION_PROPERTIES } from './_graph-client.js';
+import { LABEL_FILTER_PROPERTY, labelFilter } from './_label-helpers.js';
 
 const DEFAULT_FIELDS = 'id,name,status,effective_status,campaign_id,daily_budget,lifetime_budget,budget_remaining,optimization_goal,billing_event,bid_strategy,targeting,start_time,end_time,created_time';
 
-const executeFunction = async ({ account_id, fields }) => {
+const executeFunction = async ({ account_id, fields, label, max_items, all_pages, cursor }) => {
   const base = getBaseUrl();
   const supabase = getSupabaseClient();
   const token = await getTokenForAccount(supabase, account_id);
@@ -20,25 +26,27 @@ const executeFunction = async ({ account_id, fields }) => {
   const acctId = normalizeAccountId(account_id);
   const requestFields = fields || DEFAULT_FIELDS;
 
+  let filter = null;
+  if (label) {
+    try {
+      filter = await labelFilter(acctId, label, 'adset', token);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
   try {
     const url = new URL(`${base}/act_${acctId}/adsets`);
     url.searchParams.append('fields', requestFields);
+    if (filter) url.searchParams.append('filtering', JSON.stringify([filter]));
 
     const headers = {
       'Authorization': `Bearer ${token}`,
       'Content-Type': 'application/json'
     };
 
-    const response = await fetch(url.toString(), { method: 'GET', headers });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('Error retrieving ad sets:', JSON.stringify(errorData));
-      throw new Error(safeFacebookError(errorData));
-    }
-
-    const data = await response.json();
-    return data;
+    const page = await graphPaginate(url, { headers, maxItems: max_items, allPages: all_pages, cursor });
+    return { data: page.data, paging: pagingSummary(page) };
   } catch (error) {
     console.error('Error retrieving ad sets:', error);
     return { error: 'An error occurred while retrieving ad sets.' };
@@ -51,7 +59,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'get_adsets_list',
-      description: 'List all ad sets in a Facebook Ad Account with details: name, status, budget (daily/lifetime), optimization goal, targeting summary, schedule, and associated campaign. Supports filtering by status. The account_id is auto-filled from server workspace if not provided.',
+      description: 'List all ad sets in a Facebook Ad Account with details: name, status, budget (daily/lifetime), optimization goal, targeting summary, schedule, and associated campaign; pass label for only the ad sets with an ad label. Returns the first page by default; set max_items or all_pages to follow paging cursors, or pass a previous next_cursor as cursor to continue. The account_id is auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
@@ -62,7 +70,9 @@ const apiTool = {
           fields: {
             type: 'string',
             description: 'Comma-separated list of fields to retrieve (optional).'
-          }
+          },
+          ...LABEL_FILTER_PROPERTY,
+          ...PAGINATION_PROPERTIES
         },
         required: ['account_id']
       }
@@ -8,6 +8,7 @@
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
 import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ account_id, base_url }) => {
   const base = base_url || getBaseUrl();
@@ -23,7 +24,7 @@ const executeFunction = async ({ account_id, base_url }) => {
       'Content-Type': 'application/json'
     };
 
-    const response = await fetch(url, {
+    const response = await graphFetch(url, {
       method: 'GET',
       headers
     });
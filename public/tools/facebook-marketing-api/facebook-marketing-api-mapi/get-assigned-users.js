@@ -3,6 +3,7 @@
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
 import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ account_id, business_id, fields = "id,tasks,user_type,permitted_tasks" }) => {
   const supabase = getSupabaseClient();
@@ -18,7 +19,7 @@ const executeFunction = async ({ account_id, business_id, fields = "id,tasks,use
       url.searchParams.append('business', String(business_id).trim());
     }
 
-    const response = await fetch(url.toString(), {
+    const response = await graphFetch(url.toString(), {
       method: 'GET',
       headers: { 'Authorization': `Bearer ${token}` }
     });
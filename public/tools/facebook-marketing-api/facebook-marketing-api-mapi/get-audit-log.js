@@ -0,0 +1,104 @@
+/**
+ * Read the audit log of tool invocations made through this MCP server: who called which tool,
+ * with which (redacted) arguments, which Graph objects it touched, and whether it succeeded.
+ * Scoped to the authenticated user; defaults to the current server.
+ */
+import { getRequestContext } from './_request-context.js';
+import { queryAuditLog } from './_audit-log.js';
+
+const executeFunction = async ({
+  userId,
+  server_id = null,
+  all_servers = false,
+  tool_name = null,
+  object_id = null,
+  since = null,
+  until = null,
+  success = null,
+  limit = 100
+}) => {
+  const ctx = getRequestContext();
+  const callerId = ctx?.userId || userId;
+  if (!callerId) return { error: 'Missing required parameter: userId' };
+
+  const serverId = all_servers ? null : (server_id || ctx?.serverId || null);
+
+  try {
+    const entries = await queryAuditLog({
+      userId: callerId,
+      serverId,
+      toolName: tool_name,
+      objectId: object_id,
+      since,
+      until,
+      success: typeof success === 'boolean' ? success : undefined,
+      limit
+    });
+    return {
+      success: true,
+      filters: { server_id: serverId, tool_name, object_id, since, until, success },
+      count: entries.length,
+      entries
+    };
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    return { error: 'An error occurred while reading the audit log.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_audit_log',
+      description: 'Read the audit log of tool calls made through this MCP server (newest first). Each entry has the tool name, redacted arguments, Graph object IDs touched (campaigns, ad sets, ads...), success/error code, duration, server and MCP session. Filter by tool, object ID (e.g. "who paused campaign 123"), time range or outcome. Defaults to the current server; set all_servers to search every server of the user. The userId is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          server_id: {
+            type: 'string',
+            description: 'Server ID to read entries for (default: the current server).'
+          },
+          all_servers: {
+            type: 'boolean',
+            description: 'Search entries from all of the user\'s servers (default: false).'
+          },
+          tool_name: {
+            type: 'string',
+            description: 'Only entries for this tool (e.g. update_campaign).'
+          },
+          object_id: {
+            type: 'string',
+            description: 'Only entries that touched this Graph object ID (campaign, ad set, ad, creative...).'
+          },
+          since: {
+            type: 'string',
+            description: 'Start of the time range (ISO 8601, inclusive).'
+          },
+          until: {
+            type: 'string',
+            description: 'End of the time range (ISO 8601, exclusive).'
+          },
+          success: {
+            type: 'boolean',
+            description: 'Only successful (true) or failed (false) calls.'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 500,
+            description: 'Maximum number of entries (default: 100).'
+          }
+        },
+        required: ['userId']
+      }
+    }
+  }
+};
+
+export { apiTool };
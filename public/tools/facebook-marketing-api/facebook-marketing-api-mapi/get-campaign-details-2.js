@@ -11,7 +11,7 @@
  * @returns {Promise<Object>} - The detailed campaign information including insights.
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
-import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphBatch } from './_graph-client.js';
 
 const executeFunction = async ({
   campaign_id,
@@ -34,64 +34,39 @@ const executeFunction = async ({
     throw new Error('campaign_id is required');
   }
 
-  const base = getBaseUrl();
-
   try {
-    const authHeaders = {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    };
-
-    const campaignUrl = `${base}/${campaign_id}?fields=id,name,objective,account_id,buying_type,daily_budget,lifetime_budget,spend_cap,bid_strategy,pacing_type,status,effective_status,promoted_object,recommendations,start_time,stop_time,created_time,updated_time,adlabels,issues_info,special_ad_categories,special_ad_category_country,smart_promotion_type,is_skadnetwork_attribution`;
-
-    const campaignResponse = await fetch(campaignUrl, { method: 'GET', headers: authHeaders });
-
-    if (!campaignResponse.ok) {
-      const errorData = await campaignResponse.json();
-      if (errorData.error) {
-        throw new Error(`Facebook API Error (${errorData.error.code}): ${errorData.error.message}`);
-      }
-      throw new Error(`HTTP ${campaignResponse.status}: ${campaignResponse.statusText}`);
-    }
-
-    const campaignData = await campaignResponse.json();
+    const campaignPath = `${campaign_id}?fields=id,name,objective,account_id,buying_type,daily_budget,lifetime_budget,spend_cap,bid_strategy,pacing_type,status,effective_status,promoted_object,recommendations,start_time,stop_time,created_time,updated_time,adlabels,issues_info,special_ad_categories,special_ad_category_country,smart_promotion_type,is_skadnetwork_attribution`;
 
-    let insightsUrl = `${base}/${campaign_id}/insights?fields=date_start,date_stop,account_id,account_name,campaign_id,campaign_name,impressions,clicks,unique_clicks,spend,frequency,inline_link_clicks,inline_post_engagement,reach,website_ctr,video_thruplay_watched_actions,video_avg_time_watched_actions,video_p25_watched_actions,video_p50_watched_actions,video_p75_watched_actions,video_p95_watched_actions,video_p100_watched_actions,video_30_sec_watched_actions,video_play_actions,video_continuous_2_sec_watched_actions,unique_video_continuous_2_sec_watched_actions,estimated_ad_recallers,estimated_ad_recall_rate,unique_outbound_clicks,outbound_clicks,conversions,conversion_values,social_spend,actions,unique_actions,action_values&date_preset=${date_preset}&time_increment=${time_increment}&action_breakdowns=${action_breakdowns}`;
+    let insightsPath = `${campaign_id}/insights?fields=date_start,date_stop,account_id,account_name,campaign_id,campaign_name,impressions,clicks,unique_clicks,spend,frequency,inline_link_clicks,inline_post_engagement,reach,website_ctr,video_thruplay_watched_actions,video_avg_time_watched_actions,video_p25_watched_actions,video_p50_watched_actions,video_p75_watched_actions,video_p95_watched_actions,video_p100_watched_actions,video_30_sec_watched_actions,video_play_actions,video_continuous_2_sec_watched_actions,unique_video_continuous_2_sec_watched_actions,estimated_ad_recallers,estimated_ad_recall_rate,unique_outbound_clicks,outbound_clicks,conversions,conversion_values,social_spend,actions,unique_actions,action_values&date_preset=${date_preset}&time_increment=${time_increment}&action_breakdowns=${action_breakdowns}`;
 
     if (breakdowns) {
-      insightsUrl += `&breakdowns=${breakdowns}`;
+      insightsPath += `&breakdowns=${breakdowns}`;
     }
 
-    const insightsResponse = await fetch(insightsUrl, { method: 'GET', headers: authHeaders });
+    const adSetsPath = `${campaign_id}/adsets?fields=id,name,status,effective_status,daily_budget,lifetime_budget,bid_amount,bid_strategy,pacing_type,targeting,optimization_goal,billing_event,created_time,updated_time`;
 
-    if (!insightsResponse.ok) {
-      const errorData = await insightsResponse.json();
-      if (errorData.error) {
-        throw new Error(`Facebook Insights API Error (${errorData.error.code}): ${errorData.error.message}`);
-      }
-      throw new Error(`HTTP ${insightsResponse.status}: ${insightsResponse.statusText}`);
-    }
-
-    const insightsData = await insightsResponse.json();
-
-    const adSetsUrl = `${base}/${campaign_id}/adsets?fields=id,name,status,effective_status,daily_budget,lifetime_budget,bid_amount,bid_strategy,pacing_type,targeting,optimization_goal,billing_event,created_time,updated_time`;
+    const adsPath = `${campaign_id}/ads?fields=id,name,status,effective_status,adset_id,creative,created_time,updated_time`;
 
-    const adSetsResponse = await fetch(adSetsUrl, { method: 'GET', headers: authHeaders });
+    // One batch call instead of four round trips
+    const [campaign, insights, adSets, ads] = await graphBatch([
+      { relative_url: campaignPath },
+      { relative_url: insightsPath },
+      { relative_url: adSetsPath },
+      { relative_url: adsPath }
+    ], { token });
 
-    let adSetsData = { data: [] };
-    if (adSetsResponse.ok) {
-      adSetsData = await adSetsResponse.json();
+    if (!campaign.ok) {
+      throw new Error(`Facebook API Error (${campaign.error?.code}): ${campaign.error?.message}`);
     }
-
-    const adsUrl = `${base}/${campaign_id}/ads?fields=id,name,status,effective_status,adset_id,creative,created_time,updated_time`;
-
-    const adsResponse = await fetch(adsUrl, { method: 'GET', headers: authHeaders });
-
-    let adsData = { data: [] };
-    if (adsResponse.ok) {
-      adsData = await adsResponse.json();
+    if (!insights.ok) {
+      throw new Error(`Facebook Insights API Error (${insights.error?.code}): ${insights.error?.message}`);
     }
 
+    const campaignData = campaign.body;
+    const insightsData = insights.body;
+    const adSetsData = adSets.ok ? adSets.body : { data: [] };
+    const adsData = ads.ok ? ads.body : { data: [] };
+
     return {
       success: true,
       campaign_id: campaign_id,
@@ -8,6 +8,7 @@
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
 import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ userId, campaign_id }) => {
   const base = getBaseUrl();
@@ -23,7 +24,7 @@ const executeFunction = async ({ userId, campaign_id }) => {
       'Authorization': `Bearer ${token}`
     };
 
-    const response = await fetch(url.toString(), { method: 'GET', headers });
+    const response = await graphFetch(url.toString(), { method: 'GET', headers });
 
     if (!response.ok) {
       const errorData = await response.json();
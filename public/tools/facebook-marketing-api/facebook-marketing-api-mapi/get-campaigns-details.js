@@ -3,12 +3,18 @@
  *
  * @param {Object} args - Arguments for the campaign details request.
  * @param {string} args.account_id - The ad account ID to fetch campaigns from.
+ * @param {string} [args.label] - Only campaigns with this ad label (name or ID).
+ * @param {number} [args.max_items] - Follow paging cursors until this many items are collected.
+ * @param {boolean} [args.all_pages] - Follow paging cursors until every item is collected.
+ * @param {string} [args.cursor] - next_cursor from a previous call, to continue where it stopped.
  * @returns {Promise<Object>} - The details of the campaigns.
  */
 import { getSupabaseClient } from './_token-utils.js';
 import { getBaseUrl, normalizeAccountId, resolveToken, safeFacebookError } from './_shared-helpers.js';
+import { graphPaginate, pagingSummary, PAGINATION_PROPERTIES } from './_graph-client.js';
+import { LABEL_FILTER_PROPERTY, labelFilter } from './_label-helpers.js';
 
-const executeFunction = async ({ account_id }) => {
+const executeFunction = async ({ account_id, label, max_items, all_pages, cursor }) => {
   if (!account_id) {
     throw new Error('account_id is required');
   }
@@ -19,19 +25,20 @@ const executeFunction = async ({ account_id }) => {
     const { token } = await resolveToken(acctId);
 
     const base = getBaseUrl();
-    const url = `${base}/act_${acctId}/campaigns?fields=id,name,objective,account_id,buying_type,daily_budget,lifetime_budget,spend_cap,bid_strategy,pacing_type,status,effective_status,promoted_object,recommendations,start_time,stop_time,created_time,updated_time,adlabels,issues_info,special_ad_categories,special_ad_category_country,smart_promotion_type,is_skadnetwork_attribution`;
+    const url = new URL(`${base}/act_${acctId}/campaigns?fields=id,name,objective,account_id,buying_type,daily_budget,lifetime_budget,spend_cap,bid_strategy,pacing_type,status,effective_status,promoted_object,recommendations,start_time,stop_time,created_time,updated_time,adlabels,issues_info,special_ad_categories,special_ad_category_country,smart_promotion_type,is_skadnetwork_attribution`);
+    if (label) url.searchParams.append('filtering', JSON.stringify([await labelFilter(acctId, label, 'campaign', token)]));
 
     const headers = {
       'Authorization': `Bearer ${token}`,
       'Content-Type': 'application/json'
     };
 
-    const response = await fetch(url, { method: 'GET', headers });
-    const data = await response.json();
-
-    if (!response.ok) {
-      if (data.error) {
-        const err = data.error;
+    let page;
+    try {
+      page = await graphPaginate(url, { headers, maxItems: max_items, allPages: all_pages, cursor });
+    } catch (pageError) {
+      const err = pageError.graphError;
+      if (err) {
         if (err.code === 190) {
           throw new Error(`Facebook OAuth Error (${err.code}): ${err.message}. Please refresh your access token.`);
         } else if (err.code === 200) {
@@ -42,19 +49,16 @@ const executeFunction = async ({ account_id }) => {
           throw new Error(`Facebook API Error (${err.code}): ${err.message}`);
         }
       }
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    if (data.error) {
-      throw new Error(`Facebook API Error (${data.error.code}): ${data.error.message}`);
+      throw new Error(pageError.status ? `HTTP ${pageError.status}` : pageError.message);
     }
 
     return {
       success: true,
       account_id: acctId,
-      campaigns: data.data || [],
-      paging: data.paging || null,
-      summary: data.summary || null
+      ...(label ? { label } : {}),
+      campaigns: page.data,
+      paging: pagingSummary(page),
+      summary: page.summary
     };
 
   } catch (error) {
@@ -69,14 +73,16 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'get_campaigns_details',
-      description: 'List all campaigns in a Facebook Ad Account with key details: name, objective, status, budget, bid strategy, and creation date. Supports optional status filtering and field selection. The account_id is auto-filled from server workspace if not provided.',
+      description: 'List all campaigns in a Facebook Ad Account with key details: name, objective, status, budget, bid strategy, and creation date; pass label for only the campaigns with an ad label. Returns the first page by default; set max_items or all_pages to follow paging cursors, or pass a previous next_cursor as cursor to continue. The account_id is auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
           account_id: {
             type: 'string',
             description: 'The ad account ID to fetch campaigns from (without act_ prefix).'
-          }
+          },
+          ...LABEL_FILTER_PROPERTY,
+          ...PAGINATION_PROPERTIES
         },
         required: ['account_id']
       }
@@ -8,16 +8,18 @@
  * @returns {Promise<Object>} - The details of the ad creative.
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ adCreativeId, userId, base_url }) => {
-  const base = base_url || `https://graph.facebook.com/${process.env.FACEBOOK_API_VERSION || 'v22.0'}`;
+  const base = base_url || getBaseUrl();
   const supabase = getSupabaseClient();
   const token = await getTokenForUser(supabase, userId);
   if (!token) return { error: 'No Facebook access token found for this user' };
   try {
     const url = `${base}/${adCreativeId}/?fields=name,object_story_id,object_story_spec{},object_type,image_hash,video_id,body,title,status`;
     const headers = { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' };
-    const response = await fetch(url, { method: 'GET', headers });
+    const response = await graphFetch(url, { method: 'GET', headers });
     if (!response.ok) {
       const errorData = await response.json();
       console.error('Error getting creative details:', JSON.stringify(errorData));
@@ -4,14 +4,18 @@
  * @param {Object} args - Arguments for the request.
  * @param {string} args.account_id - The ID of the ad account to retrieve creatives from.
  * @param {string} [args.fields] - Comma-separated list of fields to retrieve.
+ * @param {number} [args.max_items] - Follow paging cursors until this many items are collected.
+ * @param {boolean} [args.all_pages] - Follow paging cursors until every item is collected.
+ * @param {string} [args.cursor] - next_cursor from a previous call, to continue where it stopped.
  * @returns {Promise<Object>} - The list of ad creatives or an error message.
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
-import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { getBaseUrl, normalizeAccountId } from './_shared-helpers.js';
+import { graphPaginate, pagingSummary, PAGINATION_PROPERTIES } from './_graph-client.js';
 
 const DEFAULT_FIELDS = 'id,name,status,object_story_spec,object_type,image_hash,video_id,body,title,thumbnail_url';
 
-const executeFunction = async ({ account_id, fields }) => {
+const executeFunction = async ({ account_id, fields, max_items, all_pages, cursor }) => {
   const base = getBaseUrl();
   const supabase = getSupabaseClient();
   const token = await getTokenForAccount(supabase, account_id);
@@ -28,16 +32,8 @@ const executeFunction = async ({ account_id, fields }) => {
       'Authorization': `Bearer ${token}`
     };
 
-    const response = await fetch(url.toString(), { method: 'GET', headers });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('Error fetching ad creatives:', JSON.stringify(errorData));
-      throw new Error(safeFacebookError(errorData));
-    }
-
-    const data = await response.json();
-    return data;
+    const page = await graphPaginate(url, { headers, maxItems: max_items, allPages: all_pages, cursor });
+    return { data: page.data, paging: pagingSummary(page) };
   } catch (error) {
     console.error('Error fetching ad creatives:', error);
     return { error: 'An error occurred while fetching ad creatives.' };
@@ -50,7 +46,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'get_creatives_list',
-      description: 'List all ad creatives in a Facebook Ad Account with details: title, body, image/video assets, call-to-action, object story spec, and link URL. Supports optional field selection. The account_id is auto-filled from server workspace if not provided.',
+      description: 'List all ad creatives in a Facebook Ad Account with details: title, body, image/video assets, call-to-action, object story spec, and link URL. Supports optional field selection. Returns the first page by default; set max_items or all_pages to follow paging cursors, or pass a previous next_cursor as cursor to continue. The account_id is auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
@@ -61,7 +57,8 @@ const apiTool = {
           fields: {
             type: 'string',
             description: 'Comma-separated list of fields to retrieve (optional).'
-          }
+          },
+          ...PAGINATION_PROPERTIES
         },
         required: ['account_id']
       }
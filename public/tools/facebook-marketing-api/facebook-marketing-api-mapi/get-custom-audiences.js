@@ -0,0 +1,68 @@
+/**
+ * Function to list the custom audiences of an ad account.
+ *
+ * @param {Object} args - Arguments for the request.
+ * @param {string} args.account_id - The ID of the ad account to list audiences from.
+ * @param {string} [args.fields] - Comma-separated list of fields to retrieve.
+ * @param {number} [args.max_items] - Follow paging cursors until this many items are collected.
+ * @param {boolean} [args.all_pages] - Follow paging cursors until every item is collected.
+ * @param {string} [args.cursor] - next_cursor from a previous call, to continue where it stopped.
+ * @returns {Promise<Object>} - The audiences with size and status, or an error message.
+ */
+import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
+import { getBaseUrl, normalizeAccountId } from './_shared-helpers.js';
+import { graphPaginate, pagingSummary, PAGINATION_PROPERTIES } from './_graph-client.js';
+import { AUDIENCE_FIELDS, describeAudience } from './_audience-helpers.js';
+
+const executeFunction = async ({ account_id, fields, max_items, all_pages, cursor }) => {
+  const base = getBaseUrl();
+  const supabase = getSupabaseClient();
+  const token = await getTokenForAccount(supabase, account_id);
+  if (!token) return { error: 'No Facebook access token found for this ad account' };
+
+  const acctId = normalizeAccountId(account_id);
+
+  try {
+    const url = new URL(`${base}/act_${acctId}/customaudiences`);
+    url.searchParams.append('fields', fields || AUDIENCE_FIELDS);
+
+    const headers = {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    };
+
+    const page = await graphPaginate(url, { headers, maxItems: max_items, allPages: all_pages, cursor });
+    return { data: page.data.map(describeAudience), paging: pagingSummary(page) };
+  } catch (error) {
+    console.error('Error retrieving custom audiences:', error);
+    return { error: 'An error occurred while retrieving custom audiences.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_custom_audiences',
+      description: 'List the custom audiences of a Facebook Ad Account (customer lists, website, engagement, video and lookalike audiences) with their subtype, rule, approximate_count (lower/upper bound), delivery_status, operation_status and whether they are ready to use in an ad set (custom_audience_id). Returns the first page by default; set max_items or all_pages to follow paging cursors, or pass a previous next_cursor as cursor to continue. The account_id is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'string',
+            description: 'The ID of the ad account to list custom audiences from.'
+          },
+          fields: {
+            type: 'string',
+            description: 'Comma-separated list of fields to retrieve (optional).'
+          },
+          ...PAGINATION_PROPERTIES
+        },
+        required: ['account_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,123 @@
+/**
+ * MCP Tool: Get Custom Conversion Stats
+ * How often a custom conversion fired over a period, by time bucket, URL, host, device or
+ * value, with when it first and last fired. Times are read in the ad account timezone.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl, getAccountSettings, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { resolveSchedule, describeSchedule } from './_time-utils.js';
+import { STATS_AGGREGATIONS, describeCustomConversion, loadCustomConversion } from './_custom-conversion-helpers.js';
+
+const executeFunction = async ({
+  userId,
+  custom_conversion_id,
+  aggregation = 'count',
+  since = '7 days ago',
+  until = 'now'
+}) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!custom_conversion_id) return { error: 'Missing required parameter: custom_conversion_id' };
+  if (!STATS_AGGREGATIONS.includes(aggregation)) return { error: `aggregation must be one of ${STATS_AGGREGATIONS.join(', ')}` };
+
+  try {
+    const conversion = await loadCustomConversion(custom_conversion_id, token);
+    const account = conversion.account_id ? await getAccountSettings(conversion.account_id, token).catch(() => ({})) : {};
+    const timeZone = account.timezone_name || 'UTC';
+
+    let period;
+    try {
+      period = resolveSchedule({ start_time: since, end_time: until }, timeZone);
+    } catch (err) {
+      return { error: err.message };
+    }
+
+    const params = new URLSearchParams({
+      aggregation,
+      start_time: String(Math.floor(period.start_time / 1000)),
+      end_time: String(Math.floor(period.end_time / 1000))
+    });
+    const response = await graphFetch(`${getBaseUrl()}/${custom_conversion_id}/stats?${params}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+    const { data = [] } = await response.json();
+
+    // Graph returns one entry per time bucket, each with its { value, count } rows
+    const buckets = data.map((bucket) => ({
+      timestamp: bucket.timestamp || null,
+      rows: (bucket.data || []).map((row) => ({ value: row.value ?? null, count: Number(row.count) || 0 }))
+    }));
+    const totals = {};
+    for (const { rows } of buckets) {
+      for (const { value, count } of rows) totals[value ?? 'total'] = (totals[value ?? 'total'] || 0) + count;
+    }
+
+    const described = describeCustomConversion(conversion, account.currency);
+    return {
+      custom_conversion: {
+        id: described.id,
+        name: described.name,
+        custom_event_type: described.custom_event_type,
+        pixel_id: described.pixel_id,
+        rule_summary: described.rule_summary,
+        is_archived: !!described.is_archived,
+        first_fired_time: described.first_fired_time || null,
+        last_fired_time: described.last_fired_time || null
+      },
+      aggregation,
+      period: describeSchedule(period, timeZone),
+      totals,
+      buckets,
+      ...(!conversion.last_fired_time ? { note: 'This conversion has not fired yet. Check that the pixel sends the event on the matching pages.' } : {})
+    };
+  } catch (error) {
+    console.error('Error fetching custom conversion stats:', error);
+    return { error: 'An error occurred while fetching custom conversion stats.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_custom_conversion_stats',
+      description: 'Show how often a custom conversion fired between since and until (default: the last 7 days), per time bucket, with totals and when it first and last fired. aggregation breaks the counts down: count (default), url, host, device_type, pixel_fire, unmatched_count (events on the pixel the rule did not match), usd_amount or unmatched_usd_amount. Use it to check a new conversion is counting before optimizing ad sets for it. The userId is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          custom_conversion_id: {
+            type: 'string',
+            description: 'The ID of the custom conversion (from get_custom_conversions or create_custom_conversion).'
+          },
+          aggregation: {
+            type: 'string',
+            enum: STATS_AGGREGATIONS,
+            description: 'How to break the counts down (default: count).'
+          },
+          since: {
+            type: 'string',
+            description: 'Start of the period in the ad account timezone: a date, ISO 8601 or words like "30 days ago" (default: 7 days ago).'
+          },
+          until: {
+            type: 'string',
+            description: 'End of the period in the ad account timezone (default: now).'
+          }
+        },
+        required: ['userId', 'custom_conversion_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
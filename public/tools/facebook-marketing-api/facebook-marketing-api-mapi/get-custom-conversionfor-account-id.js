@@ -7,6 +7,7 @@
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
 import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ account_id }) => {
   const base = getBaseUrl();
@@ -23,7 +24,7 @@ const executeFunction = async ({ account_id }) => {
       'Authorization': `Bearer ${token}`
     };
 
-    const response = await fetch(url, { method: 'GET', headers });
+    const response = await graphFetch(url, { method: 'GET', headers });
 
     if (!response.ok) {
       const errorData = await response.json();
@@ -9,6 +9,7 @@
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
 import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ userId, ad_id, base_url }) => {
   const base = base_url || getBaseUrl();
@@ -23,7 +24,7 @@ const executeFunction = async ({ userId, ad_id, base_url }) => {
       'Content-Type': 'application/json'
     };
 
-    const response = await fetch(url, {
+    const response = await graphFetch(url, {
       method: 'GET',
       headers
     });
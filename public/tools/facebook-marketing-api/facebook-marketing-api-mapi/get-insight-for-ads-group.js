@@ -12,9 +12,11 @@
  * @returns {Promise<Object>} - The insights data for the specified ad.
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ userId, ad_id, date_preset = 'maximum', limit = 100, action_breakdowns = 'action_type', time_increment = 'all_days', base_url }) => {
-  const baseUrl = base_url || `https://graph.facebook.com/${process.env.FACEBOOK_API_VERSION || 'v22.0'}`;
+  const baseUrl = base_url || getBaseUrl();
   const supabase = getSupabaseClient();
   const token = await getTokenForUser(supabase, userId);
   if (!token) return { error: 'No Facebook access token found for this user' };
@@ -35,7 +37,7 @@ const executeFunction = async ({ userId, ad_id, date_preset = 'maximum', limit =
     };
 
     // Perform the fetch request
-    const response = await fetch(url.toString(), {
+    const response = await graphFetch(url.toString(), {
       method: 'GET',
       headers
     });
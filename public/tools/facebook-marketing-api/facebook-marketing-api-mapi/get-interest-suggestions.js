@@ -3,6 +3,7 @@
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
 import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ userId, interest_list, limit = 25 }) => {
   const supabase = getSupabaseClient();
@@ -14,7 +15,7 @@ const executeFunction = async ({ userId, interest_list, limit = 25 }) => {
     url.searchParams.append('interest_list', JSON.stringify(interest_list));
     url.searchParams.append('limit', String(limit));
     url.searchParams.append('access_token', token);
-    const response = await fetch(url.toString(), { method: 'GET' });
+    const response = await graphFetch(url.toString(), { method: 'GET' });
     if (!response.ok) {
       const errorData = await response.json();
       throw new Error(safeFacebookError(errorData));
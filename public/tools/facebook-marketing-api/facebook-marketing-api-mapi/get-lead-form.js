@@ -0,0 +1,70 @@
+/**
+ * MCP Tool: Get Lead Form
+ * Reads one instant form: its questions (keys, labels, types, answer options), privacy
+ * policy, thank-you screen and lead counts.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { LEAD_FORM_FIELDS, getFormPageToken, describeQuestion } from './_lead-helpers.js';
+
+const executeFunction = async ({ userId, form_id, page_id = null }) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!form_id) return { error: 'Missing required parameter: form_id' };
+
+  try {
+    const { pageId, token: pageToken } = await getFormPageToken(form_id, page_id, token);
+    const response = await graphFetch(`${getBaseUrl()}/${form_id}?fields=${LEAD_FORM_FIELDS}`, {
+      headers: { 'Authorization': `Bearer ${pageToken}` }
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+
+    const { questions = [], ...form } = await response.json();
+    return {
+      form,
+      page_id: pageId,
+      questions: questions.map(describeQuestion),
+      question_keys: questions.map((q) => q.key)
+    };
+  } catch (error) {
+    console.error('Error retrieving lead form:', error);
+    return { error: 'An error occurred while retrieving the lead form.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_lead_form',
+      description: 'Read an instant form (lead form) by ID: its questions in order with key, label, type (EMAIL, PHONE, FULL_NAME, CUSTOM...) and answer options, plus status, locale, privacy policy, thank-you page and leads_count. The question keys are the answer columns of get_leads and export_leads. The Page access token comes from the page that owns the form. The userId and page_id are auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          form_id: {
+            type: 'string',
+            description: 'The ID of the lead form (from get_lead_forms).'
+          },
+          page_id: {
+            type: 'string',
+            description: 'Page to read the form with when its owning page cannot be looked up; the page that owns form_id is used otherwise.'
+          }
+        },
+        required: ['userId', 'form_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
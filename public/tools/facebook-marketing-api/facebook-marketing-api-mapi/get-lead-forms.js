@@ -0,0 +1,68 @@
+/**
+ * MCP Tool: Get Lead Forms
+ * Lists the instant forms (leadgen forms) of a Facebook page with their status and lead counts.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl } from './_shared-helpers.js';
+import { graphPaginate, pagingSummary, PAGINATION_PROPERTIES } from './_graph-client.js';
+import { LEAD_FORM_LIST_FIELDS, getPageAccessToken } from './_lead-helpers.js';
+
+const executeFunction = async ({ userId, page_id, status = null, max_items, all_pages, cursor }) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!page_id) return { error: 'Missing required parameter: page_id' };
+
+  try {
+    const pageToken = await getPageAccessToken(page_id, token);
+    const url = new URL(`${getBaseUrl()}/${page_id}/leadgen_forms`);
+    url.searchParams.append('fields', LEAD_FORM_LIST_FIELDS);
+    if (status) {
+      url.searchParams.append('filtering', JSON.stringify([{ field: 'status', operator: 'EQUAL', value: status }]));
+    }
+
+    const page = await graphPaginate(url, {
+      headers: { 'Authorization': `Bearer ${pageToken}` },
+      maxItems: max_items,
+      allPages: all_pages,
+      cursor
+    });
+    return { page_id, data: page.data, paging: pagingSummary(page) };
+  } catch (error) {
+    console.error('Error retrieving lead forms:', error);
+    return { error: 'An error occurred while retrieving lead forms.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_lead_forms',
+      description: 'List the instant forms (lead forms) of a Facebook page with id, name, status (ACTIVE, ARCHIVED, DRAFT...), locale, leads_count and created_time. Use the form id with get_lead_form for its questions and with get_leads or export_leads for the leads it collected. Needs a role on the page and the leads_retrieval permission. Returns the first page by default; set max_items or all_pages to follow paging cursors, or pass a previous next_cursor as cursor to continue. The userId and page_id are auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          page_id: {
+            type: 'string',
+            description: 'The Facebook page whose lead forms to list.'
+          },
+          status: {
+            type: 'string',
+            enum: ['ACTIVE', 'ARCHIVED', 'DELETED', 'DRAFT'],
+            description: 'Only list forms with this status (optional).'
+          },
+          ...PAGINATION_PROPERTIES
+        },
+        required: ['userId', 'page_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
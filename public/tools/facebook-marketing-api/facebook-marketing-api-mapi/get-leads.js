@@ -0,0 +1,107 @@
+/**
+ * MCP Tool: Get Leads
+ * Reads the leads an instant form collected, optionally within a time range, one page of
+ * results at a time. Answers are returned as { question_key: value }.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl } from './_shared-helpers.js';
+import { graphPaginate, pagingSummary, PAGINATION_PROPERTIES } from './_graph-client.js';
+import { LEAD_FIELDS, getFormPageToken, flattenLead, leadTimeFilter, leadTimeZone } from './_lead-helpers.js';
+
+const executeFunction = async ({
+  userId,
+  form_id,
+  page_id = null,
+  since = null,
+  until = null,
+  account_id = null,
+  timezone = null,
+  max_items,
+  all_pages,
+  cursor
+}) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!form_id) return { error: 'Missing required parameter: form_id' };
+
+  let filter;
+  try {
+    filter = leadTimeFilter({ since, until }, await leadTimeZone({ since, until, timezone }, account_id, token));
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  try {
+    const { pageId, token: pageToken } = await getFormPageToken(form_id, page_id, token);
+    const url = new URL(`${getBaseUrl()}/${form_id}/leads`);
+    url.searchParams.append('fields', LEAD_FIELDS);
+    if (filter.filtering.length) url.searchParams.append('filtering', JSON.stringify(filter.filtering));
+
+    const page = await graphPaginate(url, {
+      headers: { 'Authorization': `Bearer ${pageToken}` },
+      maxItems: max_items,
+      allPages: all_pages,
+      cursor
+    });
+    return {
+      form_id,
+      page_id: pageId,
+      time_range: filter.time_range,
+      count: page.data.length,
+      data: page.data.map(flattenLead),
+      paging: pagingSummary(page)
+    };
+  } catch (error) {
+    console.error('Error retrieving leads:', error.message);
+    return { error: 'An error occurred while retrieving leads.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_leads',
+      description: 'Get the leads collected by an instant form (lead form) with created_time, the ad, ad set and campaign they came from, is_organic, platform, and the answers as { question_key: value }. Filter by since/until (ISO 8601, dates, or words like "yesterday", "7 days ago", read in the ad account timezone unless timezone is set). Returns the first page by default; set max_items or all_pages to follow paging cursors, or pass a previous next_cursor as cursor to continue. Use export_leads for a CSV or JSON file. Needs the leads_retrieval permission and a role on the page. The Page access token comes from the page that owns the form. The userId, account_id and page_id are auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          form_id: {
+            type: 'string',
+            description: 'The ID of the lead form (from get_lead_forms).'
+          },
+          page_id: {
+            type: 'string',
+            description: 'Page to read the form with when its owning page cannot be looked up; the page that owns form_id is used otherwise.'
+          },
+          since: {
+            type: 'string',
+            description: 'Only leads created at or after this time (e.g. "2025-03-01", "7 days ago").'
+          },
+          until: {
+            type: 'string',
+            description: 'Only leads created before this time (e.g. "today", "2025-03-08T12:00").'
+          },
+          account_id: {
+            type: 'string',
+            description: 'Ad account running the lead ads; since/until are read in its timezone unless timezone is set (auto-filled from server workspace if not provided).'
+          },
+          timezone: {
+            type: 'string',
+            description: 'IANA timezone for since/until without an offset, e.g. "Asia/Manila" (default: the timezone of account_id, else UTC).'
+          },
+          ...PAGINATION_PROPERTIES
+        },
+        required: ['userId', 'form_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -8,6 +8,7 @@
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
 import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ account_id, base_url }) => {
   const baseUrl = base_url || getBaseUrl();
@@ -22,7 +23,7 @@ const executeFunction = async ({ account_id, base_url }) => {
       'Authorization': `Bearer ${token}`
     };
 
-    const response = await fetch(url, {
+    const response = await graphFetch(url, {
       method: 'GET',
       headers
     });
@@ -7,9 +7,11 @@
  * @returns {Promise<Object>} - The result of the pixel details request.
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
+import { getBaseUrl } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ account_id, base_url }) => {
-  const base = base_url || `https://graph.facebook.com/${process.env.FACEBOOK_API_VERSION || 'v22.0'}`;
+  const base = base_url || getBaseUrl();
   const supabase = getSupabaseClient();
   const token = await getTokenForAccount(supabase, account_id);
   if (!token) return { error: 'No Facebook access token found for this ad account' };
@@ -24,7 +26,7 @@ const executeFunction = async ({ account_id, base_url }) => {
     };
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await graphFetch(url, {
       method: 'GET',
       headers
     });
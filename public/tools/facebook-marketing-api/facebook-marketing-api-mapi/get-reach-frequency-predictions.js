@@ -3,6 +3,7 @@
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
 import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const DEFAULT_FIELDS = 'id,name,account_id,status,prediction_mode,prediction_progress,reservation_status,audience_size_lower_bound,audience_size_upper_bound,external_budget,external_reach,external_impression,external_minimum_budget,external_maximum_budget,external_minimum_reach,external_maximum_reach,external_minimum_impression,external_maximum_impression,frequency_cap,holdout_percentage,campaign_id,campaign_group_id,campaign_time_start,campaign_time_stop,time_created,time_updated,expiration_time,target_spec,destination_id,instagram_destination_id,interval_frequency_cap_reset_period,pause_periods,story_event_type';
 
@@ -16,7 +17,7 @@ const executeFunction = async ({ account_id, fields }) => {
     const url = new URL(`${getBaseUrl()}/act_${acctId}/reachfrequencypredictions`);
     url.searchParams.append('fields', fields || DEFAULT_FIELDS);
 
-    const response = await fetch(url.toString(), {
+    const response = await graphFetch(url.toString(), {
       method: 'GET',
       headers: { 'Authorization': `Bearer ${token}` }
     });
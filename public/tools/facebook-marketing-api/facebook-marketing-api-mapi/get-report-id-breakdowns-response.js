@@ -8,6 +8,7 @@
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
 import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ userId, report_id_breakdowns }) => {
   const base = getBaseUrl();
@@ -21,7 +22,7 @@ const executeFunction = async ({ userId, report_id_breakdowns }) => {
       'Authorization': `Bearer ${token}`
     };
 
-    const response = await fetch(url, { method: 'GET', headers });
+    const response = await graphFetch(url, { method: 'GET', headers });
 
     if (!response.ok) {
       const errorData = await response.json();
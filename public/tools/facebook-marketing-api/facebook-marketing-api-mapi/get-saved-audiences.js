@@ -0,0 +1,76 @@
+/**
+ * MCP Tool: Get Saved Audiences
+ * Lists the user's saved audiences (named targeting specs) and, with an ad account, the
+ * saved audiences made for it in Ads Manager. Either kind can be passed as saved_audience_id.
+ */
+import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
+import { getBaseUrl, normalizeAccountId } from './_shared-helpers.js';
+import { graphPaginate } from './_graph-client.js';
+import {
+  GRAPH_SAVED_AUDIENCE_FIELDS,
+  savedAudienceOwner,
+  listSavedAudiences,
+  describeGraphSavedAudience,
+} from './_saved-audiences.js';
+
+const executeFunction = async ({ userId, account_id = null, include_ads_manager = true }) => {
+  let owner;
+  try {
+    owner = savedAudienceOwner(userId);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  try {
+    const saved = await listSavedAudiences(owner, account_id);
+    const result = { success: true, account_id, saved, count: saved.length };
+    if (!account_id || !include_ads_manager) return result;
+
+    // Ads Manager audiences are a bonus: a Graph failure is reported next to the saved ones
+    const token = await getTokenForAccount(getSupabaseClient(), account_id);
+    if (!token) return { ...result, ads_manager_error: 'No Facebook access token found for this ad account' };
+    try {
+      const url = new URL(`${getBaseUrl()}/act_${normalizeAccountId(account_id)}/saved_audiences`);
+      url.searchParams.append('fields', GRAPH_SAVED_AUDIENCE_FIELDS);
+      const page = await graphPaginate(url, { headers: { 'Authorization': `Bearer ${token}` }, allPages: true });
+      const adsManager = page.data.map(describeGraphSavedAudience);
+      return { ...result, ads_manager: adsManager, count: saved.length + adsManager.length };
+    } catch (error) {
+      return { ...result, ads_manager_error: error.message };
+    }
+  } catch (error) {
+    console.error('Error listing saved audiences:', error);
+    return { error: 'An error occurred while listing saved audiences.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_saved_audiences',
+      description: 'List saved audiences: named targeting specs (location, age, gender, interests...) saved with create_saved_audience, plus, when account_id is given, the read-only saved audiences made in Ads Manager for that account. Each has an id, a summary like "PH, 25-44, female, 3 interests" and the full targeting. Pass the id as saved_audience_id to the create_ad_set_* tools or update_ad_set instead of rebuilding the targeting. The userId is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          account_id: {
+            type: 'string',
+            description: 'Optional ad account ID: keep only audiences usable in it and add its Ads Manager saved audiences.'
+          },
+          include_ads_manager: {
+            type: 'boolean',
+            description: 'Also list the Ads Manager saved audiences of account_id (default: true).'
+          }
+        },
+        required: ['userId']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -4,6 +4,7 @@
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
 import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ userId, type = 'adinterest', query, locale = 'en_US' }) => {
   const supabase = getSupabaseClient();
@@ -20,7 +21,7 @@ const executeFunction = async ({ userId, type = 'adinterest', query, locale = 'e
     url.searchParams.append('q', query);
     url.searchParams.append('locale', locale);
 
-    const response = await fetch(url.toString(), {
+    const response = await graphFetch(url.toString(), {
       method: 'GET',
       headers: { 'Authorization': `Bearer ${token}` }
     });
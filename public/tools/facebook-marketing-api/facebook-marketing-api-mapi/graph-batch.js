@@ -0,0 +1,105 @@
+/**
+ * Send up to 50 Graph API sub-requests in one call to the batch endpoint.
+ * Sub-requests can depend on earlier named ones ({result=name:$.id}); the session user's
+ * token is used for the whole batch.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { graphBatch, MAX_BATCH_SIZE } from './_graph-client.js';
+
+const executeFunction = async ({ userId, requests }) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+
+  if (!Array.isArray(requests) || requests.length === 0) {
+    return { error: 'requests must be a non-empty array' };
+  }
+  if (requests.length > MAX_BATCH_SIZE) {
+    return { error: `A batch can hold at most ${MAX_BATCH_SIZE} requests (got ${requests.length})` };
+  }
+
+  // Credentials come from the session; sub-requests may not bring their own
+  const carriesToken = (value) => /(^|[?&])access_token=/.test(String(value || ''));
+  for (const [i, r] of requests.entries()) {
+    const body = r?.body;
+    if (carriesToken(r?.relative_url) || carriesToken(typeof body === 'string' ? body : '') ||
+        (body && typeof body === 'object' && 'access_token' in body)) {
+      return { error: `Request ${i} carries its own access_token; the session token is used for the whole batch` };
+    }
+  }
+
+  try {
+    const results = await graphBatch(requests, { token });
+    const failed = results.filter((r) => !r.ok).length;
+    return {
+      success: failed === 0,
+      total: results.length,
+      succeeded: results.length - failed,
+      failed,
+      results,
+    };
+  } catch (error) {
+    console.error('Error sending batch request:', error);
+    return { error: 'An error occurred while sending the batch request.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'graph_batch',
+      description: `Send up to ${MAX_BATCH_SIZE} Graph API requests in one call (saves rate-limit budget and latency). Each request has a method, a relative_url (e.g. "act_123/campaigns?fields=id,name" or "123456?fields=insights{spend}") and for writes a body object. Give a request a name to reference its result in later requests with JSONPath, e.g. relative_url "{result=new_campaign:$.id}/adsets" or body {"campaign_id": "{result=new_campaign:$.id}"}. Returns per-request status, body and error. The userId is auto-filled from server workspace if not provided.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          requests: {
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_BATCH_SIZE,
+            description: 'Sub-requests, executed in order.',
+            items: {
+              type: 'object',
+              properties: {
+                method: {
+                  type: 'string',
+                  enum: ['GET', 'POST', 'DELETE'],
+                  description: 'HTTP method (default: GET).'
+                },
+                relative_url: {
+                  type: 'string',
+                  description: 'Graph path with query string, without host or version (e.g. "act_123/adsets?fields=id,name&limit=50").'
+                },
+                body: {
+                  type: 'object',
+                  description: 'Parameters for POST requests (objects and arrays are JSON-encoded).'
+                },
+                name: {
+                  type: 'string',
+                  description: 'Name other requests use to reference this result ({result=<name>:$.id}).'
+                },
+                depends_on: {
+                  type: 'string',
+                  description: 'Name of a request that must succeed before this one runs.'
+                },
+                omit_response_on_success: {
+                  type: 'boolean',
+                  description: 'Set true to drop the body of a named request that succeeded (it is returned by default).'
+                }
+              },
+              required: ['relative_url']
+            }
+          }
+        },
+        required: ['userId', 'requests']
+      }
+    }
+  }
+};
+
+export { apiTool };
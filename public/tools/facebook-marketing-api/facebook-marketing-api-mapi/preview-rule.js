@@ -0,0 +1,77 @@
+/**
+ * MCP Tool: Preview Rule
+ * Asks Meta which objects an automated rule would act on if it ran now. Nothing is changed,
+ * so disabled rules can be checked before they are turned on.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl, getAccountCurrency, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { RULE_FIELDS, describeRule } from './_rule-helpers.js';
+
+const executeFunction = async ({ userId, rule_id }) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!rule_id) return { error: 'Missing required parameter: rule_id' };
+
+  const baseUrl = getBaseUrl();
+  const headers = { 'Authorization': `Bearer ${token}` };
+
+  try {
+    const ruleResponse = await graphFetch(`${baseUrl}/${rule_id}?fields=${RULE_FIELDS}`, { headers });
+    if (!ruleResponse.ok) throw new Error(safeFacebookError(await ruleResponse.json()));
+    const rule = await ruleResponse.json();
+
+    // The preview is a POST that only evaluates, so it is still sent in dry-run mode
+    const response = await graphFetch(`${baseUrl}/${rule_id}/preview`, { method: 'POST', headers, readOnly: true });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+    const preview = await response.json();
+    const matches = preview.data || preview.results || [];
+
+    const currency = rule.account_id ? await getAccountCurrency(rule.account_id, token).catch(() => null) : null;
+    const described = describeRule(rule, currency);
+    return {
+      rule_id,
+      rule_status: rule.status || null,
+      summary: described.summary,
+      match_count: matches.length,
+      matches,
+      note: matches.length
+        ? `If the rule ran now it would act on these ${matches.length} object(s).`
+        : 'No objects match the rule right now.'
+    };
+  } catch (error) {
+    console.error('Error previewing ad rule:', error);
+    return { error: 'An error occurred while previewing the ad rule.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'preview_rule',
+      description: 'Preview an automated rule: which campaigns, ad sets or ads match its conditions right now and would be acted on if it ran, without changing anything. Works for ENABLED and DISABLED rules, so create a rule with status DISABLED, preview it, then enable it with update_ad_rule. Returns the rule summary, match_count and the matching objects. The userId is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          rule_id: {
+            type: 'string',
+            description: 'The ID of the rule to preview (from create_ad_rule or get_ad_rules).'
+          }
+        },
+        required: ['userId', 'rule_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -2,7 +2,10 @@
  * Generate an async report breakdown for Facebook Ads insights.
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
-import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { getBaseUrl, normalizeAccountId, safeFacebookError, getAccountTimezone } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { resolveDateRange, describeDateRange } from './_time-utils.js';
+import { INSIGHTS_LABEL_PROPERTIES, labelFilter, insightsLabelLevel } from './_label-helpers.js';
 
 const DEFAULT_FIELDS = '["actions","action_values","ad_id","clicks","impressions","reach","spend","account_currency","unique_clicks","video_thruplay_watched_actions","video_30_sec_watched_actions","video_avg_time_watched_actions","video_p100_watched_actions","video_p25_watched_actions","video_p50_watched_actions","video_p75_watched_actions","video_p95_watched_actions"]';
 
@@ -14,7 +17,9 @@ const executeFunction = async ({
   action_breakdowns = '["action_type"]',
   action_attribution_windows = '["1d_click","7d_click","1d_view"]',
   fields,
-  time_increment = '1'
+  time_increment = '1',
+  label,
+  label_level
 }) => {
   const supabase = getSupabaseClient();
   const acctId = normalizeAccountId(account_id);
@@ -22,19 +27,38 @@ const executeFunction = async ({
   if (!token) return { error: 'No Facebook access token found for this ad account' };
 
   try {
+    // Report days are calendar days in the account timezone, as in Ads Manager
+    const timeZone = await getAccountTimezone(acctId, token) || 'UTC';
+    let range;
+    try {
+      range = resolveDateRange(time_range?.since && time_range?.until ? time_range : { since: '30 days ago', until: 'today' }, timeZone);
+    } catch (err) {
+      return { error: err.message };
+    }
+
+    let filter = null;
+    if (label) {
+      try {
+        filter = await labelFilter(acctId, label, insightsLabelLevel(level, label_level), token);
+      } catch (err) {
+        return { error: err.message };
+      }
+    }
+
     const url = `${getBaseUrl()}/act_${acctId}/insights`;
 
     const body = {
       level,
-      time_range: time_range || { since: new Date(Date.now() - 30 * 86400000).toISOString().split('T')[0], until: new Date().toISOString().split('T')[0] },
+      time_range: range,
       breakdowns,
       action_breakdowns,
       action_attribution_windows,
       fields: fields || DEFAULT_FIELDS,
       time_increment,
+      ...(filter ? { filtering: [filter] } : {}),
     };
 
-    const response = await fetch(url, {
+    const response = await graphFetch(url, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${token}`,
@@ -48,7 +72,8 @@ const executeFunction = async ({
       throw new Error(safeFacebookError(errorData));
     }
 
-    return await response.json();
+    const result = await response.json();
+    return { ...result, ...(label ? { label } : {}), reporting_period: describeDateRange(range, timeZone) };
   } catch (error) {
     console.error('Error generating report breakdown:', error);
     return { error: 'An error occurred while generating the report breakdown.', details: error.message };
@@ -61,7 +86,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'generate_report_breakdown',
-      description: 'Generate an asynchronous report breakdown for a Facebook Ad Account. Configure metrics fields (spend, impressions, conversions, etc.), breakdowns (age, gender, country, device, placement), date ranges, and attribution windows. Returns a report_run_id to poll with get_report_insights. The account_id is auto-filled from server workspace if not provided.',
+      description: 'Generate an asynchronous report breakdown for a Facebook Ad Account. Configure metrics fields (spend, impressions, conversions, etc.), breakdowns (age, gender, country, device, placement), date ranges, attribution windows, and an ad label filter (label). Returns a report_run_id to poll with get_report_insights. The account_id is auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
@@ -77,10 +102,10 @@ const apiTool = {
           time_range: {
             type: 'object',
             properties: {
-              since: { type: 'string', description: 'Start date (YYYY-MM-DD)' },
-              until: { type: 'string', description: 'End date (YYYY-MM-DD)' }
+              since: { type: 'string', description: 'First day (YYYY-MM-DD, or "yesterday", "7 days ago", ...)' },
+              until: { type: 'string', description: 'Last day, inclusive (YYYY-MM-DD, or "today", "yesterday", ...)' }
             },
-            description: 'Time range for the report (default: last 30 days).'
+            description: 'Time range in calendar days of the ad account timezone (default: the last 30 days through today).'
           },
           breakdowns: {
             type: 'string',
@@ -101,7 +126,8 @@ const apiTool = {
           time_increment: {
             type: 'string',
             description: 'Time increment: "1" for daily, "7" for weekly (default: 1).'
-          }
+          },
+          ...INSIGHTS_LABEL_PROPERTIES
         },
         required: ['account_id']
       }
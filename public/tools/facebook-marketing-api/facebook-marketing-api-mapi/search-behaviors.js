@@ -3,6 +3,7 @@
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
 import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ userId, limit = 50 }) => {
   const supabase = getSupabaseClient();
@@ -10,7 +11,7 @@ const executeFunction = async ({ userId, limit = 50 }) => {
   if (!token) return { error: 'No Facebook access token found for this user' };
   try {
     const url = `${getBaseUrl()}/search?type=adTargetingCategory&class=behaviors&limit=${limit}&access_token=${token}`;
-    const response = await fetch(url, { method: 'GET' });
+    const response = await graphFetch(url, { method: 'GET' });
     if (!response.ok) {
       const errorData = await response.json();
       throw new Error(safeFacebookError(errorData));
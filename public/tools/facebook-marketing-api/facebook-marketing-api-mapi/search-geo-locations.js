@@ -3,6 +3,7 @@
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
 import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ userId, query, location_types, limit = 25 }) => {
   const supabase = getSupabaseClient();
@@ -17,7 +18,7 @@ const executeFunction = async ({ userId, query, location_types, limit = 25 }) =>
     if (location_types && location_types.length > 0) {
       url.searchParams.append('location_types', JSON.stringify(location_types));
     }
-    const response = await fetch(url.toString(), { method: 'GET' });
+    const response = await graphFetch(url.toString(), { method: 'GET' });
     if (!response.ok) {
       const errorData = await response.json();
       throw new Error(safeFacebookError(errorData));
@@ -3,6 +3,7 @@
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
 import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ account_id, search_term, base_url }) => {
   const base = base_url || getBaseUrl();
@@ -15,7 +16,7 @@ const executeFunction = async ({ account_id, search_term, base_url }) => {
     if (search_term) {
       url += `&name=${encodeURIComponent(search_term)}`;
     }
-    const response = await fetch(url, {
+    const response = await graphFetch(url, {
       method: 'GET',
       headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' }
     });
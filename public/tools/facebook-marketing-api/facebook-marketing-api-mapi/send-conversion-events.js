@@ -0,0 +1,221 @@
+/**
+ * MCP Tool: Send Conversion Events
+ * Sends server events to a pixel or dataset through the Conversions API. user_data
+ * identifiers are normalized and SHA-256 hashed locally (_customer-data.js); raw values
+ * are never logged, returned or sent. Events go in batches of up to 1,000 per request.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { prepareEventUserData, CAPI_PLAIN_KEYS } from './_customer-data.js';
+
+// Most events Graph accepts in one request
+const MAX_BATCH_EVENTS = 1000;
+// Meta rejects events older than 7 days
+const MAX_EVENT_AGE_SECONDS = 7 * 86400;
+
+const ACTION_SOURCES = ['website', 'app', 'email', 'phone_call', 'chat', 'physical_store', 'system_generated', 'business_messaging', 'other'];
+// Keys that identify a person on their own; the rest only help match
+const MATCH_KEYS = ['em', 'ph', 'external_id', 'fbc', 'fbp', 'madid', 'lead_id', 'anon_id', 'fb_login_id', 'subscription_id', 'ctwa_clid'];
+
+function eventTime(value, now) {
+  if (value == null || value === '') return now;
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const n = Number(value);
+    return Math.floor(n > 1e12 ? n / 1000 : n);
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+/**
+ * One event in Conversions API form, or the reasons it cannot be sent.
+ * @returns {{ event?: Object, errors: string[], warnings: string[] }}
+ */
+function prepareEvent(input, { now, countryCallingCode }) {
+  const errors = [];
+  const warnings = [];
+  const {
+    event_name: eventName,
+    event_time: time,
+    action_source: actionSource = 'website',
+    event_source_url: sourceUrl,
+    event_id: eventId,
+    user_data: userData,
+    custom_data: customData,
+    ...rest
+  } = input || {};
+
+  if (!eventName) errors.push('event_name is required');
+  const seconds = eventTime(time, now);
+  if (seconds == null) errors.push('event_time must be a Unix timestamp or an ISO 8601 date');
+  else if (seconds > now + 60) errors.push('event_time is in the future');
+  else if (now - seconds > MAX_EVENT_AGE_SECONDS) errors.push('event_time is more than 7 days ago; Meta rejects older events');
+  if (!ACTION_SOURCES.includes(actionSource)) errors.push(`action_source must be one of ${ACTION_SOURCES.join(', ')}`);
+
+  const prepared = prepareEventUserData(userData, { countryCallingCode });
+  if (prepared.invalid_fields.length) warnings.push(`Dropped user_data that could not be normalized: ${prepared.invalid_fields.join(', ')}`);
+  if (prepared.ignored_fields.length) warnings.push(`Ignored unknown user_data keys: ${prepared.ignored_fields.join(', ')}`);
+  const user = prepared.user_data;
+  const hasBrowser = user.client_ip_address && user.client_user_agent;
+  if (!MATCH_KEYS.some((key) => user[key]) && !hasBrowser) {
+    errors.push('user_data needs at least one identifier (email, phone, external_id, fbc, fbp...) or client_ip_address with client_user_agent');
+  }
+  if (actionSource === 'website') {
+    if (!sourceUrl) errors.push('event_source_url is required for website events');
+    if (!user.client_user_agent) errors.push('user_data.client_user_agent is required for website events');
+  }
+  if (eventName === 'Purchase' && (customData?.value == null || !customData?.currency)) {
+    errors.push('Purchase events need custom_data.value and custom_data.currency');
+  }
+  if (!eventId) warnings.push('No event_id: Meta cannot deduplicate this event with the same browser (pixel) event');
+
+  if (errors.length) return { errors, warnings };
+  return {
+    event: {
+      ...rest,
+      event_name: eventName,
+      event_time: seconds,
+      action_source: actionSource,
+      ...(sourceUrl ? { event_source_url: sourceUrl } : {}),
+      ...(eventId ? { event_id: String(eventId) } : {}),
+      user_data: user,
+      ...(customData ? { custom_data: customData } : {})
+    },
+    errors,
+    warnings
+  };
+}
+
+const executeFunction = async ({
+  userId,
+  pixel_id,
+  events,
+  test_event_code = null,
+  country_calling_code = null
+}) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!pixel_id) return { error: 'Missing required parameter: pixel_id' };
+  if (!Array.isArray(events) || !events.length) return { error: 'events must list at least one event' };
+
+  const now = Math.floor(Date.now() / 1000);
+  const countryCallingCode = country_calling_code ? String(country_calling_code).replace(/\D/g, '') : undefined;
+  const prepared = events.map((event) => prepareEvent(event, { now, countryCallingCode }));
+  const invalid = prepared
+    .map((p, index) => ({ index, event_name: events[index]?.event_name || null, errors: p.errors }))
+    .filter((p) => p.errors.length);
+  if (invalid.length) {
+    return { error: `${invalid.length} of ${events.length} event(s) cannot be sent; nothing was sent`, invalid_events: invalid };
+  }
+
+  const summary = prepared.map(({ event, warnings }) => ({
+    event_name: event.event_name,
+    event_id: event.event_id || null,
+    event_time: event.event_time,
+    user_data_keys: Object.keys(event.user_data),
+    ...(warnings.length ? { warnings } : {})
+  }));
+
+  const batches = [];
+  for (let start = 0; start < prepared.length; start += MAX_BATCH_EVENTS) {
+    const chunk = prepared.slice(start, start + MAX_BATCH_EVENTS).map((p) => p.event);
+    const batch = { batch: batches.length + 1, events: chunk.length };
+    try {
+      const params = { data: JSON.stringify(chunk), ...(test_event_code ? { test_event_code } : {}) };
+      const response = await graphFetch(`${getBaseUrl()}/${pixel_id}/events`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(params).toString()
+      });
+      const body = await response.json();
+      if (!response.ok) {
+        batches.push({ ...batch, success: false, error: safeFacebookError(body), fbtrace_id: body?.error?.fbtrace_id || null });
+      } else {
+        batches.push({
+          ...batch,
+          success: true,
+          events_received: body.events_received ?? null,
+          messages: body.messages || [],
+          fbtrace_id: body.fbtrace_id || null
+        });
+      }
+    } catch (error) {
+      // Identifiers are hashed already, but only the message is kept
+      console.error('Error sending conversion events:', error.message);
+      batches.push({ ...batch, success: false, error: error.message });
+    }
+  }
+
+  const failed = batches.filter((b) => !b.success);
+  return {
+    ...(failed.length ? { error: `${failed.length} of ${batches.length} batch(es) failed` } : {}),
+    success: failed.length === 0,
+    pixel_id,
+    test_event_code,
+    sent: batches.filter((b) => b.success).reduce((n, b) => n + b.events, 0),
+    batches,
+    events: summary,
+    ...(test_event_code ? { note: 'Test events appear under Test Events in Events Manager and are not used for ads.' } : {})
+  };
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'send_conversion_events',
+      description: `Send server events (Purchase, Lead, CompleteRegistration, AddToCart, custom events...) to a pixel or dataset through the Conversions API (pixel IDs from get_pixel_details). user_data identifiers (email, phone, first/last name, city, state, zip, country, gender, date of birth, external_id) are normalized and SHA-256 hashed on the server before sending; already-hashed values are kept, and ${CAPI_PLAIN_KEYS.slice(0, 4).join(', ')} are sent as given. Pass test_event_code (from Events Manager > Test Events) to debug without affecting ads, and the browser event's event_id to deduplicate with the pixel. Every event is validated first (nothing is sent if one is invalid); returns Meta's events_received, messages and fbtrace_id per batch of up to ${MAX_BATCH_EVENTS} events. The userId is auto-filled from server workspace if not provided.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          pixel_id: {
+            type: 'string',
+            description: 'The pixel or dataset ID to send events to.'
+          },
+          events: {
+            type: 'array',
+            minItems: 1,
+            description: 'Server events.',
+            items: {
+              type: 'object',
+              properties: {
+                event_name: { type: 'string', description: 'e.g. Purchase, Lead, CompleteRegistration, or a custom name' },
+                event_time: { description: 'Unix timestamp (seconds) or ISO 8601 date, within the last 7 days (default: now)' },
+                event_id: { type: 'string', description: 'The eventID the pixel sent for the same action, to deduplicate' },
+                action_source: { type: 'string', enum: ACTION_SOURCES, description: 'Where the conversion happened (default: website)' },
+                event_source_url: { type: 'string', description: 'Page URL; required for website events' },
+                user_data: {
+                  type: 'object',
+                  description: 'Identifiers in plain text (hashed here): email, phone, first_name, last_name, city, state, zip, country, gender, dob, external_id; plus client_ip_address, client_user_agent (required for website events), fbc, fbp.'
+                },
+                custom_data: {
+                  type: 'object',
+                  description: 'e.g. { "value": 1499, "currency": "PHP", "content_ids": ["SKU1"] }; value and currency are required for Purchase.'
+                }
+              },
+              required: ['event_name', 'user_data']
+            }
+          },
+          test_event_code: {
+            type: 'string',
+            description: 'Test code from Events Manager (e.g. TEST12345); events show under Test Events only.'
+          },
+          country_calling_code: {
+            type: 'string',
+            description: 'Calling code used to complete local phone numbers, e.g. "63" turns 0917... into 63917...'
+          }
+        },
+        required: ['userId', 'pixel_id', 'events']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -5,6 +5,7 @@
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
 import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ userId, creative_id, name, optimization_type }) => {
   const supabase = getSupabaseClient();
@@ -19,7 +20,7 @@ const executeFunction = async ({ userId, creative_id, name, optimization_type })
       return { error: 'At least one field to update is required (name or optimization_type).' };
     }
 
-    const response = await fetch(`${getBaseUrl()}/${creative_id}`, {
+    const response = await graphFetch(`${getBaseUrl()}/${creative_id}`, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${token}`,
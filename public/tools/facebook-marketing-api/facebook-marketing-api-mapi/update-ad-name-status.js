@@ -3,6 +3,7 @@
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
 import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ userId, ad_id, name, status = 'PAUSED' }) => {
   const supabase = getSupabaseClient();
@@ -14,7 +15,7 @@ const executeFunction = async ({ userId, ad_id, name, status = 'PAUSED' }) => {
     if (name) url.searchParams.append('name', name);
     if (status) url.searchParams.append('status', status);
 
-    const response = await fetch(url.toString(), {
+    const response = await graphFetch(url.toString(), {
       method: 'POST',
       headers: { 'Authorization': `Bearer ${token}` }
     });
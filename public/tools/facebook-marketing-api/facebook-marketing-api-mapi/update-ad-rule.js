@@ -0,0 +1,161 @@
+/**
+ * MCP Tool: Update Ad Rule
+ * Renames, enables or disables an automated rule, or changes its conditions, action or
+ * schedule. Only provided fields are modified; the rest of each spec is kept.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl, getAccountCurrency, fromMinorUnits, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch, isDryRun } from './_graph-client.js';
+import {
+  RULE_FIELDS,
+  RULE_PROPERTIES,
+  buildEvaluationSpec,
+  buildExecutionSpec,
+  buildScheduleSpec,
+  describeRule,
+  ruleAction,
+} from './_rule-helpers.js';
+
+const executeFunction = async ({
+  userId,
+  rule_id,
+  name,
+  status,
+  level,
+  object_ids,
+  time_preset,
+  conditions,
+  action,
+  change,
+  schedule,
+  evaluation_spec,
+  execution_spec,
+  schedule_spec
+}) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!rule_id) return { error: 'Missing required parameter: rule_id' };
+  if (status != null && !['ENABLED', 'DISABLED'].includes(status)) return { error: 'status must be ENABLED or DISABLED' };
+
+  const changesEvaluation = [level, object_ids, time_preset, conditions].some((v) => v != null);
+  const changesExecution = action != null || change != null;
+  if (name == null && status == null && schedule == null && !changesEvaluation && !changesExecution
+    && evaluation_spec == null && execution_spec == null && schedule_spec == null) {
+    return { error: 'Nothing to update: provide name, status, conditions, action, change, schedule or a raw spec' };
+  }
+  if ((changesEvaluation && evaluation_spec) || (changesExecution && execution_spec) || (schedule != null && schedule_spec)) {
+    return { error: 'Provide either the readable arguments or the raw spec for each part of the rule, not both' };
+  }
+
+  const baseUrl = getBaseUrl();
+  const headers = { 'Authorization': `Bearer ${token}` };
+
+  try {
+    const readRule = async () => {
+      const response = await graphFetch(`${baseUrl}/${rule_id}?fields=${RULE_FIELDS}`, { headers });
+      if (!response.ok) throw new Error(safeFacebookError(await response.json()));
+      return response.json();
+    };
+
+    // Partial changes are merged into the current specs, so read the rule first
+    const current = await readRule();
+    const currency = current.account_id ? await getAccountCurrency(current.account_id, token).catch(() => null) : null;
+    const described = describeRule(current, currency);
+
+    const params = {};
+    if (name != null) params.name = String(name).trim();
+    if (status != null) params.status = status;
+    try {
+      if (evaluation_spec) params.evaluation_spec = JSON.stringify(evaluation_spec);
+      if (changesEvaluation) {
+        // Current conditions are kept in Graph's form (money already in minor units)
+        const keptConditions = described.evaluation_spec.filters
+          .filter((f) => !['entity_type', 'time_preset', 'id'].includes(f.field));
+        params.evaluation_spec = JSON.stringify(buildEvaluationSpec({
+          level: level || described.level?.toLowerCase(),
+          object_ids: object_ids ?? described.object_ids ?? [],
+          time_preset: time_preset || described.time_preset || 'LAST_7_DAYS',
+          conditions: conditions ?? keptConditions
+        }, currency));
+      }
+      if (execution_spec) params.execution_spec = JSON.stringify(execution_spec);
+      if (changesExecution) {
+        const currentChange = described.action.change;
+        params.execution_spec = JSON.stringify(buildExecutionSpec({
+          action: action || ruleAction(described.execution_spec),
+          change: change ?? (currentChange && {
+            amount: currentChange.unit === 'PERCENTAGE'
+              ? Math.abs(currentChange.amount)
+              : fromMinorUnits(Math.abs(currentChange.amount), currency),
+            unit: currentChange.unit === 'PERCENTAGE' ? 'percent' : 'amount',
+            ...(currentChange.limit != null ? { limit: fromMinorUnits(currentChange.limit, currency) } : {})
+          })
+        }, currency));
+      }
+      if (schedule_spec) params.schedule_spec = JSON.stringify(schedule_spec);
+      if (schedule != null) params.schedule_spec = JSON.stringify(buildScheduleSpec(schedule));
+    } catch (err) {
+      return { error: err.message };
+    }
+
+    const response = await graphFetch(`${baseUrl}/${rule_id}`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params).toString()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+    const result = await response.json();
+
+    return {
+      success: result.success !== false,
+      rule_id,
+      updated_fields: Object.keys(params),
+      rule: describeRule(isDryRun() ? { ...current, ...params } : await readRule(), currency)
+    };
+  } catch (error) {
+    console.error('Error updating ad rule:', error);
+    return { error: 'An error occurred while updating the ad rule.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'update_ad_rule',
+      description: 'Update an automated rule: rename it, turn it on or off (status ENABLED / DISABLED), or change its level, object_ids, time window, conditions, action, budget/bid change or schedule. Only the parts you pass change; e.g. passing only time_preset keeps the current conditions. Money values are in the account currency. Raw Meta specs replace the matching part entirely. The userId is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          rule_id: {
+            type: 'string',
+            description: 'The ID of the rule to update (from get_ad_rules).'
+          },
+          name: {
+            type: 'string',
+            description: 'New rule name'
+          },
+          status: {
+            type: 'string',
+            enum: ['ENABLED', 'DISABLED'],
+            description: 'ENABLED runs the rule on its schedule; DISABLED stops it without deleting it.'
+          },
+          ...RULE_PROPERTIES
+        },
+        required: ['userId', 'rule_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -1,9 +1,12 @@
 /**
  * General-purpose ad set update tool.
- * Supports updating name, status, budget, bid, targeting, and schedule.
+ * Supports updating name, status, budget, bid, targeting (or a saved audience), and schedule.
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
-import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { getBaseUrl, safeFacebookError, getObjectAccount, describeMoney, toMinorUnits, checkMoneyArgs, MONEY_UNIT } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { resolveSchedule, describeSchedule, toLocalIso } from './_time-utils.js';
+import { loadSavedAudience } from './_saved-audiences.js';
 
 const executeFunction = async ({
   userId,
@@ -17,29 +20,69 @@ const executeFunction = async ({
   optimization_goal,
   start_time,
   end_time,
-  targeting
+  targeting,
+  saved_audience_id,
+  custom_audience_id
 }) => {
   const supabase = getSupabaseClient();
   const token = await getTokenForUser(supabase, userId);
   if (!token) return { error: 'No Facebook access token found for this user' };
 
   if (!adset_id) return { error: 'adset_id is required' };
+  const moneyError = checkMoneyArgs({ daily_budget, lifetime_budget, bid_amount });
+  if (moneyError) return { error: moneyError };
+  if (targeting && saved_audience_id) return { error: 'Provide either targeting or saved_audience_id, not both' };
+  if (custom_audience_id && !saved_audience_id) return { error: 'custom_audience_id is added to a saved audience; use it with saved_audience_id' };
 
   try {
+    // Amounts are converted to the minor units of the ad set's account currency, times without
+    // an offset are read in its timezone, and a saved audience must be one saved for that account
+    const changesMoney = [daily_budget, lifetime_budget, bid_amount].some((v) => v != null);
+    const account = changesMoney || start_time || end_time || saved_audience_id ? await getObjectAccount(adset_id, token) : null;
+    if (changesMoney && !account?.currency) return { error: `Could not determine the currency of ad set ${adset_id}` };
+    const amounts = changesMoney ? {
+      daily_budget: daily_budget != null ? toMinorUnits(daily_budget, account.currency) : null,
+      lifetime_budget: lifetime_budget != null ? toMinorUnits(lifetime_budget, account.currency) : null,
+      bid_amount: bid_amount != null ? toMinorUnits(bid_amount, account.currency) : null,
+    } : {};
+    const timeZone = account?.timezone_name || 'UTC';
+    let schedule;
+    try {
+      schedule = resolveSchedule({ start_time, end_time }, timeZone);
+    } catch (err) {
+      return { error: err.message };
+    }
+
+    let savedAudience = null;
+    if (saved_audience_id) {
+      try {
+        if (!account?.account_id) return { error: `Could not read the ad account of ad set ${adset_id}` };
+        savedAudience = await loadSavedAudience(saved_audience_id, {
+          userId,
+          token,
+          accountId: account.account_id,
+          customAudienceId: custom_audience_id
+        });
+      } catch (err) {
+        return { error: err.message };
+      }
+    }
+
     const url = new URL(`${getBaseUrl()}/${adset_id}`);
 
     if (name) url.searchParams.append('name', name);
     if (status) url.searchParams.append('status', status);
-    if (daily_budget != null) url.searchParams.append('daily_budget', String(daily_budget));
-    if (lifetime_budget != null) url.searchParams.append('lifetime_budget', String(lifetime_budget));
-    if (bid_amount != null) url.searchParams.append('bid_amount', String(bid_amount));
+    if (amounts.daily_budget != null) url.searchParams.append('daily_budget', String(amounts.daily_budget));
+    if (amounts.lifetime_budget != null) url.searchParams.append('lifetime_budget', String(amounts.lifetime_budget));
+    if (amounts.bid_amount != null) url.searchParams.append('bid_amount', String(amounts.bid_amount));
     if (bid_strategy) url.searchParams.append('bid_strategy', bid_strategy);
     if (optimization_goal) url.searchParams.append('optimization_goal', optimization_goal);
-    if (start_time) url.searchParams.append('start_time', start_time);
-    if (end_time) url.searchParams.append('end_time', end_time);
+    if (schedule.start_time) url.searchParams.append('start_time', toLocalIso(schedule.start_time, timeZone));
+    if (schedule.end_time) url.searchParams.append('end_time', toLocalIso(schedule.end_time, timeZone));
     if (targeting) url.searchParams.append('targeting', JSON.stringify(targeting));
+    if (savedAudience) url.searchParams.append('targeting', JSON.stringify(savedAudience.targeting));
 
-    const response = await fetch(url.toString(), {
+    const response = await graphFetch(url.toString(), {
       method: 'POST',
       headers: { 'Authorization': `Bearer ${token}` }
     });
@@ -57,6 +100,9 @@ const executeFunction = async ({
       success: true,
       adset_id,
       result,
+      ...(savedAudience ? { saved_audience: { id: savedAudience.id, name: savedAudience.name, source: savedAudience.source } } : {}),
+      ...(changesMoney ? { money: describeMoney(amounts, account.currency) } : {}),
+      ...(Object.keys(schedule).length ? { schedule: describeSchedule(schedule, timeZone) } : {}),
     };
   } catch (error) {
     console.error('Error updating ad set:', error);
@@ -70,7 +116,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'update_ad_set',
-      description: 'Update an existing Facebook ad set by its ID. Supports changing name, status (ACTIVE, PAUSED, ARCHIVED), daily or lifetime budget, bid amount, targeting criteria, start/end time, and optimization goal. Only provided fields are updated. The userId is auto-filled from server workspace if not provided.',
+      description: 'Update an existing Facebook ad set by its ID. Supports changing name, status (ACTIVE, PAUSED, ARCHIVED), daily or lifetime budget and bid amount (in the ad account currency), targeting criteria, start/end time, and optimization goal. Only provided fields are updated. The userId is auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
@@ -93,15 +139,15 @@ const apiTool = {
           },
           daily_budget: {
             type: 'number',
-            description: 'New daily budget in cents. Cannot be used with lifetime_budget.'
+            description: `New daily budget ${MONEY_UNIT}. Cannot be used with lifetime_budget.`
           },
           lifetime_budget: {
             type: 'number',
-            description: 'New lifetime budget in cents. Cannot be used with daily_budget.'
+            description: `New lifetime budget ${MONEY_UNIT}. Cannot be used with daily_budget.`
           },
           bid_amount: {
             type: 'number',
-            description: 'New bid amount in cents.'
+            description: `New bid amount ${MONEY_UNIT}.`
           },
           bid_strategy: {
             type: 'string',
@@ -114,15 +160,23 @@ const apiTool = {
           },
           start_time: {
             type: 'string',
-            description: 'New start time (ISO 8601 format).'
+            description: 'New start time in the ad account timezone: ISO 8601 (offset added automatically), a date, or words like "tomorrow 9am" or "midnight".'
           },
           end_time: {
             type: 'string',
-            description: 'New end time (ISO 8601 format).'
+            description: 'New end time in the ad account timezone: ISO 8601 (offset added automatically), a date, or words like "tomorrow 9am" or "midnight".'
           },
           targeting: {
             type: 'object',
             description: 'New targeting spec object (geo_locations, age_min, age_max, genders, etc.).'
+          },
+          saved_audience_id: {
+            type: 'string',
+            description: 'Saved audience ID (get_saved_audiences) whose targeting replaces the ad set targeting; use instead of targeting. It must be saved for the ad set\'s ad account (or for any account).'
+          },
+          custom_audience_id: {
+            type: 'string',
+            description: 'Custom audience added to the saved audience\'s targeting (with saved_audience_id only).'
           }
         },
         required: ['userId', 'adset_id']
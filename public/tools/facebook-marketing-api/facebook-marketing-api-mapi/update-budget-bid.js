@@ -1,22 +1,43 @@
 /**
- * Update the budget and bid strategy for an existing Facebook campaign. Supports daily_budget or lifetime_budget (in cents), bid strategy (LOWEST_COST_WITHOUT_CAP, LOWEST_COST_WITH_BID_CAP, COST_CAP, LOWEST_COST_WITH_MIN_ROAS), and campaign end time. Only provided fields are updated. The userId is auto-filled from server workspace if not provided.
+ * Update the budget and bid strategy for an existing Facebook campaign. Supports daily_budget or lifetime_budget (in the ad account currency), bid strategy (LOWEST_COST_WITHOUT_CAP, LOWEST_COST_WITH_BID_CAP, COST_CAP, LOWEST_COST_WITH_MIN_ROAS), and campaign end time. Only provided fields are updated. The userId is auto-filled from server workspace if not provided.
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
-import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { getBaseUrl, safeFacebookError, getObjectAccount, describeMoney, toMinorUnits, checkMoneyArgs, MONEY_UNIT } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { resolveSchedule, describeSchedule, toLocalIso } from './_time-utils.js';
 
 const executeFunction = async ({ userId, campaign_id, daily_budget, lifetime_budget, bid_strategy, stop_time }) => {
   const supabase = getSupabaseClient();
   const token = await getTokenForUser(supabase, userId);
   if (!token) return { error: 'No Facebook access token found for this user' };
+  const moneyError = checkMoneyArgs({ daily_budget, lifetime_budget });
+  if (moneyError) return { error: moneyError };
 
   try {
+    // Budgets are converted to the minor units of the campaign's account currency, and
+    // stop_time without an offset is read in its timezone
+    const changesMoney = daily_budget != null || lifetime_budget != null;
+    const account = changesMoney || stop_time ? await getObjectAccount(campaign_id, token) : null;
+    if (changesMoney && !account?.currency) return { error: `Could not determine the currency of campaign ${campaign_id}` };
+    const amounts = changesMoney ? {
+      daily_budget: daily_budget != null ? toMinorUnits(daily_budget, account.currency) : null,
+      lifetime_budget: lifetime_budget != null ? toMinorUnits(lifetime_budget, account.currency) : null,
+    } : {};
+    const timeZone = account?.timezone_name || 'UTC';
+    let schedule;
+    try {
+      schedule = resolveSchedule({ stop_time }, timeZone);
+    } catch (err) {
+      return { error: err.message };
+    }
+
     const url = new URL(`${getBaseUrl()}/${campaign_id}`);
-    if (daily_budget != null) url.searchParams.append('daily_budget', String(daily_budget));
-    if (lifetime_budget != null) url.searchParams.append('lifetime_budget', String(lifetime_budget));
+    if (amounts.daily_budget != null) url.searchParams.append('daily_budget', String(amounts.daily_budget));
+    if (amounts.lifetime_budget != null) url.searchParams.append('lifetime_budget', String(amounts.lifetime_budget));
     if (bid_strategy) url.searchParams.append('bid_strategy', bid_strategy);
-    if (stop_time) url.searchParams.append('stop_time', stop_time);
+    if (schedule.stop_time) url.searchParams.append('stop_time', toLocalIso(schedule.stop_time, timeZone));
 
-    const response = await fetch(url.toString(), {
+    const response = await graphFetch(url.toString(), {
       method: 'POST',
       headers: { 'Authorization': `Bearer ${token}` }
     });
@@ -26,7 +47,13 @@ const executeFunction = async ({ userId, campaign_id, daily_budget, lifetime_bud
       throw new Error(safeFacebookError(errorData));
     }
 
-    return await response.json();
+    const result = await response.json();
+    if (!changesMoney && !schedule.stop_time) return result;
+    return {
+      ...result,
+      ...(changesMoney ? { money: describeMoney(amounts, account.currency) } : {}),
+      ...(schedule.stop_time ? { schedule: describeSchedule(schedule, timeZone) } : {}),
+    };
   } catch (error) {
     console.error('Error updating budget/bid:', error);
     return { error: 'An error occurred while updating the budget and bid.', details: error.message };
@@ -39,7 +66,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'update_budget_bid',
-      description: 'Update the budget and bid strategy for an existing Facebook campaign. Supports daily_budget or lifetime_budget (in cents), bid strategy (LOWEST_COST_WITHOUT_CAP, LOWEST_COST_WITH_BID_CAP, COST_CAP, LOWEST_COST_WITH_MIN_ROAS), and campaign end time. Only provided fields are updated. The userId is auto-filled from server workspace if not provided.',
+      description: 'Update the budget and bid strategy for an existing Facebook campaign. Supports daily_budget or lifetime_budget (in the ad account currency), bid strategy (LOWEST_COST_WITHOUT_CAP, LOWEST_COST_WITH_BID_CAP, COST_CAP, LOWEST_COST_WITH_MIN_ROAS), and campaign end time. Only provided fields are updated. The userId is auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
@@ -53,11 +80,11 @@ const apiTool = {
           },
           daily_budget: {
             type: 'number',
-            description: 'Daily budget in cents (e.g. 50000 = 500.00). Cannot be used with lifetime_budget.'
+            description: `Daily budget ${MONEY_UNIT}. Cannot be used with lifetime_budget.`
           },
           lifetime_budget: {
             type: 'number',
-            description: 'Lifetime budget in cents. Cannot be used with daily_budget.'
+            description: `Lifetime budget ${MONEY_UNIT}. Cannot be used with daily_budget.`
           },
           bid_strategy: {
             type: 'string',
@@ -66,7 +93,7 @@ const apiTool = {
           },
           stop_time: {
             type: 'string',
-            description: 'The end time for the campaign (ISO 8601 format).'
+            description: 'The end time for the campaign in the ad account timezone: ISO 8601 (offset added automatically), a date, or words like "tomorrow 9am" or "midnight".'
           }
         },
         required: ['userId', 'campaign_id']
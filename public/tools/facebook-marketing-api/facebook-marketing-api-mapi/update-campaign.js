@@ -3,7 +3,9 @@
  * Supports updating name, status, budget, bid strategy, and end time.
  */
 import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
-import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { getBaseUrl, safeFacebookError, getObjectAccount, describeMoney, toMinorUnits, checkMoneyArgs, MONEY_UNIT } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { resolveSchedule, describeSchedule, toLocalIso } from './_time-utils.js';
 
 const executeFunction = async ({
   userId,
@@ -21,21 +23,41 @@ const executeFunction = async ({
   if (!token) return { error: 'No Facebook access token found for this user' };
 
   if (!campaign_id) return { error: 'campaign_id is required' };
+  const moneyError = checkMoneyArgs({ daily_budget, lifetime_budget });
+  if (moneyError) return { error: moneyError };
 
   try {
+    // Amounts are converted to the minor units of the campaign's account currency, and times
+    // without an offset are read in its timezone
+    const changesMoney = [daily_budget, lifetime_budget].some((v) => v != null);
+    const account = changesMoney || end_time ? await getObjectAccount(campaign_id, token) : null;
+    if (changesMoney && !account?.currency) return { error: `Could not determine the currency of campaign ${campaign_id}` };
+    const amounts = changesMoney ? {
+      daily_budget: daily_budget != null ? toMinorUnits(daily_budget, account.currency) : null,
+      lifetime_budget: lifetime_budget != null ? toMinorUnits(lifetime_budget, account.currency) : null,
+    } : {};
+    const timeZone = account?.timezone_name || 'UTC';
+    let schedule;
+    try {
+      schedule = resolveSchedule({ end_time }, timeZone);
+    } catch (err) {
+      return { error: err.message };
+    }
+
     const url = new URL(`${getBaseUrl()}/${campaign_id}`);
 
     if (name) url.searchParams.append('name', name);
     if (status) url.searchParams.append('status', status);
-    if (daily_budget != null) url.searchParams.append('daily_budget', String(daily_budget));
-    if (lifetime_budget != null) url.searchParams.append('lifetime_budget', String(lifetime_budget));
+    if (amounts.daily_budget != null) url.searchParams.append('daily_budget', String(amounts.daily_budget));
+    if (amounts.lifetime_budget != null) url.searchParams.append('lifetime_budget', String(amounts.lifetime_budget));
     if (bid_strategy) url.searchParams.append('bid_strategy', bid_strategy);
-    if (end_time) url.searchParams.append('end_time', end_time);
+    // Campaigns call their end time stop_time
+    if (schedule.end_time) url.searchParams.append('stop_time', toLocalIso(schedule.end_time, timeZone));
     if (special_ad_categories) {
       url.searchParams.append('special_ad_categories', JSON.stringify(special_ad_categories));
     }
 
-    const response = await fetch(url.toString(), {
+    const response = await graphFetch(url.toString(), {
       method: 'POST',
       headers: { 'Authorization': `Bearer ${token}` }
     });
@@ -53,6 +75,8 @@ const executeFunction = async ({
       success: true,
       campaign_id,
       result,
+      ...(changesMoney ? { money: describeMoney(amounts, account.currency) } : {}),
+      ...(Object.keys(schedule).length ? { schedule: describeSchedule(schedule, timeZone) } : {}),
     };
   } catch (error) {
     console.error('Error updating campaign:', error);
@@ -66,7 +90,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'update_campaign',
-      description: 'Update an existing Facebook campaign by its ID. Supports changing the campaign name, status (ACTIVE, PAUSED, ARCHIVED), daily or lifetime budget, bid strategy (LOWEST_COST_WITHOUT_CAP, LOWEST_COST_WITH_BID_CAP, COST_CAP), and end time. Only provided fields are updated. The userId is auto-filled from server workspace if not provided.',
+      description: 'Update an existing Facebook campaign by its ID. Supports changing the campaign name, status (ACTIVE, PAUSED, ARCHIVED), daily or lifetime budget (in the ad account currency), bid strategy (LOWEST_COST_WITHOUT_CAP, LOWEST_COST_WITH_BID_CAP, COST_CAP), and end time. Only provided fields are updated. The userId is auto-filled from server workspace if not provided.',
       parameters: {
         type: 'object',
         properties: {
@@ -89,11 +113,11 @@ const apiTool = {
           },
           daily_budget: {
             type: 'number',
-            description: 'New daily budget in cents (e.g. 50000 = 500.00). Cannot be used with lifetime_budget.'
+            description: `New daily budget ${MONEY_UNIT}. Cannot be used with lifetime_budget.`
           },
           lifetime_budget: {
             type: 'number',
-            description: 'New lifetime budget in cents. Cannot be used with daily_budget.'
+            description: `New lifetime budget ${MONEY_UNIT}. Cannot be used with daily_budget.`
           },
           bid_strategy: {
             type: 'string',
@@ -102,7 +126,7 @@ const apiTool = {
           },
           end_time: {
             type: 'string',
-            description: 'New end time (ISO 8601 format).'
+            description: 'New end time in the ad account timezone: ISO 8601 (offset added automatically), a date, or words like "tomorrow 9am" or "midnight".'
           },
           special_ad_categories: {
             type: 'array',
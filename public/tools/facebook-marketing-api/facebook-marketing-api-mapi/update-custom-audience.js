@@ -0,0 +1,117 @@
+/**
+ * MCP Tool: Update Custom Audience
+ * Renames a custom audience, changes its description, or changes the look-back window of
+ * a website / engagement audience. Only provided fields are modified.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl, clean, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch, isDryRun } from './_graph-client.js';
+import { AUDIENCE_FIELDS, describeAudience, withRetention } from './_audience-helpers.js';
+
+const executeFunction = async ({ userId, audience_id, name, description, retention_days, rule }) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!audience_id) return { error: 'Missing required parameter: audience_id' };
+  if (name == null && description == null && retention_days == null && rule == null) {
+    return { error: 'Nothing to update: provide name, description, retention_days or rule' };
+  }
+  if (retention_days != null && rule != null) {
+    return { error: 'Provide either retention_days or rule, not both' };
+  }
+
+  const baseUrl = getBaseUrl();
+  const headers = { 'Authorization': `Bearer ${token}` };
+
+  try {
+    const readAudience = async () => {
+      const response = await graphFetch(`${baseUrl}/${audience_id}?fields=${AUDIENCE_FIELDS}`, { headers });
+      if (!response.ok) throw new Error(safeFacebookError(await response.json()));
+      return response.json();
+    };
+
+    // A new look-back is written into the audience's current rule
+    let newRule = rule != null ? (typeof rule === 'string' ? rule : JSON.stringify(rule)) : undefined;
+    if (retention_days != null) {
+      const current = await readAudience();
+      let updated;
+      try {
+        updated = withRetention(current.rule, retention_days);
+      } catch (err) {
+        return { error: err.message };
+      }
+      if (!updated) {
+        return { error: `Audience ${audience_id} (${current.subtype || 'unknown subtype'}) has no rule with a look-back window to change` };
+      }
+      newRule = JSON.stringify(updated);
+    }
+
+    const params = clean({ name, description, rule: newRule });
+    const response = await graphFetch(`${baseUrl}/${audience_id}`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params).toString()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+    const result = await response.json();
+
+    return {
+      success: result.success !== false,
+      audience_id,
+      updated_fields: Object.keys(params),
+      ...(isDryRun() ? {} : { audience: describeAudience(await readAudience()) })
+    };
+  } catch (error) {
+    console.error('Error updating custom audience:', error);
+    return { error: 'An error occurred while updating the custom audience.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'update_custom_audience',
+      description: 'Update a custom audience by its ID: rename it, change its description, change the look-back window (retention_days) of a website or engagement audience, or replace its rule. Only provided fields are modified. Returns the audience with approximate_count, delivery_status and operation_status. The userId is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          audience_id: {
+            type: 'string',
+            description: 'The ID of the custom audience to update.'
+          },
+          name: {
+            type: 'string',
+            description: 'New audience name (optional).'
+          },
+          description: {
+            type: 'string',
+            description: 'New description (optional).'
+          },
+          retention_days: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 365,
+            description: 'New look-back window in days for every rule of a website (up to 180) or engagement (up to 365) audience (optional).'
+          },
+          rule: {
+            type: 'object',
+            description: 'Replacement rule in Graph format, e.g. { "inclusions": { "operator": "or", "rules": [...] } } (optional, advanced).'
+          }
+        },
+        required: ['userId', 'audience_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
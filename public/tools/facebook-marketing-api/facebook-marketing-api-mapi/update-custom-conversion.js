@@ -0,0 +1,102 @@
+/**
+ * MCP Tool: Update Custom Conversion
+ * Renames a custom conversion or changes its description or default value. Meta does not
+ * allow changing its pixel, rule or category once created.
+ */
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl, getAccountCurrency, safeFacebookError, MONEY_UNIT } from './_shared-helpers.js';
+import { graphFetch, isDryRun } from './_graph-client.js';
+import { describeCustomConversion, loadCustomConversion } from './_custom-conversion-helpers.js';
+
+const executeFunction = async ({
+  userId,
+  custom_conversion_id,
+  name,
+  description,
+  default_conversion_value
+}) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!custom_conversion_id) return { error: 'Missing required parameter: custom_conversion_id' };
+  if (name == null && description == null && default_conversion_value == null) {
+    return { error: 'Nothing to update: provide name, description or default_conversion_value' };
+  }
+  if (name != null && !String(name).trim()) return { error: 'name cannot be empty' };
+  if (default_conversion_value != null && !(Number(default_conversion_value) >= 0)) {
+    return { error: 'default_conversion_value must be zero or a positive amount' };
+  }
+
+  const params = {};
+  if (name != null) params.name = String(name).trim();
+  if (description != null) params.description = String(description);
+  if (default_conversion_value != null) params.default_conversion_value = String(Number(default_conversion_value));
+
+  try {
+    const current = await loadCustomConversion(custom_conversion_id, token);
+    if (current.is_archived) return { error: `Custom conversion ${custom_conversion_id} is archived and cannot be changed` };
+    const currency = current.account_id ? await getAccountCurrency(current.account_id, token).catch(() => null) : null;
+
+    const response = await graphFetch(`${getBaseUrl()}/${custom_conversion_id}`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params).toString()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(safeFacebookError(errorData));
+    }
+    const result = await response.json();
+
+    const updated = isDryRun() ? { ...current, ...params } : await loadCustomConversion(custom_conversion_id, token);
+    return {
+      success: result.success !== false,
+      custom_conversion_id,
+      updated_fields: Object.keys(params),
+      custom_conversion: describeCustomConversion(updated, currency)
+    };
+  } catch (error) {
+    console.error('Error updating custom conversion:', error);
+    return { error: 'An error occurred while updating the custom conversion.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'update_custom_conversion',
+      description: 'Update a custom conversion: rename it, change its description, or change the default value counted for events that send none (in the ad account currency). Its pixel, rule and category cannot be changed; create a new conversion instead. The userId is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          custom_conversion_id: {
+            type: 'string',
+            description: 'The ID of the custom conversion to update (from get_custom_conversions).'
+          },
+          name: {
+            type: 'string',
+            description: 'New conversion name'
+          },
+          description: {
+            type: 'string',
+            description: 'New description'
+          },
+          default_conversion_value: {
+            type: 'number',
+            description: `New default value ${MONEY_UNIT}.`
+          }
+        },
+        required: ['userId', 'custom_conversion_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
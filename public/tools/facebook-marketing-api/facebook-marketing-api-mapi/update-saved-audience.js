@@ -0,0 +1,115 @@
+/**
+ * MCP Tool: Update Saved Audience
+ * Renames a saved audience or changes parts of its targeting; fields left out keep their
+ * saved values. Ad sets already created from it are not changed.
+ */
+import { isDryRun } from './_graph-client.js';
+import {
+  SAVED_TARGETING_PROPERTIES,
+  isGraphSavedAudienceId,
+  savedAudienceOwner,
+  buildSavedTargeting,
+  summarizeTargeting,
+  getSavedAudience,
+  updateSavedAudience,
+} from './_saved-audiences.js';
+
+const executeFunction = async ({
+  userId,
+  saved_audience_id,
+  name,
+  description,
+  location,
+  age_min,
+  age_max,
+  gender,
+  interests,
+  targeting
+}) => {
+  if (!saved_audience_id) return { error: 'Missing required parameter: saved_audience_id' };
+  if (isGraphSavedAudienceId(saved_audience_id)) {
+    return { error: 'Saved audiences made in Ads Manager are read-only through the API; change them in Ads Manager or save a copy with create_saved_audience.' };
+  }
+
+  const targetingChanges = { targeting, location, age_min, age_max, gender, interests };
+  const changesTargeting = Object.values(targetingChanges).some((value) => value != null);
+  if (!changesTargeting && name == null && description === undefined) {
+    return { error: 'Nothing to update: provide name, description or targeting fields' };
+  }
+  if (name != null && !String(name).trim()) return { error: 'name cannot be empty' };
+
+  try {
+    const owner = savedAudienceOwner(userId);
+    const current = await getSavedAudience(owner, saved_audience_id);
+    if (!current) return { error: `Saved audience ${saved_audience_id} not found` };
+
+    const changes = {};
+    if (name != null) changes.name = String(name).trim();
+    if (description !== undefined) changes.description = description;
+    if (changesTargeting) {
+      try {
+        changes.targeting = buildSavedTargeting(targetingChanges, current.targeting);
+      } catch (err) {
+        return { error: err.message };
+      }
+    }
+
+    if (isDryRun()) {
+      const preview = { ...current, ...changes };
+      return {
+        success: true,
+        saved: false,
+        note: 'Dry run: the saved audience was not changed.',
+        saved_audience: { ...preview, summary: summarizeTargeting(preview.targeting) }
+      };
+    }
+
+    const updated = await updateSavedAudience(owner, saved_audience_id, changes);
+    if (!updated) return { error: `Saved audience ${saved_audience_id} not found` };
+    return {
+      success: true,
+      saved_audience: updated,
+      previous_summary: current.summary,
+      note: 'Ad sets created from this audience keep their targeting; use update_ad_set with saved_audience_id to apply the change to them.'
+    };
+  } catch (error) {
+    console.error('Error updating saved audience:', error);
+    return { error: 'An error occurred while updating the saved audience.', details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'update_saved_audience',
+      description: 'Change a saved audience made with create_saved_audience: rename it, or change only some of its targeting (e.g. just age_max or the interests) while the rest stays as saved; a full targeting spec replaces it. Ad sets created from it keep their targeting until updated with update_ad_set. Ads Manager saved audiences are read-only. The userId is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          saved_audience_id: {
+            type: 'string',
+            description: 'REQUIRED: ID of the saved audience (from get_saved_audiences)'
+          },
+          name: {
+            type: 'string',
+            description: 'New name'
+          },
+          description: {
+            type: 'string',
+            description: 'New description'
+          },
+          ...SAVED_TARGETING_PROPERTIES
+        },
+        required: ['userId', 'saved_audience_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -4,6 +4,8 @@
  * Supports both URL upload and file upload methods
  */
 import { getBaseUrl, resolveToken, clean } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
+import { GraphApiError } from './_graph-errors.js';
 
 const executeFunction = async ({
   // Required
@@ -31,29 +33,11 @@ const executeFunction = async ({
       form.set('creative_folder_id', creative_folder_id);
     }
 
-    const resp = await fetch(endpoint, { method: 'POST', body: form });
+    const resp = await graphFetch(endpoint, { method: 'POST', body: form });
     const json = await resp.json();
     
     if (!resp.ok || json?.error) {
-      const msg = json?.error?.message || 'Unknown error';
-      const code = json?.error?.code;
-      const errorType = json?.error?.error_subcode;
-      
-      // Enhanced error messages
-      if (code === 3) {
-        throw new Error(`Facebook app lacks required permissions. Error: ${msg}. Please ensure your app has 'ads_management' permission and Marketing API access.`);
-      }
-      if (code === 1705) {
-        throw new Error(`Image URL not accessible: ${msg}. Please ensure the image URL is publicly accessible and returns a valid image file.`);
-      }
-      if (errorType === 1885703) {
-        throw new Error(`Image format not supported: ${msg}. Please use JPG, PNG, GIF, or WebP format.`);
-      }
-      if (code === 100) {
-        throw new Error(`Invalid parameters: ${msg}`);
-      }
-      
-      throw new Error(`Image upload failed: ${msg} (Code: ${code})`);
+      throw new GraphApiError(json, resp.status, 'Image upload failed');
     }
     
     // Parse response - Facebook returns images object with hash as key
@@ -108,18 +92,11 @@ const executeFunction = async ({
       form.set('creative_folder_id', creative_folder_id);
     }
 
-    const resp = await fetch(endpoint, { method: 'POST', body: form });
+    const resp = await graphFetch(endpoint, { method: 'POST', body: form });
     const json = await resp.json();
     
     if (!resp.ok || json?.error) {
-      const msg = json?.error?.message || 'Unknown error';
-      const code = json?.error?.code;
-      
-      if (code === 3) {
-        throw new Error(`Facebook app lacks required permissions. Error: ${msg}`);
-      }
-      
-      throw new Error(`Image file upload failed: ${msg} (Code: ${code})`);
+      throw new GraphApiError(json, resp.status, 'Image file upload failed');
     }
     
     const images = json.images || {};
@@ -192,20 +169,10 @@ const executeFunction = async ({
   } catch (error) {
     console.error('💥 Error in executeFunction (upload-ad-image):', error);
     
-    // Provide helpful suggestions based on error type
-    let suggestion = '';
-    if (error.message.includes('lacks required permissions')) {
-      suggestion = 'Your Facebook app needs ads_management permission. Go to App Dashboard > App Review > Permissions and Features to request it.';
-    } else if (error.message.includes('not accessible')) {
-      suggestion = 'Ensure the image URL is publicly accessible and returns a valid image file (JPG, PNG, GIF, or WebP).';
-    } else if (error.message.includes('format not supported')) {
-      suggestion = 'Use supported image formats: JPG, PNG, GIF, or WebP. Max file size is usually 30MB.';
-    }
-    
-    return { 
+    return {
       error: error.message,
-      suggestion: suggestion || 'Check that your image URL is valid and your Facebook app has proper permissions.',
-      details: error.stack 
+      ...(error.graph ? { graph_error: error.graph } : {}),
+      suggestion: error.graph?.next_step || 'Check that your image URL is valid and your Facebook app has proper permissions.'
     };
   }
 };
@@ -4,6 +4,7 @@
  */
 import { getSupabaseClient, getTokenForAccount } from './_token-utils.js';
 import { getBaseUrl, normalizeAccountId, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch } from './_graph-client.js';
 
 const executeFunction = async ({ account_id, video_url, name, title, description }) => {
   const base = getBaseUrl();
@@ -23,7 +24,7 @@ const executeFunction = async ({ account_id, video_url, name, title, description
     const formData = new URLSearchParams();
     for (const [k, v] of Object.entries(body)) formData.append(k, v);
 
-    const response = await fetch(url, {
+    const response = await graphFetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
       body: formData.toString()
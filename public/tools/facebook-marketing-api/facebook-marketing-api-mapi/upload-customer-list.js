@@ -0,0 +1,187 @@
+/**
+ * MCP Tool: Upload Customer List
+ * Adds customers to (or replaces the customers of) a customer list custom audience.
+ * Rows arrive as CSV text or JSON objects, are normalized and SHA-256 hashed locally
+ * (_customer-data.js), and are sent in batches of one upload session. No raw customer
+ * value is logged, returned or sent to Graph.
+ */
+import { randomInt } from 'node:crypto';
+import { getSupabaseClient, getTokenForUser } from './_token-utils.js';
+import { getBaseUrl, safeFacebookError } from './_shared-helpers.js';
+import { graphFetch, isDryRun } from './_graph-client.js';
+import { AUDIENCE_FIELDS, describeAudience } from './_audience-helpers.js';
+import { parseCsv, prepareCustomerRows } from './_customer-data.js';
+
+// Most rows Graph accepts in one users / usersreplace request
+const MAX_BATCH_ROWS = 10000;
+
+const executeFunction = async ({
+  userId,
+  audience_id,
+  csv = null,
+  customers = null,
+  replace = false,
+  country_calling_code = null,
+  default_country = null,
+  batch_size = MAX_BATCH_ROWS
+}) => {
+  const supabase = getSupabaseClient();
+  const token = await getTokenForUser(supabase, userId);
+  if (!token) return { error: 'No Facebook access token found for this user' };
+  if (!audience_id) return { error: 'Missing required parameter: audience_id' };
+  if (csv == null && customers == null) return { error: 'Provide customer rows as csv or customers' };
+  if (csv != null && customers != null) return { error: 'Provide either csv or customers, not both' };
+  if (customers != null && !Array.isArray(customers)) return { error: 'customers must be an array of objects' };
+
+  let rows;
+  try {
+    rows = csv != null ? parseCsv(csv) : customers;
+  } catch {
+    return { error: 'csv could not be read' };
+  }
+  if (!rows.length) return { error: 'No customer rows found' };
+
+  const prepared = prepareCustomerRows(rows, {
+    countryCallingCode: country_calling_code ? String(country_calling_code).replace(/\D/g, '') : undefined,
+    defaultCountry: default_country || undefined,
+  });
+  const counts = {
+    received: prepared.received,
+    invalid: prepared.invalid,
+    duplicates: prepared.duplicates,
+    to_upload: prepared.data.length,
+  };
+  const report = {
+    audience_id,
+    mode: replace ? 'replace' : 'add',
+    schema: prepared.schema,
+    counts,
+    invalid_fields: prepared.invalid_fields,
+    ignored_columns: prepared.ignored_columns,
+  };
+  if (!prepared.data.length) {
+    return { error: 'No row has an email, phone, mobile advertiser ID, external ID or full name with location', ...report };
+  }
+
+  const size = Math.min(Math.max(Number(batch_size) || MAX_BATCH_ROWS, 1), MAX_BATCH_ROWS);
+  const batches = [];
+  for (let i = 0; i < prepared.data.length; i += size) batches.push(prepared.data.slice(i, i + size));
+
+  const baseUrl = getBaseUrl();
+  const endpoint = `${baseUrl}/${audience_id}/${replace ? 'usersreplace' : 'users'}`;
+  const sessionId = randomInt(1, 2 ** 47);
+  let accepted = 0;
+  let rejected = 0;
+  let sent = 0;
+
+  try {
+    for (const [index, data] of batches.entries()) {
+      const session = {
+        session_id: sessionId,
+        batch_seq: index + 1,
+        last_batch_flag: index === batches.length - 1,
+        estimated_num_total: prepared.data.length,
+      };
+      const body = new URLSearchParams({
+        payload: JSON.stringify({ schema: prepared.schema, data }),
+        session: JSON.stringify(session),
+        access_token: token,
+      });
+      const response = await graphFetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: body.toString()
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        return {
+          error: `Customer upload failed on batch ${index + 1} of ${batches.length}: ${safeFacebookError(errorData)}`,
+          ...report,
+          session: { session_id: sessionId, batches_sent: index, batches_total: batches.length },
+          counts: { ...counts, sent, accepted, rejected_by_meta: rejected },
+          details: errorData
+        };
+      }
+      const result = await response.json();
+      sent += data.length;
+      accepted += Number(result.num_received ?? data.length) - Number(result.num_invalid_entries ?? 0);
+      rejected += Number(result.num_invalid_entries ?? 0);
+    }
+
+    // Matching runs in the background; the audience size is the closest thing to a match count
+    let audience = null;
+    if (!isDryRun()) {
+      const readBack = await graphFetch(`${baseUrl}/${audience_id}?fields=${AUDIENCE_FIELDS}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (readBack.ok) audience = describeAudience(await readBack.json());
+    }
+
+    return {
+      success: true,
+      ...report,
+      session: { session_id: sessionId, batches_sent: batches.length, batches_total: batches.length },
+      counts: { ...counts, sent, accepted, rejected_by_meta: rejected },
+      matched: audience?.approximate_count ?? null,
+      audience,
+      note: 'Meta matches uploaded customers in the background (up to a few hours); matched is the audience size Meta reports now.'
+    };
+  } catch (error) {
+    console.error('Error uploading customer list:', error.message);
+    return { error: 'An error occurred while uploading the customer list.', ...report, details: error.message };
+  }
+};
+
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'upload_customer_list',
+      description: 'Upload customers to a customer list custom audience (create one with create_custom_audience type customer_list). Rows come as CSV text with a header row or as JSON objects with columns such as email, phone, first_name, last_name, city, state, zip, country, dob, gender, madid and external_id. Every value is normalized to Meta\'s rules and SHA-256 hashed on the server before upload; raw values are never sent or logged. Rows are sent in batches of one upload session; replace: true swaps the audience\'s whole list instead of adding. Returns counts of rows received, invalid, duplicate, uploaded and accepted, and the audience\'s approximate matched size. The userId is auto-filled from server workspace if not provided.',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The authenticated user ID (auto-filled from server workspace if not provided).'
+          },
+          audience_id: {
+            type: 'string',
+            description: 'REQUIRED: ID of the customer list custom audience'
+          },
+          csv: {
+            type: 'string',
+            description: 'Customer rows as CSV text; the first line names the columns (e.g. "email,phone,first_name,last_name,country"). Use this or customers'
+          },
+          customers: {
+            type: 'array',
+            items: { type: 'object' },
+            description: 'Customer rows as JSON objects, e.g. [{ "email": "jane@example.com", "phone": "+63 917 123 4567", "country": "PH" }]. Use this or csv'
+          },
+          replace: {
+            type: 'boolean',
+            description: 'Replace every customer in the audience with these rows instead of adding them (default: false)'
+          },
+          country_calling_code: {
+            type: 'string',
+            description: 'Calling code added to local phone numbers that start with 0, e.g. "63" turns 0917... into 63917...'
+          },
+          default_country: {
+            type: 'string',
+            description: 'Two-letter country code for rows without a country column (e.g. "PH")'
+          },
+          batch_size: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_BATCH_ROWS,
+            description: `Rows per request (default and maximum: ${MAX_BATCH_ROWS})`
+          }
+        },
+        required: ['userId', 'audience_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
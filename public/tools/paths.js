@@ -1,4 +1,5 @@
-export const toolPaths = [
+// Tools that only read from the Graph API
+export const readToolPaths = [
   // ── Read: Account ──
   'facebook-marketing-api/facebook-marketing-api-mapi/get-ad-account.js',
   'facebook-marketing-api/facebook-marketing-api-mapi/get-ad-accounts.js',
@@ -26,11 +27,14 @@ export const toolPaths = [
   'facebook-marketing-api/facebook-marketing-api-mapi/get-details-from-ad-id.js',
   'facebook-marketing-api/facebook-marketing-api-mapi/get-creatives-list.js',
   'facebook-marketing-api/facebook-marketing-api-mapi/get-creative-details.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/get-ad-preview.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/get-ad-labels.js',
 
   // ── Read: Pixels & Conversions ──
   'facebook-marketing-api/facebook-marketing-api-mapi/get-ads-pixel-stats.js',
   'facebook-marketing-api/facebook-marketing-api-mapi/get-pixel-details.js',
   'facebook-marketing-api/facebook-marketing-api-mapi/get-offline-conversion-for-account-id.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/get-custom-conversion-stats.js',
 
   // ── Read: Targeting & Planning ──
   'facebook-marketing-api/facebook-marketing-api-mapi/get-targeting-categories.js',
@@ -42,6 +46,23 @@ export const toolPaths = [
   'facebook-marketing-api/facebook-marketing-api-mapi/estimate-audience-size.js',
   'facebook-marketing-api/facebook-marketing-api-mapi/get-reach-frequency-predictions.js',
 
+  // ── Read: Audiences ──
+  'facebook-marketing-api/facebook-marketing-api-mapi/get-custom-audiences.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/get-saved-audiences.js',
+
+  // ── Read: Lead Forms ──
+  'facebook-marketing-api/facebook-marketing-api-mapi/get-lead-forms.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/get-lead-form.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/get-leads.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/export-leads.js',
+
+  // ── Read: Automated Rules ──
+  'facebook-marketing-api/facebook-marketing-api-mapi/get-ad-rules.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/preview-rule.js',
+
+  // ── Read: Ad Studies ──
+  'facebook-marketing-api/facebook-marketing-api-mapi/get-ad-study-results.js',
+
   // ── Insights & Reports ──
   'facebook-marketing-api/facebook-marketing-api-mapi/get-account-insights.js',
   'facebook-marketing-api/facebook-marketing-api-mapi/get-insight-for-ads-group.js',
@@ -49,6 +70,12 @@ export const toolPaths = [
   'facebook-marketing-api/facebook-marketing-api-mapi/reportid-breakdown-generate.js',
   'facebook-marketing-api/facebook-marketing-api-mapi/attribution-setting.js',
 
+  // ── Read: Audit ──
+  'facebook-marketing-api/facebook-marketing-api-mapi/get-audit-log.js',
+];
+
+// Tools that create, update, duplicate or delete Graph objects (hidden when a server is read_only)
+export const writeToolPaths = [
   // ── Create: Campaign ──
   'facebook-marketing-api/facebook-marketing-api-mapi/create-campaign.js',
   'facebook-marketing-api/facebook-marketing-api-mapi/create-budget-schedule.js',
@@ -81,4 +108,43 @@ export const toolPaths = [
   'facebook-marketing-api/facebook-marketing-api-mapi/duplicate-campaign.js',
   'facebook-marketing-api/facebook-marketing-api-mapi/duplicate-adset.js',
   'facebook-marketing-api/facebook-marketing-api-mapi/duplicate-creative.js',
+
+  // ── Audiences ──
+  'facebook-marketing-api/facebook-marketing-api-mapi/create-custom-audience.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/update-custom-audience.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/delete-custom-audience.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/upload-customer-list.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/create-lookalike-audience.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/create-saved-audience.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/update-saved-audience.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/delete-saved-audience.js',
+
+  // ── Lead Forms ──
+  'facebook-marketing-api/facebook-marketing-api-mapi/create-lead-form.js',
+
+  // ── Conversions API ──
+  'facebook-marketing-api/facebook-marketing-api-mapi/send-conversion-events.js',
+
+  // ── Custom Conversions ──
+  'facebook-marketing-api/facebook-marketing-api-mapi/create-custom-conversion.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/update-custom-conversion.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/archive-custom-conversion.js',
+
+  // ── Ad Labels ──
+  'facebook-marketing-api/facebook-marketing-api-mapi/create-ad-label.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/attach-ad-labels.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/detach-ad-labels.js',
+
+  // ── Ad Studies ──
+  'facebook-marketing-api/facebook-marketing-api-mapi/create-ad-study.js',
+
+  // ── Automated Rules ──
+  'facebook-marketing-api/facebook-marketing-api-mapi/create-ad-rule.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/update-ad-rule.js',
+  'facebook-marketing-api/facebook-marketing-api-mapi/delete-ad-rule.js',
+
+  // ── Batch ──
+  'facebook-marketing-api/facebook-marketing-api-mapi/graph-batch.js',
 ];
+
+export const toolPaths = [...readToolPaths, ...writeToolPaths];
@@ -0,0 +1,37 @@
+-- Columns the MCP server reads when verifying /api/sse and /api/mcp tokens.
+-- The server hashes the presented token and compares it in constant time with each
+-- session issued for the server, then rejects revoked or expired sessions.
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'mcp_sessions' AND column_name = 'expires_at') THEN
+    ALTER TABLE public.mcp_sessions ADD COLUMN expires_at timestamptz;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'mcp_sessions' AND column_name = 'revoked_at') THEN
+    ALTER TABLE public.mcp_sessions ADD COLUMN revoked_at timestamptz;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_mcp_sessions_server_id ON public.mcp_sessions(server_id);
+
+-- Revoke a session for the current user (the MCP server rejects it on the next verification).
+CREATE OR REPLACE FUNCTION public.revoke_mcp_session(p_session_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF p_session_id IS NULL THEN
+    RETURN;
+  END IF;
+  UPDATE public.mcp_sessions
+  SET revoked_at = now()
+  WHERE id = p_session_id
+    AND user_id = auth.uid()
+    AND revoked_at IS NULL;
+END;
+$$;
+
+COMMENT ON FUNCTION public.revoke_mcp_session(uuid)
+  IS 'Marks an MCP session as revoked for the current user; the MCP server refuses revoked tokens.';
@@ -0,0 +1,54 @@
+-- Turn facebook_token_logs into the audit log of MCP tool invocations.
+-- One row per CallTool: who (user, server, session), what (tool, redacted arguments,
+-- Graph object IDs touched), and how it went (success, error code, duration).
+-- Written by the MCP server with the service role; read through get_audit_log / GET /api/audit.
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'facebook_token_logs' AND column_name = 'server_id') THEN
+    ALTER TABLE public.facebook_token_logs ADD COLUMN server_id uuid;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'facebook_token_logs' AND column_name = 'mcp_session_id') THEN
+    ALTER TABLE public.facebook_token_logs ADD COLUMN mcp_session_id uuid;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'facebook_token_logs' AND column_name = 'transport_session_id') THEN
+    ALTER TABLE public.facebook_token_logs ADD COLUMN transport_session_id text;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'facebook_token_logs' AND column_name = 'tool_name') THEN
+    ALTER TABLE public.facebook_token_logs ADD COLUMN tool_name text;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'facebook_token_logs' AND column_name = 'arguments') THEN
+    ALTER TABLE public.facebook_token_logs ADD COLUMN arguments jsonb;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'facebook_token_logs' AND column_name = 'object_ids') THEN
+    ALTER TABLE public.facebook_token_logs ADD COLUMN object_ids text[];
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'facebook_token_logs' AND column_name = 'success') THEN
+    ALTER TABLE public.facebook_token_logs ADD COLUMN success boolean;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'facebook_token_logs' AND column_name = 'error_code') THEN
+    ALTER TABLE public.facebook_token_logs ADD COLUMN error_code text;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'facebook_token_logs' AND column_name = 'duration_ms') THEN
+    ALTER TABLE public.facebook_token_logs ADD COLUMN duration_ms integer;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'facebook_token_logs' AND column_name = 'dry_run') THEN
+    ALTER TABLE public.facebook_token_logs ADD COLUMN dry_run boolean NOT NULL DEFAULT false;
+  END IF;
+END $$;
+
+-- Deleting a server keeps its audit trail: the rows stay, with server_id cleared
+ALTER TABLE public.facebook_token_logs
+  DROP CONSTRAINT IF EXISTS facebook_token_logs_server_id_fkey,
+  ADD CONSTRAINT facebook_token_logs_server_id_fkey
+    FOREIGN KEY (server_id) REFERENCES public.servers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_facebook_token_logs_server_created ON public.facebook_token_logs(server_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_facebook_token_logs_user_created ON public.facebook_token_logs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_facebook_token_logs_tool_name ON public.facebook_token_logs(tool_name);
+CREATE INDEX IF NOT EXISTS idx_facebook_token_logs_object_ids ON public.facebook_token_logs USING gin(object_ids);
+
+-- RLS: no policies = anon gets no access; the MCP server uses service_role and bypasses RLS
+ALTER TABLE public.facebook_token_logs ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.facebook_token_logs IS 'Audit log of MCP tool invocations (server, user, tool, redacted arguments, Graph object IDs, outcome, duration)';
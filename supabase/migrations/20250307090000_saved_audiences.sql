@@ -0,0 +1,22 @@
+-- saved_audiences: named targeting specs a user builds once and reuses by id
+-- (saved_audience_id on the create_ad_set_* tools and update_ad_set).
+-- Graph's saved audiences (act_*/saved_audiences) are read-only through the API, so the
+-- MCP server keeps its own; account_id is null for audiences usable in any ad account.
+
+CREATE TABLE IF NOT EXISTS public.saved_audiences (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  account_id text,
+  name text NOT NULL,
+  description text,
+  targeting jsonb NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_audiences_user_id ON public.saved_audiences(user_id, name);
+
+-- RLS: no policies = anon gets no access; the MCP server uses service_role and bypasses RLS
+ALTER TABLE public.saved_audiences ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.saved_audiences IS 'Named targeting specs (saved audiences) per user, optionally tied to one ad account';
@@ -0,0 +1,123 @@
+/**
+ * Ad labels: creating and listing them, bulk attach / detach, and the label filter of the
+ * read and insights tools.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchLabels } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_label-helpers.js';
+import { apiTool as getLabels } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/get-ad-labels.js';
+import { apiTool as createLabel } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-ad-label.js';
+import { apiTool as attachLabels } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/attach-ad-labels.js';
+import { apiTool as detachLabels } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/detach-ad-labels.js';
+import { apiTool as getAds } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/get-ads-from-account-id-with-fields.js';
+import { apiTool as getAccountInsights } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/get-account-insights.js';
+import { withToolHarness } from './support/tool-harness.js';
+
+const labels = [
+  { id: '2390000000000001', name: 'Q4-promo' },
+  { id: '2390000000000002', name: 'Brand / Always on' },
+];
+
+const harness = withToolHarness({
+  graph: {
+    fixtures: [
+      { method: 'GET', path: '/act_900/adlabels', body: { data: labels } },
+      { method: 'POST', path: '/act_900/adlabels', body: { id: '2390000000000003' } },
+      {
+        method: 'POST',
+        path: '/700000000000003/adlabels',
+        status: 400,
+        body: { error: { message: 'Unsupported post request', type: 'GraphMethodException', code: 100 } },
+      },
+      { method: 'GET', path: '/act_900/ads', body: { data: [{ id: '700000000000001', name: 'Q4 carousel' }] } },
+      { method: 'GET', path: '/act_900/insights', body: { data: [{ spend: '1200.50', date_start: '2026-10-01', date_stop: '2026-10-17' }] } },
+    ],
+  },
+  supabase: {
+    users: [{ id: 'user-1', facebook_access_token: 'EAAB-mock-user-1' }],
+    facebook_ad_accounts: [{ id: 'act_900', user_id: 'user-1', currency: 'PHP', timezone_name: 'Asia/Manila' }],
+  },
+});
+
+function call(tool, args) {
+  return harness.call(tool, { account_id: '900', ...args });
+}
+
+const lastRequest = (method, path) => [...harness.mock.requests].reverse().find((r) => r.method === method && r.path === path);
+
+test('labels match by ID or case-insensitive name, once each', () => {
+  assert.deepEqual(matchLabels(['q4-PROMO', '2390000000000001', 'brand / always on', 'Holiday'], labels), {
+    found: [{ id: '2390000000000001', name: 'Q4-promo' }, { id: '2390000000000002', name: 'Brand / Always on' }],
+    missing: ['Holiday'],
+  });
+});
+
+test('labels are listed, and an existing name is reused instead of created', async () => {
+  const listed = await call(getLabels, { name_contains: 'brand' });
+  assert.deepEqual(listed.data.map((l) => l.name), ['Brand / Always on']);
+
+  const before = harness.mock.requests.filter((r) => r.method === 'POST').length;
+  const reused = await call(createLabel, { name: ' q4-promo ' });
+  assert.equal(reused.created, false);
+  assert.equal(reused.label.id, '2390000000000001');
+  assert.equal(harness.mock.requests.filter((r) => r.method === 'POST').length, before);
+
+  const created = await call(createLabel, { name: 'Holiday' });
+  assert.equal(created.created, true);
+  assert.equal(created.label.id, '2390000000000003');
+  assert.equal(lastRequest('POST', '/act_900/adlabels').query.name, 'Holiday');
+});
+
+test('attach labels many objects in one batch, creating missing labels, and reports failures per object', async () => {
+  const result = await call(attachLabels, {
+    labels: ['Q4-promo', 'Holiday'],
+    object_ids: ['400000000000001', '700000000000001', '700000000000003', '700000000000001'],
+  });
+  assert.equal(result.success, false);
+  assert.match(result.error, /1 of 3 object\(s\)/);
+  assert.equal(result.labeled, 2);
+  assert.deepEqual(result.labels, [
+    { id: '2390000000000001', name: 'Q4-promo', created: false },
+    { id: '2390000000000003', name: 'Holiday', created: true },
+  ]);
+  assert.match(result.results.find((r) => r.object_id === '700000000000003').error, /Unsupported post request/);
+
+  const batched = harness.mock.requests.filter((r) => r.batched && r.method === 'POST' && r.path.endsWith('/adlabels'));
+  assert.equal(batched.length, 3);
+  assert.deepEqual(JSON.parse(batched[0].query.adlabels), [{ id: '2390000000000001' }, { id: '2390000000000003' }]);
+
+  assert.match((await call(attachLabels, { labels: ['Nope'], object_ids: ['1'], create_missing: false })).error, /No ad label named "Nope"/);
+});
+
+test('detach removes labels through batched DELETEs', async () => {
+  const result = await call(detachLabels, { labels: ['Brand / Always on'], object_ids: ['600000000000001'] });
+  assert.equal(result.success, true);
+  assert.equal(result.unlabeled, 1);
+  const request = [...harness.mock.requests].reverse().find((r) => r.batched && r.method === 'DELETE');
+  assert.equal(request.path, '/600000000000001/adlabels');
+  assert.deepEqual(JSON.parse(request.query.adlabels), [{ id: '2390000000000002' }]);
+  assert.match((await call(detachLabels, { labels: ['Holiday 2020'], object_ids: ['1'] })).error, /get_ad_labels/);
+});
+
+test('read and insights tools filter by label at the right level', async () => {
+  const ads = await call(getAds, { label: 'q4-promo' });
+  assert.equal(ads.data.length, 1);
+  assert.deepEqual(JSON.parse(lastRequest('GET', '/act_900/ads').query.filtering), [
+    { field: 'ad.adlabels', operator: 'ANY', value: ['2390000000000001'] },
+  ]);
+
+  const insights = await call(getAccountInsights, {
+    label: 'Q4-promo',
+    filtering: [{ field: 'spend', operator: 'GREATER_THAN', value: '0' }],
+  });
+  assert.equal(insights.label, 'Q4-promo');
+  assert.deepEqual(JSON.parse(lastRequest('GET', '/act_900/insights').query.filtering), [
+    { field: 'spend', operator: 'GREATER_THAN', value: '0' },
+    { field: 'campaign.adlabels', operator: 'ANY', value: ['2390000000000001'] },
+  ]);
+
+  await call(getAccountInsights, { label: 'Q4-promo', level: 'ad', label_level: 'adset' });
+  assert.equal(JSON.parse(lastRequest('GET', '/act_900/insights').query.filtering)[0].field, 'adset.adlabels');
+
+  assert.match((await call(getAds, { label: 'Holiday 2020' })).error, /No ad label named "Holiday 2020"/);
+});
@@ -0,0 +1,98 @@
+/**
+ * Preview formats per placement and the get_ad_preview tool.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { previewFormats, describePreview } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_creative-helpers.js';
+import { apiTool as getAdPreview } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/get-ad-preview.js';
+import { withToolHarness } from './support/tool-harness.js';
+
+const iframe = (format) => ({
+  data: [{ body: `<iframe src="https://www.facebook.com/ads/api/preview_iframe.php?d=abc&amp;t=${format}" width="540" height="690"></iframe>` }],
+});
+
+const harness = withToolHarness({
+  graph: {
+    fixtures: [
+      { method: 'GET', path: '/600000000000001/previews', query: { ad_format: 'DESKTOP_FEED_STANDARD' }, body: iframe('DESKTOP_FEED_STANDARD') },
+      { method: 'GET', path: '/600000000000001/previews', query: { ad_format: 'INSTAGRAM_STORY' }, body: iframe('INSTAGRAM_STORY') },
+      {
+        method: 'GET',
+        path: '/600000000000001/previews',
+        query: { ad_format: 'INSTAGRAM_REELS' },
+        status: 400,
+        body: { error: { message: 'The image is too small for this placement', type: 'OAuthException', code: 100 } },
+      },
+      { method: 'GET', path: '/act_900/generatepreviews', body: iframe('MOBILE_FEED_STANDARD') },
+    ],
+  },
+  supabase: { users: [{ id: 'user-1', facebook_access_token: 'EAAB-mock-user-1' }] },
+});
+
+function call(args) {
+  return harness.call(getAdPreview, { account_id: '900', ...args });
+}
+
+test('placements expand to Graph ad formats once each', () => {
+  assert.deepEqual(previewFormats(['stories', 'right_column'], ['instagram_story', 'INSTAGRAM_EXPLORE_CONTEXTUAL']), [
+    { placement: 'stories', ad_format: 'FACEBOOK_STORY_MOBILE' },
+    { placement: 'stories', ad_format: 'INSTAGRAM_STORY' },
+    { placement: 'right_column', ad_format: 'RIGHT_COLUMN_STANDARD' },
+    { placement: 'custom', ad_format: 'INSTAGRAM_EXPLORE_CONTEXTUAL' },
+  ]);
+  assert.throws(() => previewFormats(['billboard']), /Unknown placement/);
+  assert.deepEqual(describePreview(iframe('X').data[0]).preview_url, 'https://www.facebook.com/ads/api/preview_iframe.php?d=abc&t=X');
+});
+
+test('a saved creative renders every default placement in one batch', async () => {
+  const result = await call({ creative_id: '600000000000001' });
+  assert.equal(result.previews.length, 9);
+  const byFormat = Object.fromEntries(result.previews.map((p) => [p.ad_format, p]));
+  assert.match(byFormat.DESKTOP_FEED_STANDARD.iframe_html, /^<iframe/);
+  assert.equal(byFormat.INSTAGRAM_STORY.placement, 'stories');
+  assert.match(byFormat.INSTAGRAM_REELS.error, /too small/);
+  assert.equal(byFormat.INSTAGRAM_REELS.iframe_html, null);
+  const batched = harness.mock.requests.filter((r) => r.batched && r.path === '/600000000000001/previews');
+  assert.equal(batched.length, 9);
+});
+
+test('unsaved specs from create_ad_with_creative fields are rendered in the account', async () => {
+  const result = await call({
+    creative_type: 'link',
+    page_id: '300000000000001',
+    message: 'Summer sale',
+    link_url: 'https://example.com',
+    image_hash: 'abc123',
+    ad_formats: ['MOBILE_FEED_STANDARD'],
+  });
+  assert.equal(result.rendered, 1);
+  assert.equal(result.previews[0].placement, 'custom');
+  const request = [...harness.mock.requests].reverse().find((r) => r.path === '/act_900/generatepreviews');
+  const creative = JSON.parse(request.query.creative);
+  assert.deepEqual(creative.object_story_spec, {
+    page_id: '300000000000001',
+    link_data: { link: 'https://example.com', message: 'Summer sale', image_hash: 'abc123' },
+  });
+  assert.equal(request.query.ad_format, 'MOBILE_FEED_STANDARD');
+  assert.deepEqual(result.source.creative, creative);
+
+  // Through the server page_id is always filled from the workspace; the Instagram actor wins
+  await call({
+    creative_type: 'link',
+    page_id: '300000000000001',
+    instagram_actor_id: '178000000000001',
+    link_url: 'https://example.com',
+    image_hash: 'abc123',
+    ad_formats: ['INSTAGRAM_STANDARD'],
+  });
+  const igRequest = [...harness.mock.requests].reverse().find((r) => r.path === '/act_900/generatepreviews');
+  const igSpec = JSON.parse(igRequest.query.creative).object_story_spec;
+  assert.equal(igSpec.instagram_actor_id, '178000000000001');
+  assert.equal(igSpec.page_id, undefined);
+});
+
+test('exactly one creative source is required', async () => {
+  assert.match((await call({})).error, /exactly one of/);
+  assert.match((await call({ creative_id: '1', object_story_id: '2_3' })).error, /exactly one of/);
+  assert.match((await call({ creative_id: '1', placements: ['billboard'] })).error, /Unknown placement/);
+});
@@ -0,0 +1,162 @@
+/**
+ * Automated rule specs and the create / update / list / preview / delete rule tools.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildEvaluationSpec,
+  buildExecutionSpec,
+  buildScheduleSpec,
+  describeRule,
+} from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_rule-helpers.js';
+import { apiTool as createRule } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-ad-rule.js';
+import { apiTool as updateRule } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/update-ad-rule.js';
+import { apiTool as getRules } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/get-ad-rules.js';
+import { apiTool as previewRule } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/preview-rule.js';
+import { apiTool as deleteRule } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/delete-ad-rule.js';
+import { withToolHarness } from './support/tool-harness.js';
+
+const scaleRule = {
+  id: '2380000000000101',
+  name: 'Scale winners',
+  status: 'ENABLED',
+  account_id: '900',
+  evaluation_spec: {
+    evaluation_type: 'SCHEDULE',
+    filters: [
+      { field: 'entity_type', value: 'ADSET', operator: 'EQUAL' },
+      { field: 'time_preset', value: 'LAST_7_DAYS', operator: 'EQUAL' },
+      { field: 'website_purchase_roas', value: 3, operator: 'GREATER_THAN' },
+      { field: 'spent', value: 100000, operator: 'GREATER_THAN' },
+    ],
+  },
+  execution_spec: {
+    execution_type: 'CHANGE_BUDGET',
+    execution_options: [{ field: 'change_spec', value: { amount: 20, unit: 'PERCENTAGE', limit: 500000 }, operator: 'EQUAL' }],
+  },
+  schedule_spec: { schedule_type: 'DAILY' },
+};
+
+const harness = withToolHarness({
+  graph: {
+    fixtures: [
+      {
+        method: 'GET',
+        path: '/act_900/adrules_library',
+        body: { data: [scaleRule, { ...scaleRule, id: '2380000000000102', status: 'DISABLED' }], paging: { cursors: { after: 'a' } } },
+      },
+      { method: 'POST', path: '/act_900/adrules_library', body: { id: '2380000000000103' } },
+      { method: 'GET', path: '/2380000000000101', body: scaleRule },
+      { method: 'POST', path: '/2380000000000101/preview', body: { data: [{ id: '700000000000001', name: 'PH 25-44' }] } },
+    ],
+  },
+  supabase: {
+    users: [{ id: 'user-1', facebook_access_token: 'EAAB-mock-user-1' }],
+    facebook_ad_accounts: [{ id: 'act_900', user_id: 'user-1', currency: 'PHP', timezone_name: 'Asia/Manila' }],
+  },
+});
+
+function call(tool, args, { dryRun = false } = {}) {
+  return harness.call(tool, args, { dryRun: dryRun ? { requests: [] } : null });
+}
+
+const lastRequest = (method, path) => [...harness.mock.requests].reverse().find((r) => r.method === method && r.path === path);
+
+test('readable conditions become Graph filters with money in minor units', () => {
+  const spec = buildEvaluationSpec({
+    level: 'ad',
+    object_ids: ['800000000000001'],
+    conditions: [{ metric: 'cpa', operator: '>', value: 500 }, { metric: 'ctr', operator: '<', value: 0.8 }, { metric: 'spend', operator: 'IN_RANGE', value: [100, 2000.5] }],
+  }, 'PHP');
+  assert.deepEqual(spec.filters, [
+    { field: 'entity_type', value: 'AD', operator: 'EQUAL' },
+    { field: 'time_preset', value: 'LAST_7_DAYS', operator: 'EQUAL' },
+    { field: 'id', value: ['800000000000001'], operator: 'IN' },
+    { field: 'cost_per', operator: 'GREATER_THAN', value: 50000 },
+    { field: 'ctr', operator: 'LESS_THAN', value: 0.8 },
+    { field: 'spent', operator: 'IN_RANGE', value: [10000, 200050] },
+  ]);
+  assert.equal(buildEvaluationSpec({ level: 'ad', conditions: [{ metric: 'cpa', value: 500 }] }, 'JPY').filters[2].value, 500);
+  assert.throws(() => buildEvaluationSpec({ level: 'account', conditions: [] }, 'PHP'), /level must be one of/);
+  assert.throws(() => buildEvaluationSpec({ level: 'ad', conditions: [{ metric: 'cpa', operator: '>=', value: 1 }] }, 'PHP'), /Unknown operator/);
+  assert.throws(() => buildEvaluationSpec({ level: 'ad', conditions: [{ metric: 'spend', operator: 'IN_RANGE', value: 5 }] }, 'PHP'), /\[min, max\]/);
+});
+
+test('actions and schedules map to execution and schedule specs', () => {
+  assert.deepEqual(buildExecutionSpec({ action: 'pause' }, 'PHP'), { execution_type: 'PAUSE' });
+  assert.deepEqual(buildExecutionSpec({ action: 'decrease_budget', change: { amount: 250, unit: 'amount', limit: 1000 } }, 'PHP'), {
+    execution_type: 'CHANGE_BUDGET',
+    execution_options: [{ field: 'change_spec', value: { amount: -25000, unit: 'ACCOUNT_CURRENCY', limit: 100000 }, operator: 'EQUAL' }],
+  });
+  assert.throws(() => buildExecutionSpec({ action: 'increase_bid' }, 'PHP'), /needs change/);
+  assert.deepEqual(buildScheduleSpec(), { schedule_type: 'SEMI_HOURLY' });
+  assert.deepEqual(buildScheduleSpec({ days: ['Mon', 'FRI'], start: '09:00', end: '18:30' }), {
+    schedule_type: 'CUSTOM',
+    schedule: [{ days: [1, 5], start_minute: 540, end_minute: 1110 }],
+  });
+  assert.throws(() => buildScheduleSpec({ start: '18:00', end: '09:00' }), /before schedule.end/);
+});
+
+test('rules are described in plain terms', () => {
+  const rule = describeRule(scaleRule, 'PHP');
+  assert.equal(rule.summary, 'INCREASE_BUDGET by 20% ADSET when website_purchase_roas > 3 and spent > ₱1,000.00 over LAST_7_DAYS, checked once a day');
+  assert.equal(rule.conditions[1].value_formatted, '₱1,000.00');
+  assert.deepEqual(rule.action, { type: 'CHANGE_BUDGET', change: { amount: 20, unit: 'PERCENTAGE', limit: 500000 } });
+});
+
+test('create_ad_rule posts the specs to the rules library', async () => {
+  const result = await call(createRule, {
+    account_id: '900',
+    name: 'Pause expensive ads',
+    level: 'ad',
+    conditions: [{ metric: 'cpa', value: 500 }],
+    action: 'pause',
+    status: 'DISABLED',
+  });
+  assert.equal(result.success, true);
+  assert.match(result.next_steps, /preview_rule/);
+  const post = lastRequest('POST', '/act_900/adrules_library');
+  assert.equal(post.query.status, 'DISABLED');
+  assert.deepEqual(JSON.parse(post.query.evaluation_spec).filters[2], { field: 'cost_per', operator: 'GREATER_THAN', value: 50000 });
+  assert.deepEqual(JSON.parse(post.query.execution_spec), { execution_type: 'PAUSE' });
+  assert.deepEqual(JSON.parse(post.query.schedule_spec), { schedule_type: 'SEMI_HOURLY' });
+
+  assert.match((await call(createRule, { account_id: '900', name: 'x', level: 'ad', conditions: [{ metric: 'cpa', value: 1 }] })).error, /action/);
+});
+
+test('update_ad_rule merges partial changes into the current specs', async () => {
+  const result = await call(updateRule, { rule_id: '2380000000000101', time_preset: 'LAST_3_DAYS', change: { amount: 30 } });
+  assert.deepEqual(result.updated_fields, ['evaluation_spec', 'execution_spec']);
+  const post = lastRequest('POST', '/2380000000000101');
+  const filters = JSON.parse(post.query.evaluation_spec).filters;
+  assert.deepEqual(filters[1], { field: 'time_preset', value: 'LAST_3_DAYS', operator: 'EQUAL' });
+  assert.deepEqual(filters.slice(2), scaleRule.evaluation_spec.filters.slice(2));
+  assert.deepEqual(JSON.parse(post.query.execution_spec).execution_options[0].value, { amount: 30, unit: 'PERCENTAGE' });
+
+  await call(updateRule, { rule_id: '2380000000000101', action: 'decrease_budget' });
+  const kept = JSON.parse(lastRequest('POST', '/2380000000000101').query.execution_spec).execution_options[0].value;
+  assert.deepEqual(kept, { amount: -20, unit: 'PERCENTAGE', limit: 500000 });
+
+  assert.match((await call(updateRule, { rule_id: '2380000000000101' })).error, /Nothing to update/);
+  assert.match((await call(updateRule, { rule_id: '2380000000000101', action: 'pause', execution_spec: { execution_type: 'PAUSE' } })).error, /not both/);
+});
+
+test('get_ad_rules lists rules, optionally by status', async () => {
+  const all = await call(getRules, { account_id: '900' });
+  assert.equal(all.data.length, 2);
+  const disabled = await call(getRules, { account_id: '900', status: 'DISABLED' });
+  assert.deepEqual(disabled.data.map((r) => r.id), ['2380000000000102']);
+  assert.equal(disabled.data[0].level, 'ADSET');
+});
+
+test('preview_rule reports matches, even in a dry run', async () => {
+  const result = await call(previewRule, { rule_id: '2380000000000101' }, { dryRun: true });
+  assert.equal(result.match_count, 1);
+  assert.equal(result.matches[0].name, 'PH 25-44');
+  assert.match(result.summary, /^INCREASE_BUDGET by 20%/);
+  assert.ok(lastRequest('POST', '/2380000000000101/preview'));
+
+  const deleted = await call(deleteRule, { rule_id: '2380000000000101' });
+  assert.equal(deleted.deleted, true);
+  assert.ok(lastRequest('DELETE', '/2380000000000101'));
+});
@@ -0,0 +1,183 @@
+/**
+ * Split tests: building cells, comparing cells by cost per result, creating a study and
+ * reading its results with a confidence level and winner.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildStudyCells,
+  compareCells,
+  splitPercentages,
+} from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_study-helpers.js';
+import { apiTool as createStudy } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-ad-study.js';
+import { apiTool as studyResults } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/get-ad-study-results.js';
+import { withToolHarness } from './support/tool-harness.js';
+
+const cells = (...campaigns) => ({
+  data: campaigns.map((id, i) => ({
+    id: `91000000000000${i + 1}`,
+    name: `Cell ${'AB'[i]}`,
+    treatment_percentage: 50,
+    campaigns: { data: [{ id, name: `Campaign ${id}` }] },
+  })),
+});
+
+const insights = (spend, actions) => ({ data: [{ spend: String(spend), impressions: '50000', reach: '30000', clicks: '900', actions }] });
+
+const harness = withToolHarness({
+  graph: {
+    fixtures: [
+      { method: 'POST', path: '/200000000000001/ad_studies', body: { id: '900000000000010' } },
+      {
+        method: 'GET',
+        path: '/900000000000011',
+        body: {
+          id: '900000000000011',
+          name: 'Video vs carousel',
+          type: 'SPLIT_TEST',
+          start_time: '2026-09-01T00:00:00+0000',
+          end_time: '2026-09-15T00:00:00+0000',
+          cells: cells('400000000000011', '400000000000012'),
+        },
+      },
+      {
+        method: 'GET',
+        path: '/900000000000012',
+        body: {
+          id: '900000000000012',
+          name: 'Next year',
+          type: 'SPLIT_TEST',
+          start_time: '2099-01-01T00:00:00+0000',
+          end_time: '2099-01-15T00:00:00+0000',
+          cells: cells('400000000000013', '400000000000014'),
+        },
+      },
+      {
+        method: 'GET',
+        path: '/400000000000011/insights',
+        body: insights(10000, [{ action_type: 'purchase', value: '200' }, { action_type: 'link_click', value: '500' }]),
+      },
+      {
+        method: 'GET',
+        path: '/400000000000012/insights',
+        body: insights(10000, [{ action_type: 'purchase', value: '120' }, { action_type: 'link_click', value: '520' }]),
+      },
+    ],
+  },
+  supabase: {
+    users: [{ id: 'user-1', facebook_access_token: 'EAAB-mock-user-1' }],
+    facebook_ad_accounts: [{ id: 'act_900', user_id: 'user-1', currency: 'PHP', timezone_name: 'Asia/Manila' }],
+  },
+});
+
+function call(tool, args) {
+  return harness.call(tool, { userId: 'user-1', ...args });
+}
+
+const lastRequest = (method, path) => [...harness.mock.requests].reverse().find((r) => r.method === method && r.path === path);
+
+test('cells split traffic evenly unless every cell sets a percentage', () => {
+  assert.deepEqual(splitPercentages(3), [34, 33, 33]);
+  assert.deepEqual(buildStudyCells([{ adset_ids: ['1', '2'] }, { name: 'Broad', adset_ids: '3' }]), {
+    level: 'adset',
+    cells: [
+      { name: 'Cell A', adsets: ['1', '2'], treatment_percentage: 50 },
+      { name: 'Broad', adsets: ['3'], treatment_percentage: 50 },
+    ],
+  });
+  assert.equal(buildStudyCells([
+    { campaign_ids: ['1'], treatment_percentage: 70 },
+    { campaign_ids: ['2'], treatment_percentage: 30 },
+  ]).cells[0].treatment_percentage, 70);
+
+  assert.throws(() => buildStudyCells([{ campaign_ids: ['1'] }]), /2 to 5 cells/);
+  assert.throws(() => buildStudyCells([{ campaign_ids: ['1'] }, { adset_ids: ['2'] }]), /same kind of object/);
+  assert.throws(() => buildStudyCells([{ campaign_ids: ['1'] }, { campaign_ids: ['1'] }]), /one cell only/);
+  assert.throws(() => buildStudyCells([{ campaign_ids: ['1'], adset_ids: ['2'] }, { campaign_ids: ['3'] }]), /not both/);
+  assert.throws(() => buildStudyCells([{ campaign_ids: ['1'], treatment_percentage: 50 }, { campaign_ids: ['2'] }]), /every cell or for none/);
+  assert.throws(() => buildStudyCells([
+    { campaign_ids: ['1'], treatment_percentage: 60 },
+    { campaign_ids: ['2'], treatment_percentage: 30 },
+  ]), /add up to 100, not 90/);
+});
+
+test('the cheapest cell wins, with confidence measured against the closest runner-up', () => {
+  const clear = compareCells([
+    { name: 'A', spend: 10000, results: 200 },
+    { name: 'B', spend: 10000, results: 120 },
+    { name: 'C', spend: 10000, results: 60 },
+  ]);
+  assert.equal(clear.winner.name, 'A');
+  assert.equal(clear.winner.cost_per_result, 50);
+  assert.deepEqual(clear.cells.map((c) => c.rank), [1, 2, 3]);
+  assert.ok(clear.confidence > 0.99);
+  assert.equal(clear.confidence, clear.cells[1].chance_winner_is_better);
+
+  const close = compareCells([{ name: 'A', spend: 1000, results: 50 }, { name: 'B', spend: 1000, results: 48 }]);
+  assert.equal(close.winner.name, 'A');
+  assert.ok(close.confidence > 0.5 && close.confidence < 0.7);
+
+  const undelivered = compareCells([{ name: 'A', spend: 1000, results: 50 }, { name: 'B', spend: 0, results: 0 }]);
+  assert.equal(undelivered.winner.name, 'A');
+  assert.equal(undelivered.confidence, null);
+  assert.equal(compareCells([{ name: 'A', spend: 100, results: 0 }, { name: 'B', spend: 100, results: 0 }]).winner, null);
+});
+
+test('create_ad_study posts the cells and the window in unix seconds', async () => {
+  const result = await call(createStudy, {
+    account_id: '900',
+    business_id: '200000000000001',
+    name: 'Video vs carousel',
+    cells: [{ name: 'Video', campaign_ids: ['400000000000011'] }, { name: 'Carousel', campaign_ids: ['400000000000012'] }],
+    start_time: 'tomorrow 9am',
+    end_time: 'in 8 days',
+    confidence_level: 0.95,
+  });
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.study_id, '900000000000010');
+  assert.equal(result.level, 'campaign');
+  assert.equal(result.schedule.timezone, 'Asia/Manila');
+  assert.match(result.next_steps, /get_ad_study_results/);
+
+  const post = lastRequest('POST', '/200000000000001/ad_studies');
+  assert.equal(post.query.type, 'SPLIT_TEST');
+  assert.equal(post.query.confidence_level, '0.95');
+  assert.equal(Number(post.query.start_time) * 1000, Date.parse(result.schedule.start_time.utc));
+  assert.deepEqual(JSON.parse(post.query.cells), [
+    { name: 'Video', campaigns: ['400000000000011'], treatment_percentage: 50 },
+    { name: 'Carousel', campaigns: ['400000000000012'], treatment_percentage: 50 },
+  ]);
+
+  const base = { account_id: '900', business_id: '200000000000001', name: 'x', cells: [{ campaign_ids: ['1'] }, { campaign_ids: ['2'] }] };
+  assert.match((await call(createStudy, { ...base, start_time: '2020-01-01', end_time: '2020-01-10' })).error, /in the past/);
+  assert.match((await call(createStudy, { ...base, end_time: 'in 45 days' })).error, /1 to 30 days/);
+  assert.match((await call(createStudy, { ...base, end_time: 'in 8 days', cells: [{ campaign_ids: ['1'] }] })).error, /2 to 5 cells/);
+});
+
+test('get_ad_study_results declares a winner only above the confidence threshold', async () => {
+  const result = await call(studyResults, { study_id: '900000000000011' });
+  assert.equal(result.error, undefined, result.details);
+  assert.equal(result.status, 'completed');
+  assert.equal(result.result_action, 'purchase');
+  assert.deepEqual(result.cells.map((c) => [c.name, c.spend, c.results, c.cost_per_result, c.rank]), [
+    ['Cell A', 10000, 200, 50, 1],
+    ['Cell B', 10000, 120, 83.33, 2],
+  ]);
+  assert.equal(result.winner.name, 'Cell A');
+  assert.ok(result.confidence > 0.99);
+  assert.match(result.verdict, /Cell A won with/);
+
+  const query = lastRequest('GET', '/400000000000011/insights').query;
+  assert.deepEqual(JSON.parse(query.time_range), { since: '2026-09-01', until: '2026-09-15' });
+
+  const clicks = await call(studyResults, { study_id: '900000000000011', result_action: 'link_click' });
+  assert.equal(clicks.leader, 'Cell B');
+  assert.equal(clicks.winner, null);
+  assert.match(clicks.verdict, /No clear winner: Cell B leads/);
+
+  const before = harness.mock.requests.length;
+  const scheduled = await call(studyResults, { study_id: '900000000000012' });
+  assert.equal(scheduled.status, 'scheduled');
+  assert.match(scheduled.verdict, /has not started yet/);
+  assert.ok(!harness.mock.requests.slice(before).some((r) => r.path.endsWith('/insights')));
+});
@@ -0,0 +1,191 @@
+/**
+ * Custom audience rules and the create / update / list / delete audience tools.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildAudienceSpec,
+  describeAudience,
+  withRetention,
+  parseLookalikeTier,
+  expandLookalikeCountries,
+} from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_audience-helpers.js';
+import { apiTool as createAudience } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-custom-audience.js';
+import { apiTool as updateAudience } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/update-custom-audience.js';
+import { apiTool as getAudiences } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/get-custom-audiences.js';
+import { apiTool as deleteAudience } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/delete-custom-audience.js';
+import { apiTool as createLookalike } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-lookalike-audience.js';
+import { withToolHarness } from './support/tool-harness.js';
+
+const pixelRule = (days) => ({
+  inclusions: {
+    operator: 'or',
+    rules: [{ event_sources: [{ id: '55', type: 'pixel' }], retention_seconds: days * 86400, filter: { operator: 'or', filters: [] } }],
+  },
+});
+
+const harness = withToolHarness({
+  graph: {
+    fixtures: [
+      {
+        method: 'GET',
+        path: '/act_900/customaudiences',
+        body: {
+          data: [{
+            id: '23800000000001',
+            name: 'Buyers 30d',
+            subtype: 'WEBSITE',
+            approximate_count_lower_bound: 1000,
+            approximate_count_upper_bound: 1200,
+            delivery_status: { code: 200, description: 'This audience is ready for use.' },
+            operation_status: { code: 200, description: 'Normal' },
+            rule: JSON.stringify(pixelRule(30)),
+          }],
+          paging: { cursors: { after: 'a' } },
+        },
+      },
+      { method: 'GET', path: '/23800000000001', body: { id: '23800000000001', subtype: 'WEBSITE', rule: JSON.stringify(pixelRule(30)) } },
+      { method: 'GET', path: '/23800000000002', body: { id: '23800000000002', subtype: 'CUSTOM' } },
+    ],
+  },
+  supabase: {
+    users: [{ id: 'user-1', facebook_access_token: 'EAAB-mock-user-1' }],
+    facebook_ad_accounts: [{ id: 'act_900', user_id: 'user-1', currency: 'USD', timezone_name: 'UTC' }],
+  },
+});
+
+function call(tool, args) {
+  return harness.call(tool, args);
+}
+
+test('website audiences filter pixel visitors by URL and event', () => {
+  const spec = buildAudienceSpec('website', { pixel_id: '55', url_contains: ['/checkout'], event_name: 'Purchase', retention_days: 14 });
+  const [rule] = spec.rule.inclusions.rules;
+  assert.deepEqual(rule.event_sources, [{ id: '55', type: 'pixel' }]);
+  assert.equal(rule.retention_seconds, 14 * 86400);
+  assert.deepEqual(rule.filter, {
+    operator: 'and',
+    filters: [
+      { field: 'event', operator: 'eq', value: 'Purchase' },
+      { operator: 'or', filters: [{ field: 'url', operator: 'i_contains', value: '/checkout' }] },
+    ],
+  });
+  assert.throws(() => buildAudienceSpec('website', { pixel_id: '55', retention_days: 200 }), /1 to 180/);
+  assert.throws(() => buildAudienceSpec('website', {}), /pixel_id is required/);
+});
+
+test('engagement and video audiences name their source and event', () => {
+  const page = buildAudienceSpec('engagement', { page_id: '301' });
+  assert.deepEqual(page.rule.inclusions.rules[0].event_sources, [{ id: '301', type: 'page' }]);
+  assert.equal(page.rule.inclusions.rules[0].filter.filters[0].value, 'page_engaged');
+  const ig = buildAudienceSpec('engagement', { instagram_account_id: '178', engagement_event: 'ig_business_profile_visit' });
+  assert.equal(ig.rule.inclusions.rules[0].event_sources[0].type, 'ig_business');
+  // Through the server page_id is always filled from the workspace
+  const igWithPage = buildAudienceSpec('engagement', { page_id: '301', instagram_account_id: '178', engagement_event: 'ig_business_profile_visit' });
+  assert.deepEqual(igWithPage.rule.inclusions.rules[0].event_sources, [{ id: '178', type: 'ig_business' }]);
+  assert.throws(() => buildAudienceSpec('engagement', {}), /page_id or instagram_account_id/);
+  assert.throws(() => buildAudienceSpec('engagement', { page_id: '301', engagement_event: 'ig_business_profile_all' }), /engagement_event/);
+
+  const video = buildAudienceSpec('video', { video_ids: ['71', '72'], video_event: 'video_completed' });
+  assert.equal(video.subtype, 'ENGAGEMENT');
+  assert.deepEqual(video.rule, [{ object_id: '71', event_name: 'video_completed' }, { object_id: '72', event_name: 'video_completed' }]);
+  assert.equal(buildAudienceSpec('customer_list').subtype, 'CUSTOM');
+});
+
+test('audiences report size, delivery and operation status', () => {
+  const audience = describeAudience({
+    id: '1',
+    approximate_count_lower_bound: 1000,
+    approximate_count_upper_bound: 1200,
+    delivery_status: { code: 300, description: 'Audience too small' },
+  });
+  assert.deepEqual(audience.approximate_count, { lower_bound: 1000, upper_bound: 1200 });
+  assert.equal(audience.ready, false);
+  assert.equal(audience.operation_status, null);
+  assert.equal(withRetention(JSON.stringify(pixelRule(30)), 60).inclusions.rules[0].retention_seconds, 60 * 86400);
+  assert.equal(withRetention(null, 60), null);
+});
+
+test('create_custom_audience posts the website rule', async () => {
+  const result = await call(createAudience, {
+    account_id: '900',
+    type: 'website',
+    name: 'Checkout visitors',
+    pixel_id: '55',
+    url_contains: ['/checkout'],
+  });
+  assert.equal(result.error, undefined);
+  const post = harness.mock.requests.find((r) => r.method === 'POST' && r.path === '/act_900/customaudiences');
+  assert.equal(post.query.name, 'Checkout visitors');
+  assert.equal(JSON.parse(post.query.rule).inclusions.rules[0].retention_seconds, 30 * 86400);
+  assert.equal(post.query.prefill, 'true');
+  assert.ok('approximate_count' in result.audience);
+});
+
+test('update_custom_audience rewrites the look-back of the current rule', async () => {
+  const result = await call(updateAudience, { userId: 'user-1', audience_id: '23800000000001', retention_days: 90 });
+  assert.equal(result.error, undefined);
+  const post = harness.mock.requests.find((r) => r.method === 'POST' && r.path === '/23800000000001');
+  assert.equal(JSON.parse(post.query.rule).inclusions.rules[0].retention_seconds, 90 * 86400);
+
+  const customerList = await call(updateAudience, { userId: 'user-1', audience_id: '23800000000002', retention_days: 90 });
+  assert.match(customerList.error, /no rule with a look-back/);
+});
+
+test('get_custom_audiences and delete_custom_audience', async () => {
+  const list = await call(getAudiences, { account_id: '900' });
+  assert.equal(list.data[0].ready, true);
+  assert.deepEqual(list.data[0].approximate_count, { lower_bound: 1000, upper_bound: 1200 });
+  assert.equal(list.data[0].rule.inclusions.operator, 'or');
+
+  const deleted = await call(deleteAudience, { userId: 'user-1', audience_id: '23800000000001' });
+  assert.equal(deleted.deleted, true);
+  assert.ok(harness.mock.requests.some((r) => r.method === 'DELETE' && r.path === '/23800000000001'));
+});
+
+test('lookalike tiers and regions', () => {
+  assert.deepEqual(parseLookalikeTier('1%'), { label: '1%', starting_ratio: 0, ratio: 0.01 });
+  assert.deepEqual(parseLookalikeTier('3–5%'), { label: '3-5%', starting_ratio: 0.03, ratio: 0.05 });
+  assert.throws(() => parseLookalikeTier('12%'), /Invalid lookalike tier/);
+  assert.deepEqual(expandLookalikeCountries(['GCC', 'ae', 'PH']), ['AE', 'SA', 'KW', 'QA', 'BH', 'OM', 'PH']);
+  assert.throws(() => expandLookalikeCountries(['worldwide']), /specific countries/);
+});
+
+test('create_lookalike_audience layers tiers per country in one batch', async () => {
+  const before = harness.mock.requests.length;
+  const result = await call(createLookalike, {
+    account_id: '900',
+    source_audience_id: '23800000000002',
+    countries: ['PH', 'SG'],
+    ratio_tiers: ['1%', '1-3%'],
+  });
+  assert.equal(result.error, undefined);
+  assert.equal(result.created, 4);
+  const posts = harness.mock.requests.slice(before).filter((r) => r.batched && r.method === 'POST');
+  assert.equal(posts.length, 4);
+  const specs = posts.map((p) => JSON.parse(p.query.lookalike_spec));
+  assert.deepEqual(specs.map((s) => [s.country, s.starting_ratio, s.ratio]), [['PH', 0, 0.01], ['PH', 0.01, 0.03], ['SG', 0, 0.01], ['SG', 0.01, 0.03]]);
+  assert.equal(posts[0].query.origin_audience_id, '23800000000002');
+  assert.deepEqual(result.audiences.map((a) => a.tier), ['1%', '1-3%', '1%', '1-3%']);
+  assert.equal(typeof result.audiences[0].ready, 'boolean');
+
+  // The server always fills page_id from the workspace; the source audience still wins
+  const beforeSeeded = harness.mock.requests.length;
+  const seeded = await call(createLookalike, { account_id: '900', source_audience_id: '23800000000002', page_id: '300000000000001', countries: ['PH'] });
+  assert.equal(seeded.error, undefined);
+  assert.deepEqual(seeded.source, { custom_audience_id: '23800000000002' });
+  const seededPost = harness.mock.requests.slice(beforeSeeded).find((r) => r.batched && r.method === 'POST');
+  assert.equal(seededPost.query.origin_audience_id, '23800000000002');
+  assert.equal(JSON.parse(seededPost.query.lookalike_spec).page_id, undefined);
+
+  const combined = await call(createLookalike, { account_id: '900', page_id: '301', countries: ['ASEAN'], per_country: false });
+  assert.equal(combined.audiences.length, 1);
+  assert.deepEqual(combined.audiences[0].countries.length, 10);
+});
+
+test('create_lookalike_audience asks for countries instead of assuming one', async () => {
+  const before = harness.mock.requests.length;
+  const result = await call(createLookalike, { account_id: '900', source_audience_id: '23800000000002' });
+  assert.match(result.error, /Missing required parameter: countries/);
+  assert.equal(harness.mock.requests.length, before);
+});
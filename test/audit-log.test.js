@@ -0,0 +1,132 @@
+/**
+ * Audit rows written for tool calls through the MCP server, and GET /api/audit filtering by
+ * server, tool and time range for the token's user only.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withToolHarness } from './support/tool-harness.js';
+import { connectMcpClient, standInTool, sessionToken, startHttpApp } from './support/mcp-server.js';
+
+const harness = withToolHarness({
+  supabase: {
+    users: [{ id: 'user-1', facebook_long_lived_token: 'EAAB-mock-user-1' }],
+    servers: [
+      { id: 'server-1', user_id: 'user-1', is_active: true, settings: { denied_tools: ['delete_campaign'] } },
+      { id: 'server-2', user_id: 'user-1', is_active: true, settings: {} },
+      { id: 'server-3', user_id: 'user-2', is_active: true, settings: {} },
+    ],
+    mcp_sessions: [
+      { id: 'session-1', server_id: 'server-1', user_id: 'user-1', session_token: 'secret-1' },
+      { id: 'session-3', server_id: 'server-3', user_id: 'user-2', session_token: 'secret-3' },
+    ],
+    facebook_token_logs: [
+      { id: 'log-1', created_at: '2026-10-01T08:00:00.000Z', server_id: 'server-1', user_id: 'user-1', tool_name: 'update_campaign', object_ids: ['400000000000001'], success: true },
+      { id: 'log-2', created_at: '2026-10-05T08:00:00.000Z', server_id: 'server-1', user_id: 'user-1', tool_name: 'get_campaigns', object_ids: [], success: true },
+      { id: 'log-3', created_at: '2026-10-09T08:00:00.000Z', server_id: 'server-1', user_id: 'user-1', tool_name: 'update_campaign', object_ids: ['400000000000002'], success: false },
+      { id: 'log-4', created_at: '2026-10-06T08:00:00.000Z', server_id: 'server-2', user_id: 'user-1', tool_name: 'update_campaign', object_ids: ['400000000000003'], success: true },
+      { id: 'log-5', created_at: '2026-10-06T09:00:00.000Z', server_id: 'server-3', user_id: 'user-2', tool_name: 'update_campaign', object_ids: ['400000000000009'], success: true },
+    ],
+  },
+});
+
+const session = { serverId: 'server-1', userId: 'user-1', sessionId: 'session-1' };
+const auditRows = (toolName) => harness.supabase.snapshot().facebook_token_logs.filter((r) => r.tool_name === toolName);
+// Rows are inserted without awaiting the call's response
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+const tools = [
+  standInTool('update_campaign', async ({ campaign_id }) => ({ success: true, id: campaign_id }), {
+    mutating: true,
+    properties: { campaign_id: { type: 'string' }, access_token: { type: 'string' }, ad_ids: { type: 'array' } },
+  }),
+  standInTool('get_campaign', async () => ({
+    error: 'Failed to fetch campaign',
+    details: { error: { message: 'Unsupported get request', type: 'GraphMethodException', code: 100 } },
+  })),
+  standInTool('delete_campaign', async () => ({ success: true }), { mutating: true }),
+];
+
+test('a tool call writes one redacted row with the objects it touched', async () => {
+  const client = await connectMcpClient(tools, session);
+  try {
+    await client.callTool({
+      name: 'update_campaign',
+      arguments: { campaign_id: '400000000000005', access_token: 'EAAB-leaked', ad_ids: ['700000000000001', 'not-an-id'] },
+    });
+  } finally {
+    await client.close();
+  }
+  await settle();
+
+  const [row] = auditRows('update_campaign').filter((r) => r.object_ids.includes('400000000000005'));
+  assert.equal(row.server_id, 'server-1');
+  assert.equal(row.user_id, 'user-1');
+  assert.equal(row.mcp_session_id, 'session-1');
+  assert.equal(row.success, true);
+  assert.equal(row.error_code, null);
+  assert.equal(row.dry_run, false);
+  assert.equal(typeof row.duration_ms, 'number');
+  assert.ok(row.duration_ms >= 0);
+  assert.deepEqual(row.object_ids.sort(), ['400000000000005', '700000000000001']);
+  assert.equal(row.arguments.access_token, '[redacted]');
+  assert.ok(!JSON.stringify(row).includes('EAAB-'), 'no token is stored');
+});
+
+test('failed and refused calls are recorded with their error code', async () => {
+  const client = await connectMcpClient(tools, session);
+  try {
+    assert.equal((await client.callTool({ name: 'get_campaign', arguments: {} })).isError, true);
+    await assert.rejects(client.callTool({ name: 'delete_campaign', arguments: {} }), /not enabled on this server/);
+  } finally {
+    await client.close();
+  }
+  await settle();
+
+  const [failed] = auditRows('get_campaign');
+  assert.equal(failed.success, false);
+  assert.equal(failed.error_code, '100');
+  const [refused] = auditRows('delete_campaign');
+  assert.equal(refused.success, false);
+  assert.equal(refused.error_code, '-32600');
+});
+
+async function getAudit(app, query = '', serverId = 'server-1', secret = 'secret-1') {
+  const response = await fetch(`${app.url}/api/audit${query}`, {
+    headers: { Authorization: `Bearer ${sessionToken(serverId, secret)}` },
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const ids = ({ body }) => body.entries.filter((e) => e.id.startsWith('log-')).map((e) => e.id);
+
+test('/api/audit filters by server, tool and time range', async () => {
+  const app = await startHttpApp([]);
+  try {
+    assert.deepEqual(ids(await getAudit(app)), ['log-3', 'log-2', 'log-1']);
+    assert.deepEqual(ids(await getAudit(app, '?tool=update_campaign')), ['log-3', 'log-1']);
+    assert.deepEqual(ids(await getAudit(app, '?since=2026-10-02&until=2026-10-09')), ['log-2']);
+    assert.deepEqual(ids(await getAudit(app, '?object_id=400000000000002')), ['log-3']);
+    assert.deepEqual(ids(await getAudit(app, '?success=false')), ['log-3']);
+    assert.deepEqual(ids(await getAudit(app, '?server_id=server-2')), ['log-4']);
+    assert.deepEqual(ids(await getAudit(app, '?server_id=all&tool=update_campaign&since=2026-10-01')), ['log-3', 'log-4', 'log-1']);
+    assert.equal((await getAudit(app, '?since=yesterday-ish')).status, 400);
+  } finally {
+    await app.close();
+  }
+});
+
+test('/api/audit refuses other users\' servers and unauthenticated requests', async () => {
+  const app = await startHttpApp([]);
+  try {
+    const foreign = await getAudit(app, '?server_id=server-3');
+    assert.equal(foreign.status, 403);
+    assert.equal((await getAudit(app, '?server_id=server-404')).status, 403);
+    // The other user's own token sees only their rows
+    assert.deepEqual(ids(await getAudit(app, '?server_id=all', 'server-3', 'secret-3')), ['log-5']);
+    assert.equal((await getAudit(app, '', 'server-1', 'wrong-secret')).status, 401);
+    const anonymous = await fetch(`${app.url}/api/audit`);
+    assert.equal(anonymous.status, 401);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,167 @@
+/**
+ * Session token verification against servers / mcp_sessions, the Streamable HTTP check
+ * that a transport session is only used with the token that opened it, and SSE streams
+ * losing access once their session is revoked or expires.
+ */
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeSessionToken, verifySessionToken } from '../lib/auth.js';
+import { withToolHarness } from './support/tool-harness.js';
+import { sessionToken, startHttpApp, openSseStream } from './support/mcp-server.js';
+
+const future = new Date(Date.now() + 86400000).toISOString();
+const past = new Date(Date.now() - 60000).toISOString();
+
+const harness = withToolHarness({
+  supabase: {
+    servers: [
+      { id: 'server-1', user_id: 'user-1', is_active: true, settings: {} },
+      { id: 'server-2', user_id: 'user-2', is_active: true, settings: {} },
+      { id: 'server-3', user_id: 'user-1', is_active: true, settings: {} },
+    ],
+    mcp_sessions: [
+      { id: 'session-valid', server_id: 'server-1', user_id: 'user-1', session_token: 'secret-valid', expires_at: future },
+      { id: 'session-revoked', server_id: 'server-1', user_id: 'user-1', session_token: 'secret-revoked', revoked_at: past },
+      { id: 'session-expired', server_id: 'server-1', user_id: 'user-1', session_token: 'secret-expired', expires_at: past },
+      { id: 'session-other-user', server_id: 'server-2', user_id: 'user-2', session_token: 'secret-user-2' },
+      { id: 'session-other-server', server_id: 'server-3', user_id: 'user-1', session_token: 'secret-server-3' },
+    ],
+  },
+});
+
+test('tokens split into server ID and access token', () => {
+  assert.deepEqual(decodeSessionToken(sessionToken('server-1', 'a:b')), { serverId: 'server-1', accessToken: 'a:b' });
+  assert.throws(() => decodeSessionToken(''), /Token is required/);
+  assert.throws(() => decodeSessionToken(Buffer.from('no-separator').toString('base64')), /Invalid token format/);
+  assert.throws(() => decodeSessionToken(sessionToken('server-1', '')), /Invalid token components/);
+});
+
+test('a valid token resolves to the server, its owner and the session', async () => {
+  assert.deepEqual(await verifySessionToken(sessionToken('server-1', 'secret-valid')), {
+    serverId: 'server-1',
+    userId: 'user-1',
+    sessionId: 'session-valid',
+    expiresAt: future,
+  });
+});
+
+test('a tampered token is refused', async () => {
+  await assert.rejects(verifySessionToken(sessionToken('server-1', 'secret-valiD')), /Invalid or unknown session token/);
+  await assert.rejects(verifySessionToken(sessionToken('server-9', 'secret-valid')), /Invalid or unknown session token/);
+});
+
+test('revoked and expired sessions are refused', async () => {
+  await assert.rejects(verifySessionToken(sessionToken('server-1', 'secret-revoked')), /Session has been revoked/);
+  await assert.rejects(verifySessionToken(sessionToken('server-1', 'secret-expired')), /Session has expired/);
+});
+
+test('a token issued for another server is refused', async () => {
+  await assert.rejects(verifySessionToken(sessionToken('server-1', 'secret-server-3')), /Invalid or unknown session token/);
+  await assert.rejects(verifySessionToken(sessionToken('server-2', 'secret-valid')), /Invalid or unknown session token/);
+});
+
+test('a cached verification ends when the session expires', async () => {
+  await harness.supabase.from('mcp_sessions').insert({
+    id: 'session-short',
+    server_id: 'server-1',
+    user_id: 'user-1',
+    session_token: 'secret-short',
+    expires_at: new Date(Date.now() + 150).toISOString(),
+  });
+  const token = sessionToken('server-1', 'secret-short');
+  assert.equal((await verifySessionToken(token)).sessionId, 'session-short');
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  await assert.rejects(verifySessionToken(token), /Session has expired/);
+});
+
+test('a Streamable HTTP session answers 403 to a token of another user or server', async () => {
+  const app = await startHttpApp([]);
+  const post = (token, body, sessionId) => fetch(`${app.url}/api/mcp`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      Authorization: `Bearer ${token}`,
+      ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+  try {
+    const owner = sessionToken('server-1', 'secret-valid');
+    const init = await post(owner, {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '0.1.0' } },
+    });
+    await init.text();
+    assert.equal(init.status, 200);
+    const sessionId = init.headers.get('mcp-session-id');
+    assert.ok(sessionId);
+
+    const ping = { jsonrpc: '2.0', id: 2, method: 'ping' };
+    for (const stranger of [sessionToken('server-2', 'secret-user-2'), sessionToken('server-3', 'secret-server-3')]) {
+      const response = await post(stranger, ping, sessionId);
+      assert.equal(response.status, 403);
+      assert.match((await response.json()).error.message, /Session does not belong to this token/);
+    }
+
+    const own = await post(owner, ping, sessionId);
+    await own.text();
+    assert.equal(own.status, 200);
+
+    const unauthenticated = await post(sessionToken('server-1', 'secret-revoked'), ping, sessionId);
+    assert.equal(unauthenticated.status, 401);
+  } finally {
+    await app.close();
+  }
+});
+
+const ping = (id) => ({
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ jsonrpc: '2.0', id, method: 'ping' }),
+});
+
+test('an SSE stream is refused and closed once its session is revoked', async () => {
+  await harness.supabase.from('mcp_sessions').insert({
+    id: 'session-sse', server_id: 'server-1', user_id: 'user-1', session_token: 'secret-sse', expires_at: future,
+  });
+  const app = await startHttpApp([]);
+  const stream = await openSseStream(app.url, sessionToken('server-1', 'secret-sse'));
+  try {
+    const allowed = await fetch(stream.messagesUrl, ping(1));
+    await allowed.text();
+    assert.equal(allowed.status, 202);
+
+    await harness.supabase.from('mcp_sessions').update({ revoked_at: new Date().toISOString() }).eq('id', 'session-sse');
+    // Past the verification cache, which would otherwise answer for a few more seconds
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + 60000 });
+    const refused = await fetch(stream.messagesUrl, ping(2));
+    assert.equal(refused.status, 401);
+    assert.match((await refused.json()).error, /Session has been revoked/);
+    await stream.ended;
+  } finally {
+    mock.timers.reset();
+    stream.close();
+    await app.close();
+  }
+});
+
+test('an SSE stream ends when its session expires', async () => {
+  await harness.supabase.from('mcp_sessions').insert({
+    id: 'session-sse-short', server_id: 'server-1', user_id: 'user-1', session_token: 'secret-sse-short',
+    expires_at: new Date(Date.now() + 300).toISOString(),
+  });
+  const app = await startHttpApp([]);
+  const stream = await openSseStream(app.url, sessionToken('server-1', 'secret-sse-short'));
+  try {
+    await stream.ended;
+    const refused = await fetch(stream.messagesUrl, ping(1));
+    await refused.text();
+    assert.equal(refused.status, 400);
+  } finally {
+    stream.close();
+    await app.close();
+  }
+});
@@ -0,0 +1,115 @@
+/**
+ * Conversions API user_data hashing and the send_conversion_events tool.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { prepareEventUserData, sha256 } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_customer-data.js';
+import { redactArguments } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_audit-log.js';
+import { apiTool as sendEvents } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/send-conversion-events.js';
+import { withToolHarness } from './support/tool-harness.js';
+
+const harness = withToolHarness({
+  graph: {
+    fixtures: [
+      { method: 'POST', path: '/555000000000001/events', body: { events_received: 2, messages: [], fbtrace_id: 'AbC123' } },
+      {
+        method: 'POST',
+        path: '/555000000000002/events',
+        status: 400,
+        body: { error: { message: 'Invalid parameter', type: 'OAuthException', code: 100, error_subcode: 2804003, fbtrace_id: 'XyZ789' } },
+      },
+    ],
+  },
+  supabase: { users: [{ id: 'user-1', facebook_access_token: 'EAAB-mock-user-1' }] },
+});
+
+function call(args) {
+  return harness.call(sendEvents, { userId: 'user-1', pixel_id: '555000000000001', ...args });
+}
+
+const websiteEvent = (overrides = {}) => ({
+  event_name: 'Purchase',
+  event_id: 'order-1001',
+  event_source_url: 'https://shop.example.com/thank-you',
+  user_data: { email: ' Jane.Doe@Example.com ', phone: '0917 123 4567', client_user_agent: 'Mozilla/5.0', fbp: 'fb.1.1700000000.123' },
+  custom_data: { value: 1499, currency: 'PHP' },
+  ...overrides,
+});
+
+test('user_data identifiers are normalized and hashed, browser ids are kept', () => {
+  const hashedEmail = sha256('other@example.com');
+  const { user_data, invalid_fields, ignored_fields } = prepareEventUserData({
+    em: ['Jane@Example.com', hashedEmail.toUpperCase()],
+    phone: '0917 123 4567',
+    first_name: 'Jane',
+    dob: '1990-02-16',
+    external_id: ' cust-42 ',
+    client_ip_address: '203.0.113.5',
+    fbc: 'fb.1.1700000000.AbCd',
+    gender: 'unknown',
+    favorite_color: 'blue',
+  }, { countryCallingCode: '63' });
+  assert.deepEqual(user_data.em, [sha256('jane@example.com'), hashedEmail]);
+  assert.deepEqual(user_data.ph, [sha256('639171234567')]);
+  assert.deepEqual(user_data.fn, [sha256('jane')]);
+  assert.deepEqual(user_data.db, [sha256('19900216')]);
+  assert.deepEqual(user_data.external_id, [sha256('cust-42')]);
+  assert.equal(user_data.client_ip_address, '203.0.113.5');
+  assert.equal(user_data.fbc, 'fb.1.1700000000.AbCd');
+  assert.deepEqual(invalid_fields, ['gender']);
+  assert.deepEqual(ignored_fields, ['favorite_color']);
+});
+
+test('events are sent hashed with the test event code and Meta results per batch', async () => {
+  harness.logged.length = 0;
+  const result = await call({
+    events: [websiteEvent(), websiteEvent({ event_name: 'Lead', event_id: null, custom_data: undefined, event_time: new Date(Date.now() - 3600e3).toISOString() })],
+    test_event_code: 'TEST123',
+    country_calling_code: '+63',
+  });
+  assert.equal(result.success, true);
+  assert.equal(result.sent, 2);
+  assert.deepEqual(result.batches, [{ batch: 1, events: 2, success: true, events_received: 2, messages: [], fbtrace_id: 'AbC123' }]);
+  assert.deepEqual(result.events[0].user_data_keys, ['em', 'ph', 'client_user_agent', 'fbp']);
+  assert.match(result.events[1].warnings[0], /deduplicate/);
+
+  const post = [...harness.mock.requests].reverse().find((r) => r.path === '/555000000000001/events');
+  assert.equal(post.query.test_event_code, 'TEST123');
+  const [purchase, lead] = JSON.parse(post.query.data);
+  assert.equal(purchase.event_id, 'order-1001');
+  assert.equal(purchase.action_source, 'website');
+  assert.deepEqual(purchase.user_data.em, [sha256('jane.doe@example.com')]);
+  assert.deepEqual(purchase.user_data.ph, [sha256('639171234567')]);
+  assert.ok(Math.abs(lead.event_time - (Date.now() / 1000 - 3600)) < 5);
+
+  // No raw identifier leaves the tool or reaches the logs or the audit log
+  const everything = JSON.stringify([result, post, harness.logged]);
+  assert.ok(!everything.includes('Jane.Doe') && !everything.includes('0917'));
+  assert.equal(redactArguments({ events: [{ user_data: { email: 'jane@example.com' } }] }).events[0].user_data, '[personal data omitted]');
+});
+
+test('invalid events stop the whole send and are listed', async () => {
+  const before = harness.mock.requests.length;
+  const result = await call({
+    events: [
+      websiteEvent(),
+      websiteEvent({ event_source_url: null, user_data: { email: 'jane@example.com' } }),
+      websiteEvent({ custom_data: {}, event_time: Math.floor(Date.now() / 1000) - 8 * 86400 }),
+    ],
+  });
+  assert.match(result.error, /2 of 3 event\(s\) cannot be sent/);
+  assert.deepEqual(result.invalid_events.map((e) => e.index), [1, 2]);
+  assert.ok(result.invalid_events[0].errors.some((e) => /event_source_url/.test(e)));
+  assert.ok(result.invalid_events[0].errors.some((e) => /client_user_agent/.test(e)));
+  assert.ok(result.invalid_events[1].errors.some((e) => /7 days/.test(e)));
+  assert.ok(result.invalid_events[1].errors.some((e) => /value and custom_data.currency/.test(e)));
+  assert.equal(harness.mock.requests.length, before);
+});
+
+test('a rejected batch reports Meta\'s error and trace id', async () => {
+  const result = await call({ pixel_id: '555000000000002', events: [websiteEvent()] });
+  assert.equal(result.success, false);
+  assert.match(result.error, /1 of 1 batch/);
+  assert.equal(result.batches[0].fbtrace_id, 'XyZ789');
+  assert.match(result.batches[0].error, /Invalid parameter/);
+});
@@ -0,0 +1,158 @@
+/**
+ * Budgets and bids follow the ad account currency: minor-unit offsets, formatting, the
+ * create-ad-set-* tools converting major units for a zero-decimal (JPY) account, and create
+ * and update tools sending the same minor units for the same amount, and amounts that are
+ * not positive being rejected rather than dropped.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getCurrencyOffset,
+  toMinorUnits,
+  checkMoneyArgs,
+  formatMoney,
+  describeMoney,
+} from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_shared-helpers.js';
+import { apiTool as createAdSetTraffic } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-ad-set-traffic.js';
+import { apiTool as createAdSet } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-ad-set.js';
+import { apiTool as updateAdSet } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/update-ad-set.js';
+import { apiTool as createCampaign } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-campaign.js';
+import { apiTool as updateCampaign } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/update-campaign.js';
+import { apiTool as updateBudgetBid } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/update-budget-bid.js';
+import { apiTool as createBudgetSchedule } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-budget-schedule.js';
+import { withToolHarness } from './support/tool-harness.js';
+
+const harness = withToolHarness({
+  graph: {
+    fixtures: [
+      { method: 'GET', path: '/act_555', body: { id: 'act_555', currency: 'JPY', timezone_name: 'Asia/Tokyo' } },
+      { method: 'GET', path: '/401', body: { id: '401', objective: 'OUTCOME_TRAFFIC' } },
+      { method: 'GET', path: '/act_556', body: { id: 'act_556', currency: 'USD', timezone_name: 'America/New_York' } },
+      { method: 'GET', path: '/402', body: { id: '402', account_id: '556', objective: 'OUTCOME_TRAFFIC' } },
+      { method: 'GET', path: '/702', body: { id: '702', account_id: '556' } },
+    ],
+  },
+  supabase: { facebook_ad_accounts: [] },
+});
+
+test('minor units follow the currency offset', () => {
+  assert.equal(getCurrencyOffset('USD'), 100);
+  assert.equal(getCurrencyOffset('jpy'), 1);
+  assert.equal(toMinorUnits(20.5, 'USD'), 2050);
+  assert.equal(toMinorUnits(3000, 'JPY'), 3000);
+  assert.equal(toMinorUnits(500, 'KRW'), 500);
+  assert.equal(toMinorUnits(0, 'USD'), null);
+});
+
+test('amounts are formatted next to the raw values', () => {
+  assert.equal(formatMoney('50000', 'PHP'), '₱500.00');
+  assert.equal(formatMoney(3000, 'JPY'), '¥3,000');
+  assert.deepEqual(describeMoney({ daily_budget: '2050', bid_amount: undefined }, 'USD'), {
+    currency: 'USD',
+    daily_budget: '2050',
+    daily_budget_formatted: '$20.50',
+  });
+});
+
+test('create_ad_set_traffic sends a JPY budget without a minor-unit offset', async () => {
+  const result = await harness.call(createAdSetTraffic, {
+    account_id: '555',
+    campaign_id: '401',
+    page_id: '300000000000001',
+    conversion_location: 'website',
+    daily_budget: 3000,
+  });
+
+  assert.equal(result.error, undefined);
+  const post = harness.mock.requests.find((r) => r.method === 'POST' && r.path === '/act_555/adsets');
+  assert.equal(post.query.daily_budget, '3000');
+  assert.equal(result.configuration.money.currency, 'JPY');
+  assert.equal(result.configuration.money.daily_budget_formatted, '¥3,000');
+});
+
+test('create_ad_set_traffic asks for a budget instead of assuming one', async () => {
+  const result = await harness.call(createAdSetTraffic, {
+    account_id: '555',
+    campaign_id: '401',
+    page_id: '300000000000001',
+    conversion_location: 'website',
+  });
+  assert.match(result.error, /daily_budget is required/);
+});
+
+test('create and update tools send the same minor units for the same amount', async () => {
+  const posted = (path) => harness.mock.requests.filter((r) => r.method === 'POST' && r.path === path).at(-1).query;
+
+  const createdAdSet = await harness.call(createAdSet, {
+    account_id: '556',
+    campaign_id: '402',
+    daily_budget: 20.5,
+    bid_amount: 1.25,
+    targeting: { geo_locations: { countries: ['US'] } },
+  });
+  assert.equal(createdAdSet.error, undefined);
+  const updatedAdSet = await harness.call(updateAdSet, { adset_id: '702', daily_budget: 20.5, bid_amount: 1.25 });
+  assert.equal(updatedAdSet.error, undefined);
+  for (const field of ['daily_budget', 'bid_amount']) {
+    assert.equal(posted('/702')[field], posted('/act_556/adsets')[field]);
+  }
+  assert.equal(posted('/702').daily_budget, '2050');
+  assert.equal(updatedAdSet.money.daily_budget_formatted, '$20.50');
+
+  const createdCampaign = await harness.call(createCampaign, { account_id: '556', objective: 'OUTCOME_TRAFFIC', daily_budget: 20.5 });
+  assert.equal(createdCampaign.error, undefined);
+  assert.equal(posted('/act_556/campaigns').daily_budget, '2050');
+  assert.equal((await harness.call(updateCampaign, { campaign_id: '402', daily_budget: 20.5 })).error, undefined);
+  assert.equal(posted('/402').daily_budget, '2050');
+  assert.equal((await harness.call(updateBudgetBid, { campaign_id: '402', lifetime_budget: 20.5 })).error, undefined);
+  assert.equal(posted('/402').lifetime_budget, '2050');
+});
+
+test('an absolute budget schedule is converted, a multiplier is not', async () => {
+  const window = { time_start: 'tomorrow 9am', time_end: 'in 3 days end of day' };
+  const absolute = await harness.call(createBudgetSchedule, { campaign_id: '402', budget_value: 20.5, budget_value_type: 'ABSOLUTE', ...window });
+  assert.equal(absolute.error, undefined);
+  assert.equal(absolute.money.budget_value_formatted, '$20.50');
+  const multiplier = await harness.call(createBudgetSchedule, { campaign_id: '402', budget_value: 2, budget_value_type: 'MULTIPLIER', ...window });
+  assert.equal(multiplier.error, undefined);
+  const bodies = harness.mock.requests.filter((r) => r.path === '/402/budget_schedules').map((r) => r.query.budget_value);
+  assert.deepEqual(bodies, ['2050', '2']);
+});
+
+test('money arguments that are given must be positive', () => {
+  assert.equal(checkMoneyArgs({ daily_budget: 20.5, lifetime_budget: null, bid_amount: undefined }), null);
+  assert.match(checkMoneyArgs({ daily_budget: 0 }), /^daily_budget must be a positive amount/);
+  assert.match(checkMoneyArgs({ daily_budget: 10, lifetime_budget: -5 }), /^lifetime_budget must be a positive amount.*-5/);
+  assert.match(checkMoneyArgs({ bid_amount: 'abc' }), /^bid_amount must be a positive amount/);
+});
+
+test('a zero or negative budget is an error, not a silent no-op', async () => {
+  const before = harness.mock.requests.length;
+
+  const zero = await harness.call(updateBudgetBid, { campaign_id: '402', daily_budget: 0 });
+  assert.match(zero.error, /^daily_budget must be a positive amount/);
+  const negative = await harness.call(updateBudgetBid, { campaign_id: '402', lifetime_budget: -5 });
+  assert.match(negative.error, /^lifetime_budget must be a positive amount/);
+  const campaign = await harness.call(updateCampaign, { campaign_id: '402', daily_budget: 0 });
+  assert.match(campaign.error, /^daily_budget must be a positive amount/);
+  const adSet = await harness.call(updateAdSet, { adset_id: '702', bid_amount: -1 });
+  assert.match(adSet.error, /^bid_amount must be a positive amount/);
+  const schedule = await harness.call(createBudgetSchedule, { campaign_id: '402', budget_value: 0, budget_value_type: 'ABSOLUTE' });
+  assert.match(schedule.error, /^budget_value must be a positive amount/);
+
+  const createdCampaign = await harness.call(createCampaign, { account_id: '556', objective: 'OUTCOME_TRAFFIC', lifetime_budget: -5 });
+  assert.match(createdCampaign.error, /^lifetime_budget must be a positive amount/);
+  const createdAdSet = await harness.call(createAdSet, { account_id: '556', campaign_id: '402', daily_budget: 0 });
+  assert.match(createdAdSet.error, /^daily_budget must be a positive amount/);
+  const traffic = await harness.call(createAdSetTraffic, {
+    account_id: '555',
+    campaign_id: '401',
+    page_id: '300000000000001',
+    conversion_location: 'website',
+    daily_budget: 3000,
+    cost_per_result_goal: 0,
+  });
+  assert.match(traffic.error, /^cost_per_result_goal must be a positive amount/);
+
+  assert.equal(harness.mock.requests.length, before);
+});
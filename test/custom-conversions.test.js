@@ -0,0 +1,180 @@
+/**
+ * Custom conversion rules, the create / update / archive / stats tools, and optimizing
+ * sales and leads ad sets for a custom conversion.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildConversionRule,
+  describeConversionRule,
+} from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_custom-conversion-helpers.js';
+import { apiTool as createConversion } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-custom-conversion.js';
+import { apiTool as updateConversion } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/update-custom-conversion.js';
+import { apiTool as archiveConversion } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/archive-custom-conversion.js';
+import { apiTool as conversionStats } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/get-custom-conversion-stats.js';
+import { apiTool as createSalesAdSet } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-ad-set-sales.js';
+import { apiTool as createLeadsAdSet } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-ad-set-leads.js';
+import { withToolHarness } from './support/tool-harness.js';
+
+const bigPurchases = {
+  id: '800000000000001',
+  name: 'Purchases over ₱1,000',
+  account_id: '900',
+  custom_event_type: 'PURCHASE',
+  default_conversion_value: 1500,
+  pixel: { id: '500000000000001' },
+  rule: '{"and":[{"event":{"eq":"Purchase"}},{"value":{"gt":1000}}]}',
+  is_archived: false,
+  last_fired_time: '2026-10-17T08:00:00+0000',
+};
+
+const harness = withToolHarness({
+  graph: {
+    fixtures: [
+      { method: 'POST', path: '/act_900/customconversions', body: { id: '800000000000001' } },
+      { method: 'GET', path: '/800000000000001', body: bigPurchases },
+      { method: 'GET', path: '/800000000000002', body: { ...bigPurchases, id: '800000000000002', is_archived: true } },
+      {
+        method: 'GET',
+        path: '/800000000000001/stats',
+        body: {
+          data: [
+            { timestamp: '2026-10-16T00:00:00+0000', aggregation: 'count', data: [{ value: null, count: 4 }] },
+            { timestamp: '2026-10-17T00:00:00+0000', aggregation: 'count', data: [{ value: null, count: 6 }] },
+          ],
+        },
+      },
+      { method: 'GET', path: '/400000000000009', body: { id: '400000000000009', objective: 'OUTCOME_SALES', account_id: '900' } },
+      { method: 'POST', path: '/act_900/adsets', body: { id: '700000000000009' } },
+    ],
+  },
+  supabase: {
+    users: [{ id: 'user-1', facebook_access_token: 'EAAB-mock-user-1' }],
+    facebook_ad_accounts: [{ id: 'act_900', user_id: 'user-1', currency: 'PHP', timezone_name: 'Asia/Manila' }],
+  },
+});
+
+function call(tool, args) {
+  return harness.call(tool, { userId: 'user-1', ...args });
+}
+
+const lastRequest = (method, path) => [...harness.mock.requests].reverse().find((r) => r.method === method && r.path === path);
+
+test('rules combine the event, any of the URLs and every parameter condition', () => {
+  const rule = buildConversionRule({
+    event_name: 'Purchase',
+    url_contains: ['/thank-you', '/order-complete'],
+    parameters: [{ name: 'value', operator: '>', value: '1000' }, { name: 'content_category', operator: 'contains', value: 'shoes' }],
+  });
+  assert.deepEqual(rule, {
+    and: [
+      { event: { eq: 'Purchase' } },
+      { or: [{ url: { i_contains: '/thank-you' } }, { url: { i_contains: '/order-complete' } }] },
+      { value: { gt: 1000 } },
+      { content_category: { i_contains: 'shoes' } },
+    ],
+  });
+  assert.equal(
+    describeConversionRule(rule),
+    'event = Purchase AND (url contains "/thank-you" OR url contains "/order-complete") AND value > 1000 AND content_category contains "shoes"'
+  );
+  assert.deepEqual(buildConversionRule({ url_equals: ['https://shop.example.com/thanks'] }), { url: { eq: 'https://shop.example.com/thanks' } });
+  assert.throws(() => buildConversionRule({}), /event_name, url_contains or url_equals/);
+  assert.throws(() => buildConversionRule({ url_contains: ['/x'], parameters: [{ name: 'value', operator: '>', value: 1 }] }), /need event_name/);
+  assert.throws(() => buildConversionRule({ event_name: 'Purchase', parameters: [{ name: 'value', operator: '>', value: 'lots' }] }), /must be a number/);
+});
+
+test('create_custom_conversion posts the rule on the pixel and reports it readably', async () => {
+  const result = await call(createConversion, {
+    account_id: '900',
+    pixel_id: '500000000000001',
+    name: 'Purchases over ₱1,000',
+    category: 'PURCHASE',
+    default_conversion_value: 1500,
+    event_name: 'Purchase',
+    parameters: [{ name: 'value', operator: '>', value: 1000 }],
+  });
+  assert.equal(result.success, true);
+  assert.equal(result.custom_conversion_id, '800000000000001');
+  assert.equal(result.custom_conversion.rule_summary, 'event = Purchase AND value > 1000');
+  assert.equal(result.custom_conversion.pixel_id, '500000000000001');
+  assert.equal(result.custom_conversion.default_conversion_value_formatted, '₱1,500.00');
+  assert.match(result.use_with, /create_ad_set_sales/);
+
+  const post = lastRequest('POST', '/act_900/customconversions');
+  assert.equal(post.query.event_source_id, '500000000000001');
+  assert.equal(post.query.custom_event_type, 'PURCHASE');
+  assert.equal(post.query.default_conversion_value, '1500');
+  assert.deepEqual(JSON.parse(post.query.rule), { and: [{ event: { eq: 'Purchase' } }, { value: { gt: 1000 } }] });
+
+  assert.match((await call(createConversion, { account_id: '900', pixel_id: '5', name: 'x', category: 'SALE', url_contains: ['/x'] })).error, /category must be one of/);
+  assert.match((await call(createConversion, { account_id: '900', pixel_id: '5', name: 'x', event_name: 'Lead', rule: { url: { eq: 'x' } } })).error, /not both/);
+});
+
+test('update, archive and stats work on an existing conversion', async () => {
+  const updated = await call(updateConversion, { custom_conversion_id: '800000000000001', default_conversion_value: 2000 });
+  assert.equal(updated.success, true);
+  assert.deepEqual(updated.updated_fields, ['default_conversion_value']);
+  assert.equal(lastRequest('POST', '/800000000000001').query.default_conversion_value, '2000');
+  assert.match((await call(updateConversion, { custom_conversion_id: '800000000000001' })).error, /Nothing to update/);
+  assert.match((await call(updateConversion, { custom_conversion_id: '800000000000002', name: 'x' })).error, /archived/);
+
+  const archived = await call(archiveConversion, { custom_conversion_id: '800000000000001' });
+  assert.equal(archived.archived, true);
+  assert.ok(lastRequest('DELETE', '/800000000000001'));
+  const again = await call(archiveConversion, { custom_conversion_id: '800000000000002' });
+  assert.equal(again.note, 'Already archived');
+
+  const stats = await call(conversionStats, { custom_conversion_id: '800000000000001', since: '2026-10-10', until: '2026-10-18' });
+  assert.deepEqual(stats.totals, { total: 10 });
+  assert.equal(stats.buckets.length, 2);
+  assert.equal(stats.period.timezone, 'Asia/Manila');
+  const query = lastRequest('GET', '/800000000000001/stats').query;
+  assert.equal(query.aggregation, 'count');
+  assert.equal(query.start_time, String(Date.parse('2026-10-10T00:00:00+08:00') / 1000));
+});
+
+test('sales and leads ad sets optimize for a custom conversion by ID', async () => {
+  const sales = await call(createSalesAdSet, {
+    account_id: '900',
+    campaign_id: '400000000000009',
+    page_id: '300000000000001',
+    custom_conversion_id: '800000000000001',
+    daily_budget: 500,
+  });
+  assert.equal(sales.success, true, sales.error);
+  assert.deepEqual(JSON.parse(lastRequest('POST', '/act_900/adsets').query.promoted_object), {
+    page_id: '300000000000001',
+    pixel_id: '500000000000001',
+    custom_event_type: 'PURCHASE',
+    custom_conversion_id: '800000000000001',
+  });
+  assert.equal(sales.configuration.custom_conversion.name, 'Purchases over ₱1,000');
+
+  const leads = await call(createLeadsAdSet, {
+    account_id: '900',
+    campaign_id: '400000000000009',
+    page_id: '300000000000001',
+    conversion_location: 'website',
+    custom_conversion_id: '800000000000001',
+    daily_budget: 500,
+  });
+  assert.equal(leads.success, true, leads.error);
+  assert.equal(JSON.parse(lastRequest('POST', '/act_900/adsets').query.promoted_object).custom_conversion_id, '800000000000001');
+
+  const wrongPixel = await call(createSalesAdSet, {
+    account_id: '900', campaign_id: '400000000000009', page_id: '300000000000001',
+    pixel_id: '500000000000002', custom_conversion_id: '800000000000001', daily_budget: 500,
+  });
+  assert.match(wrongPixel.error, /counts events from pixel 500000000000001/);
+  const archived = await call(createSalesAdSet, {
+    account_id: '900', campaign_id: '400000000000009', page_id: '300000000000001',
+    custom_conversion_id: '800000000000002', daily_budget: 500,
+  });
+  assert.match(archived.error, /archived/);
+  const instantForms = await call(createLeadsAdSet, {
+    account_id: '900', campaign_id: '400000000000009', page_id: '300000000000001',
+    conversion_location: 'instant_forms', custom_conversion_id: '800000000000001', daily_budget: 500,
+  });
+  assert.match(instantForms.error, /uses a pixel/);
+});
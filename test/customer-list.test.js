@@ -0,0 +1,102 @@
+/**
+ * Customer list preparation (normalization, hashing, CSV) and upload_customer_list batching.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeCustomerValue,
+  parseCsv,
+  prepareCustomerRows,
+  sha256,
+} from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_customer-data.js';
+import { redactArguments } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_audit-log.js';
+import { apiTool as uploadCustomerList } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/upload-customer-list.js';
+import { withToolHarness } from './support/tool-harness.js';
+
+const harness = withToolHarness({
+  graph: {
+    fixtures: [
+      { method: 'POST', path: '/23800000000009/users', body: { audience_id: '23800000000009', num_received: 2, num_invalid_entries: 0 } },
+      {
+        method: 'GET',
+        path: '/23800000000009',
+        body: { id: '23800000000009', subtype: 'CUSTOM', approximate_count_lower_bound: 1000, approximate_count_upper_bound: 1200 },
+      },
+    ],
+  },
+  supabase: { users: [{ id: 'user-1', facebook_access_token: 'EAAB-mock-user-1' }] },
+});
+
+function call(args) {
+  return harness.call(uploadCustomerList, { userId: 'user-1', audience_id: '23800000000009', ...args });
+}
+
+test('values are normalized to Meta rules', () => {
+  assert.equal(normalizeCustomerValue('EMAIL', '  Jane.Doe@Example.COM '), 'jane.doe@example.com');
+  assert.equal(normalizeCustomerValue('EMAIL', 'not-an-email'), null);
+  assert.equal(normalizeCustomerValue('PHONE', '+1 (650) 555-1212'), '16505551212');
+  assert.equal(normalizeCustomerValue('PHONE', '0917 123 4567', { countryCallingCode: '63' }), '639171234567');
+  assert.equal(normalizeCustomerValue('FN', "O'Brien-Smith"), 'obriensmith');
+  assert.equal(normalizeCustomerValue('FN', 'Valéry'), 'valéry');
+  assert.equal(normalizeCustomerValue('CT', 'San Francisco'), 'sanfrancisco');
+  assert.equal(normalizeCustomerValue('ZIP', '94107-1234', { country: 'us' }), '94107');
+  assert.equal(normalizeCustomerValue('COUNTRY', 'PH'), 'ph');
+  assert.equal(normalizeCustomerValue('GEN', 'Female'), 'f');
+});
+
+test('CSV rows are hashed, de-duplicated and counted', () => {
+  const rows = parseCsv('Email,Phone Number,First Name,Notes\r\n"JANE@example.com",+63 917 123 4567,Jane,"likes ""red"", blue"\njane@example.com,+639171234567,jane,\nbad,,,\n');
+  assert.equal(rows.length, 3);
+  assert.equal(rows[0].Notes, 'likes "red", blue');
+
+  const prepared = prepareCustomerRows(rows);
+  assert.deepEqual(prepared.schema, ['EMAIL', 'PHONE', 'FN']);
+  assert.equal(prepared.received, 3);
+  assert.equal(prepared.invalid, 1);
+  assert.equal(prepared.duplicates, 1);
+  assert.deepEqual(prepared.invalid_fields, { EMAIL: 1 });
+  assert.deepEqual(prepared.ignored_columns, ['Notes']);
+  assert.deepEqual(prepared.data[0], [sha256('jane@example.com'), sha256('639171234567'), sha256('jane')]);
+});
+
+test('upload_customer_list sends hashes only, in one session, and reports counts', async () => {
+  harness.logged.length = 0;
+  const result = await call({
+    customers: [
+      { email: 'Jane@Example.com', phone: '0917 123 4567' },
+      { email: 'juan@example.com', first_name: 'Juan' },
+      { first_name: 'Nameless' },
+    ],
+    country_calling_code: '63',
+    batch_size: 1,
+  });
+  assert.equal(result.error, undefined);
+  assert.equal(result.counts.received, 3);
+  assert.equal(result.counts.invalid, 1);
+  assert.equal(result.counts.sent, 2);
+  assert.deepEqual(result.matched, { lower_bound: 1000, upper_bound: 1200 });
+
+  const posts = harness.mock.requests.filter((r) => r.method === 'POST' && r.path === '/23800000000009/users');
+  assert.equal(posts.length, 2);
+  const sessions = posts.map((p) => JSON.parse(p.query.session));
+  assert.equal(sessions[0].session_id, sessions[1].session_id);
+  assert.deepEqual(sessions.map((s) => [s.batch_seq, s.last_batch_flag]), [[1, false], [2, true]]);
+  const sent = posts.map((p) => p.query.payload).join(' ');
+  assert.ok(sent.includes(sha256('jane@example.com')));
+  assert.ok(sent.includes(sha256('639171234567')));
+  for (const raw of ['jane@example.com', 'Jane@Example.com', '0917', 'juan', 'Juan']) {
+    assert.ok(!sent.includes(raw), `${raw} was sent in plain text`);
+    assert.ok(!harness.logged.some((line) => line.includes(raw)), `${raw} was harness.logged`);
+  }
+});
+
+test('replace uploads go to usersreplace', async () => {
+  const result = await call({ csv: 'email\njane@example.com\n', replace: true });
+  assert.equal(result.mode, 'replace');
+  assert.ok(harness.mock.requests.some((r) => r.method === 'POST' && r.path === '/23800000000009/usersreplace'));
+});
+
+test('the audit log never stores customer rows', () => {
+  const stored = redactArguments({ audience_id: '1', csv: 'email\njane@example.com', customers: [{ email: 'jane@example.com' }] });
+  assert.deepEqual(stored, { audience_id: '1', csv: '[personal data omitted]', customers: '[personal data omitted]' });
+});
@@ -0,0 +1,87 @@
+/**
+ * Dry-run mode through the MCP server: write tools record their Graph requests instead of
+ * sending them, per call (dry_run: true) or for every call when the server enables it.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { discoverTools } from '../lib/tools.js';
+import { withToolHarness } from './support/tool-harness.js';
+import { sampleArgs } from './support/tool-args.js';
+import { connectMcpClient, resultJson } from './support/mcp-server.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const harness = withToolHarness({
+  graph: { fixturesDir: path.join(fixtures, 'graph') },
+  supabase: path.join(fixtures, 'supabase.json'),
+});
+
+const tools = await discoverTools();
+const byName = (name) => tools.find((t) => t.definition.function.name === name);
+const session = { serverId: 'server-1', userId: 'user-1', sessionId: 'session-1' };
+const writes = (since) => harness.mock.requests.slice(since).filter((r) => r.method !== 'GET');
+
+async function withClient(fn) {
+  const client = await connectMcpClient(tools, session);
+  try {
+    return await fn(client);
+  } finally {
+    await client.close();
+  }
+}
+
+test('dry_run is offered on write tools only', async () => {
+  await withClient(async (client) => {
+    const { tools: listed } = await client.listTools();
+    const schema = (name) => listed.find((t) => t.name === name).inputSchema.properties;
+    assert.equal(schema('create_campaign').dry_run.type, 'boolean');
+    assert.equal(schema('get_ad_account').dry_run, undefined);
+  });
+});
+
+test('dry_run on a write tool returns the requests and sends no write to Graph', async () => {
+  const tool = byName('create_campaign');
+  const before = harness.mock.requests.length;
+  const output = await withClient(async (client) => resultJson(await client.callTool({
+    name: 'create_campaign',
+    arguments: { ...sampleArgs(tool), dry_run: true },
+  })));
+
+  assert.equal(output.dry_run, true);
+  assert.ok(output.requests.length > 0);
+  assert.equal(output.requests[0].method, 'POST');
+  assert.match(output.requests[0].endpoint, /\/act_1234567890\/campaigns$/);
+  assert.ok(!JSON.stringify(output.requests).includes('EAAB-mock-user-1'), 'the token is removed');
+  assert.deepEqual(writes(before), []);
+
+  const [audit] = harness.supabase.snapshot().facebook_token_logs.filter((r) => r.tool_name === 'create_campaign').slice(-1);
+  assert.equal(audit.dry_run, true);
+});
+
+test('a server with dry_run enabled dry-runs every write call', async () => {
+  const [server] = harness.supabase.snapshot().servers.filter((s) => s.id === 'server-1');
+  await harness.supabase.from('servers').update({ settings: { ...server.settings, dry_run: true } }).eq('id', 'server-1');
+  try {
+    const tool = byName('update_campaign');
+    const before = harness.mock.requests.length;
+    const output = await withClient(async (client) => resultJson(await client.callTool({
+      name: 'update_campaign',
+      arguments: { ...sampleArgs(tool), name: 'Renamed campaign' },
+    })));
+    assert.equal(output.dry_run, true);
+    assert.ok(output.requests.length > 0);
+    assert.deepEqual(writes(before), []);
+  } finally {
+    await harness.supabase.from('servers').update({ settings: server.settings }).eq('id', 'server-1');
+  }
+});
+
+test('without dry_run the same write reaches Graph', async () => {
+  const tool = byName('create_campaign');
+  const before = harness.mock.requests.length;
+  const output = await withClient(async (client) => resultJson(await client.callTool({ name: 'create_campaign', arguments: sampleArgs(tool) })));
+  assert.equal(output.dry_run, undefined);
+  assert.ok(writes(before).some((r) => r.method === 'POST' && r.path === '/act_1234567890/campaigns'));
+});
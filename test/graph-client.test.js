@@ -0,0 +1,130 @@
+/**
+ * Shared Graph client behaviour (retries, pagination, batching) and the record/replay
+ * cycle of the mock Graph server.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  graphFetch,
+  graphPaginate,
+  graphBatch,
+  getRateLimitSummary,
+} from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_graph-client.js';
+import { runWithRequestContext } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_request-context.js';
+import { startMockGraphServer } from './support/mock-graph-server.js';
+import { withToolHarness, toolContext, TEST_TOKEN } from './support/tool-harness.js';
+
+const auth = { Authorization: `Bearer ${TEST_TOKEN}` };
+
+const harness = withToolHarness({ graph: { strict: true } });
+
+function withContext(fn) {
+  const context = toolContext();
+  return runWithRequestContext(context, async () => ({ value: await fn(), context }));
+}
+
+test('graphFetch refuses hosts other than the Graph base URL', async () => {
+  await assert.rejects(graphFetch('https://example.com/v22.0/me'), /Refusing to send/);
+});
+
+test('graphFetch retries a throttled read and reports the remaining budget', async () => {
+  harness.mock.addFixture({ method: 'GET', path: '/act_77', body: { id: 'act_77' }, headers: { 'x-ad-account-usage': '{"acc_id_util_pct":30}' } });
+  harness.mock.addFixture({ method: 'GET', path: '/act_77', status: 400, times: 1, body: { error: { code: 17, message: 'User request limit reached' } } });
+
+  const { value: response, context } = await withContext(() => graphFetch('act_77?fields=id', { headers: auth }));
+  assert.equal(response.status, 200);
+  const summary = getRateLimitSummary(context);
+  assert.equal(summary.retries, 1);
+  assert.equal(summary.throttled, true);
+  assert.equal(summary.remaining_pct, 70);
+});
+
+test('graphFetch sends a failed write only once', async () => {
+  harness.mock.addFixture({ method: 'POST', path: '/act_78/campaigns', status: 500, body: { error: { code: 2, message: 'Service temporarily unavailable', is_transient: true } } });
+  const before = harness.mock.requests.length;
+  const { value: response } = await withContext(() => graphFetch('act_78/campaigns', { method: 'POST', headers: auth }));
+  assert.equal(response.status, 500);
+  assert.equal(harness.mock.requests.length - before, 1);
+});
+
+test('graphPaginate follows cursors up to max_items and resumes from next_cursor', async () => {
+  const page = (ids, after) => ({
+    data: ids.map((id) => ({ id })),
+    paging: { cursors: { after }, ...(after ? { next: `https://graph.facebook.com/v22.0/act_5/ads?after=${after}` } : {}) },
+  });
+  // addFixture puts a fixture first, so the catch-all first page goes in before the cursor pages
+  harness.mock.addFixture({ method: 'GET', path: '/act_5/ads', body: page(['1', '2'], 'p2') });
+  harness.mock.addFixture({ method: 'GET', path: '/act_5/ads', query: { after: 'p2' }, body: page(['3', '4'], 'p3') });
+  harness.mock.addFixture({ method: 'GET', path: '/act_5/ads', query: { after: 'p3' }, body: page(['5'], null) });
+
+  const first = await graphPaginate('act_5/ads?fields=id', { headers: auth, maxItems: 2, pageSize: 2 });
+  assert.deepEqual(first.data.map((a) => a.id), ['1', '2']);
+  assert.ok(first.nextCursor);
+
+  const rest = await graphPaginate('act_5/ads?fields=id', { headers: auth, allPages: true, pageSize: 2, cursor: first.nextCursor });
+  assert.deepEqual(rest.data.map((a) => a.id), ['3', '4', '5']);
+  assert.equal(rest.nextCursor, null);
+
+  await assert.rejects(graphPaginate('act_6/ads', { headers: auth, cursor: first.nextCursor }), /different request/);
+});
+
+test('graphBatch returns per-request status', async () => {
+  harness.mock.addFixture({ method: 'GET', path: '/700', body: { id: '700', name: 'Campaign' } });
+  const results = await graphBatch([
+    { relative_url: '700?fields=name' },
+    { relative_url: 'missing?fields=name' },
+  ], { token: TEST_TOKEN });
+  assert.equal(results[0].ok, true);
+  assert.equal(results[0].body.name, 'Campaign');
+  assert.equal(results[1].ok, false);
+  assert.equal(results[1].error.code, 803);
+});
+
+test('graphBatch reports named requests that later ones depend on as successful', async () => {
+  harness.mock.addFixture({ method: 'POST', path: '/act_79/campaigns', body: { id: '701' } });
+  harness.mock.addFixture({ method: 'GET', path: '/701', body: { id: '701', name: 'New campaign' } });
+  harness.mock.addFixture({ method: 'GET', path: '/702', body: { id: '702', name: 'Other campaign' } });
+  const before = harness.mock.requests.length;
+  const results = await graphBatch([
+    { name: 'camp', method: 'POST', relative_url: 'act_79/campaigns', body: { name: 'New campaign' } },
+    { relative_url: '{result=camp:$.id}?fields=name', depends_on: 'camp' },
+    { name: 'other', relative_url: '702?fields=name', omit_response_on_success: true },
+  ], { token: TEST_TOKEN });
+  assert.deepEqual(results.map((r) => r.ok), [true, true, true]);
+  assert.equal(results[0].body.id, '701');
+  assert.equal(results[1].body.name, 'New campaign');
+  assert.equal(results[2].omitted, true);
+  assert.equal(results[2].body, null);
+  assert.equal(harness.mock.requests.slice(before).find((r) => r.method === 'GET').path, '/701');
+});
+
+test('record mode saves fixtures without tokens that replay mode serves back', async () => {
+  const upstream = await startMockGraphServer({
+    fixtures: [{ method: 'GET', path: '/act_9', body: { id: 'act_9', name: 'Recorded', access_token: 'PAGE-TOKEN' } }],
+    strict: true,
+  });
+  const recordFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'graph-fixtures-')), 'recorded.json');
+  const recorder = await startMockGraphServer({ mode: 'record', upstream: upstream.url, recordFile });
+  try {
+    const response = await fetch(`${recorder.url}/v22.0/act_9?fields=id,name&access_token=${TEST_TOKEN}`);
+    assert.equal((await response.json()).name, 'Recorded');
+  } finally {
+    await recorder.close();
+    await upstream.close();
+  }
+
+  const saved = fs.readFileSync(recordFile, 'utf8');
+  assert.ok(!saved.includes(TEST_TOKEN));
+  assert.ok(!saved.includes('PAGE-TOKEN'));
+
+  const replay = await startMockGraphServer({ fixturesDir: path.dirname(recordFile), strict: true });
+  try {
+    const response = await fetch(`${replay.url}/v22.0/act_9?fields=id,name&access_token=${TEST_TOKEN}`);
+    assert.equal((await response.json()).name, 'Recorded');
+  } finally {
+    await replay.close();
+  }
+});
@@ -0,0 +1,131 @@
+/**
+ * Graph error categories, their next steps, and how failed tool calls reach MCP clients
+ * (isError plus graph_error).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  classifyGraphError,
+  GraphApiError,
+} from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_graph-errors.js';
+import { runWithRequestContext } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_request-context.js';
+import { apiTool as getAdAccount } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/get-ad-account.js';
+import { apiTool as uploadAdImage } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/upload-ad-image.js';
+import { buildToolResult, buildToolErrorResult } from '../lib/toolResult.js';
+import { withToolHarness, toolContext } from './support/tool-harness.js';
+
+const harness = withToolHarness({
+  supabase: {
+    users: [{ id: 'user-1', facebook_access_token: 'EAAB-mock-user-1' }],
+    facebook_ad_accounts: [{ id: 'act_888', user_id: 'user-1', currency: 'USD', timezone_name: 'UTC' }],
+  },
+});
+
+async function call(tool, args) {
+  const context = toolContext();
+  try {
+    const result = await runWithRequestContext(context, () => tool.function(args));
+    return buildToolResult(result, context);
+  } catch (err) {
+    return buildToolErrorResult(err, context);
+  }
+}
+
+const category = (error, status = 400) => classifyGraphError({ error }, status).category;
+
+test('Graph codes map onto categories', () => {
+  assert.equal(category({ code: 190, error_subcode: 463, message: 'Session has expired' }), 'token_expired');
+  assert.equal(category({ code: 200, message: '(#200) Requires ads_management permission' }), 'permission_missing');
+  assert.equal(category({ code: 10, message: 'Permission denied' }), 'permission_missing');
+  assert.equal(category({ code: 17, message: 'User request limit reached' }), 'rate_limited');
+  assert.equal(category({ code: 80004, message: 'Too many calls' }), 'rate_limited');
+  assert.equal(category({ code: 100, message: 'Invalid parameter' }), 'invalid_parameter');
+  assert.equal(category({ code: 368, message: 'The action attempted has been deemed abusive' }), 'policy_rejection');
+  assert.equal(category({
+    code: 100,
+    message: 'Invalid parameter',
+    error_user_title: 'Ad Rejected',
+    error_user_msg: 'Your ad was rejected because it violates our Advertising Policies.',
+  }), 'policy_rejection');
+  assert.equal(category({ code: 200, message: 'The ad account is disabled.' }), 'account_disabled');
+  assert.equal(category({ code: 2, message: 'Service temporarily unavailable', is_transient: true }, 500), 'transient');
+});
+
+test('classifications carry machine-readable fields and a next step', () => {
+  const info = classifyGraphError({
+    error: {
+      code: 100,
+      error_subcode: 1815433,
+      type: 'OAuthException',
+      message: 'Invalid parameter',
+      error_user_msg: 'The daily budget is too low.',
+      error_data: JSON.stringify({ blame_field_specs: [['daily_budget']] }),
+      fbtrace_id: 'Atrace',
+    },
+  }, 400);
+  assert.equal(info.code, 100);
+  assert.equal(info.subcode, 1815433);
+  assert.deepEqual(info.fields, ['daily_budget']);
+  assert.equal(info.fbtrace_id, 'Atrace');
+  assert.equal(info.retryable, false);
+  assert.match(info.next_step, /Fix the parameter/);
+
+  const permission = classifyGraphError({ error: { code: 200, message: 'Requires ads_read permission' } });
+  assert.equal(permission.permission, 'ads_read');
+  assert.equal(classifyGraphError({ error: { code: 190, error_subcode: 460 } }).next_step.includes('password'), true);
+  assert.equal(classifyGraphError({ error: { code: 4 } }).retryable, true);
+});
+
+test('GraphApiError keeps the classification and a readable message', () => {
+  const err = new GraphApiError({ error: { code: 190, message: 'Error validating access token' } }, 400, 'Lookup failed');
+  assert.equal(err.graph.category, 'token_expired');
+  assert.equal(err.graphError.code, 190);
+  assert.match(err.message, /^Lookup failed: Error validating access token \[token_expired 190\] Next step: Reconnect/);
+});
+
+test('a failed tool call is flagged isError with the Graph error behind it', async () => {
+  harness.mock.failWith({ message: 'Error validating access token: Session has expired', type: 'OAuthException', code: 190, error_subcode: 463, fbtrace_id: 'Aexp' });
+  try {
+    const response = await call(getAdAccount, { account_id: '888' });
+    assert.equal(response.isError, true);
+    const output = JSON.parse(response.content[0].text);
+    assert.match(output.error, /token_expired/);
+    assert.equal(output.graph_error.category, 'token_expired');
+    assert.equal(output.graph_error.subcode, 463);
+    assert.equal(output.graph_error.fbtrace_id, 'Aexp');
+  } finally {
+    harness.mock.failWith(null);
+  }
+});
+
+test('a successful tool call is not flagged', async () => {
+  const response = await call(getAdAccount, { account_id: '888' });
+  assert.equal(response.isError, undefined);
+  assert.equal(JSON.parse(response.content[0].text).graph_error, undefined);
+});
+
+test('a Graph failure the tool recovered from is not attached to a later error', async () => {
+  harness.mock.addFixture({ method: 'GET', path: '/act_889', status: 400, times: 1, body: { error: { message: 'Invalid parameter', code: 100 } } });
+  const context = toolContext();
+  const response = await runWithRequestContext(context, async () => {
+    assert.ok((await getAdAccount.function({ account_id: '889' })).error);
+    assert.equal(context.graph.lastError.category, 'invalid_parameter');
+    assert.equal((await getAdAccount.function({ account_id: '888' })).error, undefined);
+    return buildToolErrorResult(new Error('Spreadsheet export failed'), context);
+  });
+  assert.equal(context.graph.lastError, null);
+  assert.equal(JSON.parse(response.content[0].text).graph_error, undefined);
+});
+
+test('upload_ad_image reports the mapped next step instead of ad hoc hints', async () => {
+  harness.mock.failWith({ message: 'Invalid image', code: 100, error_subcode: 1885703 });
+  try {
+    const response = await call(uploadAdImage, { account_id: '888', image_url: 'https://example.com/a.bmp' });
+    assert.equal(response.isError, true);
+    const output = JSON.parse(response.content[0].text);
+    assert.equal(output.graph_error.category, 'invalid_parameter');
+    assert.match(output.suggestion, /JPG, PNG, GIF or WebP/);
+  } finally {
+    harness.mock.failWith(null);
+  }
+});
@@ -0,0 +1,234 @@
+/**
+ * Lead form helpers (time filters, flattening, CSV, form building) and the lead form / lead tools.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  leadTimeFilter,
+  flattenLead,
+  leadColumns,
+  leadsToCsv,
+  buildLeadFormQuestions,
+  buildThankYouPage,
+} from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_lead-helpers.js';
+import { apiTool as getLeadForms } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/get-lead-forms.js';
+import { apiTool as getLeadForm } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/get-lead-form.js';
+import { apiTool as getLeads } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/get-leads.js';
+import { apiTool as exportLeads } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/export-leads.js';
+import { apiTool as createLeadForm } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-lead-form.js';
+import { apiTool as createAdCreative } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-ad-creative.js';
+import { withToolHarness } from './support/tool-harness.js';
+
+const questions = [
+  { key: 'full_name', label: 'Full name', type: 'FULL_NAME' },
+  { key: 'email', label: 'Email', type: 'EMAIL' },
+  { key: 'budget', label: 'Budget', type: 'CUSTOM', options: [{ key: 'low', value: 'Under 10k' }, { key: 'high', value: '10k+' }] },
+];
+
+const leads = [
+  {
+    id: '900000000000001',
+    created_time: '2025-03-02T03:00:00+0000',
+    ad_id: '800000000000001',
+    form_id: '910000000000001',
+    is_organic: false,
+    platform: 'fb',
+    field_data: [
+      { name: 'email', values: ['ana@example.com'] },
+      { name: 'full_name', values: ['Ana "AJ" Cruz'] },
+      { name: 'budget', values: ['10k+'] },
+    ],
+  },
+  {
+    id: '900000000000002',
+    created_time: '2025-03-01T03:00:00+0000',
+    ad_id: '800000000000001',
+    form_id: '910000000000001',
+    is_organic: false,
+    platform: 'ig',
+    field_data: [{ name: 'full_name', values: ['=HYPERLINK("x")'] }, { name: 'email', values: ['b@example.com'] }],
+  },
+];
+
+const harness = withToolHarness({
+  graph: {
+    fixtures: [
+      { method: 'GET', path: '/300000000000001', query: { fields: 'access_token' }, body: { id: '300000000000001', access_token: 'EAAB-page-token' } },
+      {
+        method: 'GET',
+        path: '/300000000000001/leadgen_forms',
+        body: { data: [{ id: '910000000000001', name: 'Quote request', status: 'ACTIVE', leads_count: 2 }], paging: { cursors: { after: 'a' } } },
+      },
+      { method: 'GET', path: '/910000000000001', body: { id: '910000000000001', name: 'Quote request', status: 'ACTIVE', questions } },
+      { method: 'GET', path: '/910000000000001/leads', body: { data: leads, paging: { cursors: { after: 'b' } } } },
+      { method: 'POST', path: '/300000000000001/leadgen_forms', body: { id: '910000000000002' } },
+      // A form of another page than the workspace one
+      { method: 'GET', path: '/910000000000003', query: { fields: 'page{id}' }, body: { id: '910000000000003', page: { id: '300000000000002' } } },
+      { method: 'GET', path: '/300000000000002', query: { fields: 'access_token' }, body: { id: '300000000000002', access_token: 'EAAB-other-page-token' } },
+      { method: 'GET', path: '/910000000000003/leads', body: { data: leads.slice(0, 1) } },
+    ],
+  },
+  supabase: {
+    users: [{ id: 'user-1', facebook_long_lived_token: 'EAAB-mock-user-1' }],
+    facebook_ad_accounts: [{ id: 'act_1234567890', user_id: 'user-1', currency: 'PHP', timezone_name: 'Asia/Manila' }],
+  },
+});
+
+function call(tool, args) {
+  return harness.call(tool, { userId: 'user-1', page_id: '300000000000001', ...args });
+}
+
+const lastRequest = (path) => [...harness.mock.requests].reverse().find((r) => r.path === path);
+
+test('time filters are read in the given timezone', () => {
+  const { filtering, time_range } = leadTimeFilter({ since: '2025-03-01', until: '2025-03-02' }, 'Asia/Manila');
+  // Midnight in Manila is 16:00 UTC the day before
+  const since = Date.parse('2025-02-28T16:00:00Z') / 1000;
+  const until = Date.parse('2025-03-01T16:00:00Z') / 1000;
+  assert.deepEqual(filtering, [
+    { field: 'time_created', operator: 'GREATER_THAN', value: since - 1 },
+    { field: 'time_created', operator: 'LESS_THAN', value: until },
+  ]);
+  assert.equal(time_range.since.local, '2025-03-01T00:00:00+08:00');
+  assert.deepEqual(leadTimeFilter({}), { filtering: [], time_range: null });
+  assert.throws(() => leadTimeFilter({ since: '2025-03-02', until: '2025-03-01' }), /since must be before until/);
+  assert.throws(() => leadTimeFilter({ since: 'someday' }), /^Error: since:/);
+});
+
+test('leads export as CSV in form question order, safe for spreadsheets', () => {
+  const flat = leads.map(flattenLead);
+  assert.deepEqual(flat[0].answers, { email: 'ana@example.com', full_name: 'Ana "AJ" Cruz', budget: '10k+' });
+  const columns = leadColumns(flat, questions.map((q) => q.key));
+  assert.deepEqual(columns.slice(0, 5), ['id', 'created_time', 'full_name', 'email', 'budget']);
+  const lines = leadsToCsv(flat, columns).split('\r\n');
+  assert.equal(lines.length, 3);
+  assert.ok(lines[1].startsWith('900000000000001,2025-03-02T03:00:00+0000,"Ana ""AJ"" Cruz",ana@example.com,10k+,800000000000001'));
+  assert.ok(lines[2].includes(`"'=HYPERLINK(""x"")"`));
+});
+
+test('get_lead_forms lists the forms of a page with its Page access token', async () => {
+  const result = await call(getLeadForms, { status: 'ACTIVE' });
+  assert.equal(result.data[0].name, 'Quote request');
+  assert.ok(harness.mock.requests.some((r) => r.path === '/300000000000001' && r.query.fields === 'access_token'));
+  assert.deepEqual(JSON.parse(lastRequest('/300000000000001/leadgen_forms').query.filtering), [{ field: 'status', operator: 'EQUAL', value: 'ACTIVE' }]);
+});
+
+test('get_lead_form returns the questions with their options', async () => {
+  const result = await call(getLeadForm, { form_id: '910000000000001' });
+  assert.deepEqual(result.question_keys, ['full_name', 'email', 'budget']);
+  assert.equal(result.questions[2].custom, true);
+  assert.deepEqual(result.questions[2].options, [{ key: 'low', value: 'Under 10k' }, { key: 'high', value: '10k+' }]);
+});
+
+test('get_leads filters by time and flattens answers', async () => {
+  const result = await call(getLeads, { form_id: '910000000000001', since: '2025-03-01T00:00:00Z' });
+  assert.equal(result.count, 2);
+  assert.equal(result.data[1].answers.email, 'b@example.com');
+  assert.equal(result.paging.has_more, false);
+  const filtering = JSON.parse(lastRequest('/910000000000001/leads').query.filtering);
+  assert.deepEqual(filtering, [{ field: 'time_created', operator: 'GREATER_THAN', value: Date.parse('2025-03-01T00:00:00Z') / 1000 - 1 }]);
+});
+
+test('get_leads and export_leads read dates in the ad account timezone unless timezone is given', async () => {
+  const since = (request) => JSON.parse(request.query.filtering)[0].value + 1;
+  const manilaMidnight = Date.parse('2025-02-28T16:00:00Z') / 1000;
+
+  const listed = await call(getLeads, { form_id: '910000000000001', account_id: '1234567890', since: '2025-03-01' });
+  assert.equal(since(lastRequest('/910000000000001/leads')), manilaMidnight);
+  assert.equal(listed.time_range.since.local, '2025-03-01T00:00:00+08:00');
+  await call(exportLeads, { form_id: '910000000000001', account_id: '1234567890', since: '2025-03-01' });
+  assert.equal(since(lastRequest('/910000000000001/leads')), manilaMidnight);
+
+  await call(getLeads, { form_id: '910000000000001', account_id: '1234567890', since: '2025-03-01', timezone: 'UTC' });
+  assert.equal(since(lastRequest('/910000000000001/leads')), Date.parse('2025-03-01T00:00:00Z') / 1000);
+  await call(getLeads, { form_id: '910000000000001', since: '2025-03-01' });
+  assert.equal(since(lastRequest('/910000000000001/leads')), Date.parse('2025-03-01T00:00:00Z') / 1000);
+});
+
+test('leads are read with the token of the page that owns the form, not the workspace page', async () => {
+  const before = harness.mock.requests.length;
+  const result = await call(getLeads, { form_id: '910000000000003' });
+  assert.equal(result.count, 1);
+  assert.equal(result.page_id, '300000000000002');
+  const tokenReads = harness.mock.requests.slice(before).filter((r) => r.query.fields === 'access_token').map((r) => r.path);
+  assert.deepEqual(tokenReads, ['/300000000000002']);
+
+  // When the form's page cannot be read, page_id is the fallback
+  assert.equal((await call(getLeads, { form_id: '910000000000001' })).page_id, '300000000000001');
+});
+
+test('export_leads returns CSV or JSON rows', async () => {
+  const csv = await call(exportLeads, { form_id: '910000000000001' });
+  assert.equal(csv.count, 2);
+  assert.match(csv.content, /^id,created_time,full_name,email,budget,ad_id/);
+  assert.match(csv.filename, /^leads-910000000000001-\d{4}-\d{2}-\d{2}\.csv$/);
+
+  const json = await call(exportLeads, { form_id: '910000000000001', format: 'json' });
+  const rows = JSON.parse(json.content);
+  assert.equal(rows[0].full_name, 'Ana "AJ" Cruz');
+  assert.equal(rows[1].budget, null);
+  assert.equal(rows[1].platform, 'ig');
+
+  assert.match((await call(exportLeads, { form_id: '910000000000001', format: 'xlsx' })).error, /csv.*json/);
+});
+
+test('custom questions map conditional answers to Graph conditional choices', () => {
+  const built = buildLeadFormQuestions([
+    'EMAIL',
+    { label: 'Region?', options: ['Metro Manila', { value: 'Cebu', key: 'cebu' }], conditional: { label: 'City', choices: { 'Metro Manila': ['Makati', 'Taguig'], Cebu: ['Cebu City'] } } },
+  ]);
+  assert.deepEqual(built[0], { type: 'EMAIL', key: 'email' });
+  assert.equal(built[1].key, 'region');
+  assert.deepEqual(built[1].options, [{ key: 'metro_manila', value: 'Metro Manila' }, { key: 'cebu', value: 'Cebu' }]);
+  assert.deepEqual(built[1].conditional_questions_choices, [
+    { value: 'Metro Manila', next_question_choices: [{ value: 'Makati' }, { value: 'Taguig' }] },
+    { value: 'Cebu', next_question_choices: [{ value: 'Cebu City' }] },
+  ]);
+  assert.deepEqual(built[1].dependent_conditional_questions, [{ type: 'CUSTOM', key: 'city', label: 'City' }]);
+
+  assert.throws(() => buildLeadFormQuestions(['EMAIL', 'email']), /used twice/);
+  assert.throws(() => buildLeadFormQuestions(['FAX']), /Unknown question type/);
+  assert.throws(() => buildLeadFormQuestions([{ label: 'Size', options: ['S'], conditional: { label: 'Fit', choices: { XL: ['Loose'] } } }]), /does not offer: XL/);
+  assert.throws(() => buildThankYouPage({ button_type: 'CALL_BUSINESS' }), /phone_number/);
+});
+
+test('create_lead_form posts the form with the Page token and returns ids for lead ads', async () => {
+  const result = await call(createLeadForm, {
+    name: 'Quote request',
+    questions: ['FULL_NAME', 'EMAIL', { label: 'Budget?', options: ['Under 10k', '10k+'] }],
+    privacy_policy_url: 'https://example.com/privacy',
+    intro: { headline: 'Get a quote', description: ['Free', 'No commitment'] },
+    thank_you: { website_url: 'https://example.com' },
+    intent: 'higher_intent',
+    locale: 'es_la',
+  });
+  assert.equal(result.success, true);
+  assert.equal(result.lead_gen_form_id, '910000000000002');
+  assert.deepEqual(result.use_with.create_ad_creative, { page_id: '300000000000001', lead_gen_form_id: '910000000000002', cta_type: 'SIGN_UP' });
+  assert.equal(result.use_with.create_ad_set_leads.conversion_location, 'instant_forms');
+
+  const post = lastRequest('/300000000000001/leadgen_forms');
+  assert.equal(post.method, 'POST');
+  assert.equal(post.query.is_optimized_for_quality, 'true');
+  assert.equal(post.query.locale, 'ES_LA');
+  assert.deepEqual(JSON.parse(post.query.questions).map((q) => q.key), ['full_name', 'email', 'budget']);
+  assert.deepEqual(JSON.parse(post.query.privacy_policy), { url: 'https://example.com/privacy' });
+  assert.deepEqual(JSON.parse(post.query.context_card), { title: 'Get a quote', style: 'LIST_STYLE', content: ['Free', 'No commitment'] });
+  assert.equal(JSON.parse(post.query.thank_you_page).button_type, 'VIEW_WEBSITE');
+
+  assert.match((await call(createLeadForm, { name: 'x', questions: ['EMAIL'], privacy_policy_url: 'example.com' })).error, /privacy_policy_url/);
+  assert.match((await call(createLeadForm, { name: 'x', questions: ['EMAIL'], privacy_policy_url: 'https://e.com', intent: 'max' })).error, /intent/);
+});
+
+test('create_ad_creative sends the lead form in the call-to-action', async () => {
+  const args = { account_id: '1234567890', page_id: '300000000000001', message: 'Get a free quote', image_hash: 'abc123', lead_gen_form_id: '910000000000002' };
+  const result = await call(createAdCreative, args);
+  assert.equal(result.success, true);
+  assert.deepEqual(result.lead_form, { lead_gen_form_id: '910000000000002', cta_type: 'SIGN_UP' });
+  assert.equal(result.media_info.image_hash, 'abc123');
+  const spec = JSON.parse(lastRequest('/act_1234567890/adcreatives').query.object_story_spec);
+  assert.deepEqual(spec.link_data.call_to_action, { type: 'SIGN_UP', value: { lead_gen_form_id: '910000000000002' } });
+
+  const boost = await call(createAdCreative, { ...args, creative_strategy: 'boost_existing', post_id: '1' });
+  assert.match(boost.error, /new_post/);
+});
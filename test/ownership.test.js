@@ -0,0 +1,78 @@
+/**
+ * Ownership checks on account_id / business_id / page_id before a tool runs: the database
+ * mapping first, then the user's own Graph access.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertResourceOwnership, OwnershipError } from '../lib/ownership.js';
+import { withToolHarness } from './support/tool-harness.js';
+import { connectMcpClient, standInTool, resultJson } from './support/mcp-server.js';
+
+const harness = withToolHarness({
+  // Strict: an object without a fixture is one the user cannot access on Graph
+  graph: {
+    strict: true,
+    fixtures: [
+      { method: 'GET', path: '/act_333', body: { id: 'act_333' } },
+      { method: 'GET', path: '/300000000000003', body: { id: '300000000000003' } },
+    ],
+  },
+  supabase: {
+    users: [{ id: 'user-1', facebook_long_lived_token: 'EAAB-mock-user-1' }],
+    servers: [{ id: 'server-1', user_id: 'user-1', settings: {} }],
+    facebook_ad_accounts: [{ id: 'act_111', user_id: 'user-1' }, { id: 'act_222', user_id: 'user-2' }],
+    facebook_business_accounts: [{ id: '200000000000001', user_id: 'user-1' }, { id: '200000000000002', user_id: 'user-2' }],
+    facebook_pages: [{ id: '300000000000001', user_id: 'user-1' }, { id: '300000000000002', user_id: 'user-2' }],
+  },
+});
+
+const identity = { userId: 'user-1', token: 'EAAB-mock-user-1' };
+
+test('accounts, businesses and pages mapped to the user pass', async () => {
+  const verified = new Set();
+  await assertResourceOwnership(identity, { account_id: '111', business_id: '200000000000001', page_id: '300000000000001' }, verified);
+  assert.deepEqual([...verified], ['account_id:act_111', 'business_id:200000000000001', 'page_id:300000000000001']);
+});
+
+test('an account_id, business_id or page_id of another user is rejected', async () => {
+  for (const [field, id] of [['account_id', 'act_222'], ['business_id', '200000000000002'], ['page_id', '300000000000002']]) {
+    await assert.rejects(assertResourceOwnership(identity, { [field]: id }), (err) => {
+      assert.ok(err instanceof OwnershipError);
+      assert.equal(err.field, field);
+      assert.equal(err.id, id);
+      return true;
+    });
+  }
+});
+
+test('Graph access counts only when the user\'s token can manage the object', async () => {
+  // Shared through Business Manager: not in facebook_ad_accounts, readable with the user's token
+  await assertResourceOwnership(identity, { account_id: '333' });
+  // A public page answers without a page access token, so it is not the user's
+  await assert.rejects(assertResourceOwnership(identity, { page_id: '300000000000003' }), OwnershipError);
+  await assert.rejects(assertResourceOwnership({ userId: 'user-1', token: null }, { account_id: '333' }), OwnershipError);
+});
+
+test('a tool call naming a resource of another user is refused before the tool runs', async () => {
+  let ran = 0;
+  const tool = standInTool('read_account', async ({ account_id }) => {
+    ran++;
+    return { account_id };
+  }, { properties: { account_id: { type: 'string' }, page_id: { type: 'string' } } });
+  const client = await connectMcpClient([tool], { serverId: 'server-1', userId: 'user-1' });
+  try {
+    assert.deepEqual(resultJson(await client.callTool({ name: 'read_account', arguments: { account_id: '111' } })), { account_id: '111' });
+    await assert.rejects(
+      client.callTool({ name: 'read_account', arguments: { account_id: '222' } }),
+      /Access denied: account_id 222 is not linked to the authenticated user/,
+    );
+    await assert.rejects(
+      client.callTool({ name: 'read_account', arguments: { account_id: '111', page_id: '300000000000002' } }),
+      /Access denied: page_id 300000000000002/,
+    );
+    assert.equal(ran, 1);
+    assert.equal(harness.supabase.snapshot().facebook_ad_accounts.length, 2, 'the check writes nothing');
+  } finally {
+    await client.close();
+  }
+});
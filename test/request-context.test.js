@@ -0,0 +1,88 @@
+/**
+ * Per-invocation request context: concurrent tool calls from different sessions each see
+ * only their own user and token.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRequestContext } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_request-context.js';
+import { getSupabaseClient, getTokenForUser } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_token-utils.js';
+import { withToolHarness } from './support/tool-harness.js';
+import { connectMcpClient, standInTool, resultJson } from './support/mcp-server.js';
+
+withToolHarness({
+  supabase: {
+    users: [
+      { id: 'user-1', facebook_long_lived_token: 'EAAB-user-1' },
+      { id: 'user-2', facebook_long_lived_token: 'EAAB-user-2' },
+    ],
+    servers: [
+      { id: 'server-1', user_id: 'user-1', settings: {} },
+      { id: 'server-2', user_id: 'user-2', settings: {} },
+    ],
+  },
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Reads the context before and after an await, the way a tool reads its token between Graph calls
+const whoAmI = standInTool('who_am_i', async ({ userId, delay_ms }) => {
+  const before = getRequestContext();
+  await sleep(delay_ms);
+  const after = getRequestContext();
+  return {
+    userId,
+    before: { userId: before.userId, token: before.token, serverId: before.serverId },
+    after: { userId: after.userId, token: after.token, serverId: after.serverId },
+    token: await getTokenForUser(getSupabaseClient(), userId),
+  };
+}, { properties: { delay_ms: { type: 'number' } } });
+
+test('concurrent calls from two users never see each other\'s token or userId', async () => {
+  const sessions = {
+    'user-1': { serverId: 'server-1', userId: 'user-1', sessionId: 'session-1' },
+    'user-2': { serverId: 'server-2', userId: 'user-2', sessionId: 'session-2' },
+  };
+  const clients = {
+    'user-1': await connectMcpClient([whoAmI], sessions['user-1']),
+    'user-2': await connectMcpClient([whoAmI], sessions['user-2']),
+  };
+  try {
+    // Interleaved: the slow calls of one user finish while the other user's calls run
+    const calls = [];
+    for (let i = 0; i < 6; i++) {
+      for (const user of ['user-1', 'user-2']) {
+        const delay_ms = user === 'user-1' ? 30 - i * 5 : i * 5;
+        // A client-sent userId is replaced by the session's user
+        const args = { delay_ms, userId: user === 'user-1' ? 'user-2' : 'user-1' };
+        calls.push(clients[user].callTool({ name: 'who_am_i', arguments: args }).then((r) => ({ user, output: resultJson(r) })));
+      }
+    }
+    for (const { user, output } of await Promise.all(calls)) {
+      const expected = { userId: user, token: `EAAB-${user}`, serverId: sessions[user].serverId };
+      assert.equal(output.userId, user);
+      assert.deepEqual(output.before, expected);
+      assert.deepEqual(output.after, expected);
+      assert.equal(output.token, `EAAB-${user}`);
+    }
+  } finally {
+    await clients['user-1'].close();
+    await clients['user-2'].close();
+  }
+});
+
+test('a tool asking for another user\'s token inside a call is refused', async () => {
+  const client = await connectMcpClient([
+    standInTool('borrow_token', async () => getTokenForUser(getSupabaseClient(), 'user-2')),
+  ], { serverId: 'server-1', userId: 'user-1' });
+  try {
+    const response = await client.callTool({ name: 'borrow_token', arguments: {} });
+    assert.equal(response.isError, true);
+    assert.match(resultJson(response).error, /userId does not match the authenticated session/);
+  } finally {
+    await client.close();
+  }
+});
+
+test('no context is visible outside a tool call', () => {
+  assert.equal(getRequestContext(), null);
+});
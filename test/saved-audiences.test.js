@@ -0,0 +1,184 @@
+/**
+ * Saved audiences: the targeting shorthand, the save / list / update / delete tools, and
+ * saved_audience_id expanding into the targeting of created and updated ad sets.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  buildSavedTargeting,
+  summarizeTargeting,
+} from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_saved-audiences.js';
+import { apiTool as createSaved } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-saved-audience.js';
+import { apiTool as getSaved } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/get-saved-audiences.js';
+import { apiTool as updateSaved } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/update-saved-audience.js';
+import { apiTool as deleteSaved } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/delete-saved-audience.js';
+import { apiTool as createLeadsAdSet } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-ad-set-leads.js';
+import { apiTool as updateAdSet } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/update-ad-set.js';
+import { sampleArgs, FIXTURE_IDS } from './support/tool-args.js';
+import { withToolHarness } from './support/tool-harness.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const interests = [{ id: '6003456388203', name: 'Beauty' }, { id: '6003384248805', name: 'Cosmetics' }];
+
+const harness = withToolHarness({
+  graph: {
+    fixturesDir: path.join(fixtures, 'graph'),
+    fixtures: [
+      {
+        method: 'GET',
+        path: `/act_${FIXTURE_IDS.account_id}/saved_audiences`,
+        body: {
+          data: [{
+            id: '23850000000001',
+            name: 'Ads Manager: MY 30+',
+            targeting: { geo_locations: { countries: ['MY'] }, age_min: 30 },
+            approximate_count_lower_bound: 50000,
+            approximate_count_upper_bound: 60000,
+          }],
+        },
+      },
+      {
+        method: 'GET',
+        path: '/23850000000001',
+        body: { id: '23850000000001', name: 'Ads Manager: MY 30+', targeting: { geo_locations: { countries: ['MY'] }, age_min: 30 } },
+      },
+      { method: 'GET', path: '/700000000000001', body: { id: '700000000000001', account_id: FIXTURE_IDS.account_id } },
+    ],
+  },
+  supabase: path.join(fixtures, 'supabase.json'),
+});
+
+function call(tool, args, { userId = FIXTURE_IDS.userId, dryRun = false } = {}) {
+  return harness.call(tool, args, { userId, serverId: 'server-1', dryRun: dryRun ? { requests: [] } : null });
+}
+
+const lastPost = (suffix) => [...harness.mock.requests].reverse().find((r) => r.method === 'POST' && r.path.endsWith(suffix));
+
+test('the shorthand builds a targeting spec and partial changes keep the rest', () => {
+  const spec = buildSavedTargeting({ location: 'PH', age_min: 25, age_max: 44, gender: 'female', interests });
+  assert.deepEqual(spec, {
+    geo_locations: { countries: ['PH'] },
+    age_min: 25,
+    age_max: 44,
+    genders: [2],
+    flexible_spec: [{ interests }],
+  });
+  assert.equal(summarizeTargeting(spec), 'PH, 25-44, female, 2 interests');
+
+  const older = buildSavedTargeting({ age_max: 54, interests: [] }, spec);
+  assert.equal(older.age_max, 54);
+  assert.equal(older.age_min, 25);
+  assert.deepEqual(older.genders, [2]);
+  assert.equal(older.flexible_spec, undefined);
+
+  assert.throws(() => buildSavedTargeting({ location: 'Atlantis' }), /Unknown location/);
+  assert.throws(() => buildSavedTargeting({ age_min: 50, age_max: 30 }), /age_min cannot be above age_max/);
+  assert.throws(() => buildSavedTargeting({ targeting: { age_min: 20 } }), /geo_locations/);
+});
+
+test('an audience can be saved, listed, updated and deleted', async () => {
+  const created = await call(createSaved, {
+    name: 'PH 25-44 female, beauty interests',
+    location: 'PH',
+    age_min: 25,
+    age_max: 44,
+    gender: 'female',
+    interests,
+  });
+  assert.equal(created.success, true);
+  const id = created.saved_audience.id;
+  assert.equal(created.saved_audience.summary, 'PH, 25-44, female, 2 interests');
+
+  const listed = await call(getSaved, { account_id: FIXTURE_IDS.account_id });
+  assert.ok(listed.saved.some((a) => a.id === id));
+  assert.equal(listed.ads_manager[0].source, 'ads_manager');
+  assert.deepEqual(listed.ads_manager[0].approximate_count, { lower_bound: 50000, upper_bound: 60000 });
+
+  const updated = await call(updateSaved, { saved_audience_id: id, age_max: 54 });
+  assert.equal(updated.saved_audience.targeting.age_max, 54);
+  assert.equal(updated.saved_audience.targeting.age_min, 25);
+  assert.equal(updated.previous_summary, 'PH, 25-44, female, 2 interests');
+
+  const deleted = await call(deleteSaved, { saved_audience_id: id });
+  assert.equal(deleted.deleted, true);
+  assert.match((await call(deleteSaved, { saved_audience_id: id })).error, /not found/);
+});
+
+test('saved audiences belong to their user', async () => {
+  const { saved } = await call(getSaved, {}, { userId: 'user-2' });
+  assert.deepEqual(saved, []);
+  const result = await call(updateSaved, { saved_audience_id: '7f1c2a9e-0d1b-4c55-9a31-1f0e5b6c7d01', name: 'Mine now' }, { userId: 'user-2' });
+  assert.match(result.error, /not found/);
+});
+
+test('Ads Manager saved audiences are read-only', async () => {
+  const result = await call(updateSaved, { saved_audience_id: '23850000000001', name: 'Renamed' });
+  assert.match(result.error, /read-only/);
+});
+
+test('a dry run does not store the audience', async () => {
+  const before = harness.supabase.snapshot().saved_audiences.length;
+  const result = await call(createSaved, { name: 'Dry', location: 'SG' }, { dryRun: true });
+  assert.equal(result.saved, false);
+  assert.equal(harness.supabase.snapshot().saved_audiences.length, before);
+});
+
+test('create_ad_set_* expands saved_audience_id and adds custom_audience_id', async () => {
+  const result = await call(createLeadsAdSet, {
+    ...sampleArgs(createLeadsAdSet),
+    saved_audience_id: '7f1c2a9e-0d1b-4c55-9a31-1f0e5b6c7d01',
+    custom_audience_id: '23800000000001',
+    location: 'US',
+  });
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.configuration.saved_audience.name, 'PH 25-44 female, beauty');
+
+  const targeting = JSON.parse(lastPost('/adsets').query.targeting);
+  assert.deepEqual(targeting.geo_locations, { countries: ['PH'] });
+  assert.equal(targeting.age_min, 25);
+  assert.deepEqual(targeting.genders, [2]);
+  assert.deepEqual(targeting.flexible_spec, [{ interests: [{ id: '6003456388203', name: 'Beauty' }] }]);
+  assert.deepEqual(targeting.custom_audiences, [{ id: '23800000000001' }]);
+});
+
+test('an audience saved for another ad account is refused', async () => {
+  const { saved_audience } = await call(createSaved, { name: 'Other account', location: 'JP', account_id: '999' });
+  const result = await call(createLeadsAdSet, { ...sampleArgs(createLeadsAdSet), saved_audience_id: saved_audience.id });
+  assert.match(result.error, /saved for ad account act_999/);
+});
+
+test('update_ad_set applies a saved audience, including one from Ads Manager', async () => {
+  const result = await call(updateAdSet, { adset_id: '700000000000001', saved_audience_id: '23850000000001' });
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.saved_audience.source, 'ads_manager');
+  const targeting = JSON.parse(lastPost('/700000000000001').query.targeting);
+  assert.deepEqual(targeting, { geo_locations: { countries: ['MY'] }, age_min: 30 });
+
+  const both = await call(updateAdSet, { adset_id: '700000000000001', saved_audience_id: '23850000000001', targeting: { age_min: 20 } });
+  assert.match(both.error, /either targeting or saved_audience_id/);
+});
+
+test('update_ad_set only applies saved audiences of the ad set\'s account, adding custom_audience_id', async () => {
+  const { saved_audience: own } = await call(createSaved, { name: 'Own account', location: 'PH', account_id: FIXTURE_IDS.account_id });
+  const result = await call(updateAdSet, { adset_id: '700000000000001', saved_audience_id: own.id, custom_audience_id: '23800000000009' });
+  assert.equal(result.success, true, result.error);
+  const targeting = JSON.parse(lastPost('/700000000000001').query.targeting);
+  assert.deepEqual(targeting.custom_audiences, [{ id: '23800000000009' }]);
+
+  const { saved_audience: other } = await call(createSaved, { name: 'Account 999 only', location: 'JP', account_id: '999' });
+  const wrongAccount = await call(updateAdSet, { adset_id: '700000000000001', saved_audience_id: other.id });
+  assert.match(wrongAccount.error, /saved for ad account act_999, not act_1234567890/);
+
+  // As the server calls it: account_id is always filled, any_account overrides it
+  const { saved_audience: shared } = await call(createSaved, { name: 'Anywhere', location: 'SG', account_id: '999', any_account: true });
+  assert.equal(shared.account_id, null);
+  const applied = await call(updateAdSet, { adset_id: '700000000000001', saved_audience_id: shared.id });
+  assert.equal(applied.success, true, applied.error);
+  const withCustom = await call(createSaved, { name: 'x', account_id: '999', any_account: true, targeting: { geo_locations: { countries: ['PH'] }, custom_audiences: [{ id: '1' }] } });
+  assert.match(withCustom.error, /belong to one ad account/);
+
+  const alone = await call(updateAdSet, { adset_id: '700000000000001', custom_audience_id: '23800000000009' });
+  assert.match(alone.error, /use it with saved_audience_id/);
+});
@@ -0,0 +1,108 @@
+/**
+ * Drives the MCP server code the way clients do: an SDK client connected in memory to a
+ * server with setupServerHandlers, or the SSE-mode Express app on a local port.
+ */
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { SERVER_NAME, setupServerHandlers } from '../../lib/serverHandlers.js';
+import { createHttpApp } from '../../lib/httpApp.js';
+
+/**
+ * Client token as the dashboard issues it: base64 of "serverId:accessToken".
+ */
+export function sessionToken(serverId, accessToken) {
+  return Buffer.from(`${serverId}:${accessToken}`, 'utf8').toString('base64');
+}
+
+/**
+ * @param {Array} tools - Tools from discoverTools(), or stand-ins with definition, function and mutating
+ * @param {{ serverId: string, userId: string, sessionId?: string }|null} session - Verified session; null for STDIO
+ * @returns {Promise<Client>} A connected client; close() it when done
+ */
+export async function connectMcpClient(tools, session) {
+  const server = new Server({ name: SERVER_NAME, version: '0.1.0' }, { capabilities: { tools: {} } });
+  await setupServerHandlers(server, tools, session);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+  const client = new Client({ name: 'test-client', version: '0.1.0' });
+  await client.connect(clientTransport);
+  return client;
+}
+
+/**
+ * @param {Array} tools
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+export async function startHttpApp(tools) {
+  const app = createHttpApp(tools);
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+/**
+ * Opens a legacy SSE stream and waits for its endpoint event.
+ * @param {string} baseUrl - From startHttpApp()
+ * @param {string} token
+ * @returns {Promise<{ messagesUrl: string, ended: Promise<void>, close: Function }>} `ended`
+ *   settles when the server closes the stream
+ */
+export async function openSseStream(baseUrl, token) {
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}/api/sse?token=${encodeURIComponent(token)}`, { signal: controller.signal });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const endpointEvent = /event: endpoint\ndata: (.+)\n/;
+  let text = '';
+  while (!endpointEvent.test(text)) {
+    const { value, done } = await reader.read();
+    if (done) throw new Error(`SSE stream ended before the endpoint event: ${text}`);
+    text += decoder.decode(value, { stream: true });
+  }
+  const ended = (async () => {
+    try {
+      while (!(await reader.read()).done);
+    } catch {
+      // Aborted by close()
+    }
+  })();
+  return {
+    messagesUrl: new URL(text.match(endpointEvent)[1], baseUrl).toString(),
+    ended,
+    close: () => controller.abort(),
+  };
+}
+
+/**
+ * A tool shaped like the entries discoverTools() returns, for server tests that should not
+ * depend on a real tool's arguments.
+ * @param {string} name
+ * @param {Function} fn - Receives the arguments after the server filled in userId and workspace defaults
+ * @param {{ mutating?: boolean, properties?: Object }} [options]
+ */
+export function standInTool(name, fn, { mutating = false, properties = {} } = {}) {
+  return {
+    definition: {
+      type: 'function',
+      function: {
+        name,
+        description: `Stand-in tool ${name}`,
+        parameters: { type: 'object', properties: { userId: { type: 'string' }, ...properties }, required: [] },
+      },
+    },
+    function: fn,
+    mutating,
+    path: `stand-in/${name}.js`,
+  };
+}
+
+/** The JSON a CallTool result carries in its text content. */
+export const resultJson = (response) => JSON.parse(response.content[0].text);
@@ -0,0 +1,221 @@
+/**
+ * In-memory stand-in for the Supabase client, covering the query-builder calls the server
+ * and tools make (select/insert/update/upsert/delete with eq, in, is, not, contains, range
+ * filters, order, limit, single/maybeSingle, rpc).
+ *
+ * Tables are seeded from a fixture object ({ users: [...], servers: [...] }) or a JSON file,
+ * and snapshot() returns the current rows so a run can be recorded as a new fixture.
+ */
+import { randomUUID } from 'node:crypto';
+import fs from 'node:fs';
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+function project(row, columns) {
+  if (!columns || columns.trim() === '*') return clone(row);
+  const out = {};
+  for (const raw of columns.split(',')) {
+    const col = raw.trim();
+    if (!col) continue;
+    // Embedded resources ("business(id,name)") are not modelled; keep what the row has
+    const name = col.split('(')[0].split(':').pop().trim();
+    if (name === '*') return clone(row);
+    out[name] = clone(row[name] ?? null);
+  }
+  return out;
+}
+
+function compare(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const OPERATORS = {
+  eq: (v, x) => v != null && String(v) === String(x),
+  neq: (v, x) => v == null || String(v) !== String(x),
+  gt: (v, x) => v != null && compare(v, x) > 0,
+  gte: (v, x) => v != null && compare(v, x) >= 0,
+  lt: (v, x) => v != null && compare(v, x) < 0,
+  lte: (v, x) => v != null && compare(v, x) <= 0,
+  in: (v, list) => list.map(String).includes(String(v)),
+  is: (v, x) => (x === null || x === 'null' ? v == null : v === x),
+  contains: (v, x) => {
+    if (Array.isArray(x)) return Array.isArray(v) && x.every((item) => v.map(String).includes(String(item)));
+    if (x && typeof x === 'object') return !!v && Object.entries(x).every(([k, val]) => JSON.stringify(v[k]) === JSON.stringify(val));
+    return false;
+  },
+};
+
+class QueryBuilder {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.payload = null;
+    this.filters = [];
+    this.sort = [];
+    this.max = null;
+    this.cardinality = null;
+    this.upsertKey = 'id';
+  }
+
+  select(columns = '*') {
+    if (this.action === 'select') this.columns = columns;
+    else this.returning = columns;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = rows;
+    return this;
+  }
+
+  upsert(rows, { onConflict = 'id' } = {}) {
+    this.action = 'upsert';
+    this.payload = rows;
+    this.upsertKey = onConflict;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, op, value) {
+    this.filters.push((row) => OPERATORS[op](row[column], value));
+    return this;
+  }
+
+  eq(c, v) { return this.filter(c, 'eq', v); }
+  neq(c, v) { return this.filter(c, 'neq', v); }
+  gt(c, v) { return this.filter(c, 'gt', v); }
+  gte(c, v) { return this.filter(c, 'gte', v); }
+  lt(c, v) { return this.filter(c, 'lt', v); }
+  lte(c, v) { return this.filter(c, 'lte', v); }
+  in(c, v) { return this.filter(c, 'in', v); }
+  is(c, v) { return this.filter(c, 'is', v); }
+  contains(c, v) { return this.filter(c, 'contains', v); }
+
+  not(column, op, value) {
+    this.filters.push((row) => !OPERATORS[op](row[column], value));
+    return this;
+  }
+
+  match(values) {
+    for (const [c, v] of Object.entries(values)) this.eq(c, v);
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.sort.push({ column, ascending });
+    return this;
+  }
+
+  limit(n) {
+    this.max = n;
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybe';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  execute() {
+    this.db.calls.push({ table: this.table, action: this.action });
+    const rows = this.db.tables[this.table] || (this.db.tables[this.table] = []);
+    const matches = (row) => this.filters.every((f) => f(row));
+    let result;
+
+    if (this.action === 'insert' || this.action === 'upsert') {
+      const incoming = (Array.isArray(this.payload) ? this.payload : [this.payload]).map((row) => ({
+        id: randomUUID(),
+        created_at: new Date().toISOString(),
+        ...clone(row),
+      }));
+      result = incoming.map((row) => {
+        const existing = this.action === 'upsert'
+          ? rows.find((r) => String(r[this.upsertKey]) === String(row[this.upsertKey]))
+          : null;
+        if (existing) return Object.assign(existing, row);
+        rows.push(row);
+        return row;
+      });
+    } else if (this.action === 'update') {
+      result = rows.filter(matches);
+      for (const row of result) Object.assign(row, clone(this.payload));
+    } else if (this.action === 'delete') {
+      result = rows.filter(matches);
+      this.db.tables[this.table] = rows.filter((row) => !matches(row));
+    } else {
+      result = rows.filter(matches);
+    }
+
+    if (this.action !== 'select' && this.returning === false) {
+      return { data: null, error: null };
+    }
+
+    for (const { column, ascending } of [...this.sort].reverse()) {
+      result = [...result].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+    }
+    if (this.max != null) result = result.slice(0, this.max);
+    const columns = this.action === 'select' ? this.columns : this.returning;
+    const data = result.map((row) => project(row, columns));
+
+    if (this.cardinality === 'single' && data.length !== 1) {
+      return { data: null, error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` } };
+    }
+    if (this.cardinality === 'maybe' && data.length > 1) {
+      return { data: null, error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` } };
+    }
+    return { data: this.cardinality ? data[0] ?? null : data, error: null };
+  }
+}
+
+/**
+ * @param {Object|string} [seed] - { table: rows[] } or the path of a JSON file with that shape
+ * @param {Object} [options]
+ * @param {Object<string, Function>} [options.rpc] - Handlers for supabase.rpc(name, args): (tables, args) => data
+ * @returns {Object} A client with from(), rpc(), snapshot() and calls (one entry per executed query)
+ */
+export function createMemorySupabase(seed = {}, { rpc = {} } = {}) {
+  const initial = typeof seed === 'string' ? JSON.parse(fs.readFileSync(seed, 'utf8')) : seed;
+  const db = { tables: clone(initial), calls: [] };
+
+  return {
+    calls: db.calls,
+    from: (table) => new QueryBuilder(db, table),
+    rpc: async (name, args = {}) => {
+      db.calls.push({ rpc: name });
+      if (!rpc[name]) return { data: null, error: { message: `Function ${name} is not defined in the memory stand-in` } };
+      try {
+        return { data: await rpc[name](db.tables, args), error: null };
+      } catch (error) {
+        return { data: null, error: { message: error.message } };
+      }
+    },
+    /** Current rows of every table, e.g. to save a run as a replay fixture. */
+    snapshot: () => clone(db.tables),
+  };
+}
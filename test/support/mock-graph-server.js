@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the Graph API. Point tools at it with
+ * FACEBOOK_GRAPH_BASE_URL=http://127.0.0.1:<port>.
+ *
+ * Modes:
+ *   replay (default)  answer from fixtures; requests without a fixture get a generic
+ *                     success response (or a 404 Graph error with `strict: true`)
+ *   record            forward every request to the real Graph API and save the exchange
+ *                     as a fixture, with access tokens removed
+ *
+ * A fixture is { method, path, query?, status?, body, headers?, times? }; `path` has no version
+ * prefix ("/act_123/campaigns"), `query` only needs the parameters that matter and `times`
+ * limits how often it is served (e.g. one throttling error before a success).
+ * Fixture files are JSON arrays of fixtures.
+ *
+ * CLI: node test/support/mock-graph-server.js [--port 4010] [--fixtures dir] [--record] [--strict]
+ */
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const TOKEN_PARAMS = ['access_token', 'appsecret_proof'];
+const MOCK_ID = '100000000000001';
+
+export function loadFixtures(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.json'))
+    .sort()
+    .flatMap((f) => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')));
+}
+
+function stripVersion(pathname) {
+  return pathname.replace(/^\/v\d+\.\d+(?=\/|$)/, '') || '/';
+}
+
+function redactTokens(value) {
+  if (Array.isArray(value)) return value.map(redactTokens);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, TOKEN_PARAMS.includes(k) ? '[redacted]' : redactTokens(v)]));
+  }
+  return value;
+}
+
+function graphError(status, code, message, type = 'OAuthException') {
+  return { status, body: { error: { message, type, code, fbtrace_id: 'mock' } } };
+}
+
+// A plausible answer for any request, so tools can run without a fixture per endpoint
+function genericResponse(method, pathname, params) {
+  const segments = pathname.split('/').filter(Boolean);
+  const last = segments[segments.length - 1] || '';
+  if (method === 'DELETE') return { status: 200, body: { success: true } };
+  if (method === 'POST') {
+    if (last === 'adimages') return { status: 200, body: { images: { mock: { hash: 'mockhash', url: 'https://example.com/mock.jpg' } } } };
+    if (segments.length === 1 && /^\d+$/.test(last)) return { status: 200, body: { success: true } };
+    return { status: 200, body: { id: MOCK_ID, success: true } };
+  }
+  if (segments.length === 1 && last !== 'search' && last !== 'insights') {
+    return { status: 200, body: { id: last === 'me' ? MOCK_ID : last, name: `Mock ${last}` } };
+  }
+  const item = { id: MOCK_ID, name: 'Mock item' };
+  if (params.get('type') === 'adgeolocation') Object.assign(item, { key: 'PH', type: 'country', country_code: 'PH' });
+  return { status: 200, body: { data: [item], paging: { cursors: { before: 'before', after: 'after' } } } };
+}
+
+function queryMatches(expected, params) {
+  return Object.entries(expected || {}).every(([k, v]) => params.get(k) === (typeof v === 'string' ? v : JSON.stringify(v)));
+}
+
+function parseBody(raw, contentType) {
+  if (!raw) return new URLSearchParams();
+  if (contentType?.includes('application/json')) {
+    try {
+      return new URLSearchParams(Object.entries(JSON.parse(raw)).map(([k, v]) => [k, typeof v === 'string' ? v : JSON.stringify(v)]));
+    } catch {
+      return new URLSearchParams();
+    }
+  }
+  if (contentType?.includes('multipart/form-data')) {
+    // Only the plain text fields matter for matching and token checks
+    const params = new URLSearchParams();
+    for (const m of raw.matchAll(/name="([^"]+)"\r\n\r\n([^\r]*)\r\n/g)) params.append(m[1], m[2]);
+    return params;
+  }
+  return new URLSearchParams(raw);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Array} [options.fixtures] - Fixtures to replay (checked before fixturesDir)
+ * @param {string} [options.fixturesDir] - Directory of fixture files to replay
+ * @param {'replay'|'record'} [options.mode='replay']
+ * @param {string} [options.recordFile] - Where record mode writes fixtures (on close)
+ * @param {string} [options.upstream='https://graph.facebook.com'] - Real Graph host for record mode
+ * @param {boolean} [options.strict=false] - 404 instead of a generic response when no fixture matches
+ * @param {number} [options.port=0]
+ * @returns {Promise<{ url: string, requests: Array, recorded: Array, failWith: Function, addFixture: Function, close: Function }>}
+ */
+export async function startMockGraphServer({
+  fixtures = [],
+  fixturesDir,
+  mode = 'replay',
+  recordFile,
+  upstream = 'https://graph.facebook.com',
+  strict = false,
+  port = 0,
+} = {}) {
+  const table = [...fixtures, ...loadFixtures(fixturesDir)];
+  const requests = [];
+  const recorded = [];
+  let failure = null;
+
+  function answer(method, pathname, params, hasToken) {
+    if (failure) return failure;
+    if (!hasToken) return graphError(400, 104, 'An access token is required to request this resource.');
+    const fixture = table.find((f) =>
+      String(f.method || 'GET').toUpperCase() === method && f.path === pathname && queryMatches(f.query, params));
+    if (fixture) {
+      if (fixture.times != null && --fixture.times <= 0) table.splice(table.indexOf(fixture), 1);
+      return { status: fixture.status || 200, body: fixture.body, headers: fixture.headers };
+    }
+    if (strict) return graphError(404, 803, `No fixture for ${method} ${pathname}`, 'GraphMethodException');
+    return genericResponse(method, pathname, params);
+  }
+
+  function answerBatch(params, hasToken) {
+    let batch;
+    try {
+      batch = JSON.parse(params.get('batch') || '[]');
+    } catch {
+      return graphError(400, 100, 'Invalid batch parameter', 'GraphMethodException');
+    }
+    if (failure) return failure;
+    if (!hasToken) return graphError(400, 104, 'An access token is required to request this resource.');
+    // Like Graph: {result=name:$.a.b} reads an earlier named response, and a named request
+    // that succeeds answers null unless omit_response_on_success is false
+    const named = new Map();
+    const resolve = (text) => String(text || '').replace(/\{result=([^:}]+):\$\.([^}]+)\}/g, (_, name, jsonPath) => {
+      const value = jsonPath.split('.').reduce((obj, key) => obj?.[key], named.get(name));
+      return value == null ? '' : String(value);
+    });
+    const body = batch.map((item) => {
+      const url = new URL(`/${resolve(item.relative_url).replace(/^\//, '')}`, 'http://mock');
+      const subParams = new URLSearchParams(url.search);
+      for (const [k, v] of new URLSearchParams(resolve(item.body))) subParams.append(k, v);
+      const method = String(item.method || 'GET').toUpperCase();
+      const res = answer(method, stripVersion(url.pathname), subParams, true);
+      requests.push({ method, path: stripVersion(url.pathname), query: Object.fromEntries(subParams), batched: true });
+      const ok = res.status >= 200 && res.status < 300;
+      if (item.name && ok) {
+        named.set(item.name, res.body);
+        if (item.omit_response_on_success !== false) return null;
+      }
+      const headers = Object.entries(res.headers || {}).map(([name, value]) => ({ name, value }));
+      return { code: res.status, headers, body: JSON.stringify(res.body) };
+    });
+    return { status: 200, body };
+  }
+
+  async function forward(req, url, raw) {
+    const target = new URL(url.pathname + url.search, upstream);
+    const response = await fetch(target, {
+      method: req.method,
+      headers: Object.fromEntries(Object.entries(req.headers).filter(([k]) => ['authorization', 'content-type'].includes(k))),
+      body: ['GET', 'HEAD'].includes(req.method) ? undefined : raw,
+    });
+    const text = await response.text();
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      body = text;
+    }
+    const headers = {};
+    for (const name of ['x-app-usage', 'x-ad-account-usage', 'x-business-use-case-usage']) {
+      if (response.headers.get(name)) headers[name] = response.headers.get(name);
+    }
+    const query = Object.fromEntries([...url.searchParams].filter(([k]) => !TOKEN_PARAMS.includes(k)));
+    recorded.push({
+      method: req.method,
+      path: stripVersion(url.pathname),
+      ...(Object.keys(query).length ? { query } : {}),
+      status: response.status,
+      body: redactTokens(body),
+      ...(Object.keys(headers).length ? { headers } : {}),
+    });
+    return { status: response.status, body, headers };
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const raw = Buffer.concat(chunks).toString('utf8');
+    const url = new URL(req.url, 'http://mock');
+    const params = new URLSearchParams(url.search);
+    for (const [k, v] of parseBody(raw, req.headers['content-type'])) params.append(k, v);
+    const hasToken = params.has('access_token') || /^Bearer \S+/.test(req.headers.authorization || '');
+    const method = req.method.toUpperCase();
+    const pathname = stripVersion(url.pathname);
+
+    let result;
+    try {
+      if (mode === 'record') {
+        result = await forward(req, url, raw);
+      } else if (method === 'POST' && pathname === '/' && params.has('batch')) {
+        result = answerBatch(params, hasToken);
+      } else {
+        requests.push({ method, path: pathname, query: Object.fromEntries([...params].filter(([k]) => !TOKEN_PARAMS.includes(k))) });
+        result = answer(method, pathname, params, hasToken);
+      }
+    } catch (err) {
+      result = graphError(502, 2, `Mock Graph server error: ${err.message}`, 'FacebookApiException');
+    }
+
+    res.writeHead(result.status, { 'Content-Type': 'application/json', ...(result.headers || {}) });
+    res.end(JSON.stringify(result.body));
+  });
+
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+  const address = server.address();
+
+  return {
+    url: `http://127.0.0.1:${address.port}`,
+    requests,
+    recorded,
+    /** Answer every following request with this Graph error (null to stop). */
+    failWith(error, status = 400) {
+      failure = error ? { status, body: { error } } : null;
+    },
+    addFixture(fixture) {
+      table.unshift(fixture);
+    },
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      if (mode === 'record' && recordFile && recorded.length) {
+        fs.mkdirSync(path.dirname(recordFile), { recursive: true });
+        fs.writeFileSync(recordFile, JSON.stringify(recorded, null, 2) + '\n');
+      }
+    },
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const i = args.indexOf(name);
+    return i !== -1 && args[i + 1] ? args[i + 1] : fallback;
+  };
+  const fixturesDir = option('--fixtures', path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'graph'));
+  const record = args.includes('--record');
+  const mock = await startMockGraphServer({
+    fixturesDir,
+    mode: record ? 'record' : 'replay',
+    recordFile: record ? path.join(fixturesDir, `recorded-${Date.now()}.json`) : undefined,
+    strict: args.includes('--strict'),
+    port: Number(option('--port', 4010)),
+  });
+  console.log(`Mock Graph API (${record ? 'record' : 'replay'}) listening on ${mock.url}`);
+  console.log(`Run the MCP server with FACEBOOK_GRAPH_BASE_URL=${mock.url}`);
+  const shutdown = async () => {
+    await mock.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,98 @@
+/**
+ * Sample arguments for running any tool against the fixtures: required parameters are
+ * filled from their JSON schema, then TOOL_OVERRIDES adds what a tool needs to get past
+ * its own validation.
+ */
+export const FIXTURE_IDS = {
+  userId: 'user-1',
+  account_id: '1234567890',
+  business_id: '200000000000001',
+  page_id: '300000000000001',
+  campaign_id: '400000000000002',
+  object_id: '100000000000001',
+};
+
+const future = (days) => new Date(Date.now() + days * 86400000).toISOString();
+
+export const TOOL_OVERRIDES = {
+  create_campaign: { daily_budget: 500 },
+  create_budget_schedule: { budget_value: 100, budget_value_type: 'ABSOLUTE', time_start: 'tomorrow 9am', time_end: 'in 3 days end of day' },
+  create_ad_set: { daily_budget: 500 },
+  create_ad_set_awareness: { daily_budget: 500 },
+  create_ad_set_traffic: { daily_budget: 500 },
+  create_ad_set_engagement: { daily_budget: 500 },
+  create_ad_set_app_promotion: { daily_budget: 500 },
+  create_ad_set_sales: { pixel_id: '500000000000001', daily_budget: 500 },
+  create_ad_set_leads: { pixel_id: '500000000000001', daily_budget: 500 },
+  create_ad_with_creative: { page_id: FIXTURE_IDS.page_id, link_url: 'https://example.com', image_hash: 'mockhash' },
+  create_ad_creative: { message: 'Mock post message', image_hash: 'mockhash' },
+  upload_ad_image: { image_url: 'https://example.com/image.jpg' },
+  update_ad_creative: { name: 'Renamed creative' },
+  duplicate_creative: { creative_id: '600000000000001' },
+  update_custom_audience: { name: 'Renamed audience' },
+  upload_customer_list: { customers: [{ email: 'jane@example.com', country: 'PH' }] },
+  create_lookalike_audience: { source_audience_id: '23800000000001', countries: ['PH'] },
+  update_saved_audience: { saved_audience_id: '7f1c2a9e-0d1b-4c55-9a31-1f0e5b6c7d01', age_max: 45 },
+  delete_saved_audience: { saved_audience_id: '7f1c2a9e-0d1b-4c55-9a31-1f0e5b6c7d02' },
+  create_lead_form: { questions: ['EMAIL', 'FULL_NAME'], privacy_policy_url: 'https://example.com/privacy' },
+  create_ad_rule: { level: 'ad', conditions: [{ metric: 'cpa', operator: '>', value: 500 }], action: 'pause' },
+  update_ad_rule: { status: 'DISABLED' },
+  create_custom_conversion: { event_name: 'Purchase', url_contains: ['/thank-you'] },
+  update_custom_conversion: { name: 'Renamed conversion' },
+  detach_ad_labels: { labels: ['Mock item'] },
+  create_ad_study: {
+    cells: [{ campaign_ids: ['400000000000001'] }, { campaign_ids: ['400000000000002'] }],
+    start_time: 'tomorrow 9am',
+    end_time: 'in 8 days',
+  },
+  get_ad_study_results: { study_id: '900000000000001' },
+  get_ad_preview: { creative_id: '600000000000001' },
+  send_conversion_events: {
+    events: [{ event_name: 'Lead', event_id: 'lead-1', action_source: 'system_generated', user_data: { email: 'jane@example.com' } }],
+  },
+  graph_batch: {
+    requests: [
+      { relative_url: `act_${FIXTURE_IDS.account_id}?fields=id,currency` },
+      { relative_url: `act_${FIXTURE_IDS.account_id}/campaigns?fields=id,name` }
+    ]
+  },
+};
+
+function sampleValue(name, schema = {}) {
+  if (FIXTURE_IDS[name]) return FIXTURE_IDS[name];
+  if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return schema.minimum > 10 ? schema.minimum : 10;
+    case 'boolean':
+      return false;
+    case 'array':
+      return schema.items ? [sampleValue(name.replace(/s$/, ''), schema.items)] : [];
+    case 'object': {
+      const out = {};
+      for (const key of schema.required || []) out[key] = sampleValue(key, schema.properties?.[key]);
+      return out;
+    }
+    default:
+      if (/(^|_)(id|ids)$/i.test(name) || /Id$/.test(name)) return FIXTURE_IDS.object_id;
+      if (/time$|date$/i.test(name)) return future(1);
+      if (/url$|link$/i.test(name)) return 'https://example.com';
+      return 'Mock value';
+  }
+}
+
+/**
+ * @param {Object} tool - Tool from discoverTools()
+ * @returns {Object} Arguments with every required parameter set
+ */
+export function sampleArgs(tool) {
+  const fn = tool.definition.function;
+  const properties = fn.parameters?.properties || {};
+  const args = {};
+  for (const name of fn.parameters?.required || []) {
+    args[name] = sampleValue(name, properties[name]);
+  }
+  const overrides = TOOL_OVERRIDES[fn.name];
+  return { ...args, ...(typeof overrides === 'function' ? overrides() : overrides) };
+}
@@ -0,0 +1,76 @@
+/**
+ * Shared setup for tool tests: console output captured instead of printed, the mock Graph
+ * server and the in-memory Supabase stand-in started before the file's tests and torn down
+ * after them, and tool calls run inside a request context shaped like the MCP server's.
+ */
+import { before, after, mock as stub } from 'node:test';
+import { setSupabaseClient } from '../../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_token-utils.js';
+import { runWithRequestContext } from '../../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_request-context.js';
+import { startMockGraphServer } from './mock-graph-server.js';
+import { createMemorySupabase } from './memory-supabase.js';
+
+export const TEST_USER_ID = 'user-1';
+export const TEST_TOKEN = 'EAAB-mock-user-1';
+
+/**
+ * A request context like the one callTool builds in the MCP server.
+ * @param {Object} [overrides] - Fields to replace, e.g. { userId, token, dryRun: { requests: [] } }
+ * @returns {Object}
+ */
+export function toolContext(overrides = {}) {
+  return {
+    userId: TEST_USER_ID,
+    token: TEST_TOKEN,
+    serverId: null,
+    workspace: {},
+    dryRun: null,
+    graph: { usage: new Map(), retries: 0, throttled: false, delayedMs: 0, lastError: null },
+    ...overrides,
+  };
+}
+
+/**
+ * Registers before/after hooks for the calling test file and returns the harness.
+ * `mock` and `supabase` are set once the before hook has run.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.graph] - Options for startMockGraphServer (fixtures, fixturesDir, strict)
+ * @param {Object|string} [options.supabase] - Seed for createMemorySupabase
+ * @returns {{ mock: Object, supabase: Object, logged: string[], call: Function }}
+ */
+export function withToolHarness({ graph = {}, supabase = {} } = {}) {
+  const harness = {
+    mock: null,
+    supabase: null,
+    // Every console line the tools printed, for checks that nothing sensitive is logged
+    logged: [],
+    /**
+     * Runs a tool in a fresh request context.
+     * @param {Object} tool - Tool module's apiTool
+     * @param {Object} [args]
+     * @param {Object} [context] - Overrides for toolContext()
+     */
+    call(tool, args = {}, context = {}) {
+      return runWithRequestContext(toolContext(context), () => tool.function(args));
+    },
+  };
+
+  before(async () => {
+    for (const method of ['log', 'info', 'warn', 'error']) {
+      stub.method(console, method, (...args) => harness.logged.push(args.map(String).join(' ')));
+    }
+    harness.mock = await startMockGraphServer(graph);
+    process.env.FACEBOOK_GRAPH_BASE_URL = harness.mock.url;
+    harness.supabase = createMemorySupabase(supabase);
+    setSupabaseClient(harness.supabase);
+  });
+
+  after(async () => {
+    stub.restoreAll();
+    setSupabaseClient(null);
+    delete process.env.FACEBOOK_GRAPH_BASE_URL;
+    await harness.mock?.close();
+  });
+
+  return harness;
+}
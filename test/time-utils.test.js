@@ -0,0 +1,103 @@
+/**
+ * Date and time arguments read in the ad account timezone, and the tools that send them.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseAccountTime,
+  toAccountDate,
+  describeDateRange,
+  resolveSchedule,
+} from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/_time-utils.js';
+import { apiTool as createCampaign } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/create-campaign.js';
+import { apiTool as getAccountInsights } from '../public/tools/facebook-marketing-api/facebook-marketing-api-mapi/get-account-insights.js';
+import { withToolHarness } from './support/tool-harness.js';
+
+// 2025-03-10 04:30 in Manila, still 2025-03-09 in UTC
+const now = new Date('2025-03-09T20:30:00Z');
+const MANILA = 'Asia/Manila';
+const local = (value, zone = MANILA) => parseAccountTime(value, zone, { now }).toISOString();
+
+const harness = withToolHarness({
+  supabase: {
+    users: [{ id: 'user-1', facebook_access_token: 'EAAB-mock-user-1' }],
+    facebook_ad_accounts: [{ id: 'act_777', user_id: 'user-1', currency: 'PHP', timezone_name: MANILA }],
+  },
+});
+
+function call(tool, args) {
+  return harness.call(tool, args);
+}
+
+test('times without an offset are wall-clock times in the account timezone', () => {
+  assert.equal(local('2025-01-17'), '2025-01-16T16:00:00.000Z');
+  assert.equal(local('2025-01-17T09:00'), '2025-01-17T01:00:00.000Z');
+  assert.equal(local('tomorrow 9am'), '2025-03-11T01:00:00.000Z');
+  assert.equal(local('midnight'), '2025-03-10T16:00:00.000Z');
+  assert.equal(local('in 7 days end of day'), '2025-03-17T15:59:59.000Z');
+});
+
+test('explicit offsets, Unix timestamps and named zones are kept', () => {
+  assert.equal(local('2025-01-17T00:00:00Z'), '2025-01-17T00:00:00.000Z');
+  assert.equal(local('2025-01-17T00:00:00-05:00'), '2025-01-17T05:00:00.000Z');
+  assert.equal(local(1736000000), '2025-01-04T14:13:20.000Z');
+  assert.equal(local('midnight Manila time', 'UTC'), '2025-03-10T16:00:00.000Z');
+  assert.equal(local('2025-07-01 noon new york time'), '2025-07-01T16:00:00.000Z');
+  assert.throws(() => local('next blue moon'), /Could not read/);
+});
+
+test('yesterday is the account\'s yesterday, and periods show local and UTC bounds', () => {
+  assert.equal(toAccountDate('yesterday', MANILA, { now }), '2025-03-09');
+  assert.equal(toAccountDate('yesterday', 'UTC', { now }), '2025-03-08');
+  const period = describeDateRange({ since: '2025-03-09', until: '2025-03-09' }, MANILA);
+  assert.equal(period.starts.local, '2025-03-09T00:00:00+08:00');
+  assert.equal(period.starts.utc, '2025-03-08T16:00:00.000Z');
+  assert.equal(period.ends.utc, '2025-03-09T16:00:00.000Z');
+});
+
+test('midnight ends the day it names, with or without the day', () => {
+  const endOfToday = '2025-03-10T16:00:00.000Z';
+  assert.equal(local('midnight'), endOfToday);
+  assert.equal(local('tonight'), endOfToday);
+  assert.equal(local('today midnight'), endOfToday);
+  assert.equal(local('2025-03-10 midnight'), endOfToday);
+  assert.equal(local('tomorrow midnight'), '2025-03-11T16:00:00.000Z');
+  assert.equal(local('2025-03-10 start of day'), '2025-03-09T16:00:00.000Z');
+});
+
+test('impossible calendar dates are rejected instead of rolling over', () => {
+  for (const value of ['2025-02-30', '2025-13-01', '2025-02-30 09:00', '2025-04-31T09:00', '2025-00-10']) {
+    assert.throws(() => local(value), /Could not read/, value);
+  }
+  assert.throws(() => toAccountDate('2025-02-30', MANILA), /Could not read/);
+  assert.equal(local('2024-02-29'), '2024-02-28T16:00:00.000Z');
+  assert.equal(toAccountDate('2024-02-29', MANILA), '2024-02-29');
+});
+
+test('a schedule must end after it starts', () => {
+  assert.throws(() => resolveSchedule({ start_time: '2025-02-01', end_time: '2025-01-01' }, MANILA), /must be after/);
+});
+
+test('create_campaign sends stop_time with the account offset', async () => {
+  const result = await call(createCampaign, {
+    account_id: '777',
+    objective: 'OUTCOME_TRAFFIC',
+    daily_budget: 500,
+    stop_time: '2025-12-31 end of day',
+  });
+  assert.equal(result.error, undefined);
+  const post = harness.mock.requests.find((r) => r.method === 'POST' && r.path === '/act_777/campaigns');
+  assert.equal(post.query.stop_time, '2025-12-31T23:59:59+08:00');
+  assert.deepEqual(result.schedule.stop_time, { local: '2025-12-31T23:59:59+08:00', utc: '2025-12-31T15:59:59.000Z' });
+});
+
+test('get_account_insights resolves time_range words to account days', async () => {
+  const result = await call(getAccountInsights, { account_id: '777', time_range: { since: '7 days ago', until: 'yesterday' } });
+  assert.equal(result.error, undefined);
+  const request = harness.mock.requests.find((r) => r.path === '/act_777/insights');
+  const range = JSON.parse(request.query.time_range);
+  assert.match(range.since, /^\d{4}-\d{2}-\d{2}$/);
+  assert.equal(result.reporting_period.timezone, MANILA);
+  assert.equal(result.reporting_period.since, range.since);
+  assert.equal(result.reporting_period.days, 7);
+});
@@ -0,0 +1,94 @@
+/**
+ * Per-server tool policy (allowed_tools, denied_tools, read_only) applied to both
+ * tools/list and tools/call, including graph_batch not getting around a denylist.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getToolPolicy, isToolAllowed } from '../lib/toolPolicy.js';
+import { withToolHarness } from './support/tool-harness.js';
+import { connectMcpClient, standInTool, sessionToken, startHttpApp } from './support/mcp-server.js';
+
+const tools = [
+  standInTool('get_report', async () => ({ ok: true })),
+  standInTool('get_leads', async () => ({ ok: true })),
+  standInTool('pause_campaign', async () => ({ ok: true }), { mutating: true }),
+  standInTool('graph_batch', async () => ({ ok: true }), { mutating: true }),
+];
+
+const policies = {
+  'server-all': {},
+  'server-allowed': { allowed_tools: ['get_report', 'pause_campaign'] },
+  'server-denied': { denied_tools: ['get_leads'] },
+  'server-read-only': { read_only: true },
+  'server-combined': { allowed_tools: ['get_report', 'pause_campaign'], denied_tools: ['get_report'], read_only: true },
+  // Drafts but no activation: graph_batch could POST status=ACTIVE just the same
+  'server-drafts': { denied_tools: ['pause_campaign'] },
+  'server-batch-allowed': { allowed_tools: ['get_report', 'graph_batch'], denied_tools: ['pause_campaign'] },
+};
+
+withToolHarness({
+  supabase: {
+    users: [{ id: 'user-1', facebook_long_lived_token: 'EAAB-mock-user-1' }],
+    servers: Object.entries(policies).map(([id, settings]) => ({ id, user_id: 'user-1', is_active: true, settings })),
+    mcp_sessions: [{ id: 'session-1', server_id: 'server-read-only', user_id: 'user-1', session_token: 'secret-1' }],
+  },
+});
+
+const expected = {
+  'server-all': ['get_report', 'get_leads', 'pause_campaign', 'graph_batch'],
+  'server-allowed': ['get_report', 'pause_campaign'],
+  'server-denied': ['get_report', 'pause_campaign'],
+  'server-read-only': ['get_report', 'get_leads'],
+  'server-combined': [],
+  'server-drafts': ['get_report', 'get_leads'],
+  'server-batch-allowed': ['get_report', 'graph_batch'],
+};
+
+test('policies read from settings ignore malformed entries', () => {
+  const policy = getToolPolicy({ allowed_tools: ['get_report', 7], denied_tools: 'get_leads', read_only: 'yes' });
+  assert.deepEqual([...policy.allowed], ['get_report']);
+  assert.deepEqual([...policy.denied], []);
+  assert.equal(policy.readOnly, false);
+  assert.equal(getToolPolicy(null).allowed, null);
+  assert.equal(isToolAllowed({ definition: {} }, getToolPolicy({})), false);
+});
+
+for (const [serverId, names] of Object.entries(expected)) {
+  test(`${serverId}: tools/list and tools/call expose the same tools`, async () => {
+    const client = await connectMcpClient(tools, { serverId, userId: 'user-1' });
+    try {
+      const listed = await client.listTools();
+      assert.deepEqual(listed.tools.map((t) => t.name), names);
+      for (const tool of tools) {
+        const name = tool.definition.function.name;
+        const call = client.callTool({ name, arguments: {} });
+        if (names.includes(name)) {
+          assert.equal((await call).isError, undefined, `${name} should run`);
+        } else {
+          await assert.rejects(call, new RegExp(`Tool "${name}" is not enabled on this server`));
+        }
+      }
+    } finally {
+      await client.close();
+    }
+  });
+}
+
+test('the tools/list probe before initialize applies the policy too', async () => {
+  const app = await startHttpApp(tools);
+  try {
+    const response = await fetch(`${app.url}/api/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        Authorization: `Bearer ${sessionToken('server-read-only', 'secret-1')}`,
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).result.tools.map((t) => t.name), expected['server-read-only']);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,79 @@
+/**
+ * Runs every tool in toolPaths offline against the mock Graph server and the in-memory
+ * Supabase stand-in: once with a working token, once with Graph failing every request,
+ * and once without a token.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { discoverTools } from '../lib/tools.js';
+import { sampleArgs, FIXTURE_IDS } from './support/tool-args.js';
+import { withToolHarness } from './support/tool-harness.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Tools log freely; the harness keeps the test output readable
+const harness = withToolHarness({
+  graph: { fixturesDir: path.join(fixtures, 'graph') },
+  supabase: path.join(fixtures, 'supabase.json'),
+});
+
+function callTool(tool, { token = 'EAAB-mock-user-1' } = {}) {
+  return harness.call(tool, sampleArgs(tool), { userId: FIXTURE_IDS.userId, token, serverId: 'server-1' });
+}
+
+// A tool reports failure either by returning { error } or by throwing
+async function outcome(promise) {
+  try {
+    const result = await promise;
+    return { result, error: result && typeof result === 'object' ? result.error : undefined };
+  } catch (err) {
+    return { thrown: err, error: err.message };
+  }
+}
+
+const tools = await discoverTools();
+// Tools that never reached Graph in the success case (e.g. get_audit_log) skip the Graph-side checks
+const callsGraph = new Map();
+
+test('every path in toolPaths loads a tool', () => {
+  assert.ok(tools.length > 0);
+  for (const tool of tools) {
+    assert.equal(typeof tool.function, 'function', `${tool.path} has no function`);
+    assert.ok(tool.definition?.function?.name, `${tool.path} has no name`);
+  }
+});
+
+for (const tool of tools) {
+  const name = tool.definition.function.name;
+
+  test(`${name}: succeeds against fixtures`, async () => {
+    harness.mock.failWith(null);
+    const before = harness.mock.requests.length;
+    const { result, error, thrown } = await outcome(callTool(tool));
+    callsGraph.set(name, harness.mock.requests.length > before);
+    assert.equal(thrown, undefined, `threw: ${thrown?.message}`);
+    assert.equal(error, undefined, `returned error: ${error}`);
+    assert.ok(result != null);
+  });
+
+  test(`${name}: reports a Graph error`, async (t) => {
+    if (!callsGraph.get(name)) return t.skip('does not call Graph');
+    harness.mock.failWith({ message: 'Invalid parameter', type: 'OAuthException', code: 100, fbtrace_id: 'mock' });
+    try {
+      const { error } = await outcome(callTool(tool));
+      assert.ok(error, 'expected the Graph error to be reported');
+    } finally {
+      harness.mock.failWith(null);
+    }
+  });
+
+  test(`${name}: reports a missing token without calling Graph`, async (t) => {
+    if (!callsGraph.get(name)) return t.skip('does not call Graph');
+    const before = harness.mock.requests.length;
+    const { error } = await outcome(callTool(tool, { token: null }));
+    assert.ok(error, 'expected a missing-token error');
+    assert.equal(harness.mock.requests.length, before, 'Graph was called without a token');
+  });
+}